@@ -0,0 +1,448 @@
+/**
+ * Threshold alerting for the /api/dashboard-data cron.
+ *
+ * A rule watches one snapshot metric (see METRICS in _snapshots.js) for one
+ * entity — or every protocol with entity '*' — and compares either the current
+ * value or its change over `windowDays` against a threshold:
+ *
+ *   { metric: 'ps',        entity: 'aave', operator: 'below', threshold: 10 }
+ *   { metric: 'funding',   entity: 'BTC',  operator: 'above', threshold: 0.05 }
+ *   { metric: 'dominance', entity: 'usdt', operator: 'moves', threshold: 1, change: 'abs', windowDays: 1 }
+ *   { metric: 'revenue',   entity: '*',    operator: 'below', threshold: -50, change: 'pct', windowDays: 7 }
+ *
+ * Rules fire on the transition into the triggered state only, and never more
+ * than once per `cooldownMinutes` per (rule, entity). Fired alerts are appended
+ * to the in-app notification log and POSTed to the rule's webhook (or
+ * ALERT_WEBHOOK_URL) as Slack/Discord-compatible JSON.
+ *
+ * Rules, per-entity state and notifications live in the same kind of store as
+ * snapshots (ALERT_STORE=file|kv, auto-detected like SNAPSHOT_STORE). On Vercel
+ * without KV there is none: the store is disabled and carries a `warning`.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { METRICS, toDateKey, buildSnapshot, getSnapshotStore, createKvClient } from './_snapshots.js';
+
+export const OPERATORS = ['above', 'below', 'moves'];
+export const CHANGE_MODES = ['abs', 'pct'];
+
+const PROTOCOL_METRICS = new Set(['fees', 'revenue', 'holdersRevenue', 'tvl', 'ps']);
+const DEFAULT_COOLDOWN_MINUTES = 360;
+const MAX_WINDOW_DAYS = 30;
+const MAX_NOTIFICATIONS = 200;
+// A wildcard rule reports at most this many entities per webhook message
+const MAX_ENTITIES_PER_MESSAGE = 10;
+// Tolerate gaps in the snapshot history when looking back `windowDays`
+const HISTORY_SLACK_DAYS = 3;
+// Per-rule webhooks may only target Slack or Discord incoming webhooks (host → path prefix);
+// ALERT_WEBHOOK_URL is set by the operator and is not restricted
+const WEBHOOK_HOSTS = {
+  'hooks.slack.com': '/services/',
+  'discord.com': '/api/webhooks/',
+  'discordapp.com': '/api/webhooks/',
+};
+
+const METRIC_LABELS = {
+  fees: 'fees (24h)',
+  revenue: 'revenue (24h)',
+  holdersRevenue: 'holders revenue (24h)',
+  tvl: 'TVL',
+  mcap: 'market cap',
+  ps: 'P/S',
+  price: 'price',
+  dominance: 'dominance',
+  funding: 'funding rate',
+  fearGreed: 'Fear & Greed',
+};
+
+// ── Storage ──
+
+/** Local JSON-file store: <dir>/<key>.json */
+function createFileAlertStore(dir) {
+  return {
+    name: 'file',
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(path.join(dir, `${key}.json`), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async set(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${key}.json`), JSON.stringify(value));
+    },
+  };
+}
+
+/** Redis REST store: one JSON document per key under alerts: */
+function createKvAlertStore(url, token) {
+  const command = createKvClient(url, token);
+  return {
+    name: 'kv',
+    async get(key) {
+      const value = await command('GET', `alerts:${key}`);
+      return value ? JSON.parse(value) : null;
+    },
+    async set(key, value) {
+      await command('SET', `alerts:${key}`, JSON.stringify(value));
+    },
+  };
+}
+
+/** Stand-in when no writable backend exists: no rules, nothing saved, carries the reason */
+function createDisabledAlertStore(warning) {
+  return {
+    name: 'none',
+    warning,
+    async get() { return null; },
+    async set() {},
+  };
+}
+
+let store = null;
+
+/**
+ * Resolve the configured store (memoised per container).
+ * ALERT_STORE=file|kv forces a backend; otherwise KV is used when its env vars exist,
+ * and the file store only off Vercel (see getSnapshotStore).
+ */
+export function getAlertStore() {
+  if (store) return store;
+  const hasKv = Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+  const kind = process.env.ALERT_STORE || (hasKv ? 'kv' : process.env.VERCEL ? 'none' : 'file');
+  if (kind === 'kv') {
+    store = createKvAlertStore(process.env.KV_REST_API_URL, process.env.KV_REST_API_TOKEN);
+  } else if (kind === 'file') {
+    store = createFileAlertStore(process.env.ALERT_DIR || '.data/alerts');
+  } else {
+    store = createDisabledAlertStore('Alert rules are disabled: set KV_REST_API_URL and KV_REST_API_TOKEN (the Vercel filesystem is read-only)');
+    console.warn(`[alerts] ${store.warning}`);
+  }
+  return store;
+}
+
+export async function listRules() {
+  return (await getAlertStore().get('rules')) || [];
+}
+
+export async function saveRules(rules) {
+  await getAlertStore().set('rules', rules);
+}
+
+export async function listNotifications(limit = 50) {
+  return ((await getAlertStore().get('notifications')) || []).slice(0, limit);
+}
+
+// ── Rule validation ──
+
+function isAllowedWebhook(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  return parsed.protocol === 'https:'
+    && Object.hasOwn(WEBHOOK_HOSTS, parsed.hostname)
+    && parsed.pathname.startsWith(WEBHOOK_HOSTS[parsed.hostname]);
+}
+
+/** A rule as shown without the admin token: the webhook URL's path is its secret, so only the host is kept. */
+export function redactRule(rule) {
+  if (!rule.webhookUrl) return rule;
+  let origin = '';
+  try {
+    origin = new URL(rule.webhookUrl).origin;
+  } catch {}
+  return { ...rule, webhookUrl: `${origin}/…` };
+}
+
+/**
+ * Normalise user input into a rule. Returns { rule } or { error } — `existing`
+ * supplies defaults for partial updates.
+ */
+export function validateRule(input, existing = null) {
+  const merged = { ...existing, ...input };
+  const { metric, operator } = merged;
+
+  if (!Object.hasOwn(METRICS, metric)) return { error: `metric must be one of: ${Object.keys(METRICS).join(', ')}` };
+  if (!OPERATORS.includes(operator)) return { error: `operator must be one of: ${OPERATORS.join(', ')}` };
+
+  // Number('') and Number(null) are 0: only numbers and numeric strings count
+  const raw = merged.threshold;
+  const threshold = typeof raw === 'number' || (typeof raw === 'string' && raw.trim() !== '') ? Number(raw) : NaN;
+  if (!Number.isFinite(threshold)) return { error: 'threshold must be a finite number' };
+
+  let entity = typeof merged.entity === 'string' ? merged.entity.trim() : '';
+  if (metric === 'fearGreed') entity = null;
+  else if (!entity) return { error: 'entity required (DeFiLlama slug, CoinGecko id, symbol, or * for every protocol)' };
+  else if (entity === '*' && !PROTOCOL_METRICS.has(metric)) return { error: `entity * is only supported for ${[...PROTOCOL_METRICS].join(', ')}` };
+  if (metric === 'dominance' && entity) entity = entity.toLowerCase();
+
+  const change = merged.change || null;
+  if (change && !CHANGE_MODES.includes(change)) return { error: `change must be one of: ${CHANGE_MODES.join(', ')}` };
+  if (operator === 'moves' && !change) return { error: 'operator "moves" requires change (abs or pct)' };
+
+  const windowDays = change ? Math.round(Number(merged.windowDays ?? 1)) : null;
+  if (change && !(windowDays >= 1 && windowDays <= MAX_WINDOW_DAYS)) return { error: `windowDays must be 1–${MAX_WINDOW_DAYS}` };
+
+  const cooldownMinutes = Number(merged.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES);
+  if (!(cooldownMinutes >= 0)) return { error: 'cooldownMinutes must be ≥ 0' };
+
+  const webhookUrl = merged.webhookUrl ? String(merged.webhookUrl) : null;
+  if (webhookUrl && !isAllowedWebhook(webhookUrl)) {
+    return { error: 'webhookUrl must be a Slack (https://hooks.slack.com/services/…) or Discord (https://discord.com/api/webhooks/…) webhook' };
+  }
+
+  const now = new Date().toISOString();
+  const rule = {
+    id: existing?.id || `rule_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: '',
+    metric,
+    entity,
+    operator,
+    threshold,
+    change,
+    windowDays,
+    cooldownMinutes,
+    enabled: merged.enabled !== false,
+    webhookUrl,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+  rule.name = (typeof merged.name === 'string' && merged.name.trim()) || describeRule(rule);
+  return { rule };
+}
+
+export function describeRule(rule) {
+  const subject = [rule.entity === '*' ? 'Any protocol' : rule.entity, METRIC_LABELS[rule.metric] || rule.metric]
+    .filter(Boolean).join(' ');
+  const unit = rule.change === 'pct' ? '%' : '';
+  const measure = rule.change ? ` ${rule.change === 'pct' ? '% change' : 'change'} over ${rule.windowDays}d` : '';
+  const condition = rule.operator === 'moves' ? `moves more than ±${rule.threshold}${unit}` : `${rule.operator} ${rule.threshold}${unit}`;
+  return `${subject}${measure} ${condition}`;
+}
+
+// ── Evaluation ──
+
+const fmt = (v) => {
+  if (typeof v !== 'number') return 'n/a';
+  const abs = Math.abs(v);
+  if (abs >= 1e9) return `${(v / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${(v / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `${(v / 1e3).toFixed(1)}K`;
+  return Number(v.toPrecision(4)).toString();
+};
+
+function isTriggered(rule, observed) {
+  if (rule.operator === 'above') return observed > rule.threshold;
+  if (rule.operator === 'below') return observed < rule.threshold;
+  return Math.abs(observed) > rule.threshold;
+}
+
+function describeResult(rule, r) {
+  const who = r.entity ? `${r.entity} ` : '';
+  const label = METRIC_LABELS[rule.metric] || rule.metric;
+  if (!rule.change) return `${who}${label} is ${fmt(r.value)} (${rule.operator} ${rule.threshold})`;
+  const delta = rule.change === 'pct' ? `${r.observed >= 0 ? '+' : ''}${r.observed.toFixed(1)}%` : `${r.observed >= 0 ? '+' : ''}${fmt(r.observed)}`;
+  return `${who}${label} moved ${delta} over ${rule.windowDays}d (${fmt(r.previous)} → ${fmt(r.value)})`;
+}
+
+/**
+ * Evaluate one rule against the current snapshot and the snapshot `windowDays`
+ * earlier. Returns one result per evaluated entity; wildcard rules only return
+ * triggered entities.
+ */
+export function evaluateRule(rule, current, previous) {
+  const read = METRICS[rule.metric];
+  const entities = rule.entity === '*'
+    ? Object.keys(current.protocols || {})
+    : [rule.entity];
+
+  const results = [];
+  let missing = 0;
+  entities.forEach(entity => {
+    const value = read(current, entity);
+    if (typeof value !== 'number') { missing++; return; }
+
+    let observed = value;
+    let prev = null;
+    if (rule.change) {
+      prev = previous ? read(previous, entity) : undefined;
+      if (typeof prev !== 'number' || (rule.change === 'pct' && prev === 0)) { missing++; return; }
+      observed = rule.change === 'pct' ? ((value - prev) / Math.abs(prev)) * 100 : value - prev;
+    }
+
+    const triggered = isTriggered(rule, observed);
+    if (rule.entity === '*' && !triggered) return;
+    const result = { entity, value, previous: prev, observed, triggered };
+    result.message = describeResult(rule, result);
+    results.push(result);
+  });
+
+  return { evaluated: entities.length - missing, missing, results };
+}
+
+/** Snapshots needed by `rules`, keyed by window: { [windowDays]: snapshot | null } */
+async function loadBaselines(rules, currentDate) {
+  const windows = [...new Set(rules.filter(r => r.change).map(r => r.windowDays))];
+  if (windows.length === 0) return {};
+  const shift = (days) => toDateKey(new Date(Date.parse(currentDate) - days * 86400000));
+  const maxWindow = Math.max(...windows);
+  const history = await getSnapshotStore().list(shift(maxWindow + HISTORY_SLACK_DAYS), shift(1));
+
+  const baselines = {};
+  windows.forEach(w => {
+    const target = shift(w);
+    const earliest = shift(w + HISTORY_SLACK_DAYS);
+    // Latest snapshot on or before the target day, within the slack
+    baselines[w] = [...history].reverse().find(s => s.date <= target && s.date >= earliest) || null;
+  });
+  return baselines;
+}
+
+/** Most recent stored snapshot — what the test endpoint evaluates against. */
+async function loadLatestSnapshot() {
+  const from = toDateKey(new Date(Date.now() - (HISTORY_SLACK_DAYS + 1) * 86400000));
+  const recent = await getSnapshotStore().list(from);
+  return recent[recent.length - 1] || null;
+}
+
+// ── Delivery ──
+
+function webhookPayload(rule, fired) {
+  const shown = fired.slice(0, MAX_ENTITIES_PER_MESSAGE);
+  const extra = fired.length - shown.length;
+  const lines = shown.map(n => `• ${n.message}`);
+  if (extra > 0) lines.push(`• …and ${extra} more`);
+  const text = `🔔 *${rule.name}*\n${lines.join('\n')}`;
+  return {
+    // Slack reads `text`, Discord reads `content`; other consumers get structured `alerts`
+    text,
+    content: text.replace(/\*/g, '**'),
+    username: 'Revenue Codex',
+    alerts: fired,
+  };
+}
+
+async function postWebhook(url, payload) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 10000);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller.signal,
+    });
+    if (!res.ok) throw new Error(`Webhook HTTP ${res.status}`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// ── Entry points ──
+
+/**
+ * Evaluate every enabled rule against a dashboard-data payload, fire new
+ * alerts and persist state. Called by the cron; never throws for a single
+ * failing webhook — those are reported in `errors`.
+ */
+export async function runAlerts(data, { now = Date.now() } = {}) {
+  const alertStore = getAlertStore();
+  const rules = (await listRules()).filter(r => r.enabled);
+  if (rules.length === 0) return { rules: 0, evaluated: 0, fired: 0, errors: [] };
+
+  const current = buildSnapshot(data);
+  const baselines = await loadBaselines(rules, current.date);
+  const state = (await alertStore.get('state')) || {};
+  const nextState = {};
+  const notifications = [];
+  const deliveries = [];
+  let evaluated = 0;
+
+  rules.forEach(rule => {
+    const { evaluated: count, results } = evaluateRule(rule, current, rule.change ? baselines[rule.windowDays] : null);
+    evaluated += count;
+    const cooldownMs = rule.cooldownMinutes * 60000;
+    const fired = [];
+
+    results.forEach(r => {
+      const key = `${rule.id}:${r.entity ?? '-'}`;
+      const prev = state[key];
+      const fire = r.triggered && !prev?.active && now - (prev?.lastFiredAt || 0) >= cooldownMs;
+      nextState[key] = { active: r.triggered, lastFiredAt: fire ? now : (prev?.lastFiredAt || 0) };
+      if (!fire) return;
+      fired.push({
+        id: `${key}:${now}`,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        metric: rule.metric,
+        entity: r.entity,
+        value: r.value,
+        previous: r.previous,
+        observed: r.observed,
+        threshold: rule.threshold,
+        message: r.message,
+        firedAt: new Date(now).toISOString(),
+      });
+    });
+
+    // Keep cooldown timestamps for entities that dropped out of a wildcard rule
+    Object.entries(state).forEach(([key, s]) => {
+      if (key.startsWith(`${rule.id}:`) && !nextState[key]) nextState[key] = { active: false, lastFiredAt: s.lastFiredAt };
+    });
+
+    if (fired.length === 0) return;
+    notifications.push(...fired);
+    const url = rule.webhookUrl || process.env.ALERT_WEBHOOK_URL;
+    if (url) deliveries.push({ rule, url, payload: webhookPayload(rule, fired) });
+  });
+
+  const errors = [];
+  await Promise.all(deliveries.map(({ rule, url, payload }) =>
+    postWebhook(url, payload).catch(e => errors.push({ ruleId: rule.id, error: e.message }))
+  ));
+
+  await alertStore.set('state', nextState);
+  if (notifications.length > 0) {
+    const log = (await alertStore.get('notifications')) || [];
+    await alertStore.set('notifications', [...notifications.reverse(), ...log].slice(0, MAX_NOTIFICATIONS));
+  }
+
+  return { rules: rules.length, evaluated, fired: notifications.length, errors };
+}
+
+/**
+ * Dry run: evaluate a rule against the latest stored snapshot without firing,
+ * touching state or calling webhooks. `wouldFire` reflects current cooldowns.
+ */
+export async function testRule(rule) {
+  const { warning } = getSnapshotStore();
+  if (warning) return { snapshotDate: null, error: warning };
+  const current = await loadLatestSnapshot();
+  if (!current) return { snapshotDate: null, error: 'No snapshot stored yet — the dashboard-data cron has not run' };
+
+  const baselines = await loadBaselines([rule], current.date);
+  const baseline = rule.change ? baselines[rule.windowDays] : null;
+  const state = (await getAlertStore().get('state')) || {};
+  const { evaluated, missing, results } = evaluateRule(rule, current, baseline);
+  const now = Date.now();
+
+  return {
+    snapshotDate: current.date,
+    baselineDate: baseline?.date || null,
+    evaluated,
+    missing,
+    results: results.map(r => {
+      const prev = state[`${rule.id}:${r.entity ?? '-'}`];
+      return {
+        ...r,
+        wouldFire: r.triggered && !prev?.active && now - (prev?.lastFiredAt || 0) >= rule.cooldownMinutes * 60000,
+      };
+    }),
+  };
+}
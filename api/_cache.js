@@ -1,26 +1,323 @@
 /**
  * Server-side cache for Vercel serverless functions.
  *
- * - In-memory Map that persists across warm invocations (same Lambda container)
  * - fetchWithRetry: exponential backoff on 429 rate-limit responses
- * - cachedFetch: checks memory cache before network (default 15 min TTL)
- * - sequentialFetch: fetches an array of URLs one-by-one with delay between each
+ * - cachedFetch: cache-first fetch with per-route TTLs, stale-while-revalidate and
+ *   single-flight refreshes (see below)
+ * - cachedFetchAll: cachedFetchEntry for an array of URLs, settled per URL
+ * - Every upstream attempt first takes a slot from its provider's rate limiter
+ *   (see below), so callers never space out requests themselves
+ * - Upstream requests go through upstreamFetch, so MOCK_UPSTREAM record/replay
+ *   applies to every handler (see _fixtures.js), and every attempt is recorded
+ *   for /api/health (see _telemetry.js)
+ *
+ * Storage backends (selected by CACHE_STORE, default memory):
+ * - memory: a Map per Lambda container — survives warm invocations only
+ * - kv:     Redis REST API (Vercel KV / Upstash, or a local stand-in such as
+ *           serverless-redis-http in front of redis-server) via KV_REST_API_URL +
+ *           KV_REST_API_TOKEN — shared by every instance, so cold starts and
+ *           parallel containers reuse each other's responses
+ * Opt-in rather than auto-detected like SNAPSHOT_STORE: some cached payloads
+ * (protocols, fees overviews) are several MB each.
+ *
+ * Every backend implements the same interface:
+ *   get(key)                 → Promise<{ data, ts } | null>
+ *   set(key, entry, ttlMs)   → Promise<void>   (ttlMs = how long to keep it at all)
+ *   lock(key, token, ttlMs)  → Promise<boolean> (true if this caller now holds it)
+ *   unlock(key, token)       → Promise<void>
+ *   take(key, limit)         → Promise<number> (0 if a rate-limit token was taken,
+ *                                                else ms until one is available)
+ *
+ * Freshness: an entry younger than `ttl` is served as is. Up to `ttl + staleTtl`
+ * it is served stale while one background refresh runs. Older entries (or none)
+ * block on a refresh. Refreshes are single-flight — deduplicated per instance by
+ * an in-flight promise, and across instances by a short lock in the store; an
+ * instance that loses the lock waits briefly for the winner's entry instead of
+ * hitting the upstream itself. Store failures never fail a request: they degrade
+ * to the container-local cache and a direct fetch.
+ *
+ * Last known good: entries are kept for LAST_GOOD_TTL past the stale window. When
+ * a blocking refresh fails and such an entry exists, it is returned flagged
+ * `stale: true` with its age (cachedFetchEntry) instead of throwing; handlers pass
+ * that on to the client with setFreshnessHeaders.
+ *
+ * Rate limiting: each provider in RATE_LIMITS has a token bucket in the store
+ * (so with CACHE_STORE=kv every instance draws from the same one). Requests that
+ * find it empty queue per provider and are released by priority — 'high',
+ * 'normal' (blocking fetches), 'low' (background refreshes, the cron) — then in
+ * arrival order; priorities only order this instance's queue. A 429 pauses the
+ * provider's queue for its retry-after.
  */
 
-const CACHE = new Map();
-const DEFAULT_TTL = 15 * 60 * 1000; // 15 minutes
+import { createHash, randomUUID } from 'node:crypto';
+import { getMockMode, upstreamFetch } from './_fixtures.js';
+import { createKvClient } from './_snapshots.js';
+import { providerOf, recordAttempt, recordOutcome } from './_telemetry.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const DEFAULT_TTL = 15 * MINUTE;
+const DEFAULT_STALE_TTL = HOUR;
+const LAST_GOOD_TTL = 24 * HOUR;
+const KV_PREFIX = 'cache:';
+const LOCK_TTL = 2 * MINUTE; // longer than a worst-case fetchWithRetry
+const LOCK_WAIT = 10 * 1000;
+const LOCK_POLL = 250;
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
 
 /**
- * Fetch with retry + exponential backoff on 429 / 5xx.
+ * Per-route freshness, first match wins; unmatched URLs use the caller's ttl.
+ * Tuned to how fast the data moves and how tight the provider's rate limit is.
  */
-export async function fetchWithRetry(url, options = {}, maxRetries = 3) {
+export const ROUTE_POLICIES = [
+  { match: /coingecko\.com\/.*\/coins\/[^/]+\/history\?/, ttl: 30 * DAY, staleTtl: 30 * DAY }, // a past day never changes
+  { match: /coingecko\.com\/.*\/(coins\/markets|simple\/price|global)/, ttl: 5 * MINUTE, staleTtl: 30 * MINUTE },
+  { match: /coinglass\.com\/.*\/(fundingRate|liquidation)/, ttl: 5 * MINUTE, staleTtl: 30 * MINUTE },
+  { match: /llama\.fi\/.*\/(hacks|raises|treasuries|entities|categories|forks|oracles|emissions)\b/, ttl: 6 * HOUR, staleTtl: 24 * HOUR },
+  { match: /tokenterminal\.com\//, ttl: HOUR, staleTtl: 6 * HOUR }, // 60 req/min
+  { match: /api\.alternative\.me\/fng/, ttl: HOUR, staleTtl: 6 * HOUR },
+];
+
+/**
+ * Token bucket per provider (providerOf ids): refills at `perMinute`, holds at
+ * most `burst`. Providers without an entry are not limited.
+ * RATE_LIMIT_<PROVIDER>=<requests per minute> overrides perMinute — Coinglass
+ * limits depend on the plan (30/min is Hobbyist).
+ */
+export const RATE_LIMITS = {
+  defillama: { perMinute: 1000, burst: 50 },
+  coingecko: { perMinute: 500, burst: 20 },
+  tokenterminal: { perMinute: 60, burst: 3 },
+  coinglass: { perMinute: 30, burst: 5 },
+};
+
+/** Resolve { perMinute, burst } for a provider, or null when it is not limited */
+export function rateLimitFor(provider) {
+  const override = Number(process.env[`RATE_LIMIT_${provider.toUpperCase()}`]);
+  const base = RATE_LIMITS[provider];
+  if (override > 0) {
+    return { perMinute: override, burst: base?.burst ?? Math.max(1, Math.round(override / 20)) };
+  }
+  return base || null;
+}
+
+/** Resolve { ttl, staleTtl } for a URL; `ttl` may be a number or { ttl, staleTtl } */
+export function resolvePolicy(url, ttl = DEFAULT_TTL) {
+  const base = typeof ttl === 'object' && ttl !== null ? ttl : { ttl };
+  const route = ROUTE_POLICIES.find(r => r.match.test(url));
+  return {
+    ttl: route?.ttl ?? base.ttl ?? DEFAULT_TTL,
+    staleTtl: route?.staleTtl ?? base.staleTtl ?? DEFAULT_STALE_TTL,
+  };
+}
+
+// ── Stores ──
+
+/** Container-local store. Locks always succeed — the in-flight map already dedupes. */
+export function createMemoryStore() {
+  const entries = new Map();
+  const buckets = new Map();
+  return {
+    name: 'memory',
+    entries,
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() > entry.expires) {
+        entries.delete(key);
+        return null;
+      }
+      return entry;
+    },
+    async set(key, entry, ttlMs) {
+      entries.set(key, { ...entry, expires: Date.now() + ttlMs });
+    },
+    async lock() { return true; },
+    async unlock() {},
+    async take(key, { perMinute, burst }) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: burst, ts: now };
+      bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.ts) * perMinute / MINUTE);
+      bucket.ts = now;
+      buckets.set(key, bucket);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+      }
+      return Math.ceil((1 - bucket.tokens) * MINUTE / perMinute);
+    },
+  };
+}
+
+// Delete the lock only if we still own it (it may have expired and been re-taken)
+const UNLOCK_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end";
+
+// Same bucket arithmetic as the memory store, atomically and on the server's clock
+const TAKE_SCRIPT = `
+local now = redis.call('TIME')
+local ms = tonumber(now[1]) * 1000 + math.floor(tonumber(now[2]) / 1000)
+local rate = tonumber(ARGV[1]) / 60000
+local burst = tonumber(ARGV[2])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or burst
+local ts = tonumber(state[2]) or ms
+tokens = math.min(burst, tokens + math.max(0, ms - ts) * rate)
+local wait = 0
+if tokens >= 1 then tokens = tokens - 1 else wait = math.ceil((1 - tokens) / rate) end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', ms)
+redis.call('PEXPIRE', KEYS[1], math.ceil(burst / rate) + 1000)
+return wait`;
+
+/** Redis REST store (Vercel KV / Upstash): one key per URL, expiring with the entry */
+export function createKvCacheStore(url, token) {
+  const command = createKvClient(url, token);
+  return {
+    name: 'kv',
+    async get(key) {
+      const raw = await command('GET', KV_PREFIX + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, entry, ttlMs) {
+      await command('SET', KV_PREFIX + key, JSON.stringify(entry), 'PX', Math.ceil(ttlMs));
+    },
+    async lock(key, lockToken, ttlMs) {
+      return (await command('SET', `${KV_PREFIX}lock:${key}`, lockToken, 'NX', 'PX', ttlMs)) === 'OK';
+    },
+    async unlock(key, lockToken) {
+      await command('EVAL', UNLOCK_SCRIPT, 1, `${KV_PREFIX}lock:${key}`, lockToken);
+    },
+    async take(key, { perMinute, burst }) {
+      return Number(await command('EVAL', TAKE_SCRIPT, 1, `${KV_PREFIX}rate:${key}`, perMinute, burst));
+    },
+  };
+}
+
+let store = null;
+// Local copy of every entry this container has seen — also the fallback when the shared store fails
+const local = createMemoryStore();
+
+/** Resolve the configured store (memoised per container). */
+export function getCacheStore() {
+  if (store) return store;
+  store = process.env.CACHE_STORE === 'kv'
+    ? createKvCacheStore(process.env.KV_REST_API_URL, process.env.KV_REST_API_TOKEN)
+    : local;
+  return store;
+}
+
+const stats = { hits: 0, stale: 0, misses: 0, refreshes: 0, lockWaits: 0, storeErrors: 0, lastGood: 0, throttled: 0 };
+
+async function storeCall(fn, fallback) {
+  try {
+    return await fn();
+  } catch (err) {
+    stats.storeErrors++;
+    console.warn(`[cache] ${getCacheStore().name} store error: ${err.message}`);
+    return fallback;
+  }
+}
+
+async function readEntry(key, keepMs) {
+  const shared = getCacheStore();
+  const mine = await local.get(key);
+  if (shared === local) return mine;
+  const theirs = await storeCall(() => shared.get(key), null);
+  // Prefer whichever copy is newer
+  if (theirs && (!mine || theirs.ts > mine.ts)) {
+    await local.set(key, theirs, keepMs);
+    return theirs;
+  }
+  return mine;
+}
+
+async function writeEntry(key, entry, keepMs) {
+  await local.set(key, entry, keepMs);
+  const shared = getCacheStore();
+  if (shared !== local) await storeCall(() => shared.set(key, entry, keepMs));
+}
+
+// ── Rate limiting ──
+
+const QUEUES = new Map(); // provider → { waiting: [{ rank, resolve }], draining, pausedUntil }
+
+function queueFor(provider) {
+  if (!QUEUES.has(provider)) QUEUES.set(provider, { waiting: [], draining: false, pausedUntil: 0 });
+  return QUEUES.get(provider);
+}
+
+async function takeToken(provider, limit) {
+  const shared = getCacheStore();
+  if (shared !== local) {
+    const wait = await storeCall(() => shared.take(provider, limit), null);
+    if (wait !== null) return wait;
+  }
+  return local.take(provider, limit);
+}
+
+// Release waiters one token at a time; the head is re-read after every wait so
+// a higher-priority request that arrived meanwhile goes next
+async function drain(provider, queue, limit) {
+  queue.draining = true;
+  try {
+    while (queue.waiting.length > 0) {
+      // A paused provider is not charged a token until the pause has elapsed
+      const paused = queue.pausedUntil - Date.now();
+      const wait = paused > 0 ? paused : await takeToken(provider, limit);
+      if (wait > 0) {
+        stats.throttled++;
+        await sleep(wait);
+        continue;
+      }
+      queue.waiting.shift().resolve();
+    }
+  } finally {
+    queue.draining = false;
+  }
+}
+
+/**
+ * Wait for a request slot with `provider` — immediate unless its bucket is empty.
+ * @param {'high'|'normal'|'low'} [priority]
+ */
+export function acquireSlot(provider, priority = 'normal') {
+  const limit = rateLimitFor(provider);
+  // Replayed responses never reach the provider
+  if (!limit || getMockMode() === 'replay') return Promise.resolve();
+  const queue = queueFor(provider);
+  return new Promise(resolve => {
+    const rank = PRIORITIES[priority] ?? PRIORITIES.normal;
+    const at = queue.waiting.findIndex(w => w.rank > rank);
+    queue.waiting.splice(at === -1 ? queue.waiting.length : at, 0, { rank, resolve });
+    if (!queue.draining) drain(provider, queue, limit);
+  });
+}
+
+/** Hold every queued request for `provider` for `ms` (after a 429). */
+function pauseProvider(provider, ms) {
+  const queue = queueFor(provider);
+  queue.pausedUntil = Math.max(queue.pausedUntil, Date.now() + ms);
+}
+
+/**
+ * Fetch with retry + exponential backoff on 429 / 5xx. Every attempt waits for
+ * a slot from the provider's rate limiter first.
+ */
+export async function fetchWithRetry(url, options = {}, maxRetries = 3, priority = 'normal') {
+  // Replayed responses are fixed — retrying a miss or an error cannot change it
+  if (getMockMode() === 'replay') maxRetries = 0;
+  const provider = providerOf(url);
   let lastError;
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    await acquireSlot(provider, priority);
+    const started = Date.now();
+    let status = null;
     try {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 30000);
-      const res = await fetch(url, { ...options, signal: controller.signal });
+      const res = await upstreamFetch(url, { ...options, signal: controller.signal });
       clearTimeout(timeoutId);
+      status = res.status;
 
       if (res.status === 429 || (res.status >= 500 && attempt < maxRetries)) {
         // Rate limited or server error — back off and retry
@@ -28,13 +325,20 @@ export async function fetchWithRetry(url, options = {}, maxRetries = 3) {
         const delayMs = retryAfter
           ? parseInt(retryAfter, 10) * 1000
           : Math.min(1000 * Math.pow(2, attempt), 10000);
+        if (res.status === 429) pauseProvider(provider, delayMs);
+        recordAttempt(url, { status, latencyMs: Date.now() - started, attempt, retryAfterMs: retryAfter ? delayMs : 0 });
         await sleep(delayMs);
         continue;
       }
 
+      recordAttempt(url, { status, latencyMs: Date.now() - started, attempt });
       if (!res.ok) throw new Error(`HTTP ${res.status}: ${url}`);
-      return await res.json();
+      const data = await res.json();
+      recordOutcome(url);
+      return data;
     } catch (err) {
+      // No response at all (network error, timeout) — not recorded above
+      if (status === null) recordAttempt(url, { status, latencyMs: Date.now() - started, attempt });
       lastError = err;
       if (attempt < maxRetries && err.name !== 'AbortError') {
         await sleep(1000 * Math.pow(2, attempt));
@@ -42,65 +346,152 @@ export async function fetchWithRetry(url, options = {}, maxRetries = 3) {
       }
     }
   }
-  throw lastError || new Error(`Failed after ${maxRetries} retries: ${url}`);
+  const error = lastError || new Error(`Failed after ${maxRetries} retries: ${url}`);
+  recordOutcome(url, error);
+  throw error;
+}
+
+const INFLIGHT = new Map();
+
+// Poll the store until an entry newer than `since` appears (another instance's refresh)
+async function waitForEntry(key, since, keepMs) {
+  const deadline = Date.now() + LOCK_WAIT;
+  while (Date.now() < deadline) {
+    await sleep(LOCK_POLL);
+    const entry = await readEntry(key, keepMs);
+    if (entry && entry.ts >= since) return entry;
+  }
+  return null;
+}
+
+/** Single-flight refresh of one cache key; resolves with the fresh data. */
+function refresh(key, url, options, policy, priority) {
+  if (INFLIGHT.has(key)) return INFLIGHT.get(key);
+
+  const promise = (async () => {
+    const keepMs = policy.ttl + policy.staleTtl + LAST_GOOD_TTL;
+    const shared = getCacheStore();
+    const lockToken = randomUUID();
+    const since = Date.now();
+    const owner = await storeCall(() => shared.lock(key, lockToken, LOCK_TTL), true);
+    if (!owner) {
+      stats.lockWaits++;
+      const entry = await waitForEntry(key, since, keepMs);
+      if (entry) return entry.data;
+      // The lock holder is slow or gone — fetch ourselves rather than fail
+    }
+    try {
+      stats.refreshes++;
+      const data = await fetchWithRetry(url, options, 3, priority);
+      await writeEntry(key, { data, ts: Date.now() }, keepMs);
+      return data;
+    } finally {
+      if (owner) await storeCall(() => shared.unlock(key, lockToken));
+    }
+  })().finally(() => INFLIGHT.delete(key));
+
+  INFLIGHT.set(key, promise);
+  return promise;
 }
 
 /**
- * Cached server-side fetch. Checks in-memory cache first.
- * Falls back to fetchWithRetry on cache miss.
+ * Cached server-side fetch with freshness: fresh entries are served from cache,
+ * stale ones are served while a background refresh runs, and misses wait for a
+ * single-flight fetch — falling back to the last known good entry if that fails.
+ * `ttl` is the caller's default (number or { ttl, staleTtl }); a matching
+ * ROUTE_POLICIES entry takes precedence. `priority` places a blocking fetch in
+ * the provider's rate-limit queue; background refreshes always queue 'low'.
+ * @returns {Promise<{ data, stale: boolean, age: number, provider: string }>}
+ *   `stale` is true only for a last-known-good fallback; `age` in ms
  */
-export async function cachedFetch(url, options = {}, ttl = DEFAULT_TTL) {
-  const key = url + JSON.stringify(options.headers || '');
-  const entry = CACHE.get(key);
-  if (entry && Date.now() - entry.ts < ttl) {
-    return entry.data;
+export async function cachedFetchEntry(url, options = {}, ttl = DEFAULT_TTL, priority = 'normal') {
+  // Hashed: URLs and headers can carry API keys, and keys end up in a shared store
+  const key = createHash('sha1').update(url + JSON.stringify(options.headers || '')).digest('hex');
+  const policy = resolvePolicy(url, ttl);
+  const provider = providerOf(url);
+  const entry = await readEntry(key, policy.ttl + policy.staleTtl + LAST_GOOD_TTL);
+  const age = entry ? Date.now() - entry.ts : Infinity;
+
+  if (age < policy.ttl) {
+    stats.hits++;
+    return { data: entry.data, stale: false, age, provider };
+  }
+  if (age < policy.ttl + policy.staleTtl) {
+    // On Vercel the refresh may outlive the response; if the container is frozen
+    // first it resumes on the next invocation (or another instance takes the lock)
+    stats.stale++;
+    refresh(key, url, options, policy, 'low').catch(err => console.warn(`[cache] Background refresh failed: ${err.message}`));
+    return { data: entry.data, stale: false, age, provider };
   }
-  const data = await fetchWithRetry(url, options);
-  CACHE.set(key, { data, ts: Date.now() });
-  return data;
+  stats.misses++;
+  try {
+    return { data: await refresh(key, url, options, policy, priority), stale: false, age: 0, provider };
+  } catch (err) {
+    if (!entry) throw err;
+    stats.lastGood++;
+    console.warn(`[cache] ${provider} failed, serving ${Math.round(age / 60000)}m-old data: ${err.message}`);
+    return { data: entry.data, stale: true, age, provider };
+  }
+}
+
+/** cachedFetchEntry, data only — for callers that don't report freshness. */
+export async function cachedFetch(url, options = {}, ttl = DEFAULT_TTL, priority = 'normal') {
+  return (await cachedFetchEntry(url, options, ttl, priority)).data;
 }
 
 /**
- * Fetch multiple URLs sequentially with a delay between each.
- * Returns array of { status: 'fulfilled'|'rejected', value?, reason? }
- * Respects rate limits by spacing out requests.
+ * Flag a response built from last-known-good data: a short CDN cache so it is
+ * replaced soon, plus X-Data-Stale / X-Data-Age (seconds) / X-Data-Degraded
+ * (provider ids), which the client shows as a freshness badge. Accepts
+ * cachedFetchEntry results or cachedFetchAll results; call it after the
+ * handler's own Cache-Control.
  */
-export async function sequentialFetchAll(urls, options = {}, delayMs = 1000, ttl = DEFAULT_TTL) {
-  const results = [];
-  for (let i = 0; i < urls.length; i++) {
+export function setFreshnessHeaders(res, ...entries) {
+  const stale = entries.filter(e => e?.stale);
+  if (stale.length === 0) return;
+  res.setHeader('Cache-Control', 's-maxage=60');
+  res.setHeader('X-Data-Stale', '1');
+  res.setHeader('X-Data-Age', String(Math.round(Math.max(...stale.map(e => e.age)) / 1000)));
+  res.setHeader('X-Data-Degraded', [...new Set(stale.map(e => e.provider))].join(','));
+}
+
+/**
+ * cachedFetchEntry for several URLs at once — the rate limiter spaces out the
+ * upstream requests. Never rejects; returns, in order,
+ * { status: 'fulfilled'|'rejected', value?, reason?, stale?, age?, provider? }
+ */
+export async function cachedFetchAll(urls, options = {}, ttl = DEFAULT_TTL, priority = 'normal') {
+  return Promise.all(urls.map(async url => {
     try {
-      const data = await cachedFetch(urls[i], options, ttl);
-      results.push({ status: 'fulfilled', value: data });
+      const { data, ...freshness } = await cachedFetchEntry(url, options, ttl, priority);
+      return { status: 'fulfilled', value: data, ...freshness };
     } catch (err) {
-      results.push({ status: 'rejected', reason: err });
+      return { status: 'rejected', reason: err };
     }
-    // Delay between requests (but not after the last one)
-    if (i < urls.length - 1 && delayMs > 0) {
-      await sleep(delayMs);
-    }
-  }
-  return results;
+  }));
 }
 
 /**
- * Get cache stats (for debugging).
+ * Get cache stats (for debugging): this container's local entries, rate-limit
+ * queue depth and counters.
  */
 export function getCacheStats() {
   let valid = 0;
   let expired = 0;
   const now = Date.now();
-  for (const [, entry] of CACHE) {
+  for (const [, entry] of local.entries) {
     if (now - entry.ts < DEFAULT_TTL) valid++;
     else expired++;
   }
-  return { total: CACHE.size, valid, expired };
+  const queued = [...QUEUES.values()].reduce((n, q) => n + q.waiting.length, 0);
+  return { store: getCacheStore().name, total: local.entries.size, valid, expired, inflight: INFLIGHT.size, queued, ...stats };
 }
 
 /**
- * Clear the server-side cache.
+ * Clear this container's cache (the shared store expires on its own).
  */
 export function clearCache() {
-  CACHE.clear();
+  local.entries.clear();
 }
 
 function sleep(ms) {
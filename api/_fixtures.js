@@ -0,0 +1,127 @@
+/**
+ * Upstream fixtures — record/replay of third-party API responses.
+ *
+ *   MOCK_UPSTREAM=record   requests go to the network; every successful JSON
+ *                          response is also written to the fixture directory
+ *   MOCK_UPSTREAM=1        responses are served from the fixture directory and
+ *                          nothing touches the network (a miss is an HTTP 404)
+ *
+ * The directory is MOCK_FIXTURES_DIR (default <repo>/fixtures/upstream). One JSON file
+ * per request, named from method + URL + request body: { method, url, status,
+ * recordedAt, body }. API keys are redacted from the URL before it is hashed or
+ * stored, so fixtures are safe to commit, and in replay mode upstreamKey() hands
+ * the handlers that same placeholder — replay needs no keys at all.
+ *
+ * The same format is used by the dashboard dev server (web/vite.config.js) for
+ * the client's direct fetches and by the CLI's --record/--replay.
+ */
+
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const REDACTED = 'REDACTED';
+// Repo root, so the API and the Vite dev server (run from web/) share one directory
+const DEFAULT_DIR = fileURLToPath(new URL('../fixtures/upstream', import.meta.url));
+
+/** 'record' | 'replay' | null, from MOCK_UPSTREAM */
+export function getMockMode() {
+  const value = (process.env.MOCK_UPSTREAM || '').toLowerCase();
+  if (value === 'record') return 'record';
+  if (['1', 'true', 'replay'].includes(value)) return 'replay';
+  return null;
+}
+
+export function getFixtureDir() {
+  return process.env.MOCK_FIXTURES_DIR || DEFAULT_DIR;
+}
+
+/**
+ * Read an upstream API key from the environment. In replay mode a missing key
+ * becomes the redaction placeholder so handlers build the same URLs they recorded.
+ */
+export function upstreamKey(name) {
+  return process.env[name] || (getMockMode() === 'replay' ? REDACTED : undefined);
+}
+
+/** Replace every configured *_API_KEY value (and apiKey-style query params) with REDACTED. */
+export function redactUrl(url) {
+  const secrets = Object.entries(process.env)
+    .filter(([name, value]) => name.endsWith('_API_KEY') && value)
+    .map(([, value]) => value)
+    .sort((a, b) => b.length - a.length);
+  let out = url;
+  for (const secret of secrets) {
+    out = out.split(secret).join(REDACTED).split(encodeURIComponent(secret)).join(REDACTED);
+  }
+  return out.replace(/([?&](?:api_?key|x_cg_pro_api_key)=)[^&#]*/gi, `$1${REDACTED}`);
+}
+
+/** Stable fixture file name: readable URL prefix + hash of method, URL and body. */
+export function fixtureName(method, url, body) {
+  const hash = createHash('sha1').update(`${method} ${url}\n${body || ''}`).digest('hex').slice(0, 12);
+  const slug = url.replace(/^https?:\/\//, '').replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 60);
+  return `${slug}-${hash}.json`;
+}
+
+/**
+ * Load a fixture, or null when none was recorded.
+ * @returns {Promise<{ method, url, status, recordedAt, body } | null>}
+ */
+export async function readFixture(dir, method, url, body) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, fixtureName(method, url, body)), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/** Write a fixture; `url` must already be redacted. */
+export async function writeFixture(dir, { method, url, body, status, response }) {
+  await fs.mkdir(dir, { recursive: true });
+  const fixture = { method, url, status, recordedAt: new Date().toISOString(), body: response };
+  await fs.writeFile(path.join(dir, fixtureName(method, url, body)), JSON.stringify(fixture));
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+/**
+ * Drop-in for fetch() on upstream calls: a plain fetch unless MOCK_UPSTREAM is set.
+ * Only 2xx JSON responses are recorded, so a replay never re-enters a 429/5xx retry loop.
+ */
+export async function upstreamFetch(url, options = {}) {
+  const mode = getMockMode();
+  if (!mode) return fetch(url, options);
+
+  const method = (options.method || 'GET').toUpperCase();
+  const key = redactUrl(url);
+  const body = typeof options.body === 'string' ? options.body : undefined;
+
+  if (mode === 'replay') {
+    const fixture = await readFixture(getFixtureDir(), method, key, body);
+    if (!fixture) {
+      console.warn(`[mock] No fixture for ${method} ${key}`);
+      return jsonResponse({ error: `No fixture for ${method} ${key}` }, 404);
+    }
+    return jsonResponse(fixture.body, fixture.status);
+  }
+
+  const res = await fetch(url, options);
+  const text = await res.text();
+  if (res.ok) {
+    try {
+      await writeFixture(getFixtureDir(), { method, url: key, body, status: res.status, response: JSON.parse(text) });
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) console.warn(`[mock] Failed to record ${key}: ${err.message}`);
+    }
+  }
+  // The body is already decoded, so drop the headers that describe the wire encoding
+  const headers = new Headers(res.headers);
+  headers.delete('content-encoding');
+  headers.delete('content-length');
+  return new Response(text, { status: res.status, statusText: res.statusText, headers });
+}
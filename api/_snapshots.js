@@ -0,0 +1,252 @@
+/**
+ * Daily snapshot store for the /api/dashboard-data cron.
+ *
+ * Every cron run condenses the aggregated payload into one compact snapshot
+ * per UTC day (later runs on the same day overwrite earlier ones), so we can
+ * chart our own history instead of re-deriving it from upstream.
+ *
+ * Storage backends (selected by SNAPSHOT_STORE, or auto-detected):
+ * - file: one JSON file per day under SNAPSHOT_DIR (default .data/snapshots) — local development
+ * - kv:   Redis REST API (Vercel KV / Upstash) via KV_REST_API_URL + KV_REST_API_TOKEN — production
+ * - none: on Vercel without KV (read-only filesystem) — nothing is persisted and
+ *         /api/health and /api/history report why
+ *
+ * Every backend implements the same interface:
+ *   put(date, snapshot) → Promise<void>
+ *   list(from, to)      → Promise<snapshot[]>  (sorted by date, inclusive range)
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const DEFAULT_DIR = '.data/snapshots';
+const KV_PREFIX = 'snapshot:';
+const KV_INDEX = 'snapshots';
+
+// ── Snapshot construction ──
+
+/** YYYY-MM-DD for a Date (UTC) */
+export function toDateKey(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+function num(v) {
+  return typeof v === 'number' && isFinite(v) ? v : null;
+}
+
+/**
+ * Condense a dashboard-data payload into a compact daily snapshot:
+ * protocol fees / revenue / holders revenue / TVL / market cap, coin market caps
+ * and prices, market-cap dominance per asset, average funding rate per symbol,
+ * and the latest Fear & Greed value.
+ */
+export function buildSnapshot(data) {
+  const protocols = {};
+  const entry = (slug) => {
+    if (!protocols[slug]) protocols[slug] = {};
+    return protocols[slug];
+  };
+
+  (data.fees?.protocols || []).forEach(p => {
+    if (p.slug && p.total24h > 0) entry(p.slug).fees = num(p.total24h);
+  });
+  (data.feesRevenue?.protocols || []).forEach(p => {
+    if (p.slug && p.total24h > 0) entry(p.slug).revenue = num(p.total24h);
+  });
+  (data.feesHolders?.protocols || []).forEach(p => {
+    if (p.slug && p.total24h > 0) entry(p.slug).holdersRevenue = num(p.total24h);
+  });
+  (Array.isArray(data.protocols) ? data.protocols : []).forEach(p => {
+    if (!p.slug) return;
+    // Keep TVL-only protocols above $1M; everything with fees is already in the map
+    if (!protocols[p.slug] && !(p.tvl >= 1e6)) return;
+    const e = entry(p.slug);
+    e.tvl = num(p.tvl);
+    e.mcap = num(p.mcap);
+  });
+
+  const coins = {};
+  (data.coinMarkets || []).forEach(m => {
+    if (m.id && m.market_cap > 0) coins[m.id] = { mcap: num(m.market_cap), price: num(m.current_price) };
+  });
+
+  const funding = {};
+  (data.glassFunding?.data || []).forEach(d => {
+    const rates = (d.uMarginList || []).map(e => e.rate).filter(r => typeof r === 'number');
+    if (d.symbol && rates.length > 0) {
+      funding[d.symbol] = (rates.reduce((s, r) => s + r, 0) / rates.length) * 100;
+    }
+  });
+
+  // Share of total crypto market cap in % (CoinGecko keys: btc, eth, usdt, ...)
+  const dominance = {};
+  Object.entries(data.cgGlobal?.data?.market_cap_percentage || {}).forEach(([symbol, pct]) => {
+    if (typeof pct === 'number') dominance[symbol] = pct;
+  });
+
+  const fng = data.fearGreed?.data?.[0];
+
+  return {
+    date: toDateKey(new Date(data.timestamp || Date.now())),
+    timestamp: data.timestamp || new Date().toISOString(),
+    protocols,
+    coins,
+    dominance,
+    funding,
+    fearGreed: fng ? parseInt(fng.value, 10) : null,
+  };
+}
+
+// ── Metric extraction ──
+
+/**
+ * Queryable metrics → how to read them out of a snapshot.
+ * Entity namespaces: DeFiLlama slug (protocol metrics), CoinGecko id (coin metrics),
+ * ticker symbol (funding, dominance — lowercase for dominance). fearGreed has no entity.
+ */
+export const METRICS = {
+  fees: (s, entity) => s.protocols?.[entity]?.fees,
+  revenue: (s, entity) => s.protocols?.[entity]?.revenue,
+  holdersRevenue: (s, entity) => s.protocols?.[entity]?.holdersRevenue,
+  tvl: (s, entity) => s.protocols?.[entity]?.tvl,
+  mcap: (s, entity) => s.protocols?.[entity]?.mcap ?? s.coins?.[entity]?.mcap,
+  // Market cap / annualized 24h fees
+  ps: (s, entity) => {
+    const p = s.protocols?.[entity];
+    return p?.mcap > 0 && p?.fees > 0 ? p.mcap / (p.fees * 365) : undefined;
+  },
+  price: (s, entity) => s.coins?.[entity]?.price,
+  dominance: (s, entity) => s.dominance?.[entity],
+  funding: (s, entity) => s.funding?.[entity],
+  fearGreed: (s) => s.fearGreed,
+};
+
+/**
+ * Turn a list of snapshots into { [entity]: [[date, value], ...] } for one metric.
+ * Days where the entity is missing are skipped rather than zero-filled.
+ */
+export function extractSeries(snapshots, metric, entities) {
+  const read = Object.hasOwn(METRICS, metric) ? METRICS[metric] : null;
+  if (!read) throw new Error(`Unknown metric: ${metric}`);
+  const keys = entities.length > 0 ? entities : [metric];
+  const series = {};
+  keys.forEach(entity => {
+    series[entity] = snapshots
+      .map(s => [s.date, read(s, entity)])
+      .filter(([, v]) => typeof v === 'number');
+  });
+  return series;
+}
+
+// ── Storage backends ──
+
+/** Local JSON-file store: <dir>/<YYYY-MM-DD>.json */
+export function createFileStore(dir = DEFAULT_DIR) {
+  return {
+    name: 'file',
+    async put(date, snapshot) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${date}.json`), JSON.stringify(snapshot));
+    },
+    async list(from, to) {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const dates = files
+        .filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+        .map(f => f.slice(0, 10))
+        .filter(d => (!from || d >= from) && (!to || d <= to))
+        .sort();
+      const snapshots = await Promise.all(dates.map(async d =>
+        JSON.parse(await fs.readFile(path.join(dir, `${d}.json`), 'utf8'))
+      ));
+      return snapshots;
+    },
+  };
+}
+
+/** Minimal Redis REST client (Vercel KV / Upstash): command('SET', key, value) → result */
+export function createKvClient(url, token) {
+  return async function command(...args) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    if (!res.ok) throw new Error(`KV HTTP ${res.status}`);
+    const body = await res.json();
+    if (body.error) throw new Error(`KV error: ${body.error}`);
+    return body.result;
+  };
+}
+
+/** Redis REST store (Vercel KV / Upstash): one key per day + a sorted-set index by day number */
+export function createKvStore(url, token) {
+  const command = createKvClient(url, token);
+
+  const dayNumber = (date) => Math.floor(Date.parse(date) / 86400000);
+
+  return {
+    name: 'kv',
+    async put(date, snapshot) {
+      await command('SET', KV_PREFIX + date, JSON.stringify(snapshot));
+      await command('ZADD', KV_INDEX, dayNumber(date), date);
+    },
+    async list(from, to) {
+      const min = from ? dayNumber(from) : '-inf';
+      const max = to ? dayNumber(to) : '+inf';
+      const dates = await command('ZRANGEBYSCORE', KV_INDEX, min, max);
+      if (!dates?.length) return [];
+      const values = await command('MGET', ...dates.map(d => KV_PREFIX + d));
+      return values.filter(Boolean).map(v => JSON.parse(v));
+    },
+  };
+}
+
+/** Stand-in when no writable backend exists: persists nothing, carries the reason */
+export function createDisabledStore(warning) {
+  return {
+    name: 'none',
+    warning,
+    async put() {},
+    async list() { return []; },
+  };
+}
+
+let store = null;
+
+/**
+ * Resolve the configured store (memoised per container).
+ * SNAPSHOT_STORE=file|kv forces a backend; otherwise KV is used when its env vars exist,
+ * and the file store only off Vercel — its filesystem is read-only, so writes would fail every run.
+ */
+export function getSnapshotStore() {
+  if (store) return store;
+  const hasKv = Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+  const kind = process.env.SNAPSHOT_STORE || (hasKv ? 'kv' : process.env.VERCEL ? 'none' : 'file');
+  if (kind === 'kv') {
+    store = createKvStore(process.env.KV_REST_API_URL, process.env.KV_REST_API_TOKEN);
+  } else if (kind === 'file') {
+    store = createFileStore(process.env.SNAPSHOT_DIR || DEFAULT_DIR);
+  } else {
+    store = createDisabledStore('Snapshots are not persisted: set KV_REST_API_URL and KV_REST_API_TOKEN (the Vercel filesystem is read-only)');
+    console.warn(`[snapshots] ${store.warning}`);
+  }
+  return store;
+}
+
+/**
+ * Build and persist today's snapshot from a dashboard-data payload.
+ * @returns {Promise<Object|null>} the snapshot, or null when persistence is disabled
+ */
+export async function saveSnapshot(data) {
+  const target = getSnapshotStore();
+  if (target.warning) return null;
+  const snapshot = buildSnapshot(data);
+  await target.put(snapshot.date, snapshot);
+  return snapshot;
+}
@@ -0,0 +1,446 @@
+/**
+ * Upstream telemetry for /api/health.
+ *
+ * fetchWithRetry (_cache.js) records every upstream attempt it makes: latency,
+ * status code, 429 responses and the retry-after waits they impose. Handlers
+ * that call their upstream directly use trackedFetch for the same. Each call as
+ * a whole is also recorded as a success or failure — the last success / failure
+ * (and its error) per action, and hourly outcome counts per provider, from which
+ * /api/health derives uptime.
+ *
+ * Metrics are keyed by provider (from the upstream URL, see providerOf) and
+ * action: withTelemetry() attributes a handler's upstream calls to its
+ * ?action= (or ?endpoint=), and trackAction() narrows that for part of a
+ * handler (dashboard-data attributes each call to its dataset key).
+ *
+ * Metrics accumulate in memory and are flushed to the store when the wrapped
+ * handler finishes, so every instance adds to the same totals; a background
+ * cache refresh that completes later is flushed with the next invocation.
+ * Replayed fixtures (MOCK_UPSTREAM=1) are not recorded.
+ *
+ * Storage backends (selected by TELEMETRY_STORE, or auto-detected like SNAPSHOT_STORE):
+ * - file: one JSON document under TELEMETRY_DIR (default .data/telemetry) — local development
+ * - kv:   Redis REST API — one hash per (provider, action) and one per provider
+ *         for the hourly outcome counts, incremented in place by a script
+ * - none: on Vercel without KV (read-only filesystem) — records nothing and
+ *         carries a `warning` that /api/health reports instead of a green status
+ *
+ * Every backend implements the same interface:
+ *   add(delta) → Promise<void>   merge a flush into the totals
+ *   read()     → Promise<totals>
+ * where delta and totals share one shape:
+ *   { actions: { 'provider|action': counters }, hours: { provider: { '<hour>:ok'|'<hour>:failed': n } } }
+ * Counters are summed, except lastSuccess / lastFailure (ms) and lastError, which
+ * keep the latest value.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { getMockMode, redactUrl, upstreamFetch } from './_fixtures.js';
+import { createKvClient } from './_snapshots.js';
+
+const DEFAULT_DIR = '.data/telemetry';
+const KV_PREFIX = 'telemetry:';
+const KV_INDEX = 'telemetry:actions';
+const HOUR = 60 * 60 * 1000;
+const UPTIME_HOURS = 24;
+const KEEP_HOURS = 48;
+const ACTION_TTL = 30 * 24 * HOUR; // an action nobody calls for a month drops out
+const MAX_ERROR_LENGTH = 300;
+// Below this 24h uptime a provider is reported as degraded
+const DEGRADED_UPTIME = 0.95;
+/** Latency histogram bucket upper bounds (ms) — summable across instances, unlike a max */
+export const LATENCY_BUCKETS = [100, 300, 1000, 3000, 10000, 30000];
+const LAST_FIELDS = ['lastSuccess', 'lastFailure', 'lastError'];
+
+/** Upstream host → provider id (matches the client's freshness sources) */
+const PROVIDERS = [
+  [/llama\.fi\//, 'defillama'],
+  [/coingecko\.com\//, 'coingecko'],
+  [/coinglass\.com\//, 'coinglass'],
+  [/tokenterminal\.com\//, 'tokenterminal'],
+  [/massive\.com\//, 'massive'],
+  [/alternative\.me\//, 'alternative'],
+  [/santiment\.net\//, 'santiment'],
+  [/yahoo\.com\//, 'yahoo'],
+];
+
+export function providerOf(url) {
+  return PROVIDERS.find(([pattern]) => pattern.test(url))?.[1] || 'unknown';
+}
+
+// ── Totals ──
+
+function emptyTotals() {
+  return { actions: {}, hours: {} };
+}
+
+function bump(target, field, by = 1) {
+  target[field] = (target[field] || 0) + by;
+}
+
+function mergeCounters(target, source) {
+  Object.entries(source).forEach(([field, value]) => {
+    if (!LAST_FIELDS.includes(field)) bump(target, field, value);
+  });
+  if ((source.lastSuccess || 0) > (target.lastSuccess || 0)) target.lastSuccess = source.lastSuccess;
+  if ((source.lastFailure || 0) > (target.lastFailure || 0)) {
+    target.lastFailure = source.lastFailure;
+    target.lastError = source.lastError;
+  }
+  return target;
+}
+
+function mergeTotals(target, delta) {
+  Object.entries(delta.actions).forEach(([key, counters]) => {
+    target.actions[key] = mergeCounters(target.actions[key] || {}, counters);
+  });
+  Object.entries(delta.hours).forEach(([provider, counts]) => {
+    target.hours[provider] = mergeCounters(target.hours[provider] || {}, counts);
+  });
+  return target;
+}
+
+const currentHour = (now = Date.now()) => Math.floor(now / HOUR);
+
+function pruneHours(hours, now = Date.now()) {
+  const oldest = currentHour(now) - KEEP_HOURS;
+  Object.values(hours).forEach(counts => {
+    Object.keys(counts).forEach(field => {
+      if (parseInt(field, 10) < oldest) delete counts[field];
+    });
+  });
+  return hours;
+}
+
+// ── Recording ──
+
+const scope = new AsyncLocalStorage();
+let pending = emptyTotals();
+
+function countersFor(url) {
+  const key = `${providerOf(url)}|${scope.getStore()?.action || 'default'}`;
+  if (!pending.actions[key]) pending.actions[key] = {};
+  return pending.actions[key];
+}
+
+function latencyField(ms) {
+  const bound = LATENCY_BUCKETS.find(b => ms <= b);
+  return bound ? `latency_le_${bound}` : `latency_gt_${LATENCY_BUCKETS[LATENCY_BUCKETS.length - 1]}`;
+}
+
+/**
+ * Record one upstream HTTP attempt.
+ * @param {string} url
+ * @param {Object} attempt
+ * @param {number|null} attempt.status   null when no response arrived (network error, timeout)
+ * @param {number} attempt.latencyMs
+ * @param {number} [attempt.attempt]     0 for the first try; later ones count as retries
+ * @param {number} [attempt.retryAfterMs] wait imposed by the response's retry-after header
+ */
+export function recordAttempt(url, { status, latencyMs, attempt = 0, retryAfterMs = 0 }) {
+  if (getMockMode() === 'replay') return;
+  const counters = countersFor(url);
+  bump(counters, 'requests');
+  bump(counters, `status_${status ?? 'error'}`);
+  bump(counters, 'latencyMs', Math.round(latencyMs));
+  bump(counters, latencyField(latencyMs));
+  if (status === 429) bump(counters, 'rateLimited');
+  if (attempt > 0) bump(counters, 'retries');
+  if (retryAfterMs > 0) bump(counters, 'retryAfterMs', retryAfterMs);
+}
+
+/** Record the outcome of a whole upstream call, after any retries (`error` null on success). */
+export function recordOutcome(url, error = null) {
+  if (getMockMode() === 'replay') return;
+  const provider = providerOf(url);
+  const counters = countersFor(url);
+  const now = Date.now();
+  if (!pending.hours[provider]) pending.hours[provider] = {};
+  const outcome = error ? 'failed' : 'ok';
+  bump(counters, outcome);
+  bump(pending.hours[provider], `${currentHour(now)}:${outcome}`);
+  if (error) {
+    counters.lastFailure = now;
+    // Error messages carry the request URL, and some URLs carry API keys
+    counters.lastError = redactUrl(error.message || String(error)).slice(0, MAX_ERROR_LENGTH);
+  } else {
+    counters.lastSuccess = now;
+  }
+}
+
+/** upstreamFetch with telemetry — for handlers that call their upstream without fetchWithRetry. */
+export async function trackedFetch(url, options) {
+  const started = Date.now();
+  try {
+    const res = await upstreamFetch(url, options);
+    recordAttempt(url, { status: res.status, latencyMs: Date.now() - started });
+    recordOutcome(url, res.ok ? null : new Error(`HTTP ${res.status}: ${url}`));
+    return res;
+  } catch (err) {
+    recordAttempt(url, { status: null, latencyMs: Date.now() - started });
+    recordOutcome(url, err);
+    throw err;
+  }
+}
+
+/** Attribute the upstream calls made while `fn` runs to `action` (e.g. a dataset key). */
+export function trackAction(action, fn) {
+  return scope.run({ action }, fn);
+}
+
+/**
+ * Wrap an API handler: its upstream calls are attributed to req.query.action
+ * (?endpoint= for Token Terminal), and the recorded metrics are flushed to the
+ * store once it has responded.
+ */
+export function withTelemetry(handler) {
+  return async function telemetryHandler(req, res) {
+    try {
+      return await trackAction(req.query?.action || req.query?.endpoint || 'default', () => handler(req, res));
+    } finally {
+      await flushTelemetry();
+    }
+  };
+}
+
+let flushing = Promise.resolve();
+
+/** Merge this instance's pending metrics into the store. Never throws; failed flushes are retried next time. */
+export function flushTelemetry() {
+  flushing = flushing.then(async () => {
+    const delta = pending;
+    if (Object.keys(delta.actions).length === 0) return;
+    pending = emptyTotals();
+    // Nowhere to flush to: drop the metrics rather than re-merging them forever
+    if (getTelemetryStore().warning) return;
+    try {
+      await getTelemetryStore().add(delta);
+    } catch (err) {
+      mergeTotals(pending, delta);
+      console.warn(`[telemetry] ${getTelemetryStore().name} store error: ${err.message}`);
+    }
+  });
+  return flushing;
+}
+
+// ── Storage backends ──
+
+/** Local JSON-file store: <dir>/totals.json, rewritten on every flush */
+export function createFileTelemetryStore(dir = DEFAULT_DIR) {
+  const file = path.join(dir, 'totals.json');
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return emptyTotals();
+      throw err;
+    }
+  }
+  return {
+    name: 'file',
+    read,
+    async add(delta) {
+      const totals = mergeTotals(await read(), delta);
+      pruneHours(totals.hours);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file, JSON.stringify(totals));
+    },
+  };
+}
+
+// KEYS: hashes to update; ARGV[1]: JSON array aligned with KEYS of
+// { incr: {field: n}, set: {field: value}, ttl: ms, index?: member, minHour?: n }
+const ADD_SCRIPT = `
+local updates = cjson.decode(ARGV[1])
+for i, key in ipairs(KEYS) do
+  local u = updates[i]
+  for field, n in pairs(u.incr) do redis.call('HINCRBY', key, field, n) end
+  for field, value in pairs(u.set) do redis.call('HSET', key, field, value) end
+  if u.minHour then
+    for _, field in ipairs(redis.call('HKEYS', key)) do
+      local hour = tonumber(string.match(field, '^(%d+):'))
+      if hour and hour < u.minHour then redis.call('HDEL', key, field) end
+    end
+  end
+  redis.call('PEXPIRE', key, u.ttl)
+  if u.index then redis.call('SADD', '${KV_INDEX}', u.index) end
+end
+return #KEYS`;
+
+const READ_SCRIPT = `
+local out = {}
+for i, key in ipairs(KEYS) do out[i] = redis.call('HGETALL', key) end
+return out`;
+
+/** Redis REST store: a hash per (provider, action) plus an hourly-outcome hash per provider */
+export function createKvTelemetryStore(url, token) {
+  const command = createKvClient(url, token);
+  const actionKey = (key) => `${KV_PREFIX}action:${key}`;
+  const hoursKey = (provider) => `${KV_PREFIX}hours:${provider}`;
+
+  const split = (counters) => {
+    const incr = {};
+    const set = {};
+    Object.entries(counters).forEach(([field, value]) => {
+      if (LAST_FIELDS.includes(field)) set[field] = value;
+      else incr[field] = value;
+    });
+    return { incr, set };
+  };
+  // HGETALL → flat [field, value, ...]; every field is a number except lastError
+  const parse = (flat) => {
+    const counters = {};
+    for (let i = 0; i < flat.length; i += 2) {
+      counters[flat[i]] = flat[i] === 'lastError' ? flat[i + 1] : Number(flat[i + 1]);
+    }
+    return counters;
+  };
+
+  return {
+    name: 'kv',
+    async add(delta) {
+      const keys = [];
+      const updates = [];
+      Object.entries(delta.actions).forEach(([key, counters]) => {
+        keys.push(actionKey(key));
+        updates.push({ ...split(counters), ttl: ACTION_TTL, index: key });
+      });
+      Object.entries(delta.hours).forEach(([provider, counts]) => {
+        keys.push(hoursKey(provider));
+        updates.push({ incr: counts, set: {}, ttl: KEEP_HOURS * HOUR, minHour: currentHour() - KEEP_HOURS });
+      });
+      if (keys.length === 0) return;
+      await command('EVAL', ADD_SCRIPT, keys.length, ...keys, JSON.stringify(updates));
+    },
+    async read() {
+      const members = (await command('SMEMBERS', KV_INDEX)) || [];
+      const providers = [...new Set(members.map(m => m.split('|')[0]))];
+      const keys = [...members.map(actionKey), ...providers.map(hoursKey)];
+      if (keys.length === 0) return emptyTotals();
+      const hashes = await command('EVAL', READ_SCRIPT, keys.length, ...keys);
+      const totals = emptyTotals();
+      members.forEach((member, i) => {
+        // Expired actions stay in the index but come back empty
+        if (hashes[i]?.length) totals.actions[member] = parse(hashes[i]);
+      });
+      providers.forEach((provider, i) => {
+        totals.hours[provider] = parse(hashes[members.length + i] || []);
+      });
+      return totals;
+    },
+  };
+}
+
+/** Stand-in when no writable backend exists: stores nothing, carries the reason */
+export function createDisabledTelemetryStore(warning) {
+  return {
+    name: 'none',
+    warning,
+    async add() {},
+    async read() { return emptyTotals(); },
+  };
+}
+
+let store = null;
+
+/**
+ * Resolve the configured store (memoised per container).
+ * TELEMETRY_STORE=file|kv forces a backend; otherwise KV is used when its env vars exist,
+ * and the file store only off Vercel (see getSnapshotStore).
+ */
+export function getTelemetryStore() {
+  if (store) return store;
+  const hasKv = Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+  const kind = process.env.TELEMETRY_STORE || (hasKv ? 'kv' : process.env.VERCEL ? 'none' : 'file');
+  if (kind === 'kv') {
+    store = createKvTelemetryStore(process.env.KV_REST_API_URL, process.env.KV_REST_API_TOKEN);
+  } else if (kind === 'file') {
+    store = createFileTelemetryStore(process.env.TELEMETRY_DIR || DEFAULT_DIR);
+  } else {
+    store = createDisabledTelemetryStore('Upstream telemetry is not recorded: set KV_REST_API_URL and KV_REST_API_TOKEN (the Vercel filesystem is read-only)');
+    console.warn(`[telemetry] ${store.warning}`);
+  }
+  return store;
+}
+
+// ── Reporting ──
+
+const isoOrNull = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+// Upper bound (ms) of the histogram bucket holding the given percentile; null beyond the last bucket
+function percentile(counters, p) {
+  const total = LATENCY_BUCKETS.reduce((sum, b) => sum + (counters[`latency_le_${b}`] || 0), 0)
+    + (counters[`latency_gt_${LATENCY_BUCKETS[LATENCY_BUCKETS.length - 1]}`] || 0);
+  if (total === 0) return null;
+  let seen = 0;
+  for (const bound of LATENCY_BUCKETS) {
+    seen += counters[`latency_le_${bound}`] || 0;
+    if (seen >= p * total) return bound;
+  }
+  return null;
+}
+
+function describe(counters) {
+  const status = {};
+  Object.entries(counters).forEach(([field, n]) => {
+    if (field.startsWith('status_')) status[field.slice('status_'.length)] = n;
+  });
+  const requests = counters.requests || 0;
+  const failing = (counters.lastFailure || 0) > (counters.lastSuccess || 0);
+  return {
+    requests,
+    ok: counters.ok || 0,
+    failed: counters.failed || 0,
+    rateLimited: counters.rateLimited || 0,
+    retries: counters.retries || 0,
+    retryAfterMs: counters.retryAfterMs || 0,
+    status,
+    latency: {
+      avgMs: requests > 0 ? Math.round((counters.latencyMs || 0) / requests) : null,
+      p95Ms: percentile(counters, 0.95),
+    },
+    failing,
+    lastSuccess: isoOrNull(counters.lastSuccess),
+    lastFailure: isoOrNull(counters.lastFailure),
+    lastError: failing ? counters.lastError || null : null,
+  };
+}
+
+/**
+ * Turn stored totals into the /api/health report.
+ * Providers: uptime = share of successful calls over the last UPTIME_HOURS, and a
+ * state — 'down' while the latest call failed, 'degraded' below DEGRADED_UPTIME,
+ * else 'ok'. Actions: the same counters per (provider, action), failing ones first.
+ * Counters other than uptime are totals since the store was created.
+ */
+export function summarizeTelemetry(totals, now = Date.now()) {
+  const since = currentHour(now) - UPTIME_HOURS + 1;
+  const byProvider = {};
+
+  const actions = Object.entries(totals.actions).map(([key, counters]) => {
+    const [provider, action] = key.split('|');
+    byProvider[provider] = mergeCounters(byProvider[provider] || {}, counters);
+    return { provider, action, ...describe(counters) };
+  }).sort((a, b) => (b.failing - a.failing) || a.provider.localeCompare(b.provider) || a.action.localeCompare(b.action));
+
+  const providers = Object.entries(byProvider).map(([provider, counters]) => {
+    let ok = 0;
+    let failed = 0;
+    Object.entries(totals.hours[provider] || {}).forEach(([field, n]) => {
+      const [hour, outcome] = field.split(':');
+      if (Number(hour) < since) return;
+      if (outcome === 'ok') ok += n;
+      else failed += n;
+    });
+    const uptime = ok + failed > 0 ? ok / (ok + failed) : null;
+    const summary = describe(counters);
+    const state = summary.failing ? 'down' : uptime !== null && uptime < DEGRADED_UPTIME ? 'degraded' : 'ok';
+    return { provider, state, uptime, calls24h: ok + failed, failed24h: failed, ...summary };
+  }).sort((a, b) => a.provider.localeCompare(b.provider));
+
+  const states = providers.map(p => p.state);
+  const status = states.includes('down') ? 'down' : states.includes('degraded') ? 'degraded' : 'ok';
+  return { status, windowHours: UPTIME_HOURS, providers, actions };
+}
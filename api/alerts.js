@@ -0,0 +1,113 @@
+/**
+ * Alert Rules & Notifications Endpoint
+ *
+ * Rules are evaluated by the /api/dashboard-data cron (see _alerts.js).
+ *   GET    /api/alerts?action=rules
+ *   GET    /api/alerts?action=notifications&limit=50
+ *   POST   /api/alerts?action=create            body: rule
+ *   POST   /api/alerts?action=update&id=<id>    body: partial rule
+ *   POST   /api/alerts?action=delete&id=<id>
+ *   POST   /api/alerts?action=test              body: rule, or { id } of a saved rule
+ *
+ * test evaluates against the latest snapshot without firing or touching cooldowns.
+ * create/update/delete require `Authorization: Bearer <ALERTS_ADMIN_TOKEN>`,
+ * and are disabled while ALERTS_ADMIN_TOKEN is unset, or with 503 while there is
+ * no alert store (Vercel without KV — rules then reports the reason as `warning`). Responses to rules and
+ * test mask webhook URLs (their path is the secret).
+ */
+
+import { listRules, saveRules, listNotifications, validateRule, redactRule, testRule, getAlertStore, OPERATORS, CHANGE_MODES } from './_alerts.js';
+import { METRICS } from './_snapshots.js';
+
+const MUTATIONS = new Set(['create', 'update', 'delete']);
+
+function authorized(req) {
+  const token = process.env.ALERTS_ADMIN_TOKEN;
+  return Boolean(token) && req.headers.authorization === `Bearer ${token}`;
+}
+
+export default async function handler(req, res) {
+  const { action, id, limit } = req.query;
+
+  if (MUTATIONS.has(action) || action === 'test') {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+  }
+  if (MUTATIONS.has(action)) {
+    if (!process.env.ALERTS_ADMIN_TOKEN) {
+      return res.status(403).json({ error: 'Rule changes are disabled: set ALERTS_ADMIN_TOKEN on the server' });
+    }
+    if (!authorized(req)) return res.status(401).json({ error: 'Invalid or missing admin token' });
+    const { warning } = getAlertStore();
+    if (warning) return res.status(503).json({ error: warning });
+  }
+
+  // Vercel's req.body getter throws on malformed JSON, as does JSON.parse
+  let body;
+  try {
+    body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+  } catch {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+
+  try {
+    switch (action) {
+      case 'rules': {
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json({
+          rules: (await listRules()).map(redactRule),
+          metrics: Object.keys(METRICS),
+          operators: OPERATORS,
+          changeModes: CHANGE_MODES,
+          warning: getAlertStore().warning || null,
+        });
+      }
+      case 'notifications': {
+        const n = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json({ notifications: await listNotifications(n) });
+      }
+      case 'create': {
+        const { rule, error } = validateRule(body);
+        if (error) return res.status(400).json({ error });
+        const rules = await listRules();
+        await saveRules([...rules, rule]);
+        return res.status(201).json({ rule });
+      }
+      case 'update': {
+        const rules = await listRules();
+        const existing = rules.find(r => r.id === id);
+        if (!existing) return res.status(404).json({ error: `Rule not found: ${id}` });
+        const { rule, error } = validateRule(body, existing);
+        if (error) return res.status(400).json({ error });
+        await saveRules(rules.map(r => r.id === id ? rule : r));
+        return res.status(200).json({ rule });
+      }
+      case 'delete': {
+        const rules = await listRules();
+        if (!rules.some(r => r.id === id)) return res.status(404).json({ error: `Rule not found: ${id}` });
+        await saveRules(rules.filter(r => r.id !== id));
+        return res.status(200).json({ deleted: id });
+      }
+      case 'test': {
+        let existing = null;
+        if (body.id) {
+          existing = (await listRules()).find(r => r.id === body.id);
+          if (!existing) return res.status(404).json({ error: `Rule not found: ${body.id}` });
+        }
+        const { rule, error } = validateRule(existing ? {} : body, existing);
+        if (error) return res.status(400).json({ error });
+        return res.status(200).json({ rule: redactRule(rule), ...(await testRule(rule)) });
+      }
+      default:
+        return res.status(400).json({
+          error: `Invalid action: ${action}`,
+          supported: 'rules, notifications, create, update, delete, test',
+        });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: `Alert store error: ${error.message}` });
+  }
+}
@@ -1,15 +1,24 @@
-import { cachedFetch, sequentialFetchAll } from './_cache.js';
+import { cachedFetchEntry, cachedFetchAll, setFreshnessHeaders } from './_cache.js';
+import { upstreamKey } from './_fixtures.js';
+import { withTelemetry } from './_telemetry.js';
 
 const BASE_URL = 'https://pro-api.coingecko.com/api/v3';
 const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
 
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+// Historical market caps cost one request per coin
+const AS_OF_COINS = 100;
+
+const MARKETS_URL = (page) =>
+  `${BASE_URL}/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=250&page=${page}&sparkline=false&price_change_percentage=1h,24h,7d,30d`;
+
 const HEADERS = (apiKey) => ({
   'x-cg-pro-api-key': apiKey,
   'Accept': 'application/json',
 });
 
-export default async function handler(req, res) {
-  const apiKey = process.env.COINGECKO_API_KEY;
+async function handler(req, res) {
+  const apiKey = upstreamKey('COINGECKO_API_KEY');
   
   if (!apiKey) {
     return res.status(500).json({ error: 'COINGECKO_API_KEY not configured' });
@@ -18,13 +27,11 @@ export default async function handler(req, res) {
   const opts = { headers: HEADERS(apiKey) };
   const { action, coin_id, days, exchange_id, page, per_page } = req.query;
 
-  // Special action: fetch 1000 coins (4 pages × 250) SEQUENTIALLY with 300ms delay
+  // Special action: fetch 1000 coins (4 pages × 250)
   if (action === 'markets_all') {
     try {
-      const urls = [1, 2, 3, 4].map(p =>
-        `${BASE_URL}/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=250&page=${p}&sparkline=false&price_change_percentage=1h,24h,7d,30d`
-      );
-      const results = await sequentialFetchAll(urls, opts, 300, CACHE_TTL);
+      const urls = [1, 2, 3, 4].map(MARKETS_URL);
+      const results = await cachedFetchAll(urls, opts, CACHE_TTL);
       const allCoins = [];
       for (const result of results) {
         if (result.status === 'fulfilled' && Array.isArray(result.value)) {
@@ -32,12 +39,54 @@ export default async function handler(req, res) {
         }
       }
       res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=3600');
+      setFreshnessHeaders(res, ...results);
       return res.status(200).json(allCoins);
     } catch (error) {
       return res.status(500).json({ error: 'Failed to fetch all markets', details: error.message });
     }
   }
 
+  // Special action: today's top coins as they were on `date` (YYYY-MM-DD) —
+  // coins/markets shape, one /coins/{id}/history call per coin. Coins that have
+  // since dropped out of the top are missing (survivorship).
+  if (action === 'markets_as_of') {
+    const { date } = req.query;
+    if (!DATE_RE.test(date || '')) {
+      return res.status(400).json({ error: 'date (YYYY-MM-DD) is required for markets_as_of action' });
+    }
+    try {
+      const top = await cachedFetchEntry(MARKETS_URL(1), opts, CACHE_TTL);
+      const coins = (Array.isArray(top.data) ? top.data : []).slice(0, AS_OF_COINS);
+      const [y, m, d] = date.split('-');
+      const results = await cachedFetchAll(
+        coins.map(c => `${BASE_URL}/coins/${encodeURIComponent(c.id)}/history?date=${d}-${m}-${y}&localization=false`),
+        opts, CACHE_TTL
+      );
+      const markets = coins
+        .map((c, i) => {
+          const md = results[i].status === 'fulfilled' ? results[i].value?.market_data : null;
+          const price = md?.current_price?.usd || 0;
+          const mcap = md?.market_cap?.usd || 0;
+          if (!(mcap > 0)) return null;
+          return {
+            id: c.id, symbol: c.symbol, name: c.name, image: c.image,
+            current_price: price,
+            market_cap: mcap,
+            total_volume: md.total_volume?.usd || 0,
+            circulating_supply: price > 0 ? mcap / price : null,
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.market_cap - a.market_cap)
+        .map((c, i) => ({ ...c, market_cap_rank: i + 1 }));
+      res.setHeader('Cache-Control', 's-maxage=86400, stale-while-revalidate=604800');
+      setFreshnessHeaders(res, top, ...results);
+      return res.status(200).json(markets);
+    } catch (error) {
+      return res.status(500).json({ error: 'Failed to fetch historical markets', details: error.message });
+    }
+  }
+
   let endpoint;
   switch (action) {
     case 'markets': {
@@ -105,15 +154,18 @@ export default async function handler(req, res) {
       break;
     default:
       return res.status(400).json({ 
-        error: 'Invalid action. Supported: markets, global, defi, exchanges, coin_chart, coin_detail, categories, trending, coin_tickers, derivatives_exchanges, public_treasury_btc, public_treasury_eth, coin_ohlc, nfts, exchange_volume' 
+        error: 'Invalid action. Supported: markets, markets_all, markets_as_of, global, defi, exchanges, coin_chart, coin_detail, categories, trending, coin_tickers, derivatives_exchanges, public_treasury_btc, public_treasury_eth, coin_ohlc, nfts, exchange_volume' 
       });
   }
 
   try {
-    const data = await cachedFetch(`${BASE_URL}${endpoint}`, opts, CACHE_TTL);
+    const entry = await cachedFetchEntry(`${BASE_URL}${endpoint}`, opts, CACHE_TTL);
     res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=3600');
-    return res.status(200).json(data);
+    setFreshnessHeaders(res, entry);
+    return res.status(200).json(entry.data);
   } catch (error) {
     return res.status(500).json({ error: 'Failed to fetch from CoinGecko API', details: error.message });
   }
 }
+
+export default withTelemetry(handler);
@@ -1,10 +1,12 @@
-import { cachedFetch } from './_cache.js';
+import { cachedFetchEntry, setFreshnessHeaders } from './_cache.js';
+import { upstreamKey } from './_fixtures.js';
+import { withTelemetry } from './_telemetry.js';
 
 const BASE_URL = 'https://open-api-v3.coinglass.com';
 const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
 
-export default async function handler(req, res) {
-  const apiKey = process.env.COINGLASS_API_KEY;
+async function handler(req, res) {
+  const apiKey = upstreamKey('COINGLASS_API_KEY');
   
   if (!apiKey) {
     return res.status(500).json({ error: 'COINGLASS_API_KEY not configured' });
@@ -91,10 +93,13 @@ export default async function handler(req, res) {
 
   try {
     const opts = { headers: { 'CG-API-KEY': apiKey, 'Accept': 'application/json' } };
-    const data = await cachedFetch(`${BASE_URL}${endpoint}`, opts, CACHE_TTL);
+    const entry = await cachedFetchEntry(`${BASE_URL}${endpoint}`, opts, CACHE_TTL);
     res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=1800');
-    return res.status(200).json(data);
+    setFreshnessHeaders(res, entry);
+    return res.status(200).json(entry.data);
   } catch (error) {
     return res.status(500).json({ error: 'Failed to fetch from Coinglass API', details: error.message });
   }
 }
+
+export default withTelemetry(handler);
@@ -14,9 +14,21 @@
  * - CoinGecko Pro: 1000 coins market data, global stats, categories
  * - Coinglass: funding rates, liquidations, ETF flows, coins markets
  * - Alternative.me: Fear & Greed Index (365 days)
+ *
+ * Each run also persists a compact daily snapshot (see _snapshots.js) that
+ * /api/history serves back as time series, and evaluates the alert rules
+ * managed through /api/alerts (see _alerts.js). Upstream calls are recorded per
+ * dataset for /api/health (see _telemetry.js).
+ *
+ * Nobody waits on the cron interactively, so its upstream requests queue at low
+ * priority behind the proxies' in each provider's rate limiter (see _cache.js).
  */
 
-import { cachedFetch, sequentialFetchAll, getCacheStats } from './_cache.js';
+import { cachedFetchEntry, cachedFetchAll, getCacheStats } from './_cache.js';
+import { saveSnapshot, getSnapshotStore } from './_snapshots.js';
+import { runAlerts } from './_alerts.js';
+import { redactUrl, upstreamKey } from './_fixtures.js';
+import { trackAction, withTelemetry } from './_telemetry.js';
 
 const PRO_LLAMA = 'https://pro-api.llama.fi';
 const COINGECKO_BASE = 'https://pro-api.coingecko.com/api/v3';
@@ -24,6 +36,7 @@ const COINGLASS_BASE = 'https://open-api-v3.coinglass.com';
 const ALTERNATIVE_BASE = 'https://api.alternative.me';
 
 const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
+const PRIORITY = 'low';
 
 function llamaUrl(apiKey, path) {
   return apiKey ? `${PRO_LLAMA}/${apiKey}${path}` : `${PRO_LLAMA}${path}`;
@@ -37,18 +50,29 @@ function glassHeaders(apiKey) {
   return { 'CG-API-KEY': apiKey, 'Accept': 'application/json' };
 }
 
-/** Fetch DeFiLlama endpoint, collect errors */
+/** Fetch DeFiLlama endpoint (cachedFetchEntry result), collect errors */
 function llamaFetch(apiKey, path) {
-  return cachedFetch(llamaUrl(apiKey, path), {}, CACHE_TTL);
+  return cachedFetchEntry(llamaUrl(apiKey, path), {}, CACHE_TTL, PRIORITY);
+}
+
+/** cachedFetchEntry attributed to a dataset key in /api/health */
+function datasetFetch(key, url, options) {
+  return trackAction(key, () => cachedFetchEntry(url, options, CACHE_TTL, PRIORITY));
 }
 
-export default async function handler(req, res) {
-  const llamaKey = process.env.DEFILLAMA_API_KEY;
-  const cgApiKey = process.env.COINGECKO_API_KEY;
-  const glassApiKey = process.env.COINGLASS_API_KEY;
+async function handler(req, res) {
+  const llamaKey = upstreamKey('DEFILLAMA_API_KEY');
+  const cgApiKey = upstreamKey('COINGECKO_API_KEY');
+  const glassApiKey = upstreamKey('COINGLASS_API_KEY');
 
   const timestamp = new Date().toISOString();
   const errors = [];
+  // Datasets served from last-known-good data after an upstream failure → { age (s), provider }
+  const stale = {};
+  const unwrap = (key, entry) => {
+    if (entry.stale) stale[key] = { age: Math.round(entry.age / 1000), provider: entry.provider };
+    return entry.data;
+  };
 
   // ── DeFiLlama Pro (1000 req/min) — ALL parallel ──
   const llamaEndpoints = {
@@ -88,13 +112,13 @@ export default async function handler(req, res) {
 
   const llamaKeys = Object.keys(llamaEndpoints);
   const llamaResults = await Promise.allSettled(
-    llamaKeys.map(k => llamaFetch(llamaKey, llamaEndpoints[k]))
+    llamaKeys.map(k => trackAction(k, () => llamaFetch(llamaKey, llamaEndpoints[k])))
   );
 
   const data = { timestamp };
   llamaKeys.forEach((key, i) => {
     if (llamaResults[i].status === 'fulfilled') {
-      data[key] = llamaResults[i].value;
+      data[key] = unwrap(key, llamaResults[i].value);
     } else {
       data[key] = null;
       errors.push({ source: key, error: llamaResults[i].reason?.message || 'Unknown' });
@@ -103,19 +127,19 @@ export default async function handler(req, res) {
 
   // ── Alternative.me (free) ──
   try {
-    data.fearGreed = await cachedFetch(`${ALTERNATIVE_BASE}/fng/?limit=365&format=json`, {}, CACHE_TTL);
+    data.fearGreed = unwrap('fearGreed', await datasetFetch('fearGreed', `${ALTERNATIVE_BASE}/fng/?limit=365&format=json`, {}));
   } catch (e) {
     data.fearGreed = null;
     errors.push({ source: 'fearGreed', error: e.message });
   }
 
-  // ── CoinGecko Pro (500 req/min) — SEQUENTIAL pages with 300ms delay ──
+  // ── CoinGecko Pro (500 req/min) — 4 pages of 250 ──
   if (cgApiKey) {
     const cgOpts = { headers: cgHeaders(cgApiKey) };
     const cgPageUrls = [1, 2, 3, 4].map(p =>
       `${COINGECKO_BASE}/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=250&page=${p}&sparkline=false&price_change_percentage=1h,24h,7d,30d`
     );
-    const cgPageResults = await sequentialFetchAll(cgPageUrls, cgOpts, 300, CACHE_TTL);
+    const cgPageResults = await trackAction('coinMarkets', () => cachedFetchAll(cgPageUrls, cgOpts, CACHE_TTL, PRIORITY));
 
     const allMarkets = [];
     cgPageResults.forEach((r, i) => {
@@ -123,18 +147,22 @@ export default async function handler(req, res) {
       else errors.push({ source: `cgMarkets_p${i + 1}`, error: r.reason?.message || 'empty' });
     });
     data.coinMarkets = allMarkets;
+    const stalePages = cgPageResults.filter(r => r.stale);
+    if (stalePages.length > 0) {
+      stale.coinMarkets = { age: Math.round(Math.max(...stalePages.map(r => r.age)) / 1000), provider: 'coingecko' };
+    }
 
     const [cgGlobal, cgCategories] = await Promise.allSettled([
-      cachedFetch(`${COINGECKO_BASE}/global`, cgOpts, CACHE_TTL),
-      cachedFetch(`${COINGECKO_BASE}/coins/categories?order=market_cap_desc`, cgOpts, CACHE_TTL),
+      datasetFetch('cgGlobal', `${COINGECKO_BASE}/global`, cgOpts),
+      datasetFetch('cgCategories', `${COINGECKO_BASE}/coins/categories?order=market_cap_desc`, cgOpts),
     ]);
-    data.cgGlobal = cgGlobal.status === 'fulfilled' ? cgGlobal.value : null;
-    data.cgCategories = cgCategories.status === 'fulfilled' ? cgCategories.value : null;
+    data.cgGlobal = cgGlobal.status === 'fulfilled' ? unwrap('cgGlobal', cgGlobal.value) : null;
+    data.cgCategories = cgCategories.status === 'fulfilled' ? unwrap('cgCategories', cgCategories.value) : null;
     if (cgGlobal.status === 'rejected') errors.push({ source: 'cgGlobal', error: cgGlobal.reason?.message });
     if (cgCategories.status === 'rejected') errors.push({ source: 'cgCategories', error: cgCategories.reason?.message });
   }
 
-  // ── Coinglass (plan-dependent limit) — parallel (only 4 calls) ──
+  // ── Coinglass (plan-dependent limit, see RATE_LIMIT_COINGLASS) — parallel ──
   if (glassApiKey) {
     const glOpts = { headers: glassHeaders(glassApiKey) };
     const glKeys = ['glassFunding', 'glassLiquidation', 'glassETF', 'glassCoinsMarkets'];
@@ -144,24 +172,49 @@ export default async function handler(req, res) {
       `${COINGLASS_BASE}/api/index/bitcoin-etf/history`,
       `${COINGLASS_BASE}/api/futures/coins/markets`,
     ];
-    const glResults = await Promise.allSettled(glUrls.map(u => cachedFetch(u, glOpts, CACHE_TTL)));
+    const glResults = await Promise.allSettled(glUrls.map((u, i) => datasetFetch(glKeys[i], u, glOpts)));
     glKeys.forEach((key, i) => {
-      data[key] = glResults[i].status === 'fulfilled' ? glResults[i].value : null;
+      data[key] = glResults[i].status === 'fulfilled' ? unwrap(key, glResults[i].value) : null;
       if (glResults[i].status === 'rejected') errors.push({ source: key, error: glResults[i].reason?.message });
     });
   }
 
-  if (errors.length > 0) data._errors = errors;
+  // ── Persist today's snapshot (never fails the response) ──
+  let snapshotDate = null;
+  try {
+    snapshotDate = (await saveSnapshot(data))?.date || null;
+  } catch (e) {
+    errors.push({ source: 'snapshot', error: e.message });
+  }
+
+  // ── Evaluate alert rules (never fails the response) ──
+  let alerts = null;
+  try {
+    alerts = await runAlerts(data);
+    alerts.errors.forEach(e => errors.push({ source: `alert:${e.ruleId}`, error: e.error }));
+  } catch (e) {
+    errors.push({ source: 'alerts', error: e.message });
+  }
+
+  // Shown in the dashboard's Data Status panel — upstream errors quote the request URL
+  if (errors.length > 0) data._errors = errors.map(e => ({ ...e, error: e.error && redactUrl(e.error) }));
   data._meta = {
     cached: true,
     cacheMaxAge: 900,
     staleWhileRevalidate: 3600,
     sources: Object.keys(data).filter(k => !k.startsWith('_')).length,
     serverCache: getCacheStats(),
+    stale,
     proEndpoints: llamaKeys.length,
+    snapshotDate,
+    snapshotWarning: getSnapshotStore().warning || null,
+    alerts: alerts && { rules: alerts.rules, evaluated: alerts.evaluated, fired: alerts.fired },
   };
 
-  res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=3600');
+  // Partly last-known-good: let the CDN replace it soon
+  res.setHeader('Cache-Control', Object.keys(stale).length > 0 ? 's-maxage=60' : 's-maxage=900, stale-while-revalidate=3600');
   res.setHeader('Content-Type', 'application/json');
   return res.status(200).json(data);
 }
+
+export default withTelemetry(handler);
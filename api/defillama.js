@@ -7,7 +7,9 @@
  * Server-side cached (15 min) with retry on 429.
  */
 
-import { cachedFetch } from './_cache.js';
+import { cachedFetchEntry, setFreshnessHeaders } from './_cache.js';
+import { upstreamKey } from './_fixtures.js';
+import { withTelemetry } from './_telemetry.js';
 
 const PRO_BASE = 'https://pro-api.llama.fi';
 const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
@@ -17,8 +19,8 @@ function proUrl(apiKey, path) {
   return apiKey ? `${PRO_BASE}/${apiKey}${path}` : `${PRO_BASE}${path}`;
 }
 
-export default async function handler(req, res) {
-  const apiKey = process.env.DEFILLAMA_API_KEY;
+async function handler(req, res) {
+  const apiKey = upstreamKey('DEFILLAMA_API_KEY');
   const { action, slug, chain, protocol, symbol, token, timestamp, period, dataType, id } = req.query;
 
   if (!action) {
@@ -53,9 +55,11 @@ export default async function handler(req, res) {
     case 'fees_chain':
       if (!chain) return res.status(400).json({ error: 'chain required' });
       path = `/api/overview/fees/${encodeURIComponent(chain)}`; break;
-    case 'fees_protocol':
+    case 'fees_protocol': {
       if (!protocol) return res.status(400).json({ error: 'protocol required' });
-      path = `/api/summary/fees/${encodeURIComponent(protocol)}`; break;
+      const dt = dataType ? `?dataType=${encodeURIComponent(dataType)}` : '';
+      path = `/api/summary/fees/${encodeURIComponent(protocol)}${dt}`; break;
+    }
 
     // ── Volumes ──
     case 'dexs':
@@ -176,10 +180,13 @@ export default async function handler(req, res) {
 
   try {
     const url = proUrl(apiKey, path);
-    const data = await cachedFetch(url, {}, CACHE_TTL);
+    const entry = await cachedFetchEntry(url, {}, CACHE_TTL);
     res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=3600');
-    return res.status(200).json(data);
+    setFreshnessHeaders(res, entry);
+    return res.status(200).json(entry.data);
   } catch (error) {
     return res.status(500).json({ error: `DeFiLlama API error: ${error.message}` });
   }
 }
+
+export default withTelemetry(handler);
@@ -0,0 +1,56 @@
+/**
+ * Upstream Health Endpoint
+ *
+ * Reports the telemetry every proxy records about its upstream calls (see _telemetry.js).
+ *   GET /api/health
+ *
+ * status:    worst provider state — ok | degraded | down
+ * providers: per data source — 24h uptime and state, request / failure counts,
+ *            status codes, latency (avg, p95 bucket), 429s, retries and
+ *            retry-after waits, last success / failure
+ * actions:   the same per (provider, action) — the proxy's ?action= or, for
+ *            /api/dashboard-data, the dataset key — failing ones first
+ * cache:     this instance's server cache counters
+ * snapshots: daily snapshot store and, when nothing is persisted, why
+ *
+ * Without a telemetry store (Vercel without KV) it answers 503 with the reason,
+ * not an empty report that would read as all green.
+ */
+
+import { getCacheStats } from './_cache.js';
+import { flushTelemetry, getTelemetryStore, summarizeTelemetry } from './_telemetry.js';
+import { getSnapshotStore } from './_snapshots.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET.' });
+  }
+
+  try {
+    // Include this instance's background refreshes that finished after their handler
+    await flushTelemetry();
+    const store = getTelemetryStore();
+    const snapshots = { store: getSnapshotStore().name, warning: getSnapshotStore().warning || null };
+    if (store.warning) {
+      return res.status(503).json({
+        error: store.warning,
+        generatedAt: new Date().toISOString(),
+        store: store.name,
+        status: 'unknown',
+        cache: getCacheStats(),
+        snapshots,
+      });
+    }
+    const report = summarizeTelemetry(await store.read());
+    res.setHeader('Cache-Control', 's-maxage=30');
+    return res.status(200).json({
+      generatedAt: new Date().toISOString(),
+      store: store.name,
+      ...report,
+      cache: getCacheStats(),
+      snapshots,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: `Telemetry store error: ${error.message}` });
+  }
+}
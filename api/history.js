@@ -0,0 +1,52 @@
+/**
+ * Historical Snapshot Query Endpoint
+ *
+ * Reads the daily snapshots written by /api/dashboard-data (see _snapshots.js).
+ *   GET /api/history?metric=fees&entity=aave,uniswap&from=2025-01-01&to=2025-03-31
+ *
+ * metric: fees, revenue, holdersRevenue, tvl, mcap, ps, price, dominance, funding, fearGreed
+ * entity: comma-separated DeFiLlama slugs / CoinGecko ids / symbols (omit for fearGreed)
+ * from/to: inclusive YYYY-MM-DD bounds (optional)
+ */
+
+import { getSnapshotStore, extractSeries, METRICS } from './_snapshots.js';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export default async function handler(req, res) {
+  const { metric, entity, from, to } = req.query;
+
+  if (!metric || !Object.hasOwn(METRICS, metric)) {
+    return res.status(400).json({
+      error: metric ? `Invalid metric: ${metric}` : 'metric parameter required',
+      supported: Object.keys(METRICS).join(', '),
+    });
+  }
+  if (metric !== 'fearGreed' && !entity) {
+    return res.status(400).json({ error: 'entity required' });
+  }
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+    return res.status(400).json({ error: 'from/to must be YYYY-MM-DD' });
+  }
+
+  const entities = metric === 'fearGreed'
+    ? []
+    : entity.split(',').map(e => e.trim()).filter(Boolean);
+
+  const store = getSnapshotStore();
+  if (store.warning) return res.status(503).json({ error: store.warning });
+
+  try {
+    const snapshots = await store.list(from, to);
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=900');
+    return res.status(200).json({
+      metric,
+      from: from || snapshots[0]?.date || null,
+      to: to || snapshots[snapshots.length - 1]?.date || null,
+      days: snapshots.length,
+      series: extractSeries(snapshots, metric, entities),
+    });
+  } catch (error) {
+    return res.status(500).json({ error: `Snapshot store error: ${error.message}` });
+  }
+}
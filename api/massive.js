@@ -1,10 +1,12 @@
-import { cachedFetch } from './_cache.js';
+import { cachedFetchEntry, setFreshnessHeaders } from './_cache.js';
+import { upstreamKey } from './_fixtures.js';
+import { withTelemetry } from './_telemetry.js';
 
 const BASE_URL = 'https://api.massive.com';
 const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
 
-export default async function handler(req, res) {
-  const apiKey = process.env.MASSIVE_API_KEY;
+async function handler(req, res) {
+  const apiKey = upstreamKey('MASSIVE_API_KEY');
 
   if (!apiKey) {
     return res.status(500).json({ error: 'MASSIVE_API_KEY not configured' });
@@ -95,10 +97,13 @@ export default async function handler(req, res) {
   const url = `${BASE_URL}${endpoint}${separator}apiKey=${apiKey}`;
 
   try {
-    const data = await cachedFetch(url, { headers: { Accept: 'application/json' } }, CACHE_TTL);
+    const entry = await cachedFetchEntry(url, { headers: { Accept: 'application/json' } }, CACHE_TTL);
     res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=1800');
-    return res.status(200).json(data);
+    setFreshnessHeaders(res, entry);
+    return res.status(200).json(entry.data);
   } catch (error) {
     return res.status(500).json({ error: 'Failed to fetch from Massive.com API', details: error.message });
   }
 }
+
+export default withTelemetry(handler);
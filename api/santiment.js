@@ -1,11 +1,14 @@
+import { upstreamKey } from './_fixtures.js';
+import { trackedFetch, withTelemetry } from './_telemetry.js';
+
 const SANTIMENT_ENDPOINT = 'https://api.santiment.net/graphql';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed. Use POST.' });
   }
 
-  const apiKey = process.env.SANTIMENT_API_KEY;
+  const apiKey = upstreamKey('SANTIMENT_API_KEY');
 
   if (!apiKey) {
     return res.status(500).json({ error: 'SANTIMENT_API_KEY not configured' });
@@ -18,7 +21,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const response = await fetch(SANTIMENT_ENDPOINT, {
+    const response = await trackedFetch(SANTIMENT_ENDPOINT, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -39,3 +42,5 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'Failed to fetch from Santiment API', details: error.message });
   }
 }
+
+export default withTelemetry(handler);
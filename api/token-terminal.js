@@ -1,4 +1,6 @@
-import { cachedFetch, sequentialFetchAll } from './_cache.js';
+import { cachedFetchEntry, cachedFetchAll, setFreshnessHeaders } from './_cache.js';
+import { upstreamKey } from './_fixtures.js'
+import { withTelemetry } from './_telemetry.js'
 
 const TT_BASE = 'https://api.tokenterminal.com/v2'
 const CACHE_TTL = 15 * 60 * 1000 // 15 minutes
@@ -8,8 +10,8 @@ const HEADERS = (apiKey) => ({
   'Accept': 'application/json',
 })
 
-export default async function handler(req, res) {
-  const apiKey = process.env.TOKEN_TERMINAL_API_KEY
+async function handler(req, res) {
+  const apiKey = upstreamKey('TOKEN_TERMINAL_API_KEY')
   if (!apiKey) {
     return res.status(500).json({ error: 'TOKEN_TERMINAL_API_KEY not configured' })
   }
@@ -17,18 +19,18 @@ export default async function handler(req, res) {
   const opts = { headers: HEADERS(apiKey) }
   const { endpoint, project_id, metric_id, interval, market_sector_id, start, end, granularity } = req.query
 
-  // Special endpoint: pull ALL key financial metrics SEQUENTIALLY (60 req/min limit)
+  // Special endpoint: pull ALL key financial metrics (paced by the 60 req/min rate limiter)
   if (endpoint === 'all-financials') {
     try {
       const metrics = ['revenue', 'fees', 'earnings', 'token_incentives', 'price_to_sales', 'price_to_earnings', 'active_users']
       const urls = metrics.map(m => `${TT_BASE}/metrics/${m}`)
-      // Sequential with 1s delay between each to respect 60 req/min
-      const results = await sequentialFetchAll(urls, opts, 1000, CACHE_TTL)
+      const results = await cachedFetchAll(urls, opts, CACHE_TTL)
       const financials = {}
       metrics.forEach((m, i) => {
         financials[m] = results[i].status === 'fulfilled' ? results[i].value : null
       })
       res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=3600')
+      setFreshnessHeaders(res, ...results)
       return res.status(200).json(financials)
     } catch (err) {
       return res.status(500).json({ error: err.message })
@@ -81,10 +83,13 @@ export default async function handler(req, res) {
   }
 
   try {
-    const data = await cachedFetch(url, opts, CACHE_TTL)
+    const entry = await cachedFetchEntry(url, opts, CACHE_TTL)
     res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=3600')
-    return res.status(200).json(data)
+    setFreshnessHeaders(res, entry)
+    return res.status(200).json(entry.data)
   } catch (err) {
     return res.status(500).json({ error: err.message })
   }
 }
+
+export default withTelemetry(handler)
@@ -1,13 +1,15 @@
+import { trackedFetch, withTelemetry } from './_telemetry.js'
+
 const YAHOO_BASE = 'https://query1.finance.yahoo.com'
 
 async function fetchChart(symbol, range, interval) {
   const url = `${YAHOO_BASE}/v8/finance/chart/${encodeURIComponent(symbol)}?range=${range}&interval=${interval}&includeAdjustedClose=true`
-  const resp = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0' } })
+  const resp = await trackedFetch(url, { headers: { 'User-Agent': 'Mozilla/5.0' } })
   if (!resp.ok) throw new Error(`Yahoo chart ${symbol}: ${resp.status} ${resp.statusText}`)
   return resp.json()
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const { action, symbol, period } = req.query
 
   if (!symbol) {
@@ -74,3 +76,5 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: err.message })
   }
 }
+
+export default withTelemetry(handler)
@@ -0,0 +1,19 @@
+/**
+ * Module resolve hook for the CLI.
+ *
+ * The dashboard's services and utils are written for Vite, which resolves
+ * extensionless relative imports (`./cache`, `../utils/registry`). Node's ESM
+ * resolver does not, so retry those specifiers with `.js` appended.
+ */
+
+const RELATIVE = /^\.{1,2}\//;
+const HAS_EXTENSION = /\.[cm]?jsx?$|\.json$/;
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    if (err.code !== 'ERR_MODULE_NOT_FOUND' || !RELATIVE.test(specifier) || HAS_EXTENSION.test(specifier)) throw err;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
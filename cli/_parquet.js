@@ -0,0 +1,197 @@
+/**
+ * Minimal Apache Parquet writer — no dependencies.
+ *
+ * Writes one row group with one PLAIN-encoded, uncompressed data page (v1) per
+ * column. Every column is OPTIONAL so nulls survive. Column types are inferred:
+ *   all integers -> INT64, other numbers -> DOUBLE, booleans -> BOOLEAN,
+ *   anything else -> BYTE_ARRAY (UTF8).
+ * That covers the flat, modestly sized tables the CLI exports; it is not a
+ * general-purpose writer (no nesting, dictionaries, compression or statistics).
+ */
+
+const MAGIC = Buffer.from('PAR1');
+
+// parquet.thrift enums
+const TYPE = { BOOLEAN: 0, INT64: 2, DOUBLE: 5, BYTE_ARRAY: 6 };
+const OPTIONAL = 1;
+const CONVERTED_UTF8 = 0;
+const ENCODING = { PLAIN: 0, RLE: 3 };
+const PAGE_DATA = 0;
+const CODEC_UNCOMPRESSED = 0;
+
+// Thrift compact protocol field types
+const CT = { I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 };
+
+function varint(n) {
+  const bytes = [];
+  while (n >= 0x80) {
+    bytes.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+  return bytes;
+}
+
+// All integers written here are non-negative, so zigzag is just n * 2
+const zigzag = (n) => varint(n * 2);
+
+/**
+ * Encode a struct given as [[fieldId, compactType, value], …]; nested structs are
+ * arrays of fields, lists are { type, items }.
+ */
+function encodeStruct(fields) {
+  const out = [];
+  let lastId = 0;
+  for (const [id, type, value] of fields) {
+    if (value === undefined || value === null) continue;
+    const delta = id - lastId;
+    if (delta > 0 && delta <= 15) out.push((delta << 4) | type);
+    else out.push(type, ...zigzag(id));
+    lastId = id;
+    out.push(...encodeValue(type, value));
+  }
+  out.push(0);
+  return out;
+}
+
+function encodeValue(type, value) {
+  switch (type) {
+    case CT.I32:
+    case CT.I64:
+      return zigzag(value);
+    case CT.BINARY: {
+      const bytes = Buffer.from(value, 'utf8');
+      return [...varint(bytes.length), ...bytes];
+    }
+    case CT.STRUCT:
+      return encodeStruct(value);
+    case CT.LIST: {
+      const header = value.items.length < 15
+        ? [(value.items.length << 4) | value.type]
+        : [0xF0 | value.type, ...varint(value.items.length)];
+      return [...header, ...value.items.flatMap(item => encodeValue(value.type, item))];
+    }
+    default:
+      throw new Error(`Unsupported thrift type ${type}`);
+  }
+}
+
+const isPresent = (v) => v !== null && v !== undefined && (typeof v !== 'number' || Number.isFinite(v));
+
+function inferType(values) {
+  const present = values.filter(isPresent);
+  if (present.length > 0 && present.every(v => typeof v === 'boolean')) return TYPE.BOOLEAN;
+  if (present.length > 0 && present.every(v => typeof v === 'number')) {
+    return present.every(v => Number.isSafeInteger(v)) ? TYPE.INT64 : TYPE.DOUBLE;
+  }
+  return TYPE.BYTE_ARRAY;
+}
+
+// RLE/bit-packed hybrid, bit width 1, as bit-packed groups of 8
+function encodeDefinitionLevels(defined) {
+  const groups = Math.ceil(defined.length / 8);
+  const packed = Buffer.alloc(groups);
+  defined.forEach((d, i) => { if (d) packed[i >> 3] |= 1 << (i & 7); });
+  const runs = Buffer.from([...varint((groups << 1) | 1), ...packed]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(runs.length);
+  return Buffer.concat([length, runs]);
+}
+
+function encodePlain(type, values) {
+  switch (type) {
+    case TYPE.BOOLEAN: {
+      const buf = Buffer.alloc(Math.ceil(values.length / 8));
+      values.forEach((v, i) => { if (v) buf[i >> 3] |= 1 << (i & 7); });
+      return buf;
+    }
+    case TYPE.INT64: {
+      const buf = Buffer.alloc(values.length * 8);
+      values.forEach((v, i) => buf.writeBigInt64LE(BigInt(v), i * 8));
+      return buf;
+    }
+    case TYPE.DOUBLE: {
+      const buf = Buffer.alloc(values.length * 8);
+      values.forEach((v, i) => buf.writeDoubleLE(v, i * 8));
+      return buf;
+    }
+    default:
+      return Buffer.concat(values.map(v => {
+        const bytes = Buffer.from(typeof v === 'string' ? v : JSON.stringify(v), 'utf8');
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(bytes.length);
+        return Buffer.concat([length, bytes]);
+      }));
+  }
+}
+
+/**
+ * Serialize flat rows to a Parquet file.
+ * @param {string[]} columns column names, in order
+ * @param {Object[]} rows objects keyed by column name
+ * @returns {Buffer}
+ */
+export function toParquet(columns, rows) {
+  const chunks = [MAGIC];
+  let offset = MAGIC.length;
+  const columnChunks = [];
+  const schema = [[[4, CT.BINARY, 'schema'], [5, CT.I32, columns.length]]];
+
+  for (const name of columns) {
+    const values = rows.map(r => r[name] ?? null);
+    const type = inferType(values);
+    // NaN / ±Infinity are written as nulls
+    const defined = values.map(isPresent);
+    const page = Buffer.concat([encodeDefinitionLevels(defined), encodePlain(type, values.filter((_, i) => defined[i]))]);
+    const header = Buffer.from(encodeStruct([
+      [1, CT.I32, PAGE_DATA],
+      [2, CT.I32, page.length],
+      [3, CT.I32, page.length],
+      [5, CT.STRUCT, [
+        [1, CT.I32, rows.length],
+        [2, CT.I32, ENCODING.PLAIN],
+        [3, CT.I32, ENCODING.RLE],
+        [4, CT.I32, ENCODING.RLE],
+      ]],
+    ]));
+
+    const size = header.length + page.length;
+    columnChunks.push([
+      [2, CT.I64, offset],
+      [3, CT.STRUCT, [
+        [1, CT.I32, type],
+        [2, CT.LIST, { type: CT.I32, items: [ENCODING.PLAIN, ENCODING.RLE] }],
+        [3, CT.LIST, { type: CT.BINARY, items: [name] }],
+        [4, CT.I32, CODEC_UNCOMPRESSED],
+        [5, CT.I64, rows.length],
+        [6, CT.I64, size],
+        [7, CT.I64, size],
+        [9, CT.I64, offset],
+      ]],
+    ]);
+    schema.push([
+      [1, CT.I32, type],
+      [3, CT.I32, OPTIONAL],
+      [4, CT.BINARY, name],
+      [6, CT.I32, type === TYPE.BYTE_ARRAY ? CONVERTED_UTF8 : null],
+    ]);
+    chunks.push(header, page);
+    offset += size;
+  }
+
+  const footer = Buffer.from(encodeStruct([
+    [1, CT.I32, 1],
+    [2, CT.LIST, { type: CT.STRUCT, items: schema }],
+    [3, CT.I64, rows.length],
+    [4, CT.LIST, { type: CT.STRUCT, items: [[
+      [1, CT.LIST, { type: CT.STRUCT, items: columnChunks }],
+      [2, CT.I64, offset - MAGIC.length],
+      [3, CT.I64, rows.length],
+    ]] }],
+    [6, CT.BINARY, 'revenue-codex cli'],
+  ]));
+  const footerLength = Buffer.alloc(4);
+  footerLength.writeUInt32LE(footer.length);
+
+  return Buffer.concat([...chunks, footer, footerLength, MAGIC]);
+}
@@ -0,0 +1,111 @@
+/**
+ * Network layer for the CLI.
+ *
+ * Replaces globalThis.fetch so the dashboard's own fetchers run unchanged in Node:
+ * - Relative `/api/<name>?…` requests are dispatched in-process to the Vercel
+ *   handler in api/<name>.js (so API keys come from the environment, as in production)
+ * - Absolute URLs go to the network (through api/_fixtures.js's upstreamFetch,
+ *   so MOCK_UPSTREAM record/replay applies to them as it does to the handlers)
+ * - With `record`, every top-level response is written to a fixture directory
+ * - With `replay`, responses are served from that directory and nothing touches
+ *   the network; a request without a fixture fails like an HTTP 404
+ *
+ * Upstream calls made *inside* an API handler are not recorded here — only the
+ * handler's response is. To record or replay those as well, set MOCK_UPSTREAM
+ * (api/_fixtures.js also defines the fixture file format used here).
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { readFixture, writeFixture, upstreamFetch } from '../api/_fixtures.js';
+
+const LOCAL_ORIGIN = 'http://revenue-codex.local';
+const API_DIR = new URL('../api/', import.meta.url);
+// Set while a handler or upstreamFetch runs: their own fetches go straight to the network
+const upstream = new AsyncLocalStorage();
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+// Minimal Vercel req/res pair around an api/*.js default export
+async function callHandler(url, init) {
+  const name = url.pathname.replace(/^\/api\//, '');
+  if (!/^[a-z][a-z0-9-]*$/.test(name)) return jsonResponse({ error: `Not found: ${url.pathname}` }, 404);
+
+  const moduleUrl = new URL(`${name}.js`, API_DIR);
+  if (!fs.existsSync(fileURLToPath(moduleUrl))) return jsonResponse({ error: `Not found: ${url.pathname}` }, 404);
+  const { default: handler } = await import(moduleUrl.href);
+
+  let body = init.body;
+  if (typeof body === 'string') {
+    try { body = JSON.parse(body); } catch {}
+  }
+  const headers = Object.fromEntries(Object.entries(init.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  const req = { method: init.method || 'GET', url: url.pathname + url.search, query: Object.fromEntries(url.searchParams), headers, body };
+
+  return new Promise((resolve, reject) => {
+    let statusCode = 200;
+    const res = {
+      status(code) { statusCode = code; return res; },
+      setHeader() { return res; },
+      json(payload) { resolve(jsonResponse(payload, statusCode)); return res; },
+      send(payload) { resolve(new Response(typeof payload === 'string' ? payload : JSON.stringify(payload), { status: statusCode })); return res; },
+      end() { resolve(new Response(null, { status: statusCode })); return res; },
+    };
+    upstream.run(true, () => Promise.resolve().then(() => handler(req, res))).catch(reject);
+  });
+}
+
+/**
+ * Install the fetch replacement.
+ * @param {Object} options
+ * @param {string} [options.replay] fixture directory to serve responses from (offline)
+ * @param {string} [options.record] fixture directory to write responses to
+ * @returns {{ requests: number, recorded: number, replayed: number, missing: Set<string> }} live counters
+ */
+export function installTransport({ replay = null, record = null } = {}) {
+  const networkFetch = globalThis.fetch;
+  const stats = { requests: 0, recorded: 0, replayed: 0, missing: new Set() };
+
+  globalThis.fetch = async (input, init = {}) => {
+    const raw = typeof input === 'string' ? input : input.url;
+    if (upstream.getStore()) return networkFetch(raw, init);
+
+    const url = new URL(raw, LOCAL_ORIGIN);
+    const method = (init.method || 'GET').toUpperCase();
+    const body = typeof init.body === 'string' ? init.body : undefined;
+    const local = url.origin === LOCAL_ORIGIN;
+    const key = local ? url.pathname + url.search : url.href;
+    stats.requests++;
+
+    if (replay) {
+      const fixture = await readFixture(replay, method, key, body);
+      if (!fixture) {
+        stats.missing.add(key);
+        return jsonResponse({ error: `No fixture for ${method} ${key}` }, 404);
+      }
+      stats.replayed++;
+      return jsonResponse(fixture.body, fixture.status);
+    }
+
+    const response = local ? await callHandler(url, init) : await upstream.run(true, () => upstreamFetch(raw, init));
+    if (!record) return response;
+
+    const text = await response.text();
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Non-JSON bodies are passed through but not recorded
+    }
+    if (parsed !== undefined) {
+      await writeFixture(record, { method, url: key, body, status: response.status, response: parsed });
+      stats.recorded++;
+    }
+    return new Response(text, { status: response.status, headers: { 'content-type': response.headers.get('content-type') || 'application/json' } });
+  };
+
+  return stats;
+}
@@ -0,0 +1,116 @@
+/**
+ * Exportable datasets — one per dashboard tab.
+ *
+ * Each entry pairs the tab's own fetcher (web/src/services/api.js) with the pure
+ * computation the tab renders (web/src/utils/*), so exported numbers match the
+ * dashboard exactly. `build(data, { methodology })` returns an array of row
+ * objects; nested objects/arrays are flattened by the writer for CSV/Parquet.
+ * `methodology` (web/src/utils/methodology.js) only affects the score datasets.
+ */
+
+import {
+  fetchValuationsData, fetchRevenueScoreData, fetchMoatsData, fetchPowerLawData, fetchReconciliationData,
+  fetchBacktestData, fetchUnlocksData, fetchValuationBandsData, fetchChainAttributionData,
+} from '../web/src/services/api.js';
+import { computeValuations } from '../web/src/utils/valuations.js';
+import { computeRevenueScores, computeMoatScores } from '../web/src/utils/scores.js';
+import { reconcileVendors } from '../web/src/utils/reconciliation.js';
+import { prepareBacktest, runBacktest, SIGNALS } from '../web/src/utils/backtest.js';
+import { upcomingUnlocks } from '../web/src/utils/unlocks.js';
+import { historyRanking, MULTIPLE_BASES } from '../web/src/utils/multiples.js';
+import { chainProtocolRows, ATTRIBUTION_METRICS } from '../web/src/utils/chainAttribution.js';
+import {
+  fitPowerLaw, fitPowerLawMLE, powerLawGoodnessOfFit, calculateGini, calculateHHI, buildParetoCurve,
+} from '../web/src/utils/analytics.js';
+
+// Rank-size + tail fits and concentration for one metric (descending values)
+function concentrationRow(metric, values) {
+  const zipf = fitPowerLaw(values.map((_, i) => i + 1), values);
+  const tail = fitPowerLawMLE(values);
+  const gof = tail && powerLawGoodnessOfFit(values, { simulations: 100 });
+  const { thresholds } = buildParetoCurve(values);
+  return {
+    metric,
+    count: values.length,
+    zipfAlpha: zipf.alpha,
+    zipfAlphaCI: zipf.alphaCI,
+    zipfRSquared: zipf.rSquared,
+    tailAlpha: tail?.alpha ?? null,
+    tailAlphaSE: tail?.alphaSE ?? null,
+    tailXmin: tail?.xmin ?? null,
+    tailCount: tail?.nTail ?? null,
+    tailKs: tail?.ks ?? null,
+    tailKsPValue: gof?.pValue ?? null,
+    gini: calculateGini(values),
+    hhi: calculateHHI(values),
+    topSharePct80: thresholds.p80 ?? null,
+    topSharePct95: thresholds.p95 ?? null,
+  };
+}
+
+export const DATASETS = {
+  valuations: {
+    description: 'Per-protocol fees, revenue, take rate, TVL, market cap, P/S, earnings and P/E (Valuations tab)',
+    fetch: fetchValuationsData,
+    build: (data) => computeValuations(data).protocols,
+  },
+  'revenue-score': {
+    description: 'Revenue Score sub-scores and composite for the top 50 fee earners (Revenue Score tab)',
+    fetch: fetchRevenueScoreData,
+    build: (data, { methodology } = {}) => computeRevenueScores(data, { methodology }),
+  },
+  moats: {
+    description: 'Moat score, rating and component breakdown for every revenue-earning protocol (Moats tab)',
+    fetch: fetchMoatsData,
+    build: (data, { methodology } = {}) => computeMoatScores(data, { methodology }).scored,
+  },
+  'power-law': {
+    description: 'Zipf and MLE tail exponents, Gini, HHI and Pareto shares for revenue, TVL and market cap (Power Law tab)',
+    fetch: fetchPowerLawData,
+    build: (data) => {
+      const desc = (values) => values.filter(v => v > 0).sort((a, b) => b - a);
+      return [
+        concentrationRow('revenue', desc((data?.feesOverview?.protocols || []).map(p => (p.total24h || 0) * 365))),
+        concentrationRow('tvl', desc((data?.protocols || []).map(p => p.tvl || 0))),
+        concentrationRow('mcap', desc((Array.isArray(data?.markets) ? data.markets : []).map(m => m.market_cap || 0))),
+      ];
+    },
+  },
+  reconciliation: {
+    description: 'Token Terminal vs DeFiLlama 30d fees, revenue and earnings with relative gaps; flags at 25% (Vendor Reconciliation tab)',
+    fetch: fetchReconciliationData,
+    build: (data) => reconcileVendors(data).rows,
+  },
+  backtest: {
+    description: 'Monthly top/bottom quintile returns and rank IC of the Revenue and Moat Scores (Score Backtest tab)',
+    fetch: fetchBacktestData,
+    build: (data, { methodology } = {}) => {
+      const prepared = prepareBacktest(data);
+      return Object.keys(SIGNALS).flatMap(signal => runBacktest(prepared, signal, { methodology }).periods.map(p => ({
+        signal,
+        date: p.date,
+        end: p.end,
+        scored: p.scored,
+        top: p.top.map(s => s.slug),
+        bottom: p.bottom.map(s => s.slug),
+        returns: p.returns,
+        ic: p.ic,
+      })));
+    },
+  },
+  unlocks: {
+    description: 'Token unlocks in the next 90 days with USD value, % of circulating supply and of average daily volume (Token Unlocks tab)',
+    fetch: fetchUnlocksData,
+    build: (data) => upcomingUnlocks(data, { days: 90 }),
+  },
+  'valuation-bands': {
+    description: 'Current P/S and P/E against the 10th/50th/90th percentiles of each protocol\'s own history (Valuation Bands tab)',
+    fetch: fetchValuationBandsData,
+    build: (data) => Object.keys(MULTIPLE_BASES).flatMap(basis => historyRanking(data.universe, basis)),
+  },
+  'chain-attribution': {
+    description: 'Trailing-30d fees and revenue per protocol on each major chain, with sector and share of the chain (Chain Attribution tab)',
+    fetch: fetchChainAttributionData,
+    build: (data) => Object.keys(ATTRIBUTION_METRICS).flatMap(metric => chainProtocolRows(data[metric]).map(r => ({ metric, ...r }))),
+  },
+};
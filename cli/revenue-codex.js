@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * Revenue Codex CLI — compute dashboard datasets headlessly and write them to disk.
+ *
+ *   revenue-codex list
+ *   revenue-codex export --tab valuations --format csv|json|parquet [--out exports]
+ *   revenue-codex export --tab all --record fixtures/2026-10-19   # live run, save responses
+ *   revenue-codex export --tab all --replay fixtures/2026-10-19   # offline, no network
+ *   revenue-codex export --tab valuations --as-of 2021-11-10        # as the tab looked that day
+ *   revenue-codex export --tab revenue-score --methodology value-heavy  # preset or exported JSON file
+ *
+ * Live runs call the same /api handlers the dashboard uses, in-process, so they
+ * need the same environment (e.g. `node --env-file=.env cli/revenue-codex.js …`).
+ * See _transport.js for how requests are routed, recorded and replayed.
+ */
+
+import { register } from 'node:module';
+import { parseArgs } from 'node:util';
+import fs from 'node:fs';
+import path from 'node:path';
+import { installTransport } from './_transport.js';
+import { toParquet } from './_parquet.js';
+
+register('./_loader.js', import.meta.url);
+
+const FORMATS = ['csv', 'json', 'parquet'];
+
+const USAGE = `Usage:
+  revenue-codex list
+  revenue-codex export --tab <name|all> [--format csv|json|parquet] [--out <dir>]
+                       [--record <fixture dir> | --replay <fixture dir>] [--as-of YYYY-MM-DD]
+                       [--methodology <preset|file.json>]
+
+Options:
+  -t, --tab      dataset to export, or "all" (see \`list\`)
+  -f, --format   csv (default), json or parquet
+  -o, --out      output directory (default: exports); "-" writes csv/json to stdout
+      --record   save every upstream response to a fixture directory
+      --replay   serve responses from a fixture directory — no network access
+      --as-of    compute every dataset from history up to that date (UTC)
+      --methodology
+                 scoring methodology: a preset (default, value-heavy, growth) or a file
+                 exported from the Scoring Methodology tab (its first methodology is used)
+  -h, --help     show this message`;
+
+/** Flatten nested objects to `parent_child` columns; arrays become `;`-joined strings. */
+function flattenRow(row, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(row)) {
+    const name = prefix ? `${prefix}_${key}` : key;
+    if (Array.isArray(value)) out[name] = value.map(v => (typeof v === 'object' && v !== null ? JSON.stringify(v) : v)).join(';');
+    else if (value && typeof value === 'object') flattenRow(value, name, out);
+    else out[name] = value;
+  }
+  return out;
+}
+
+function columnsOf(rows) {
+  const columns = new Set();
+  rows.forEach(r => Object.keys(r).forEach(k => columns.add(k)));
+  return [...columns];
+}
+
+// Fetchers turn upstream failures into nulls; a payload that is nothing but
+// nulls and empty collections means every input failed
+function isEmptyPayload(value) {
+  if (value === null || value === undefined) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.values(value).every(isEmptyPayload);
+  return false;
+}
+
+function serialize(rows, format, toCSV) {
+  if (format === 'json') return JSON.stringify(rows, null, 2);
+  const flat = rows.map(r => flattenRow(r));
+  const columns = columnsOf(flat);
+  if (format === 'parquet') return toParquet(columns, flat);
+  return toCSV(columns, flat.map(r => columns.map(c => r[c])));
+}
+
+async function exportDatasets(options) {
+  const { DATASETS } = await import('./datasets.js');
+  const { toCSV } = await import('../web/src/utils/csv.js');
+  const { setAsOf, isValidAsOf, EARLIEST_AS_OF } = await import('../web/src/utils/asOf.js');
+  const { resolveMethodology, DEFAULT_METHODOLOGY } = await import('../web/src/utils/methodology.js');
+
+  const format = options.format || 'csv';
+  if (!FORMATS.includes(format)) throw new Error(`Invalid format: ${format} (supported: ${FORMATS.join(', ')})`);
+  if (!options.tab) throw new Error('--tab is required');
+  if (options.record && options.replay) throw new Error('--record and --replay are mutually exclusive');
+  if (options['as-of'] && !isValidAsOf(options['as-of'])) {
+    throw new Error(`Invalid --as-of: ${options['as-of']} (YYYY-MM-DD, from ${EARLIEST_AS_OF} to yesterday)`);
+  }
+  setAsOf(options['as-of'] || null);
+  const source = options.methodology;
+  const methodology = !source ? DEFAULT_METHODOLOGY
+    : resolveMethodology(fs.existsSync(source) ? fs.readFileSync(source, 'utf8') : source);
+
+  const names = options.tab === 'all' ? Object.keys(DATASETS) : options.tab.split(',');
+  const unknown = names.filter(n => !DATASETS[n]);
+  if (unknown.length > 0) throw new Error(`Unknown tab: ${unknown.join(', ')} (supported: ${Object.keys(DATASETS).join(', ')}, all)`);
+
+  const out = options.out || 'exports';
+  const toStdout = out === '-';
+  if (toStdout && format === 'parquet') throw new Error('Parquet cannot be written to stdout — pass --out <dir>');
+  if (!toStdout) fs.mkdirSync(out, { recursive: true });
+
+  const stats = installTransport({ replay: options.replay, record: options.record });
+
+  // One failing dataset must not cost the others (or the fixture summary below)
+  const failed = [];
+  for (const name of names) {
+    try {
+      const dataset = DATASETS[name];
+      const data = await dataset.fetch();
+      if (isEmptyPayload(data)) throw new Error('every upstream request failed');
+      const rows = dataset.build(data, { methodology });
+      if (rows.length === 0) throw new Error('built 0 rows');
+      const body = serialize(rows, format, toCSV);
+      if (toStdout) {
+        process.stdout.write(body + '\n');
+      } else {
+        const file = path.join(out, `${name}.${format}`);
+        fs.writeFileSync(file, body);
+        console.error(`${name}: ${rows.length} rows → ${file}`);
+      }
+    } catch (err) {
+      failed.push(name);
+      console.error(`${name}: failed — ${err.message}`);
+    }
+  }
+
+  if (options.record) console.error(`Recorded ${stats.recorded} responses to ${options.record}`);
+  if (stats.missing.size > 0) {
+    console.error(`Warning: ${stats.missing.size} request(s) had no fixture and were treated as failed:`);
+    const urls = [...stats.missing];
+    urls.slice(0, 10).forEach(url => console.error(`  ${url}`));
+    if (urls.length > 10) console.error(`  … and ${urls.length - 10} more`);
+  }
+  if (failed.length > 0) {
+    console.error(`revenue-codex: ${failed.length} of ${names.length} dataset(s) failed: ${failed.join(', ')}`);
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      tab: { type: 'string', short: 't' },
+      format: { type: 'string', short: 'f' },
+      out: { type: 'string', short: 'o' },
+      record: { type: 'string' },
+      replay: { type: 'string' },
+      'as-of': { type: 'string' },
+      methodology: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const [command] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  switch (command) {
+    case 'list': {
+      const { DATASETS } = await import('./datasets.js');
+      const width = Math.max(...Object.keys(DATASETS).map(name => name.length)) + 2;
+      Object.entries(DATASETS).forEach(([name, d]) => console.log(`${name.padEnd(width)}${d.description}`));
+      return;
+    }
+    case 'export':
+      return exportDatasets(values);
+    default:
+      throw new Error(`Invalid command: ${command} (supported: list, export)`);
+  }
+}
+
+main().catch(err => {
+  console.error(`revenue-codex: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -1,9 +1,14 @@
-import { useState, lazy, Suspense } from 'react'
+import { lazy, Suspense } from 'react'
 import Layout from './components/Layout'
 import TabNav from './components/TabNav'
+import WatchlistBar from './components/WatchlistBar'
 import LoadingSpinner from './components/LoadingSpinner'
 import { DashboardSkeleton } from './components/ChartSkeleton'
 import { useData } from './context/DataProvider'
+import { useProtocol } from './context/ProtocolProvider'
+import { useUrlState, navigate } from './hooks/useUrlState'
+import { useAsOf } from './hooks/useAsOf'
+import { FreshnessScopeContext, useFreshnessScope } from './hooks/useFreshness'
 
 // Lazy load all tabs for code splitting
 const ValuationsTab = lazy(() => import('./components/tabs/ValuationsTab'))
@@ -29,6 +34,17 @@ const RevenueScoreTab = lazy(() => import('./components/tabs/RevenueScoreTab'))
 const SocialIntelligenceTab = lazy(() => import('./components/tabs/SocialIntelligenceTab'))
 const BubbleComparisonTab = lazy(() => import('./components/tabs/BubbleComparisonTab'))
 const TreasuryCompaniesTab = lazy(() => import('./components/tabs/TreasuryCompaniesTab'))
+const WatchlistTab = lazy(() => import('./components/tabs/WatchlistTab'))
+const ReconciliationTab = lazy(() => import('./components/tabs/ReconciliationTab'))
+const DcfTab = lazy(() => import('./components/tabs/DcfTab'))
+const ValuationBandsTab = lazy(() => import('./components/tabs/ValuationBandsTab'))
+const CompsTab = lazy(() => import('./components/tabs/CompsTab'))
+const CompareTab = lazy(() => import('./components/tabs/CompareTab'))
+const ChainAttributionTab = lazy(() => import('./components/tabs/ChainAttributionTab'))
+const BacktestTab = lazy(() => import('./components/tabs/BacktestTab'))
+const MethodologyTab = lazy(() => import('./components/tabs/MethodologyTab'))
+const UnlocksTab = lazy(() => import('./components/tabs/UnlocksTab'))
+const ProtocolPage = lazy(() => import('./components/ProtocolPage'))
 
 const TABS = [
   // Group 1: Revenue Fundamentals
@@ -36,10 +52,19 @@ const TABS = [
   { id: 'sentiment', label: 'Sentiment Disconnect', group: 'Revenue Fundamentals' },
   { id: 'quality', label: 'Revenue Quality', group: 'Revenue Fundamentals' },
   { id: 'revscore', label: 'Revenue Score', group: 'Revenue Fundamentals' },
+  { id: 'watchlist', label: 'My Watchlist', group: 'Revenue Fundamentals' },
+  { id: 'reconciliation', label: 'Vendor Reconciliation', group: 'Revenue Fundamentals' },
+  { id: 'dcf', label: 'DCF Valuation', group: 'Revenue Fundamentals' },
+  { id: 'bands', label: 'Valuation Bands', group: 'Revenue Fundamentals' },
+  { id: 'comps', label: 'Peer Comps', group: 'Revenue Fundamentals' },
+  { id: 'compare', label: 'Compare Protocols', group: 'Revenue Fundamentals' },
+  { id: 'backtest', label: 'Score Backtest', group: 'Revenue Fundamentals' },
+  { id: 'methodology', label: 'Scoring Methodology', group: 'Revenue Fundamentals' },
   // Group 2: Moats & Strategy
   { id: 'moats', label: 'Moats', group: 'Moats & Strategy' },
   { id: 'future', label: 'Future Leaders', group: 'Moats & Strategy' },
   { id: 'efficiency', label: 'Capital Efficiency', group: 'Moats & Strategy' },
+  { id: 'unlocks', label: 'Token Unlocks', group: 'Moats & Strategy' },
   // Group 3: Market Intelligence
   { id: 'structure', label: 'Market Structure', group: 'Market Intelligence' },
   { id: 'derivatives', label: 'Derivatives Intelligence', group: 'Market Intelligence' },
@@ -52,6 +77,7 @@ const TABS = [
   { id: 'developer', label: 'Developer Activity', group: 'Macro & On-Chain' },
   { id: 'onchainmetrics', label: 'On-Chain Metrics', group: 'Macro & On-Chain' },
   { id: 'stablecoins', label: 'Stablecoin Flows', group: 'Macro & On-Chain' },
+  { id: 'chains', label: 'Chain Attribution', group: 'Macro & On-Chain' },
   // Group 5: Research Studies
   { id: 'powerlaw', label: 'Power Laws', group: 'Research Studies' },
   { id: 'riskpremium', label: 'Risk Premium', group: 'Research Studies' },
@@ -66,9 +92,18 @@ const TAB_COMPONENTS = {
   sentiment: SentimentTab,
   quality: RevenueQualityTab,
   revscore: RevenueScoreTab,
+  watchlist: WatchlistTab,
+  reconciliation: ReconciliationTab,
+  dcf: DcfTab,
+  bands: ValuationBandsTab,
+  comps: CompsTab,
+  compare: CompareTab,
+  backtest: BacktestTab,
+  methodology: MethodologyTab,
   moats: MoatsTab,
   future: FutureLeadersTab,
   efficiency: CapitalEfficiencyTab,
+  unlocks: UnlocksTab,
   tokenomics: TokenomicsStudyTab,
   structure: MarketStructureTab,
   derivatives: DerivativesTab,
@@ -83,17 +118,33 @@ const TAB_COMPONENTS = {
   networkeffects: NetworkEffectsTab,
   mevstudy: MEVStudyTab,
   stablecoins: StablecoinFlowsTab,
+  chains: ChainAttributionTab,
   bubblecomp: BubbleComparisonTab,
   treasury: TreasuryCompaniesTab,
 }
 
+const DEFAULT_TAB = 'valuations'
+
 export default function App() {
-  const [activeTab, setActiveTab] = useState('valuations')
-  const { warming } = useData()
+  const [activeTab] = useUrlState('tab', DEFAULT_TAB, { values: Object.keys(TAB_COMPONENTS) })
+  const { warming, dashboard } = useData()
+  const { slug: protocolSlug, closeProtocol } = useProtocol()
+  const [asOf, setAsOf] = useAsOf()
   const ActiveComponent = TAB_COMPONENTS[activeTab]
+  // Views remount on a new as-of date so their fetch effects run again
+  const dataKey = asOf || 'live'
+  // Freshness badges consider only what the open view fetched
+  const freshnessScope = `${protocolSlug ? `protocol:${protocolSlug}` : activeTab}@${dataKey}`
+  useFreshnessScope(freshnessScope)
+
+  // Switching tabs starts a fresh view: per-tab URL state and any open protocol
+  // are dropped, the as-of date is kept
+  const handleTabChange = (id) => {
+    navigate({ tab: id === DEFAULT_TAB ? null : id, asOf }, { reset: true })
+  }
 
   return (
-    <Layout>
+    <Layout snapshotTime={dashboard.timestamp}>
       {/* Subtle top-bar indicator while background cache is warming */}
       {warming && (
         <div className="h-0.5 bg-(--color-border) rounded overflow-hidden mb-2">
@@ -113,11 +164,26 @@ export default function App() {
           `}</style>
         </div>
       )}
-      <TabNav tabs={TABS} activeTab={activeTab} onTabChange={setActiveTab} />
+      <TabNav tabs={TABS} activeTab={activeTab} onTabChange={handleTabChange} />
+      {asOf && (
+        <div className="mt-4 flex items-center justify-between gap-4 border border-(--color-warning) bg-(--color-paper-alt) px-4 py-2 text-sm text-(--color-text-secondary)">
+          <span>
+            <strong className="text-(--color-ink)">As of {new Date(`${asOf}T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}</strong> —
+            time series end on this date and multiples use that day's revenue and market caps. Protocol TVL and coins outside
+            today's top 100 are not historical.
+          </span>
+          <button onClick={() => setAsOf(null)} className="shrink-0 text-xs font-mono px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) cursor-pointer">Back to live</button>
+        </div>
+      )}
+      <WatchlistBar onManage={activeTab === 'watchlist' && !protocolSlug ? null : () => handleTabChange('watchlist')} />
       <div className="mt-6">
-        <Suspense fallback={<DashboardSkeleton />}>
-          <ActiveComponent />
-        </Suspense>
+        <FreshnessScopeContext.Provider value={freshnessScope}>
+          <Suspense fallback={<DashboardSkeleton />}>
+            {protocolSlug
+              ? <ProtocolPage key={`${protocolSlug}@${dataKey}`} slug={protocolSlug} onBack={closeProtocol} />
+              : <ActiveComponent key={dataKey} />}
+          </Suspense>
+        </FreshnessScopeContext.Provider>
       </div>
     </Layout>
   )
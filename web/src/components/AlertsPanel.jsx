@@ -0,0 +1,205 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  fetchAlertRules, fetchAlertNotifications, createAlertRule, updateAlertRule, deleteAlertRule, testAlertRule,
+  getAlertsToken, setAlertsToken,
+} from '../services/alerts'
+import { localStorageKey } from '../utils/localCollection'
+
+const SEEN_KEY = localStorageKey('alerts-seen')
+const POLL_MS = 5 * 60 * 1000 // matches the dashboard-data cron
+const EMPTY_DRAFT = { name: '', metric: 'ps', entity: '', operator: 'below', threshold: '', change: '', windowDays: 1, cooldownMinutes: 360, webhookUrl: '' }
+
+const btn = 'text-xs font-mono text-(--color-ink-muted) hover:text-(--color-ink) cursor-pointer px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) transition-colors disabled:opacity-40'
+const input = 'px-2 py-1 text-xs border border-(--color-rule) bg-(--color-paper) text-(--color-ink) font-mono'
+
+const readSeen = () => { try { return Number(localStorage.getItem(SEEN_KEY)) || 0 } catch { return 0 } }
+
+function toPayload(draft) {
+  return {
+    ...draft,
+    // '' would become 0: send it as missing so the server rejects it
+    threshold: String(draft.threshold).trim() === '' ? null : Number(draft.threshold),
+    change: draft.change || null,
+    windowDays: Number(draft.windowDays),
+    cooldownMinutes: Number(draft.cooldownMinutes),
+    webhookUrl: draft.webhookUrl || null,
+  }
+}
+
+function TestResult({ result }) {
+  if (result.error) return <p className="text-xs text-(--color-danger)">{result.error}</p>
+  const triggered = result.results.filter(r => r.triggered)
+  return (
+    <div className="text-xs text-(--color-ink-muted) space-y-1">
+      <p>
+        Snapshot {result.snapshotDate}{result.baselineDate ? ` vs ${result.baselineDate}` : ''} · {result.evaluated} evaluated
+        {result.missing > 0 ? ` · ${result.missing} without data` : ''} · <strong className="text-(--color-ink)">{triggered.length} triggered</strong>
+      </p>
+      {result.results.slice(0, 10).map(r => (
+        <p key={r.entity ?? '-'} className={r.triggered ? 'text-(--color-ink)' : ''}>
+          {r.triggered ? '●' : '○'} {r.message}{r.triggered && !r.wouldFire ? ' (cooldown / already active)' : ''}
+        </p>
+      ))}
+    </div>
+  )
+}
+
+function RuleForm({ meta, onSaved }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+  const [result, setResult] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const set = (key) => (e) => setDraft(d => ({ ...d, [key]: e.target.value }))
+
+  const run = async (fn) => {
+    setBusy(true)
+    try { await fn() } catch (e) { setResult({ error: e.message }) } finally { setBusy(false) }
+  }
+
+  return (
+    <div className="space-y-2 border-t border-(--color-rule) pt-3">
+      <p className="text-[10px] font-semibold text-(--color-ink-muted) uppercase tracking-widest">New rule</p>
+      <div className="grid grid-cols-2 gap-2">
+        <select value={draft.metric} onChange={set('metric')} className={input}>
+          {(meta?.metrics || []).map(m => <option key={m} value={m}>{m}</option>)}
+        </select>
+        <input value={draft.entity} onChange={set('entity')} placeholder="entity (aave, BTC, usdt, *)" className={input} disabled={draft.metric === 'fearGreed'} />
+        <select value={draft.change} onChange={set('change')} className={input}>
+          <option value="">current value</option>
+          <option value="abs">change (abs)</option>
+          <option value="pct">change (%)</option>
+        </select>
+        <input type="number" min="1" max="30" value={draft.windowDays} onChange={set('windowDays')} className={input} disabled={!draft.change} title="Window (days)" />
+        <select value={draft.operator} onChange={set('operator')} className={input}>
+          {(meta?.operators || []).map(o => <option key={o} value={o}>{o}</option>)}
+        </select>
+        <input type="number" value={draft.threshold} onChange={set('threshold')} placeholder="threshold" className={input} />
+        <input type="number" min="0" value={draft.cooldownMinutes} onChange={set('cooldownMinutes')} className={input} title="Cooldown (minutes)" />
+        <input value={draft.name} onChange={set('name')} placeholder="name (optional)" className={input} />
+      </div>
+      <input value={draft.webhookUrl} onChange={set('webhookUrl')} placeholder="Slack or Discord webhook URL (optional — defaults to ALERT_WEBHOOK_URL)" className={`${input} w-full`} />
+      <div className="flex gap-2">
+        <button className={btn} disabled={busy} onClick={() => run(async () => setResult(await testAlertRule(toPayload(draft))))}>Test</button>
+        <button className={btn} disabled={busy} onClick={() => run(async () => {
+          await createAlertRule(toPayload(draft))
+          setDraft(EMPTY_DRAFT)
+          setResult(null)
+          onSaved()
+        })}>Save rule</button>
+      </div>
+      {result && <TestResult result={result} />}
+    </div>
+  )
+}
+
+function RulesView() {
+  const [meta, setMeta] = useState(null)
+  const [error, setError] = useState(null)
+  const [tests, setTests] = useState({})
+  const [token, setToken] = useState(getAlertsToken)
+
+  const load = useCallback(() => {
+    fetchAlertRules().then(setMeta).catch(e => setError(e.message))
+  }, [])
+  useEffect(load, [load])
+
+  const act = (fn) => fn().then(load).catch(e => setError(e.message))
+
+  return (
+    <div className="space-y-3">
+      {error && <p className="text-xs text-(--color-danger)">{error}</p>}
+      {meta?.warning && <p className="text-xs text-(--color-warning)">◐ {meta.warning}</p>}
+      {meta?.rules.length === 0 && <p className="text-xs text-(--color-ink-muted)">No rules yet.</p>}
+      {meta?.rules.map(rule => (
+        <div key={rule.id} className="border border-(--color-rule) p-2 space-y-1">
+          <div className="flex items-center justify-between gap-2">
+            <span className={`text-sm ${rule.enabled ? 'text-(--color-ink)' : 'text-(--color-ink-muted) line-through'}`}>{rule.name}</span>
+            <div className="flex gap-1 shrink-0">
+              <button className={btn} onClick={() => testAlertRule({ id: rule.id })
+                .then(r => setTests(t => ({ ...t, [rule.id]: r })))
+                .catch(e => setTests(t => ({ ...t, [rule.id]: { error: e.message } })))}>Test</button>
+              <button className={btn} onClick={() => act(() => updateAlertRule(rule.id, { enabled: !rule.enabled }))}>
+                {rule.enabled ? 'Pause' : 'Resume'}
+              </button>
+              <button className={btn} onClick={() => window.confirm(`Delete "${rule.name}"?`) && act(() => deleteAlertRule(rule.id))}>×</button>
+            </div>
+          </div>
+          {tests[rule.id] && <TestResult result={tests[rule.id]} />}
+        </div>
+      ))}
+      <RuleForm meta={meta} onSaved={load} />
+      <div className="flex items-center gap-2 border-t border-(--color-rule) pt-3">
+        <input type="password" value={token} onChange={e => setToken(e.target.value)} placeholder="Admin token (needed to create, pause or delete rules)" className={`${input} flex-1`} />
+        <button className={btn} onClick={() => { setAlertsToken(token); setError(null) }}>Save</button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Header bell: notifications fired by the server-side alert rules, plus rule
+ * management. Unread state is per browser (last-seen timestamp in localStorage).
+ */
+export default function AlertsPanel() {
+  const [open, setOpen] = useState(false)
+  const [view, setView] = useState('notifications')
+  const [notifications, setNotifications] = useState([])
+  const [error, setError] = useState(null)
+  const [seen, setSeen] = useState(readSeen)
+
+  useEffect(() => {
+    const load = () => fetchAlertNotifications()
+      .then(r => { setNotifications(r.notifications); setError(null) })
+      .catch(e => setError(e.message))
+    load()
+    const id = setInterval(load, POLL_MS)
+    return () => clearInterval(id)
+  }, [])
+
+  const unread = notifications.filter(n => Date.parse(n.firedAt) > seen).length
+
+  const toggle = () => {
+    if (open && notifications.length > 0) {
+      const latest = Date.parse(notifications[0].firedAt)
+      setSeen(latest)
+      try { localStorage.setItem(SEEN_KEY, String(latest)) } catch {}
+    }
+    setOpen(o => !o)
+  }
+
+  return (
+    <div className="relative">
+      <button onClick={toggle} title="Alerts" className={`${btn} relative`}>
+        🔔 Alerts
+        {unread > 0 && (
+          <span className="absolute -top-2 -right-2 min-w-4 h-4 px-1 rounded-full bg-(--color-danger) text-white text-[10px] leading-4 text-center">{unread}</span>
+        )}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-[28rem] max-h-[70vh] overflow-y-auto z-20 border border-(--color-ink) bg-(--color-paper) p-4 shadow-lg text-left normal-case tracking-normal">
+          <div className="flex gap-3 mb-3 border-b border-(--color-rule)">
+            {['notifications', 'rules'].map(v => (
+              <button key={v} onClick={() => setView(v)}
+                className={`pb-1.5 text-sm font-medium capitalize cursor-pointer border-b-2 ${view === v ? 'border-(--color-ink) text-(--color-ink)' : 'border-transparent text-(--color-ink-muted)'}`}>
+                {v}
+              </button>
+            ))}
+          </div>
+          {view === 'notifications' ? (
+            <div className="space-y-2">
+              {error && <p className="text-xs text-(--color-danger)">{error}</p>}
+              {!error && notifications.length === 0 && <p className="text-xs text-(--color-ink-muted)">No alerts have fired yet.</p>}
+              {notifications.map(n => (
+                <div key={n.id} className={`border-l-2 pl-2 ${Date.parse(n.firedAt) > seen ? 'border-(--color-danger)' : 'border-(--color-rule)'}`}>
+                  <p className="text-sm text-(--color-ink)">{n.message}</p>
+                  <p className="text-[11px] font-mono text-(--color-ink-muted)">
+                    {n.ruleName} · {new Date(n.firedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                  </p>
+                </div>
+              ))}
+            </div>
+          ) : <RulesView />}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,35 @@
+import { useAsOf } from '../hooks/useAsOf'
+import { EARLIEST_AS_OF } from '../utils/asOf'
+
+const btn = 'text-xs font-mono text-(--color-ink-muted) hover:text-(--color-ink) cursor-pointer px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) transition-colors'
+
+// Market turning points worth revisiting
+const PRESETS = [
+  { date: '2021-11-10', label: '2021 peak' },
+  { date: '2022-11-21', label: '2022 trough' },
+]
+
+const yesterday = () => new Date(Date.now() - 86400000).toISOString().slice(0, 10)
+
+export default function AsOfPicker() {
+  const [asOf, setAsOf] = useAsOf()
+
+  return (
+    <div className="flex items-center gap-1.5">
+      <label className="text-[11px] font-mono text-(--color-ink-muted) uppercase tracking-wider" htmlFor="as-of-date">As of</label>
+      <input
+        id="as-of-date"
+        type="date"
+        min={EARLIEST_AS_OF}
+        max={yesterday()}
+        value={asOf || ''}
+        onChange={e => setAsOf(e.target.value || null)}
+        className={`text-xs font-mono px-1.5 py-0.5 border bg-(--color-paper) ${asOf ? 'border-(--color-warning) text-(--color-ink)' : 'border-(--color-rule) text-(--color-ink-muted)'}`}
+        title="Render every tab from data up to this date"
+      />
+      {asOf
+        ? <button className={btn} onClick={() => setAsOf(null)}>Live</button>
+        : PRESETS.map(p => <button key={p.date} className={btn} onClick={() => setAsOf(p.date)} title={p.date}>{p.label}</button>)}
+    </div>
+  )
+}
@@ -1,9 +1,29 @@
 import { useRef, useCallback } from 'react'
-import Plotly from 'plotly.js-basic-dist-min'
+import { Plotly } from './Plot'
 import { downloadCSV } from '../utils/csv'
+import { useFreshness } from '../hooks/useFreshness'
+import { PROVIDER_LABELS, formatAge } from '../services/freshness'
 
-export default function ChartCard({ title, subtitle, children, className = '', csvData }) {
+// Shown while any provider feeding the chart is served from last-known-good data
+function FreshnessBadge({ degraded }) {
+  const names = degraded.providers.map(p => PROVIDER_LABELS[p] || p).join(', ')
+  return (
+    <span
+      className="inline-block mt-1 text-xs font-mono text-(--color-warning) border border-(--color-warning) px-2 py-0.5"
+      title={`${names} failed — showing the last good data, fetched ${new Date(degraded.ts).toLocaleString()}`}
+    >
+      data {formatAge(Date.now() - degraded.ts)} old – {names} degraded
+    </span>
+  )
+}
+
+/**
+ * @param {string[]} [sources] provider ids feeding this chart — narrows the freshness badge from
+ *   everything the view fetched (see useFreshness) to those providers
+ */
+export default function ChartCard({ title, subtitle, children, className = '', csvData, sources }) {
   const chartRef = useRef(null)
+  const degraded = useFreshness(sources)
 
   const handleJpegExport = useCallback(() => {
     // Find the Plotly graph div inside the chart card
@@ -30,6 +50,7 @@ export default function ChartCard({ title, subtitle, children, className = '', c
             {subtitle && (
               <p className="text-sm text-(--color-ink-muted) mt-0.5">{subtitle}</p>
             )}
+            {degraded && <FreshnessBadge degraded={degraded} />}
           </div>
           <div className="flex items-center gap-1 shrink-0">
             <button
@@ -61,6 +82,7 @@ export default function ChartCard({ title, subtitle, children, className = '', c
           </div>
         </div>
       )}
+      {!(title || subtitle) && degraded && <div className="mb-2"><FreshnessBadge degraded={degraded} /></div>}
       <div ref={chartRef} className="w-full">{children}</div>
     </div>
   )
@@ -0,0 +1,165 @@
+import { useState, useEffect } from 'react'
+import { useDashboard } from '../context/DataProvider'
+import { fetchHealth } from '../services/health'
+import { PROVIDER_LABELS, formatAge } from '../services/freshness'
+import { getRegistryReport } from '../utils/registry'
+
+const POLL_MS = 5 * 60 * 1000 // matches the dashboard-data cron
+
+const btn = 'text-xs font-mono text-(--color-ink-muted) hover:text-(--color-ink) cursor-pointer px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) transition-colors'
+const th = 'text-left font-medium text-[10px] text-(--color-ink-muted) uppercase tracking-widest pb-1'
+const STATE_COLORS = {
+  ok: 'text-(--color-positive)',
+  degraded: 'text-(--color-warning)',
+  down: 'text-(--color-danger)',
+}
+
+const label = (provider) => PROVIDER_LABELS[provider] || provider
+const ago = (iso) => iso ? `${formatAge(Date.now() - Date.parse(iso))} ago` : 'never'
+const pct = (v) => v === null ? '—' : `${(v * 100).toFixed(v === 1 ? 0 : 1)}%`
+
+function SourcesView({ health }) {
+  if (health.providers.length === 0) {
+    return <p className="text-xs text-(--color-ink-muted)">No upstream calls recorded yet.</p>
+  }
+  return (
+    <table className="w-full text-xs font-mono">
+      <thead>
+        <tr>
+          <th className={th}>Source</th>
+          <th className={`${th} text-right`}>Uptime {health.windowHours}h</th>
+          <th className={`${th} text-right`}>Last success</th>
+          <th className={`${th} text-right`}>p95</th>
+          <th className={`${th} text-right`}>429s</th>
+        </tr>
+      </thead>
+      <tbody>
+        {health.providers.map(p => (
+          <tr key={p.provider} className="border-t border-(--color-rule)" title={p.lastError || undefined}>
+            <td className="py-1 text-(--color-ink)"><span className={STATE_COLORS[p.state]}>●</span> {label(p.provider)}</td>
+            <td className="py-1 text-right">{pct(p.uptime)}</td>
+            <td className="py-1 text-right">{ago(p.lastSuccess)}</td>
+            <td className="py-1 text-right">{p.latency.p95Ms === null ? '—' : `≤${p.latency.p95Ms / 1000}s`}</td>
+            <td className="py-1 text-right" title={`${Math.round(p.retryAfterMs / 1000)}s waited on retry-after`}>{p.rateLimited}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+// The latest /api/dashboard-data payload: datasets it could not fetch, or served from last-known-good data
+function LastRun({ dashboard }) {
+  const stale = Object.entries(dashboard.stale)
+  if (!dashboard.timestamp) return null
+  return (
+    <div className="space-y-1 border-b border-(--color-rule) pb-3">
+      <p className="text-[10px] font-semibold text-(--color-ink-muted) uppercase tracking-widest">
+        Dashboard snapshot · {ago(dashboard.timestamp)}
+      </p>
+      {dashboard.errors.length === 0 && stale.length === 0 && (
+        <p className="text-xs text-(--color-ink-muted)">Every dataset fetched.</p>
+      )}
+      {dashboard.errors.map(e => (
+        <p key={e.source} className="text-xs text-(--color-danger) break-all">✕ {e.source}: {e.error || 'failed'}</p>
+      ))}
+      {stale.map(([key, s]) => (
+        <p key={key} className="text-xs text-(--color-warning)">◐ {key}: {formatAge(s.age * 1000)} old – {label(s.provider)} degraded</p>
+      ))}
+    </div>
+  )
+}
+
+// What the identity registry (utils/registry.js) could not join in the data the tabs loaded
+function RegistryJoins() {
+  const report = getRegistryReport()
+  if (!report) return null
+  const rows = [
+    ['Tokens without a market', report.tokenWithoutMarket.map(e => `${e.symbol} (${e.llamaSlugs.join(', ')})`)],
+    ['Joined by name or ticker', report.fallbackJoins.map(j => `${j.id} → ${j.geckoId} by ${j.via}`)],
+    ['Ambiguous tickers', report.ambiguousSymbols],
+    ['Unresolved lookups', report.unresolved.map(u => `${u.kind}: ${u.value}`)],
+  ]
+  return (
+    <div className="space-y-1 border-b border-(--color-rule) pb-3">
+      <p className="text-[10px] font-semibold text-(--color-ink-muted) uppercase tracking-widest">
+        Identity registry · {report.withMarket}/{report.entities} with a market
+      </p>
+      {rows.map(([name, items]) => (
+        <p key={name} className={`text-xs ${items.length > 0 ? 'text-(--color-warning)' : 'text-(--color-ink-muted)'}`} title={items.join('\n') || undefined}>
+          {items.length > 0 ? '◐' : '●'} {name}: {items.length}
+        </p>
+      ))}
+    </div>
+  )
+}
+
+function DatasetsView({ health, dashboard }) {
+  return (
+    <div className="space-y-3">
+      <LastRun dashboard={dashboard} />
+      <RegistryJoins />
+      {health?.actions.map(a => (
+        <div key={`${a.provider}|${a.action}`} className="text-xs">
+          <p className="font-mono text-(--color-ink)">
+            <span className={a.failing ? STATE_COLORS.down : STATE_COLORS.ok}>●</span> {label(a.provider)} · {a.action}
+            <span className="text-(--color-ink-muted)"> — last success {ago(a.lastSuccess)}</span>
+          </p>
+          {a.failing && <p className="pl-3 text-(--color-danger) break-all">{ago(a.lastFailure)}: {a.lastError}</p>}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Header status light: upstream health from /api/health (uptime, last success,
+ * rate limiting per source and per dataset) plus the errors and stale datasets
+ * of the dashboard payload the page was loaded from, and the registry's joins.
+ */
+export default function DataStatusPanel() {
+  const dashboard = useDashboard()
+  const [open, setOpen] = useState(false)
+  const [view, setView] = useState('sources')
+  const [health, setHealth] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const load = () => fetchHealth()
+      .then(h => { setHealth(h); setError(null) })
+      .catch(e => setError(e.message))
+    load()
+    const id = setInterval(load, POLL_MS)
+    return () => clearInterval(id)
+  }, [])
+
+  // Without telemetry, the dashboard payload's own errors still count — and the
+  // missing telemetry itself is a gap, not a green light
+  const status = health?.status || (error || dashboard.errors.length > 0 ? 'degraded' : null)
+
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen(o => !o)} title="Data status" className={btn}>
+        <span className={STATE_COLORS[status] || ''}>●</span> Data status
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-[28rem] max-h-[70vh] overflow-y-auto z-20 border border-(--color-ink) bg-(--color-paper) p-4 shadow-lg text-left normal-case tracking-normal">
+          <div className="flex gap-3 mb-3 border-b border-(--color-rule)">
+            {['sources', 'datasets'].map(v => (
+              <button key={v} onClick={() => setView(v)}
+                className={`pb-1.5 text-sm font-medium capitalize cursor-pointer border-b-2 ${view === v ? 'border-(--color-ink) text-(--color-ink)' : 'border-transparent text-(--color-ink-muted)'}`}>
+                {v}
+              </button>
+            ))}
+          </div>
+          {error && <p className="text-xs text-(--color-danger) mb-2">Health unavailable: {error}</p>}
+          {!error && !health && <p className="text-xs text-(--color-ink-muted)">Loading…</p>}
+          {health?.snapshots?.warning && <p className="text-xs text-(--color-warning) mb-2">◐ {health.snapshots.warning}</p>}
+          {view === 'sources'
+            ? health && <SourcesView health={health} />
+            : <DatasetsView health={health} dashboard={dashboard} />}
+        </div>
+      )}
+    </div>
+  )
+}
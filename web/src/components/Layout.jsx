@@ -1,4 +1,8 @@
-export default function Layout({ children }) {
+import AlertsPanel from './AlertsPanel'
+import DataStatusPanel from './DataStatusPanel'
+import AsOfPicker from './AsOfPicker'
+
+export default function Layout({ children, snapshotTime }) {
   return (
     <div className="min-h-screen bg-(--color-paper)">
       <header className="border-b-2 border-(--color-ink) px-6 py-5">
@@ -11,8 +15,18 @@ export default function Layout({ children }) {
               Crypto Revenue Analytics — On-chain Fundamentals vs TradFi
             </p>
           </div>
-          <div className="text-[11px] font-mono text-(--color-ink-muted) uppercase tracking-wider">
-Data: DeFiLlama · CoinGecko · Coinglass · Santiment
+          <div className="flex items-center gap-4">
+            <div className="text-[11px] font-mono text-(--color-ink-muted) uppercase tracking-wider text-right">
+              <div>Data: DeFiLlama · CoinGecko · Coinglass · Santiment</div>
+              {snapshotTime && (
+                <div className="mt-0.5">
+                  Snapshot {new Date(snapshotTime).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                </div>
+              )}
+            </div>
+            <AsOfPicker />
+            <DataStatusPanel />
+            <AlertsPanel />
           </div>
         </div>
       </header>
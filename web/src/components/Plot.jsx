@@ -1,6 +1,14 @@
-import Plotly from 'plotly.js-basic-dist-min'
+import Plotly from 'plotly.js/lib/core'
+import bar from 'plotly.js/lib/bar'
+import pie from 'plotly.js/lib/pie'
 import createPlotlyComponent from 'react-plotly.js/factory'
 
+// One custom build for the whole app (core ships the scatter trace). Extra traces
+// register into this same instance — see SankeyPlot — so no second core is bundled
+Plotly.register([bar, pie])
+
+export { Plotly }
+
 const Plot = createPlotlyComponent(Plotly)
 
 const FONT_SANS = '-apple-system, BlinkMacSystemFont, Segoe UI, Roboto, sans-serif'
@@ -0,0 +1,408 @@
+import { useState, useEffect, useMemo } from 'react'
+import Plot, { defaultLayout, defaultConfig, colors } from './Plot'
+import ChartCard from './ChartCard'
+import KPICard from './KPICard'
+import LoadingSpinner from './LoadingSpinner'
+import { fetchProtocolProfileData } from '../services/api'
+import { useWatchlist, useWatchlistView } from '../context/WatchlistProvider'
+import { formatCurrency, formatMultiple, formatNumber, categorizeSector, TVL_EXTRA_KEYS } from '../utils/helpers'
+import { computeRevenueScores, computeMoatScores } from '../utils/scores'
+import { REVENUE_DIMENSIONS, MOAT_DIMENSIONS } from '../utils/methodology'
+import { useMethodology } from '../context/MethodologyProvider'
+import { emissionDocument } from '../utils/earnings'
+import { nowSeconds } from '../utils/asOf'
+
+// One bar per weighted dimension of the active methodology, max = its weight
+const scoreBars = (catalogue, dimensions, values) => catalogue
+  .filter(d => dimensions[d.key]?.weight > 0)
+  .map(d => ({ label: d.label, value: values[d.key] ?? null, max: dimensions[d.key].weight }))
+
+const toDate = (tsSec) => new Date(tsSec * 1000).toISOString().split('T')[0]
+
+/** Trailing-30d sum annualized, per day: [[date, value]] → Map(date → annualized). */
+function annualizedTrailing30(series) {
+  const out = new Map()
+  let sum = 0
+  series.forEach(([date, v], i) => {
+    sum += v
+    if (i >= 30) sum -= series[i - 30][1]
+    if (i >= 29) out.set(date, sum * (365 / 30))
+  })
+  return out
+}
+
+function parseEmission(raw) {
+  const doc = emissionDocument(raw)
+  if (!doc) return null
+  const sections = doc?.documentedData?.data || doc?.data || []
+  const categories = sections
+    .filter(s => Array.isArray(s.data) && s.data.length > 0)
+    .map(s => ({
+      label: s.label || 'Unlock',
+      points: s.data.map(d => [toDate(d.timestamp), d.unlocked || 0]),
+    }))
+  const now = nowSeconds()
+  const events = (doc?.metadata?.events || [])
+    .filter(e => e.timestamp > now)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(0, 8)
+  return categories.length > 0 || events.length > 0 ? { categories, events, token: doc?.metadata?.token } : null
+}
+
+export default function ProtocolPage({ slug, onBack }) {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const { active: watchlist, toggle: toggleWatch } = useWatchlist()
+  const { isWatched } = useWatchlistView()
+  const { active: methodology } = useMethodology()
+
+  useEffect(() => {
+    setLoading(true)
+    setError(null)
+    fetchProtocolProfileData(slug)
+      .then(setData)
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false))
+  }, [slug])
+
+  const processed = useMemo(() => {
+    if (!data) return null
+    const { detail, fees, holders, coinChart, emission, treasury, users, devActivity, scoring } = data
+
+    // ── Revenue history ──
+    const feeSeries = (fees?.totalDataChart || []).map(([ts, v]) => [toDate(ts), v || 0])
+    const holderSeries = (holders?.totalDataChart || []).map(([ts, v]) => [toDate(ts), v || 0])
+
+    // ── P/S and P/E over time (mcap / trailing-30d annualized fees or holder revenue) ──
+    const mcapByDate = new Map()
+    ;(coinChart?.market_caps || []).forEach(([ms, v]) => {
+      if (v > 0) mcapByDate.set(new Date(ms).toISOString().split('T')[0], v)
+    })
+    const annFees = annualizedTrailing30(feeSeries)
+    const annEarnings = annualizedTrailing30(holderSeries)
+    const multiples = [...annFees.keys()]
+      .filter(d => mcapByDate.has(d))
+      .map(d => {
+        const mcap = mcapByDate.get(d)
+        const f = annFees.get(d)
+        const e = annEarnings.get(d)
+        return { date: d, ps: f > 0 ? mcap / f : null, pe: e > 0 ? mcap / e : null }
+      })
+
+    // ── Scores (same methodology as the Revenue Score / Moats tabs) ──
+    const lower = slug.toLowerCase()
+    const matches = p => (p.slug || '').toLowerCase() === lower
+    const revenueScore = computeRevenueScores(scoring, { methodology }).find(matches)
+      || computeRevenueScores(scoring, { limit: Infinity, methodology }).find(matches)
+      || null
+    const moat = computeMoatScores({ allProtocols: scoring.protocols, fees: scoring.fees, markets: scoring.markets }, { methodology })
+      .scored.find(matches) || null
+
+    // ── Chain split: current TVL + trailing-30d fees per chain ──
+    const chainTvl = {}
+    Object.entries(detail?.currentChainTvls || {}).forEach(([key, v]) => {
+      if (key.includes('-') || TVL_EXTRA_KEYS.has(key.toLowerCase())) return
+      chainTvl[key] = v
+    })
+    const chainFees = {}
+    ;(fees?.totalDataChartBreakdown || []).slice(-30).forEach(([_, byChain]) => {
+      Object.entries(byChain || {}).forEach(([chain, perProtocol]) => {
+        const total = typeof perProtocol === 'number'
+          ? perProtocol
+          : Object.values(perProtocol || {}).reduce((s, v) => s + (v || 0), 0)
+        chainFees[chain.toLowerCase()] = (chainFees[chain.toLowerCase()] || 0) + total
+      })
+    })
+    const chainNames = new Map()
+    Object.keys(chainTvl).forEach(c => chainNames.set(c.toLowerCase(), c))
+    Object.keys(chainFees).forEach(c => { if (!chainNames.has(c)) chainNames.set(c, c) })
+    const chainSplit = [...chainNames.entries()]
+      .map(([key, name]) => ({ chain: name, tvl: chainTvl[name] || 0, fees30d: chainFees[key] || 0 }))
+      .filter(c => c.tvl > 0 || c.fees30d > 0)
+      .sort((a, b) => (b.tvl + b.fees30d * 12) - (a.tvl + a.fees30d * 12))
+      .slice(0, 15)
+
+    // ── Treasury ──
+    let treasuryTotal = 0
+    let treasuryOwn = 0
+    const treasuryByChain = []
+    Object.entries(treasury?.currentChainTvls || {}).forEach(([key, v]) => {
+      if (key.includes('-')) return
+      if (key === 'OwnTokens') { treasuryOwn = v; return }
+      if (TVL_EXTRA_KEYS.has(key.toLowerCase())) return
+      treasuryTotal += v
+      treasuryByChain.push({ chain: key, value: v })
+    })
+    treasuryByChain.sort((a, b) => b.value - a.value)
+
+    // ── Activity ──
+    const userSeries = Array.isArray(users) ? users.filter(r => Array.isArray(r)) : []
+    const devSeries = Array.isArray(devActivity) ? devActivity : []
+
+    const latestMultiple = multiples[multiples.length - 1] || {}
+    const fees30d = feeSeries.slice(-30).reduce((s, [, v]) => s + v, 0)
+
+    return {
+      name: detail?.name || revenueScore?.name || moat?.name || slug,
+      symbol: detail?.symbol && detail.symbol !== '-' ? detail.symbol : '',
+      category: detail?.category || '',
+      sector: categorizeSector(detail?.category || 'Other'),
+      tvl: detail?.currentChainTvls ? Object.values(chainTvl).reduce((s, v) => s + v, 0) : (moat?.tvl || 0),
+      mcap: mcapByDate.size > 0 ? [...mcapByDate.values()].pop() : (revenueScore?.mcap || moat?.mcap || 0),
+      fees30d,
+      feeSeries,
+      holderSeries,
+      multiples,
+      ps: latestMultiple.ps ?? revenueScore?.psRatio ?? null,
+      pe: latestMultiple.pe ?? null,
+      revenueScore,
+      moat,
+      chainSplit,
+      unlocks: parseEmission(emission),
+      treasuryTotal,
+      treasuryOwn,
+      treasuryByChain: treasuryByChain.slice(0, 10),
+      userSeries,
+      devSeries,
+    }
+  }, [data, slug, methodology])
+
+  const backButton = (
+    <button onClick={onBack}
+      className="text-xs font-mono text-(--color-ink-muted) hover:text-(--color-ink) cursor-pointer px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) transition-colors">
+      ← Back
+    </button>
+  )
+
+  if (loading) return <LoadingSpinner message={`Loading ${slug} profile...`} />
+  if (error) {
+    return (
+      <div className="space-y-4">
+        {backButton}
+        <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
+      </div>
+    )
+  }
+  if (!processed) return <div className="text-center py-20">No data available</div>
+
+  const {
+    name, symbol, category, sector, tvl, mcap, fees30d, feeSeries, holderSeries, multiples, ps, pe,
+    revenueScore, moat, chainSplit, unlocks, treasuryTotal, treasuryOwn, treasuryByChain, userSeries, devSeries,
+  } = processed
+
+  const revenueScoreBars = revenueScore ? scoreBars(REVENUE_DIMENSIONS, methodology.revenue, revenueScore.scores) : []
+  const moatBars = moat ? scoreBars(MOAT_DIMENSIONS, methodology.moat, moat.moatBreakdown) : []
+
+  const scoreBarChart = (bars) => (
+    <Plot
+      data={[
+        {
+          y: bars.map(b => b.label), x: bars.map(b => b.max), type: 'bar', orientation: 'h',
+          name: 'Max', marker: { color: '#E5E3E0' }, hoverinfo: 'skip',
+        },
+        {
+          y: bars.map(b => b.label), x: bars.map(b => b.value ?? 0), type: 'bar', orientation: 'h',
+          name: 'Score', marker: { color: bars.map(b => b.value === null ? '#E5E3E0' : colors.primary) },
+          text: bars.map(b => b.value === null ? 'n/a' : `${b.value.toFixed(1)} / ${b.max}`), textposition: 'auto',
+          hovertemplate: '%{y}: %{text}<extra></extra>',
+        },
+      ]}
+      layout={{
+        ...defaultLayout, height: 260, barmode: 'overlay', showlegend: false,
+        margin: { ...defaultLayout.margin, l: 140 },
+        xaxis: { ...defaultLayout.xaxis, title: 'Points' },
+        yaxis: { ...defaultLayout.yaxis, autorange: 'reversed' },
+      }}
+      config={defaultConfig} className="w-full"
+    />
+  )
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-baseline justify-between gap-4 border-b border-(--color-rule) pb-4">
+        <div className="flex items-baseline gap-3">
+          {backButton}
+          <h2 className="font-serif text-2xl font-bold text-(--color-ink)">{name}</h2>
+          {symbol && <span className="text-sm font-mono text-(--color-ink-muted)">{symbol}</span>}
+          <button onClick={() => toggleWatch(slug)} title={`Add to / remove from ${watchlist.name}`}
+            className="text-xs font-mono text-(--color-ink-muted) hover:text-(--color-ink) cursor-pointer px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) transition-colors">
+            {isWatched(slug) ? '★ Watching' : '☆ Watch'}
+          </button>
+        </div>
+        <div className="text-xs text-(--color-text-secondary)">{[category, sector].filter(Boolean).join(' · ')}</div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-4">
+        <KPICard title="TVL" value={formatCurrency(tvl)} subtitle="All chains" />
+        <KPICard title="Market Cap" value={mcap > 0 ? formatCurrency(mcap) : '—'} subtitle="CoinGecko" />
+        <KPICard title="Fees 30d" value={formatCurrency(fees30d)} subtitle={`${formatCurrency(fees30d * (365 / 30))}/yr`} />
+        <KPICard title="P/S" value={ps ? formatMultiple(ps) : '—'} subtitle="MCap / fees" />
+        <KPICard title="P/E" value={pe ? formatMultiple(pe) : '—'} subtitle="MCap / holder rev" />
+        <KPICard title="Revenue Score" value={revenueScore ? revenueScore.composite.toFixed(0) : '—'} subtitle="of 100" />
+        <KPICard title="Moat Score" value={moat ? moat.moatScore : '—'} subtitle={moat?.moatRating || 'No revenue'} />
+        <KPICard title="Treasury" value={treasuryTotal > 0 ? formatCurrency(treasuryTotal) : '—'} subtitle={treasuryOwn > 0 ? `+${formatCurrency(treasuryOwn)} own token` : 'Ex own token'} />
+      </div>
+
+      {/* Revenue history */}
+      {feeSeries.length > 0 && (
+        <ChartCard title="Revenue History" subtitle="Daily fees vs revenue distributed to token holders (DeFiLlama)"
+          csvData={{ filename: `${slug}-revenue-history`, headers: ['Date', 'Fees', 'HoldersRevenue'], rows: feeSeries.map(([d, v]) => [d, v, holderSeries.find(h => h[0] === d)?.[1] ?? '']) }}>
+          <Plot
+            data={[
+              { x: feeSeries.map(r => r[0]), y: feeSeries.map(r => r[1]), type: 'bar', name: 'Fees', marker: { color: colors.primary, opacity: 0.6 }, hovertemplate: '%{x}<br>Fees: $%{y:,.0f}<extra></extra>' },
+              ...(holderSeries.length > 0 ? [{ x: holderSeries.map(r => r[0]), y: holderSeries.map(r => r[1]), type: 'scatter', mode: 'lines', name: 'Holders Revenue', line: { color: colors.success, width: 1.5 }, hovertemplate: '%{x}<br>Holders: $%{y:,.0f}<extra></extra>' }] : []),
+            ]}
+            layout={{
+              ...defaultLayout, height: 380, bargap: 0,
+              yaxis: { ...defaultLayout.yaxis, title: 'USD / day' },
+              legend: { ...defaultLayout.legend, orientation: 'h', y: -0.15 },
+            }}
+            config={defaultConfig} className="w-full"
+          />
+        </ChartCard>
+      )}
+
+      {/* Multiples over time */}
+      {multiples.length > 0 && (
+        <ChartCard title="P/S and P/E Over Time" subtitle="Market cap ÷ trailing-30d annualized fees (P/S) and holder revenue (P/E) · Log scale"
+          csvData={{ filename: `${slug}-multiples`, headers: ['Date', 'PS', 'PE'], rows: multiples.map(m => [m.date, m.ps, m.pe]) }}>
+          <Plot
+            data={[
+              { x: multiples.map(m => m.date), y: multiples.map(m => m.ps), type: 'scatter', mode: 'lines', name: 'P/S', line: { color: colors.primary, width: 2 }, hovertemplate: '%{x}<br>P/S: %{y:.1f}x<extra></extra>' },
+              { x: multiples.map(m => m.date), y: multiples.map(m => m.pe), type: 'scatter', mode: 'lines', name: 'P/E', line: { color: colors.secondary, width: 2 }, connectgaps: false, hovertemplate: '%{x}<br>P/E: %{y:.1f}x<extra></extra>' },
+            ]}
+            layout={{
+              ...defaultLayout, height: 380,
+              yaxis: { ...defaultLayout.yaxis, title: 'Multiple (x)', type: 'log' },
+              legend: { ...defaultLayout.legend, orientation: 'h', y: -0.15 },
+            }}
+            config={defaultConfig} className="w-full"
+          />
+        </ChartCard>
+      )}
+
+      {/* Score breakdowns */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ChartCard title="Revenue Score Breakdown"
+          subtitle={revenueScore ? `Composite ${revenueScore.composite.toFixed(0)}/100 · n/a dimensions are excluded from the composite` : 'Not scored — needs fee data on at least two dimensions'}>
+          {revenueScore ? scoreBarChart(revenueScoreBars) : <div className="text-sm text-(--color-ink-muted) py-8 text-center">No Revenue Score</div>}
+        </ChartCard>
+        <ChartCard title="Moat Score Breakdown"
+          subtitle={moat ? `${moat.moatScore}/100 · ${moat.moatRating} · ${moat.chains} chains` : 'Not scored — requires TVL > $1M and fee revenue'}>
+          {moat ? scoreBarChart(moatBars) : <div className="text-sm text-(--color-ink-muted) py-8 text-center">No Moat Score</div>}
+        </ChartCard>
+      </div>
+
+      {/* Chain split */}
+      {chainSplit.length > 0 && (
+        <ChartCard title="Chain Split" subtitle="Current TVL and trailing-30d fees by chain (top 15)"
+          csvData={{ filename: `${slug}-chain-split`, headers: ['Chain', 'TVL', 'Fees30d'], rows: chainSplit.map(c => [c.chain, c.tvl, c.fees30d]) }}>
+          <Plot
+            data={[
+              { x: chainSplit.map(c => c.chain), y: chainSplit.map(c => c.tvl), type: 'bar', name: 'TVL', marker: { color: colors.primary }, hovertemplate: '%{x}<br>TVL: $%{y:,.0f}<extra></extra>' },
+              { x: chainSplit.map(c => c.chain), y: chainSplit.map(c => c.fees30d), type: 'bar', name: 'Fees 30d', yaxis: 'y2', marker: { color: colors.warning }, hovertemplate: '%{x}<br>Fees 30d: $%{y:,.0f}<extra></extra>' },
+            ]}
+            layout={{
+              ...defaultLayout, height: 380, barmode: 'group',
+              yaxis: { ...defaultLayout.yaxis, title: 'TVL (USD)' },
+              yaxis2: { ...defaultLayout.yaxis, title: 'Fees 30d (USD)', overlaying: 'y', side: 'right', showgrid: false },
+              legend: { ...defaultLayout.legend, orientation: 'h', y: -0.2 },
+            }}
+            config={defaultConfig} className="w-full"
+          />
+        </ChartCard>
+      )}
+
+      {/* Unlock schedule */}
+      {unlocks && (
+        <ChartCard title="Unlock Schedule" subtitle={`Cumulative unlocked ${unlocks.token ? `${unlocks.token} ` : ''}tokens by allocation (DeFiLlama emissions)`}
+          csvData={{ filename: `${slug}-unlocks`, headers: ['Allocation', 'Date', 'Unlocked'], rows: unlocks.categories.flatMap(c => c.points.map(([d, v]) => [c.label, d, v])) }}>
+          {unlocks.categories.length > 0 && (
+            <Plot
+              data={unlocks.categories.map((c, i) => ({
+                x: c.points.map(p => p[0]), y: c.points.map(p => p[1]),
+                type: 'scatter', mode: 'lines', stackgroup: 'unlocks', name: c.label,
+                line: { width: 0.5, color: colors.palette[i % colors.palette.length] },
+                hovertemplate: `${c.label}<br>%{x}<br>%{y:,.0f}<extra></extra>`,
+              }))}
+              layout={{
+                ...defaultLayout, height: 380,
+                yaxis: { ...defaultLayout.yaxis, title: 'Tokens unlocked' },
+                legend: { ...defaultLayout.legend, orientation: 'h', y: -0.15 },
+                shapes: [{ type: 'line', x0: toDate(nowSeconds()), x1: toDate(nowSeconds()), y0: 0, y1: 1, yref: 'paper', line: { color: colors.danger, dash: 'dot', width: 1 } }],
+              }}
+              config={defaultConfig} className="w-full"
+            />
+          )}
+          {unlocks.events.length > 0 && (
+            <table className="w-full text-sm mt-4">
+              <thead>
+                <tr className="border-b-2 border-(--color-ink)">
+                  <th className="text-left py-2 px-3 text-[11px] font-semibold text-(--color-ink-muted) uppercase tracking-widest">Date</th>
+                  <th className="text-left py-2 px-3 text-[11px] font-semibold text-(--color-ink-muted) uppercase tracking-widest">Upcoming Event</th>
+                  <th className="text-right py-2 px-3 text-[11px] font-semibold text-(--color-ink-muted) uppercase tracking-widest">Tokens</th>
+                </tr>
+              </thead>
+              <tbody>
+                {unlocks.events.map((e, i) => (
+                  <tr key={i} className="border-b border-(--color-border)">
+                    <td className="py-2 px-3 font-mono text-xs">{toDate(e.timestamp)}</td>
+                    <td className="py-2 px-3">{e.description || e.category || 'Unlock'}</td>
+                    <td className="py-2 px-3 text-right font-mono">
+                      {formatNumber((Array.isArray(e.noOfTokens) ? e.noOfTokens : [e.noOfTokens]).reduce((s, v) => s + (Number(v) || 0), 0))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </ChartCard>
+      )}
+
+      {/* Treasury */}
+      {treasuryByChain.length > 0 && (
+        <ChartCard title="Treasury" subtitle={`${formatCurrency(treasuryTotal)} excluding own token${treasuryOwn > 0 ? ` · ${formatCurrency(treasuryOwn)} in own token` : ''}`}
+          csvData={{ filename: `${slug}-treasury`, headers: ['Chain', 'USD'], rows: treasuryByChain.map(t => [t.chain, t.value]) }}>
+          <Plot
+            data={[{
+              y: treasuryByChain.map(t => t.chain), x: treasuryByChain.map(t => t.value), type: 'bar', orientation: 'h',
+              marker: { color: colors.secondary }, hovertemplate: '%{y}: $%{x:,.0f}<extra></extra>',
+            }]}
+            layout={{
+              ...defaultLayout, height: Math.max(220, treasuryByChain.length * 30),
+              margin: { ...defaultLayout.margin, l: 110 },
+              yaxis: { ...defaultLayout.yaxis, autorange: 'reversed' },
+              xaxis: { ...defaultLayout.xaxis, title: 'USD' },
+            }}
+            config={defaultConfig} className="w-full"
+          />
+        </ChartCard>
+      )}
+
+      {/* Activity: users + dev activity */}
+      {(userSeries.length > 0 || devSeries.length > 0) && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {userSeries.length > 0 && (
+            <ChartCard title="Daily Users" subtitle="Unique addresses interacting with the protocol (DeFiLlama)">
+              <Plot
+                data={[{ x: userSeries.map(r => toDate(r[0])), y: userSeries.map(r => r[1]), type: 'scatter', mode: 'lines', line: { color: colors.cyan, width: 1.5 }, hovertemplate: '%{x}<br>%{y:,.0f} users<extra></extra>' }]}
+                layout={{ ...defaultLayout, height: 300, yaxis: { ...defaultLayout.yaxis, title: 'Users' } }}
+                config={defaultConfig} className="w-full"
+              />
+            </ChartCard>
+          )}
+          {devSeries.length > 0 && (
+            <ChartCard title="Developer Activity" subtitle="GitHub events per day (Santiment)">
+              <Plot
+                data={[{ x: devSeries.map(d => d.datetime?.split('T')[0]), y: devSeries.map(d => d.value), type: 'scatter', mode: 'lines', line: { color: colors.rose, width: 1.5 }, hovertemplate: '%{x}<br>%{y:.0f} events<extra></extra>' }]}
+                layout={{ ...defaultLayout, height: 300, yaxis: { ...defaultLayout.yaxis, title: 'Dev activity' } }}
+                config={defaultConfig} className="w-full"
+              />
+            </ChartCard>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
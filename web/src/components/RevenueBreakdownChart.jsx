@@ -1,6 +1,7 @@
-import { useState, useMemo } from 'react'
+import { useMemo } from 'react'
 import Plot, { defaultLayout, defaultConfig, colors } from './Plot'
 import { formatCurrency } from '../utils/helpers'
+import { useUrlState } from '../hooks/useUrlState'
 
 const PERIODS = [
   { key: '24h', label: '24H', field: 'total24h' },
@@ -35,9 +36,9 @@ function extractNum(val) {
 }
 
 export default function RevenueBreakdownChart({ feesData }) {
-  const [period, setPeriod] = useState('24h')
-  const [viewMode, setViewMode] = useState('category')
-  const [visibleCount, setVisibleCount] = useState(15)
+  const [period, setPeriod] = useUrlState('breakdownPeriod', '24h', { values: PERIODS.map(p => p.key) })
+  const [viewMode, setViewMode] = useUrlState('breakdownView', 'category', { values: ['category', 'projects'] })
+  const [visibleCount, setVisibleCount] = useUrlState('breakdownTop', 15, { parse: Number })
 
   const { protocolRevenues, categories, availablePeriods, total } = useMemo(() => {
     const empty = { protocolRevenues: [], categories: [], availablePeriods: ['24h'], total: 0 }
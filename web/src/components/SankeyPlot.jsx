@@ -0,0 +1,9 @@
+import sankey from 'plotly.js/lib/sankey'
+import createPlotlyComponent from 'react-plotly.js/factory'
+import { Plotly } from './Plot'
+
+// Adds the sankey trace to the shared build; code-split so only tabs that draw
+// flows download it
+Plotly.register([sankey])
+
+export default createPlotlyComponent(Plotly)
@@ -3,6 +3,9 @@ import Plot, { defaultLayout, defaultConfig, colors } from './Plot'
 import ChartCard from './ChartCard'
 import { formatCurrency, categorizeSector } from '../utils/helpers'
 import { fetchCoinChartsBatch } from '../services/api'
+import { getRegistry } from '../utils/registry'
+import { useUrlState } from '../hooks/useUrlState'
+import { nowSeconds } from '../utils/asOf'
 
 // ─── Sector color map (stable across renders) ───
 const SECTOR_COLORS = {
@@ -65,6 +68,8 @@ const COIN_SECTOR = {
   'wrapped-bitcoin': 'Layer 1',
 }
 
+const PERIOD_KEYS = ['3m', '6m', '1y', 'all']
+
 // Map DeFiLlama categories → market cap sector
 function mcapSector(category) {
   const map = {
@@ -134,9 +139,9 @@ function weeklyBucket(dates, values) {
 export default function SectorTimeSeries({ feesData, protocols, markets }) {
   const [mcapCharts, setMcapCharts] = useState(null)
   const [mcapLoading, setMcapLoading] = useState(true)
-  const [revPeriod, setRevPeriod] = useState('all') // '1y', '6m', '3m', 'all'
-  const [mcapPeriod, setMcapPeriod] = useState('all')
-  const [revSmoothing, setRevSmoothing] = useState('7d') // 'raw', '7d', 'weekly'
+  const [revPeriod, setRevPeriod] = useUrlState('revPeriod', 'all', { values: PERIOD_KEYS })
+  const [mcapPeriod, setMcapPeriod] = useUrlState('mcapPeriod', 'all', { values: PERIOD_KEYS })
+  const [revSmoothing, setRevSmoothing] = useUrlState('revSmoothing', '7d', { values: ['raw', '7d', 'weekly'] })
 
   // ── Fetch market cap chart data for top 50 coins ──
   useEffect(() => {
@@ -153,14 +158,8 @@ export default function SectorTimeSeries({ feesData, protocols, markets }) {
       .finally(() => setMcapLoading(false))
   }, [markets])
 
-  // ── Build gecko_id → sector mapping ──
-  const geckoToSector = useMemo(() => {
-    const map = {}
-    ;(protocols || []).forEach(p => {
-      if (p.gecko_id) map[p.gecko_id] = mcapSector(p.category || 'Other')
-    })
-    return map
-  }, [protocols])
+  // ── gecko_id → entity (DeFiLlama category) via the identity registry ──
+  const registry = useMemo(() => getRegistry(protocols, markets), [protocols, markets])
 
   // ═══════════════════════════════════════
   // REVENUE TIME SERIES BY SECTOR
@@ -232,7 +231,8 @@ export default function SectorTimeSeries({ feesData, protocols, markets }) {
 
     mcapCharts.forEach(({ id, data }) => {
       if (!data?.market_caps?.length) return
-      const sector = COIN_SECTOR[id] || geckoToSector[id] || 'Other'
+      const category = registry.resolve(id, 'gecko')?.category
+      const sector = COIN_SECTOR[id] || (category ? mcapSector(category) : 'Other')
 
       data.market_caps.forEach(([tsMs, mcap]) => {
         if (!mcap || mcap <= 0) return
@@ -268,12 +268,12 @@ export default function SectorTimeSeries({ feesData, protocols, markets }) {
     )
 
     return { traces, dates: uniqueDates, totalByDay }
-  }, [mcapCharts, geckoToSector])
+  }, [mcapCharts, registry])
 
   // ── Period filter ──
   function filterByPeriod(dates, period) {
     if (period === 'all') return { start: 0, end: dates.length }
-    const now = new Date()
+    const now = new Date(nowSeconds() * 1000)
     const months = { '3m': 3, '6m': 6, '1y': 12 }[period] || 12
     const cutoff = new Date(now.getFullYear(), now.getMonth() - months, now.getDate()).toISOString().split('T')[0]
     const start = dates.findIndex(d => d >= cutoff)
@@ -0,0 +1,43 @@
+import { useWatchlist } from '../context/WatchlistProvider'
+
+const MODE_LABELS = { off: 'All', highlight: 'Highlight', filter: 'Only watchlist' }
+
+/**
+ * Active watchlist + display mode, shown under the tab nav so every ranking
+ * table and scatter can be narrowed or highlighted without leaving the tab.
+ */
+export default function WatchlistBar({ onManage }) {
+  const { lists, active, mode, setActive, setMode } = useWatchlist()
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mt-3 text-xs">
+      <span className="font-semibold text-(--color-ink-muted) uppercase tracking-widest text-[10px]">Watchlist</span>
+      <select
+        value={active.id}
+        onChange={e => setActive(e.target.value)}
+        className="px-2 py-1 border border-(--color-rule) bg-(--color-paper) text-(--color-ink) font-mono"
+      >
+        {lists.map(l => <option key={l.id} value={l.id}>{l.name} ({l.slugs.length})</option>)}
+      </select>
+      <div className="flex border border-(--color-rule)">
+        {Object.entries(MODE_LABELS).map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => setMode(id)}
+            disabled={id !== 'off' && active.slugs.length === 0}
+            className={`px-2.5 py-1 font-medium transition-colors cursor-pointer disabled:cursor-not-allowed disabled:opacity-40 ${
+              mode === id ? 'bg-(--color-ink) text-(--color-paper)' : 'text-(--color-ink-muted) hover:text-(--color-ink)'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {onManage && (
+        <button onClick={onManage} className="text-(--color-ink-muted) hover:text-(--color-ink) underline cursor-pointer">
+          Manage
+        </button>
+      )}
+    </div>
+  )
+}
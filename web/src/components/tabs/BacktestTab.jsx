@@ -0,0 +1,263 @@
+import { useState, useEffect, useMemo } from 'react'
+import Plot, { defaultLayout, defaultConfig, colors } from '../Plot'
+import ChartCard from '../ChartCard'
+import KPICard from '../KPICard'
+import NarrativeBox from '../NarrativeBox'
+import LoadingSpinner from '../LoadingSpinner'
+import { fetchBacktestData } from '../../services/api'
+import { prepareBacktest, runBacktest, SIGNALS, PORTFOLIOS } from '../../utils/backtest'
+import { useUrlState } from '../../hooks/useUrlState'
+import { useMethodology } from '../../context/MethodologyProvider'
+
+const PORTFOLIO_LABELS = {
+  top: 'Top quintile',
+  bottom: 'Bottom quintile',
+  spread: 'Long top / short bottom',
+  universe: 'Equal-weight universe',
+}
+const PORTFOLIO_COLORS = {
+  top: colors.success,
+  bottom: colors.danger,
+  spread: colors.secondary,
+  universe: colors.slate,
+}
+
+const pct = (v, digits = 1) => v === null || v === undefined ? '—' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(digits)}%`
+const share = (v) => v === null || v === undefined ? '—' : `${(v * 100).toFixed(0)}%`
+const ratio = (v) => v === null || v === undefined ? '—' : v.toFixed(2)
+const csvNum = (v, digits = 4) => v === null || v === undefined ? '' : v.toFixed(digits)
+
+export default function BacktestTab() {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [signal, setSignal] = useUrlState('signal', 'revenue', { values: Object.keys(SIGNALS) })
+  const { active: methodology } = useMethodology()
+
+  useEffect(() => {
+    fetchBacktestData()
+      .then(setData)
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const prepared = useMemo(() => data ? prepareBacktest(data) : null, [data])
+  const result = useMemo(() => prepared ? runBacktest(prepared, signal, { methodology }) : null, [prepared, signal, methodology])
+
+  if (loading) return <LoadingSpinner message="Loading fee, TVL and price histories..." />
+  if (error) return <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
+  if (!result) return <div className="text-center py-20">No data available</div>
+
+  const { periods, curves, stats, meanIC, icHitRate } = result
+  const label = SIGNALS[signal].label
+  const rebalanceLog = [...periods].reverse()
+
+  const toggle = (
+    <div className="flex flex-wrap items-center gap-3">
+      <span className="text-sm font-medium text-(--color-text-secondary)">Signal:</span>
+      <div className="flex rounded-md border border-(--color-rule) overflow-hidden">
+        {Object.entries(SIGNALS).map(([key, s]) => (
+          <button key={key} onClick={() => setSignal(key)}
+            className={`px-4 py-1.5 text-xs font-medium transition-colors cursor-pointer ${signal === key ? 'bg-(--color-primary) text-white' : 'text-(--color-text-secondary) hover:bg-(--color-paper-alt)'}`}>{s.label}</button>
+        ))}
+      </div>
+      <span className="text-xs text-(--color-ink-muted)">{prepared.universe.length} protocols · monthly rebalance · {methodology.name} methodology</span>
+    </div>
+  )
+
+  if (periods.length === 0) {
+    return (
+      <div className="space-y-6">
+        {toggle}
+        <div className="text-center py-20 text-(--color-ink-muted)">Not enough history to form quintiles yet</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {toggle}
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <KPICard
+          title="Top Quintile"
+          value={pct(stats.top?.annualized)}
+          subtitle={`annualized · universe ${pct(stats.universe?.annualized)}`}
+        />
+        <KPICard
+          title="Long-Short Sharpe"
+          value={ratio(stats.spread?.sharpe)}
+          subtitle={`top − bottom, ${pct(stats.spread?.meanReturn)} / month`}
+        />
+        <KPICard
+          title="Mean Rank IC"
+          value={ratio(meanIC)}
+          subtitle={`positive in ${share(icHitRate)} of months`}
+        />
+        <KPICard
+          title="Rebalances"
+          value={periods.length}
+          subtitle={`${periods[0].date} → ${periods[periods.length - 1].end}`}
+        />
+      </div>
+
+      <NarrativeBox title="Does Quality Predict Returns?">
+        <p>
+          On the first day of every month the {label} is recomputed for each protocol from the data available that day — fees and revenue
+          cut at the date, TVL and chain count from DeFiLlama's TVL history, market caps from CoinGecko — exactly as the dashboard would
+          have shown it. The top and bottom fifth are bought equal-weighted and held to the next rebalance. <strong>Rank IC</strong> is the
+          Spearman correlation between the score and the following month's token return: consistently above zero means the score ranks
+          winners ahead of losers. The universe is today's {prepared.universe.length} largest fee earners with a token, so protocols that
+          have since faded are missing (survivorship bias); the earnings dimension is left out for lack of incentive and unlock history.
+        </p>
+      </NarrativeBox>
+
+      {/* Equity curves */}
+      <ChartCard
+        title={`${label} — Equity Curves`}
+        subtitle="Growth of $1, equal-weighted, rebalanced monthly · Log scale · Before fees and slippage"
+        csvData={{
+          filename: `backtest-${signal}-equity`,
+          headers: ['Date', ...PORTFOLIOS.map(k => PORTFOLIO_LABELS[k])],
+          rows: curves.top.map(([date], i) => [date, ...PORTFOLIOS.map(k => csvNum(curves[k][i]?.[1]))]),
+        }}
+      >
+        <Plot
+          data={PORTFOLIOS.map(key => ({
+            x: curves[key].map(([d]) => d),
+            y: curves[key].map(([, v]) => v),
+            type: 'scatter',
+            mode: 'lines',
+            name: PORTFOLIO_LABELS[key],
+            line: { color: PORTFOLIO_COLORS[key], width: key === 'universe' ? 1.5 : 2, dash: key === 'spread' ? 'dot' : 'solid' },
+            hovertemplate: `${PORTFOLIO_LABELS[key]}<br>%{x}<br>$%{y:.2f}<extra></extra>`,
+          }))}
+          layout={{
+            ...defaultLayout,
+            height: 440,
+            yaxis: { ...defaultLayout.yaxis, title: 'Value of $1', type: 'log' },
+            legend: { ...defaultLayout.legend, orientation: 'h', y: 1.1 },
+          }}
+          config={defaultConfig}
+          className="w-full"
+        />
+      </ChartCard>
+
+      {/* Performance table */}
+      <ChartCard
+        title="Performance"
+        subtitle="Monthly returns · Sharpe annualized with a zero risk-free rate · Hit rate = months beating the universe (universe: positive months; long-short: months above zero)"
+        csvData={{
+          filename: `backtest-${signal}-stats`,
+          headers: ['Portfolio', 'TotalReturn', 'Annualized', 'MeanMonthly', 'HitRate', 'Sharpe', 'MaxDrawdown', 'Turnover'],
+          rows: PORTFOLIOS.filter(k => stats[k]).map(k => {
+            const s = stats[k]
+            return [PORTFOLIO_LABELS[k], csvNum(s.totalReturn), csvNum(s.annualized), csvNum(s.meanReturn), csvNum(s.hitRate), csvNum(s.sharpe), csvNum(s.maxDrawdown), csvNum(s.turnover)]
+          }),
+        }}
+      >
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-(--color-border)">
+                <th className="text-left p-2">Portfolio</th>
+                <th className="text-right p-2">Total</th>
+                <th className="text-right p-2">Annualized</th>
+                <th className="text-right p-2">Mean / month</th>
+                <th className="text-right p-2">Hit rate</th>
+                <th className="text-right p-2">Sharpe</th>
+                <th className="text-right p-2">Max drawdown</th>
+                <th className="text-right p-2">Turnover</th>
+              </tr>
+            </thead>
+            <tbody>
+              {PORTFOLIOS.filter(k => stats[k]).map(k => {
+                const s = stats[k]
+                return (
+                  <tr key={k} className="border-b border-(--color-border) hover:bg-(--color-surface)">
+                    <td className="p-2 font-medium"><span style={{ color: PORTFOLIO_COLORS[k] }}>● </span>{PORTFOLIO_LABELS[k]}</td>
+                    <td className="text-right p-2 font-mono">{pct(s.totalReturn, 0)}</td>
+                    <td className="text-right p-2 font-mono">{pct(s.annualized)}</td>
+                    <td className="text-right p-2 font-mono">{pct(s.meanReturn)}</td>
+                    <td className="text-right p-2 font-mono">{share(s.hitRate)}</td>
+                    <td className="text-right p-2 font-mono">{ratio(s.sharpe)}</td>
+                    <td className="text-right p-2 font-mono" style={{ color: colors.danger }}>{pct(s.maxDrawdown, 0)}</td>
+                    <td className="text-right p-2 font-mono">{share(s.turnover)}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      </ChartCard>
+
+      {/* Rank IC */}
+      <ChartCard
+        title="Rank IC per Rebalance"
+        subtitle={`Spearman correlation of ${label} with the next month's token return · Above zero = higher scores outperformed`}
+      >
+        <Plot
+          data={[{
+            x: periods.map(p => p.date),
+            y: periods.map(p => p.ic),
+            type: 'bar',
+            marker: { color: periods.map(p => (p.ic || 0) >= 0 ? colors.success : colors.danger) },
+            hovertemplate: '%{x}<br>IC: %{y:.2f}<extra></extra>',
+          }]}
+          layout={{
+            ...defaultLayout,
+            height: 300,
+            yaxis: { ...defaultLayout.yaxis, title: 'Rank IC', range: [-1, 1] },
+            showlegend: false,
+          }}
+          config={defaultConfig}
+          className="w-full"
+        />
+      </ChartCard>
+
+      {/* Rebalance log */}
+      <ChartCard
+        title="Rebalance Log"
+        subtitle="Holdings and forward returns at each month start · Latest first"
+        csvData={{
+          filename: `backtest-${signal}-rebalances`,
+          headers: ['Date', 'Scored', 'TopQuintile', 'BottomQuintile', 'TopReturn', 'BottomReturn', 'UniverseReturn', 'RankIC'],
+          rows: periods.map(p => [
+            p.date, p.scored, p.top.map(s => s.slug).join(' '), p.bottom.map(s => s.slug).join(' '),
+            csvNum(p.returns.top), csvNum(p.returns.bottom), csvNum(p.returns.universe), csvNum(p.ic),
+          ]),
+        }}
+      >
+        <div className="overflow-x-auto max-h-[480px] overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-(--color-border)">
+                <th className="text-left p-2">Date</th>
+                <th className="text-left p-2">Top quintile</th>
+                <th className="text-left p-2">Bottom quintile</th>
+                <th className="text-right p-2">Top</th>
+                <th className="text-right p-2">Bottom</th>
+                <th className="text-right p-2">Universe</th>
+                <th className="text-right p-2">IC</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rebalanceLog.map(p => (
+                <tr key={p.date} className="border-b border-(--color-border) hover:bg-(--color-surface)">
+                  <td className="p-2 font-mono text-xs" title={`${p.scored} protocols scored`}>{p.date}</td>
+                  <td className="p-2 text-xs">{p.top.map(s => s.name).join(', ')}</td>
+                  <td className="p-2 text-xs">{p.bottom.map(s => s.name).join(', ')}</td>
+                  <td className="text-right p-2 font-mono" style={{ color: p.returns.top >= 0 ? colors.success : colors.danger }}>{pct(p.returns.top)}</td>
+                  <td className="text-right p-2 font-mono" style={{ color: p.returns.bottom >= 0 ? colors.success : colors.danger }}>{pct(p.returns.bottom)}</td>
+                  <td className="text-right p-2 font-mono">{pct(p.returns.universe)}</td>
+                  <td className="text-right p-2 font-mono">{ratio(p.ic)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </ChartCard>
+    </div>
+  )
+}
@@ -6,6 +6,7 @@ import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
 import { fetchBubbleComparisonData } from '../../services/api'
 import { formatCurrency, formatMultiple } from '../../utils/helpers'
+import { dailyMultiples } from '../../utils/multiples'
 import {
   DOTCOM_DATA, CRYPTO_SNAPSHOTS, SECTOR_MAP, PEAKS,
   ANALOG_PAIRS, KEY_EVENTS,
@@ -39,55 +40,15 @@ function pctl(arr, p) {
   const s = [...arr].sort((a, b) => a - b)
   return s[Math.max(0, Math.ceil(p * s.length) - 1)]
 }
-function rollingAvg(arr, window) {
-  return arr.map((_, i) => {
-    const start = Math.max(0, i - window + 1)
-    const slice = arr.slice(start, i + 1)
-    return slice.reduce((a, b) => a + b, 0) / slice.length
-  })
-}
 
 // ── daily P/S computation ────────────────────────────────────
+// Shared with the Valuation Bands tab (utils/multiples.js), plus months from the 2021 peak
 function computeDailyPS(feeData, mcapData) {
-  if (!feeData || !mcapData) return null
-  const feeChart = feeData?.totalDataChart
-  if (!Array.isArray(feeChart) || feeChart.length < 30) return null
-  const mcapChart = mcapData?.market_caps
-  if (!Array.isArray(mcapChart) || mcapChart.length < 30) return null
-
-  const feeMap = new Map()
-  feeChart.forEach(([ts, fee]) => {
-    const d = new Date(ts > 1e12 ? ts : ts * 1000)
-    const key = d.toISOString().slice(0, 10)
-    feeMap.set(key, (feeMap.get(key) || 0) + (typeof fee === 'number' ? fee : 0))
-  })
-
-  const mcapMap = new Map()
-  mcapChart.forEach(([ts, mcap]) => {
-    const key = new Date(ts).toISOString().slice(0, 10)
-    mcapMap.set(key, mcap)
-  })
-
-  const allDates = [...new Set([...feeMap.keys(), ...mcapMap.keys()])].sort()
-  if (allDates.length < 60) return null
-
-  const feeDates = allDates.filter(d => feeMap.has(d))
-  const feeVals = feeDates.map(d => feeMap.get(d) || 0)
-  const rollingFees = rollingAvg(feeVals, 30)
-
-  const result = []
-  feeDates.forEach((date, i) => {
-    const mcap = mcapMap.get(date)
-    const avgDailyFee = rollingFees[i]
-    if (!mcap || mcap <= 0 || avgDailyFee <= 0) return
-    const annualizedFees = avgDailyFee * 365
-    const ps = mcap / annualizedFees
-    if (ps > 10000 || ps < 0.01) return
-    const ts = new Date(date).getTime()
-    result.push({ date, ts, mcap, annualizedFees, ps, monthsFromPeak: (ts - CRYPTO_PEAK_TS) / (DAY_MS * 30.44) })
-  })
-
-  return result.length > 30 ? result : null
+  const series = dailyMultiples(feeData, mcapData)
+  return series && series.map(d => ({
+    date: d.date, ts: d.ts, mcap: d.mcap, annualizedFees: d.annualized, ps: d.multiple,
+    monthsFromPeak: (d.ts - CRYPTO_PEAK_TS) / (DAY_MS * 30.44),
+  }))
 }
 
 // ── Component ────────────────────────────────────────────────
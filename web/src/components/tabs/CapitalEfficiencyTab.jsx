@@ -5,14 +5,18 @@ import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
 import { formatCurrency, formatPercent, categorizeSector } from '../../utils/helpers'
-import { fetchAllProtocols, fetchFeesOverview, fetchProtocolFees } from '../../services/api'
+import { fetchAllProtocols, fetchFeesOverview, fetchProtocolFees, fetchCoinGeckoMarkets, fetchYieldPools } from '../../services/api'
 import { fetchOptionsOI, fetchOptionsVolume } from '../../services/coinglass'
+import { useProtocolClick } from '../../context/ProtocolProvider'
+import { useWatchlistView } from '../../context/WatchlistProvider'
 
 export default function CapitalEfficiencyTab() {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [loadingPhase, setLoadingPhase] = useState('Fetching protocols...')
+  const onProtocolClick = useProtocolClick()
+  const watchlist = useWatchlistView()
 
   useEffect(() => {
     async function fetchData() {
@@ -21,7 +25,7 @@ export default function CapitalEfficiencyTab() {
       const [protocolsRes, feesRes, marketsRes] = await Promise.allSettled([
         fetchAllProtocols(),
         fetchFeesOverview(),
-        fetch('/api/coingecko?action=markets').then(r => r.ok ? r.json() : []),
+        fetchCoinGeckoMarkets().catch(() => []),
       ])
 
       const protocols = protocolsRes.status === 'fulfilled' ? protocolsRes.value : []
@@ -60,7 +64,7 @@ export default function CapitalEfficiencyTab() {
       // Phase 3: Yield pools and options data for enrichment charts
       setLoadingPhase('Fetching yield pools and options data...')
       const [poolsRes, btcOptionsOIRes, ethOptionsOIRes, btcOptionsVolRes, ethOptionsVolRes] = await Promise.allSettled([
-        fetch('https://api.llama.fi/pools').then(r => r.ok ? r.json() : []),
+        fetchYieldPools().catch(() => []),
         fetchOptionsOI('BTC', '4h').catch(() => null),
         fetchOptionsOI('ETH', '4h').catch(() => null),
         fetchOptionsVolume('BTC', '4h').catch(() => null),
@@ -250,10 +254,13 @@ export default function CapitalEfficiencyTab() {
     optionsSummary,
   } = processedData
 
+  // Watchlist filter applies to per-protocol charts; sector/chain aggregates stay market-wide
+  const visibleProtocols = watchlist.apply(mergedProtocols)
+
   // =======================
   // Chart 1: Capital Efficiency Scatter (FLAGSHIP)
   // =======================
-  const scatterProtocols = mergedProtocols
+  const scatterProtocols = visibleProtocols
     .filter(p => p.tvl > 1e6 && p.annualizedRevenue > 10000)
     .sort((a, b) => b.annualizedRevenue - a.annualizedRevenue)
     .slice(0, 150)
@@ -291,15 +298,16 @@ export default function CapitalEfficiencyTab() {
       x: pts.map(p => p.tvl),
       y: pts.map(p => p.annualizedRevenue),
       text: pts.map(p => `${p.name}<br>TVL: ${formatCurrency(p.tvl)}<br>Revenue: ${formatCurrency(p.annualizedRevenue)}/yr<br>Efficiency: ${p.efficiency.toFixed(2)}%<br>MCap: ${formatCurrency(p.mcap)}`),
+      customdata: pts.map(p => p.slug),
       mode: 'markers',
       type: 'scatter',
       name: sector,
-      marker: {
+      marker: watchlist.marker({
         color: sectorColorMap[sector],
         size: pts.map(p => Math.max(8, Math.min(50, p.mcap > 0 ? Math.sqrt(p.mcap / 1e7) * 3 : 12))),
         opacity: 0.75,
         line: { width: 1, color: '#FFF' },
-      },
+      }, pts),
       hovertemplate: '%{text}<extra></extra>',
     }
   })
@@ -324,7 +332,7 @@ export default function CapitalEfficiencyTab() {
   // =======================
   // Chart 2: Efficiency Rankings (Top 25)
   // =======================
-  const top25Efficient = [...mergedProtocols]
+  const top25Efficient = [...visibleProtocols]
     .sort((a, b) => b.efficiency - a.efficiency)
     .slice(0, 25)
 
@@ -341,7 +349,7 @@ export default function CapitalEfficiencyTab() {
   // =======================
   // Chart 5: Efficiency vs Growth (Quadrant)
   // =======================
-  const growthProtocols = mergedProtocols
+  const growthProtocols = visibleProtocols
     .filter(p => p.change7d !== 0 && Math.abs(p.change7d) < 200 && p.efficiency < 100)
     .sort((a, b) => b.annualizedRevenue - a.annualizedRevenue)
     .slice(0, 100)
@@ -382,7 +390,7 @@ export default function CapitalEfficiencyTab() {
       {/* FLAGSHIP: Capital Efficiency Scatter */}
       <ChartCard
         title="Capital Efficiency Scatter — THE KEY CHART"
-        subtitle="X = TVL (log), Y = Annualized Revenue (log) · Diagonal lines = efficiency thresholds · Size = Market Cap · Color = Sector · Top 10 labeled"
+        subtitle="X = TVL (log), Y = Annualized Revenue (log) · Diagonal lines = efficiency thresholds · Size = Market Cap · Color = Sector · Top 10 labeled · Click a point for its profile"
       >
         <Plot
           data={[...referenceLineTraces, ...scatterTraces]}
@@ -405,6 +413,7 @@ export default function CapitalEfficiencyTab() {
             annotations: scatterAnnotations,
           }}
           config={defaultConfig}
+          onClick={onProtocolClick}
           className="w-full"
         />
       </ChartCard>
@@ -420,9 +429,10 @@ export default function CapitalEfficiencyTab() {
             x: top25Efficient.map(p => p.efficiency),
             type: 'bar',
             orientation: 'h',
-            marker: {
+            customdata: top25Efficient.map(p => p.slug),
+            marker: watchlist.marker({
               color: top25Efficient.map(p => sectorColorMap[p.sector] || colors.primary),
-            },
+            }, top25Efficient),
             text: top25Efficient.map(p => `${p.efficiency.toFixed(2)}%`),
             textposition: 'outside',
             textfont: { size: 10, color: '#E5E3E0' },
@@ -436,6 +446,7 @@ export default function CapitalEfficiencyTab() {
             margin: { ...defaultLayout.margin, l: 140, r: 60 },
           }}
           config={defaultConfig}
+          onClick={onProtocolClick}
           className="w-full"
         />
       </ChartCard>
@@ -530,11 +541,12 @@ export default function CapitalEfficiencyTab() {
               x: growthProtocols.map(p => p.change7d),
               y: growthProtocols.map(p => p.efficiency),
               text: growthProtocols.map(p => `${p.name}<br>7d TVL Change: ${p.change7d.toFixed(1)}%<br>Efficiency: ${p.efficiency.toFixed(2)}%<br>TVL: ${formatCurrency(p.tvl)}`),
+              customdata: growthProtocols.map(p => p.slug),
               mode: 'markers+text',
               type: 'scatter',
               textposition: 'top center',
               textfont: { size: 8, color: '#9CA3AF' },
-              marker: {
+              marker: watchlist.marker({
                 color: growthProtocols.map(p => {
                   if (p.change7d > 0 && p.efficiency > 5) return colors.success // Sustainable Growth
                   if (p.change7d < 0 && p.efficiency > 5) return colors.warning // Efficient but Shrinking
@@ -544,7 +556,7 @@ export default function CapitalEfficiencyTab() {
                 size: growthProtocols.map(p => Math.max(8, Math.min(30, Math.sqrt(p.tvl / 1e8) * 5))),
                 opacity: 0.75,
                 line: { width: 1, color: '#FFF' },
-              },
+              }, growthProtocols),
               hovertemplate: '%{text}<extra></extra>',
               showlegend: false,
             },
@@ -575,6 +587,7 @@ export default function CapitalEfficiencyTab() {
             })),
           }}
           config={defaultConfig}
+          onClick={onProtocolClick}
           className="w-full"
         />
       </ChartCard>
@@ -599,11 +612,11 @@ export default function CapitalEfficiencyTab() {
               </tr>
             </thead>
             <tbody>
-              {mergedProtocols
+              {[...visibleProtocols]
                 .sort((a, b) => b.annualizedRevenue - a.annualizedRevenue)
                 .slice(0, 15)
                 .map((p, i) => (
-                  <tr key={p.slug} className="border-b border-(--color-border) hover:bg-(--color-surface)">
+                  <tr key={p.slug} className={`border-b border-(--color-border) hover:bg-(--color-surface) ${watchlist.rowClass(p.slug)}`}>
                     <td className="p-2 font-medium">{i + 1}. {p.name}</td>
                     <td className="text-right p-2">{formatCurrency(p.tvl)}</td>
                     <td className="text-right p-2">{formatCurrency(p.revenue24h)}</td>
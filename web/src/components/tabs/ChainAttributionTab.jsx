@@ -0,0 +1,362 @@
+import { useState, useEffect, useMemo, lazy, Suspense } from 'react'
+import Plot, { defaultLayout, defaultConfig, colors } from '../Plot'
+import ChartCard from '../ChartCard'
+import KPICard from '../KPICard'
+import NarrativeBox from '../NarrativeBox'
+import LoadingSpinner from '../LoadingSpinner'
+import { fetchChainAttributionData, fetchProtocolChainData, fetchFeesOverview } from '../../services/api'
+import { formatCurrency, formatPercent } from '../../utils/helpers'
+import {
+  ATTRIBUTION_CHAINS, ATTRIBUTION_METRICS, SHIFT_LOOKBACK_DAYS,
+  chainShares, chainShareHistory, chainProtocolRows, sankeyFlows,
+} from '../../utils/chainAttribution'
+import { useUrlState } from '../../hooks/useUrlState'
+import { useProtocol } from '../../context/ProtocolProvider'
+
+// The shared Plotly build has no sankey trace; this chunk loads only with the tab
+const SankeyPlot = lazy(() => import('../SankeyPlot'))
+
+const btn = 'text-xs font-mono text-(--color-ink-muted) hover:text-(--color-ink) cursor-pointer px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) transition-colors'
+const th = 'py-2 px-3 text-[11px] font-semibold text-(--color-ink-muted) uppercase tracking-widest'
+const input = 'px-2 py-1 text-sm border border-(--color-rule) bg-(--color-paper)'
+const toggle = (active) => `px-4 py-1.5 text-xs font-medium transition-colors cursor-pointer ${active ? 'bg-(--color-primary) text-white' : 'text-(--color-text-secondary) hover:bg-(--color-paper-alt)'}`
+
+const formatShift = (pp) => pp === null ? '—' : `${pp >= 0 ? '+' : ''}${pp.toFixed(1)}pp`
+const shiftColor = (pp) => pp === null || Math.abs(pp) < 1 ? 'var(--color-ink-muted)' : pp > 0 ? colors.success : colors.danger
+
+// #RRGGBB → rgba() for translucent Sankey links
+const fade = (hex, alpha) => `rgba(${[1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).join(', ')}, ${alpha})`
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function ChainAttributionTab() {
+  const [metric, setMetric] = useUrlState('chainMetric', 'revenue', { values: Object.keys(ATTRIBUTION_METRICS) })
+  const [chain, setChain] = useUrlState('chain', 'ethereum', { values: ATTRIBUTION_CHAINS.map(c => c.id) })
+  const [slug, setSlug] = useUrlState('attribution', 'aave')
+  const [query, setQuery] = useState(slug)
+  const [options, setOptions] = useState([])
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [protocol, setProtocol] = useState(null)
+  const [protocolLoading, setProtocolLoading] = useState(true)
+  const [protocolError, setProtocolError] = useState(null)
+  const { openProtocol } = useProtocol()
+
+  useEffect(() => {
+    fetchChainAttributionData()
+      .then(setData)
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  // Protocol picker: fee earners, largest first
+  useEffect(() => {
+    fetchFeesOverview()
+      .then(fees => setOptions((fees?.protocols || [])
+        .filter(p => p.slug && p.total30d > 0)
+        .sort((a, b) => b.total30d - a.total30d)
+        .slice(0, 500)))
+      .catch(() => {})
+  }, [])
+
+  useEffect(() => {
+    setProtocolLoading(true)
+    setProtocolError(null)
+    setQuery(slug)
+    fetchProtocolChainData(slug)
+      .then(setProtocol)
+      .catch(e => setProtocolError(e.message))
+      .finally(() => setProtocolLoading(false))
+  }, [slug])
+
+  const rows = useMemo(() => data ? chainProtocolRows(data[metric]) : [], [data, metric])
+  const flows = useMemo(() => sankeyFlows(rows), [rows])
+  const shares = useMemo(() => protocol ? chainShares(protocol[metric]) : null, [protocol, metric])
+  const shareHistory = useMemo(() => protocol ? chainShareHistory(protocol[metric]) : null, [protocol, metric])
+
+  const handlePick = (e) => {
+    e.preventDefault()
+    const q = query.trim().toLowerCase()
+    if (!q) return
+    const match = options.find(p => p.slug.toLowerCase() === q || (p.name || '').toLowerCase() === q)
+    setSlug(match?.slug || q)
+  }
+
+  if (loading) return <LoadingSpinner message="Loading per-chain fees and revenue..." />
+  if (error) return <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
+
+  const metricLabel = ATTRIBUTION_METRICS[metric].label
+  const chainLabel = ATTRIBUTION_CHAINS.find(c => c.id === chain).label
+
+  // Chain view
+  const chainRows = rows.filter(r => r.chain === chain)
+  const chainTotal = chainRows.reduce((s, r) => s + r.value, 0)
+  const topChainRows = chainRows.slice(0, 15)
+  const chainSummary = ATTRIBUTION_CHAINS.map(({ id, label }) => {
+    const list = rows.filter(r => r.chain === id)
+    return {
+      id,
+      label,
+      total: list.reduce((s, r) => s + r.value, 0),
+      protocols: list.length,
+      leader: list[0] || null,
+      top3: list.slice(0, 3).reduce((s, r) => s + r.share, 0),
+    }
+  }).filter(c => c.total > 0).sort((a, b) => b.total - a.total)
+
+  // Sankey colours: chains and sectors from the palette, protocols and links inherit their sector/chain
+  const sectorNames = [...new Set(flows.nodes.filter(n => n.kind === 'sector').map(n => n.label))]
+  const groupColor = (n) => n.kind === 'chain'
+    ? colors.palette[ATTRIBUTION_CHAINS.findIndex(c => c.label === n.group) % colors.palette.length]
+    : colors.palette[sectorNames.indexOf(n.group) % colors.palette.length]
+  const nodeColors = flows.nodes.map(groupColor)
+
+  // Protocol view
+  const gainer = shares?.chains.filter(c => c.shift !== null).sort((a, b) => b.shift - a.shift)[0]
+  const activeChains = shares?.chains.filter(c => c.value > 0) || []
+
+  const picker = (
+    <form onSubmit={handlePick} className="flex flex-wrap items-center gap-2">
+      <span className="text-sm font-medium text-(--color-text-secondary)">Protocol:</span>
+      <input list="attribution-protocols" value={query} onChange={e => setQuery(e.target.value)}
+        placeholder="Name or DeFiLlama slug" className={`${input} w-64`} />
+      <datalist id="attribution-protocols">
+        {options.map(p => <option key={p.slug} value={p.slug}>{p.name}</option>)}
+      </datalist>
+      <button type="submit" className={btn}>Attribute</button>
+    </form>
+  )
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-sm font-medium text-(--color-text-secondary)">Attribute:</span>
+        <div className="flex rounded-md border border-(--color-rule) overflow-hidden">
+          {Object.entries(ATTRIBUTION_METRICS).map(([key, m]) => (
+            <button key={key} onClick={() => setMetric(key)} className={toggle(metric === key)}>{m.label}</button>
+          ))}
+        </div>
+      </div>
+
+      <NarrativeBox title="Where Revenue Is Earned">
+        <p>
+          Multi-chain protocols report {metricLabel.toLowerCase()} per chain to DeFiLlama. The <strong>protocol view</strong> splits one protocol's
+          trailing 30 days across chains and compares each chain's share with the 30 days ending {SHIFT_LOOKBACK_DAYS} days earlier — a rising
+          L2 share with a flat total means activity migrated rather than grew. The <strong>chain view</strong> turns it around: which protocols make
+          up each chain's fee economy, with versions summed into one entity. The Sankey traces the same 30-day {metricLabel.toLowerCase()} from
+          chain to sector to protocol across {ATTRIBUTION_CHAINS.length} major chains; smaller protocols merge into "Other" per sector.
+        </p>
+      </NarrativeBox>
+
+      {/* Protocol view */}
+      {picker}
+      {protocolLoading ? (
+        <LoadingSpinner message={`Loading ${slug} ${metricLabel.toLowerCase()} by chain...`} />
+      ) : protocolError ? (
+        <div className="text-center py-12 text-(--color-danger)">Error: {protocolError}</div>
+      ) : !shares ? (
+        <div className="text-center py-12 text-(--color-ink-muted)">No per-chain {metricLabel.toLowerCase()} reported for {protocol?.name || slug}</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <KPICard title={`${metricLabel} (30d)`} value={formatCurrency(shares.total)}
+              subtitle={shares.priorTotal > 0 ? `${formatCurrency(shares.priorTotal)} ${SHIFT_LOOKBACK_DAYS}d earlier` : `through ${shares.asOf}`} />
+            <KPICard title="Chains" value={activeChains.length} subtitle={`with ${metricLabel.toLowerCase()} in the last 30d`} />
+            <KPICard title="Top Chain" value={shares.chains[0].chain} subtitle={`${formatPercent(shares.chains[0].share)} of ${metricLabel.toLowerCase()}`} />
+            <KPICard title="Biggest Share Gain" value={gainer && gainer.shift > 0 ? gainer.chain : '—'}
+              subtitle={gainer && gainer.shift > 0 ? `${formatShift(gainer.shift)} vs ${SHIFT_LOOKBACK_DAYS}d earlier` : 'no chain gained share'} />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ChartCard title={`${protocol.name} — ${metricLabel} by Chain`}
+              subtitle={`Trailing 30d through ${shares.asOf} · Shift vs the 30d ending ${SHIFT_LOOKBACK_DAYS}d earlier`}
+              csvData={{
+                filename: `chain-attribution-${slug}-${metric}`,
+                headers: ['Chain', `${metricLabel}30d`, 'SharePct', `${metricLabel}Prior30d`, 'PriorSharePct', 'ShiftPp'],
+                rows: shares.chains.map(c => [c.chain, c.value, c.share, c.prior, c.priorShare, c.shift]),
+              }}>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-(--color-border)">
+                      <th className={`${th} text-left`}>Chain</th>
+                      <th className={`${th} text-right`}>{metricLabel} 30d</th>
+                      <th className={`${th} text-right`}>Share</th>
+                      <th className={`${th} text-right`}>{SHIFT_LOOKBACK_DAYS}d Earlier</th>
+                      <th className={`${th} text-right`}>Shift</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shares.chains.slice(0, 15).map(c => (
+                      <tr key={c.chain} className="border-b border-(--color-border) hover:bg-(--color-surface)">
+                        <td className="p-2 font-medium">{c.chain}</td>
+                        <td className="text-right p-2 font-mono">{formatCurrency(c.value)}</td>
+                        <td className="text-right p-2 font-mono">{formatPercent(c.share)}</td>
+                        <td className="text-right p-2 font-mono">{c.priorShare === null ? '—' : formatPercent(c.priorShare)}</td>
+                        <td className="text-right p-2 font-mono" style={{ color: shiftColor(c.shift) }}>{formatShift(c.shift)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </ChartCard>
+
+            {shareHistory && (
+              <ChartCard title="Chain Mix Over Time" subtitle={`Monthly share of ${metricLabel.toLowerCase()} · Top chains of the last year, the rest as Other`}
+                csvData={{
+                  filename: `chain-mix-${slug}-${metric}`,
+                  headers: ['Month', ...shareHistory.series.map(s => s.chain), `Total${metricLabel}`],
+                  rows: shareHistory.months.map((m, i) => [m, ...shareHistory.series.map(s => s.values[i]), shareHistory.totals[i]]),
+                }}>
+                <Plot
+                  data={shareHistory.series.map((s, i) => ({
+                    x: shareHistory.months,
+                    y: s.values,
+                    name: s.chain,
+                    type: 'scatter',
+                    mode: 'lines',
+                    stackgroup: 'one',
+                    line: { width: 0.5, color: s.chain === 'Other' ? colors.slate : colors.palette[i % colors.palette.length] },
+                    hovertemplate: `${s.chain}: %{y:.1f}%<extra></extra>`,
+                  }))}
+                  layout={{
+                    ...defaultLayout,
+                    height: 380,
+                    hovermode: 'x unified',
+                    yaxis: { ...defaultLayout.yaxis, title: `Share of ${metricLabel.toLowerCase()} (%)`, range: [0, 100] },
+                    legend: { ...defaultLayout.legend, orientation: 'h', y: 1.12 },
+                  }}
+                  config={defaultConfig}
+                  className="w-full"
+                />
+              </ChartCard>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Chain view */}
+      <ChartCard title={`${chainLabel} — ${metricLabel} Economy`}
+        subtitle={`Trailing 30d ${metricLabel.toLowerCase()} by protocol · ${formatCurrency(chainTotal)} across ${chainRows.length} protocols · Click a bar for its profile`}
+        csvData={{
+          filename: `chain-economy-${chain}-${metric}`,
+          headers: ['Protocol', 'Slug', 'Sector', `${metricLabel}30d`, 'SharePct'],
+          rows: chainRows.map(r => [r.name, r.slug, r.sector, r.value, r.share]),
+        }}>
+        <div className="flex flex-wrap mb-4">
+          <div className="flex rounded-md border border-(--color-rule) overflow-hidden">
+            {ATTRIBUTION_CHAINS.map(c => (
+              <button key={c.id} onClick={() => setChain(c.id)} className={toggle(chain === c.id)}>{c.label}</button>
+            ))}
+          </div>
+        </div>
+        {topChainRows.length > 0 ? (
+          <Plot
+            data={[{
+              x: topChainRows.map(r => r.share),
+              y: topChainRows.map(r => r.name),
+              customdata: topChainRows.map(r => [r.slug, r.sector, formatCurrency(r.value)]),
+              type: 'bar',
+              orientation: 'h',
+              marker: { color: topChainRows.map(r => colors.palette[Math.max(0, sectorNames.indexOf(r.sector)) % colors.palette.length]) },
+              hovertemplate: '%{y} (%{customdata[1]})<br>%{customdata[2]} · %{x:.1f}% of chain<extra></extra>',
+            }]}
+            layout={{
+              ...defaultLayout,
+              height: Math.max(320, topChainRows.length * 26),
+              xaxis: { ...defaultLayout.xaxis, title: `Share of ${chainLabel} ${metricLabel.toLowerCase()} (%)` },
+              yaxis: { ...defaultLayout.yaxis, autorange: 'reversed', tickfont: { size: 11 } },
+              margin: { ...defaultLayout.margin, l: 150 },
+              showlegend: false,
+            }}
+            config={defaultConfig}
+            className="w-full"
+            onClick={(e) => { const s = e.points?.[0]?.customdata?.[0]; if (s) openProtocol(s) }}
+          />
+        ) : (
+          <div className="text-center py-12 text-sm text-(--color-ink-muted)">No {metricLabel.toLowerCase()} data for {chainLabel}</div>
+        )}
+      </ChartCard>
+
+      <ChartCard title={`Chain ${metricLabel} Economies`} subtitle="Trailing 30d · Top-3 share = concentration of the chain's economy in its three largest protocols · Click a chain to inspect it"
+        csvData={{
+          filename: `chain-economies-${metric}`,
+          headers: ['Chain', `${metricLabel}30d`, 'Protocols', 'Leader', 'LeaderSharePct', 'Top3SharePct'],
+          rows: chainSummary.map(c => [c.label, c.total, c.protocols, c.leader?.name, c.leader?.share, c.top3]),
+        }}>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-(--color-border)">
+                <th className={`${th} text-left`}>Chain</th>
+                <th className={`${th} text-right`}>{metricLabel} 30d</th>
+                <th className={`${th} text-right`}>Protocols</th>
+                <th className={`${th} text-left`}>Leader</th>
+                <th className={`${th} text-right`}>Top-3 Share</th>
+              </tr>
+            </thead>
+            <tbody>
+              {chainSummary.map(c => (
+                <tr key={c.id} className={`border-b border-(--color-border) hover:bg-(--color-surface) ${c.id === chain ? 'bg-(--color-paper-alt)' : ''}`}>
+                  <td className="p-2 font-medium">
+                    <button className="cursor-pointer hover:text-(--color-primary) text-left" onClick={() => setChain(c.id)}>{c.label}</button>
+                  </td>
+                  <td className="text-right p-2 font-mono">{formatCurrency(c.total)}</td>
+                  <td className="text-right p-2 font-mono">{c.protocols}</td>
+                  <td className="p-2">{c.leader ? `${c.leader.name} (${formatPercent(c.leader.share)})` : '—'}</td>
+                  <td className="text-right p-2 font-mono">{formatPercent(c.top3)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </ChartCard>
+
+      {/* Sankey */}
+      {flows.links.length > 0 && (
+        <ChartCard title={`${metricLabel} Flows — Chain → Sector → Protocol`}
+          subtitle={`Trailing 30d across ${ATTRIBUTION_CHAINS.map(c => c.label).join(', ')} · Top 25 protocols, the rest merged per sector`}
+          csvData={{
+            filename: `chain-sankey-${metric}`,
+            headers: ['Source', 'Target', `${metricLabel}30d`],
+            rows: flows.links.map(l => [flows.nodes[l.source].label, flows.nodes[l.target].label, l.value]),
+          }}>
+          <Suspense fallback={<LoadingSpinner message="Loading Sankey..." />}>
+            <SankeyPlot
+              data={[{
+                type: 'sankey',
+                arrangement: 'snap',
+                valueformat: '$,.3s',
+                node: {
+                  label: flows.nodes.map(n => n.label),
+                  color: nodeColors,
+                  pad: 12,
+                  thickness: 14,
+                  line: { color: '#FFFFFF', width: 0.5 },
+                  hovertemplate: '%{label}: %{value}<extra></extra>',
+                },
+                link: {
+                  source: flows.links.map(l => l.source),
+                  target: flows.links.map(l => l.target),
+                  value: flows.links.map(l => l.value),
+                  color: flows.links.map(l => fade(nodeColors[l.source], 0.3)),
+                  hovertemplate: '%{source.label} → %{target.label}: %{value}<extra></extra>',
+                },
+              }]}
+              layout={{
+                ...defaultLayout,
+                height: 720,
+                margin: { t: 20, r: 20, b: 20, l: 20 },
+              }}
+              config={defaultConfig}
+              className="w-full"
+            />
+          </Suspense>
+        </ChartCard>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,255 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import Plot, { defaultLayout, defaultConfig, colors } from '../Plot'
+import ChartCard from '../ChartCard'
+import NarrativeBox from '../NarrativeBox'
+import LoadingSpinner from '../LoadingSpinner'
+import { fetchCompareProtocol, fetchFeesOverview } from '../../services/api'
+import { formatCurrency, formatMultiple, formatNumber } from '../../utils/helpers'
+import { COMPARE_METRICS, COMPARE_LIMITS, ROLLING_WINDOWS, protocolSeries, alignMetric, latestSnapshot } from '../../utils/compare'
+import { useUrlState, parseBool } from '../../hooks/useUrlState'
+import { useProtocol } from '../../context/ProtocolProvider'
+
+const btn = 'text-xs font-mono text-(--color-ink-muted) hover:text-(--color-ink) cursor-pointer px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) transition-colors'
+const th = 'py-2 px-3 text-[11px] font-semibold text-(--color-ink-muted) uppercase tracking-widest'
+const input = 'px-2 py-1 text-sm border border-(--color-rule) bg-(--color-paper)'
+
+const DEFAULT_PROTOCOLS = 'aave,uniswap,lido'
+const ROLLING_LABELS = { 1: 'Daily', 7: '7d avg', 30: '30d avg' }
+
+const parseSlugs = (param) => [...new Set(param.split(',').map(s => s.trim().toLowerCase()).filter(Boolean))].slice(0, COMPARE_LIMITS.max)
+
+const formatValue = (metric, v) => metric.unit === 'usd' ? formatCurrency(v) : metric.unit === 'multiple' ? formatMultiple(v) : formatNumber(v)
+const snapshotLabel = (m) => m.snapshot === 'sum' ? `${m.label} (30d)` : m.snapshot === 'mean' ? `${m.label} (30d avg)` : m.label
+const axisTitle = (m) => m.unit === 'usd' ? `${m.label} (USD)` : m.unit === 'multiple' ? `${m.label} (x)` : m.label
+const hoverValue = (m, indexed) => indexed ? '%{y:.1f}' : m.unit === 'usd' ? '$%{y:,.0f}' : m.unit === 'multiple' ? '%{y:.1f}x' : '%{y:,.0f}'
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function CompareTab() {
+  const [param, setParam] = useUrlState('protocols', DEFAULT_PROTOCOLS)
+  const [indexed, setIndexed] = useUrlState('indexed', false, { parse: parseBool })
+  const [logScale, setLogScale] = useUrlState('log', false, { parse: parseBool })
+  const [rolling, setRolling] = useUrlState('rolling', 1, { values: ROLLING_WINDOWS, parse: Number })
+  const [query, setQuery] = useState('')
+  const [options, setOptions] = useState([])
+  // slug → { data, series } or { error }; kept across picks so adding a protocol fetches only that one
+  const [results, setResults] = useState({})
+  const requested = useRef(new Set())
+  const { openProtocol } = useProtocol()
+
+  const slugs = useMemo(() => parseSlugs(param), [param])
+
+  // Protocol picker: fee earners, largest first
+  useEffect(() => {
+    fetchFeesOverview()
+      .then(fees => setOptions((fees?.protocols || [])
+        .filter(p => p.slug && p.total30d > 0)
+        .sort((a, b) => b.total30d - a.total30d)
+        .slice(0, 500)))
+      .catch(() => {})
+  }, [])
+
+  useEffect(() => {
+    slugs.forEach(slug => {
+      if (requested.current.has(slug)) return
+      requested.current.add(slug)
+      fetchCompareProtocol(slug)
+        .then(data => setResults(r => ({ ...r, [slug]: { data, series: protocolSeries(data) } })))
+        .catch(e => setResults(r => ({ ...r, [slug]: { error: e.message } })))
+    })
+  }, [slugs])
+
+  const protocols = useMemo(() => slugs
+    .filter(slug => results[slug]?.data)
+    .map(slug => ({ slug, name: results[slug].data.name, series: results[slug].series })), [slugs, results])
+
+  const charts = useMemo(() => COMPARE_METRICS.map(metric => ({
+    metric,
+    ...alignMetric(protocols, metric.key, { indexed, rolling }),
+  })), [protocols, indexed, rolling])
+
+  const snapshots = useMemo(() => protocols.map(p => ({ ...p, latest: latestSnapshot(p.series) })), [protocols])
+
+  const colorOf = (slug) => colors.palette[slugs.indexOf(slug) % colors.palette.length]
+  const setSlugs = (list) => setParam(list.join(','))
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    const q = query.trim().toLowerCase()
+    if (!q || slugs.length >= COMPARE_LIMITS.max) return
+    const match = options.find(p => p.slug.toLowerCase() === q || (p.name || '').toLowerCase() === q)
+    const slug = match?.slug || q
+    if (!slugs.includes(slug)) setSlugs([...slugs, slug])
+    setQuery('')
+  }
+
+  const handleRemove = (slug) => {
+    // Forget failures so re-adding the slug retries it
+    if (results[slug]?.error) {
+      requested.current.delete(slug)
+      setResults(({ [slug]: _, ...rest }) => rest)
+    }
+    setSlugs(slugs.filter(s => s !== slug))
+  }
+
+  const pending = slugs.filter(slug => !results[slug])
+  const failed = slugs.filter(slug => results[slug]?.error)
+
+  const controls = (
+    <div className="space-y-3">
+      <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-(--color-text-secondary)">Protocols:</span>
+        {slugs.map(slug => {
+          const r = results[slug]
+          return (
+            <span key={slug} className="inline-flex items-center gap-1 text-xs font-mono border border-(--color-rule) px-2 py-1"
+              style={{ borderLeft: `3px solid ${colorOf(slug)}` }} title={r?.error || undefined}>
+              <span className={r?.error ? 'text-(--color-danger)' : r ? '' : 'text-(--color-ink-muted)'}>
+                {r?.data?.name || slug}{!r ? '…' : ''}
+              </span>
+              <button type="button" className="cursor-pointer text-(--color-ink-muted) hover:text-(--color-danger) disabled:opacity-30 disabled:cursor-default"
+                title="Remove" disabled={slugs.length <= COMPARE_LIMITS.min} onClick={() => handleRemove(slug)}>×</button>
+            </span>
+          )
+        })}
+        <input list="compare-protocols" value={query} onChange={e => setQuery(e.target.value)} disabled={slugs.length >= COMPARE_LIMITS.max}
+          placeholder={slugs.length >= COMPARE_LIMITS.max ? `Up to ${COMPARE_LIMITS.max} protocols` : 'Add name or DeFiLlama slug'} className={`${input} w-56`} />
+        <datalist id="compare-protocols">
+          {options.filter(p => !slugs.includes(p.slug)).map(p => <option key={p.slug} value={p.slug}>{p.name}</option>)}
+        </datalist>
+        <button type="submit" className={btn} disabled={slugs.length >= COMPARE_LIMITS.max}>Add</button>
+      </form>
+      <div className="flex flex-wrap items-center gap-4">
+        <div className="flex rounded-md border border-(--color-rule) overflow-hidden">
+          {ROLLING_WINDOWS.map(w => (
+            <button key={w} onClick={() => setRolling(w)}
+              className={`px-4 py-1.5 text-xs font-medium transition-colors cursor-pointer ${rolling === w ? 'bg-(--color-primary) text-white' : 'text-(--color-text-secondary) hover:bg-(--color-paper-alt)'}`}>
+              {ROLLING_LABELS[w]}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-sm text-(--color-text-secondary) cursor-pointer">
+          <input type="checkbox" checked={indexed} onChange={e => setIndexed(e.target.checked)} className="rounded" />
+          Indexed to 100
+        </label>
+        <label className="flex items-center gap-2 text-sm text-(--color-text-secondary) cursor-pointer">
+          <input type="checkbox" checked={logScale} onChange={e => setLogScale(e.target.checked)} className="rounded" />
+          Log scale
+        </label>
+      </div>
+    </div>
+  )
+
+  if (slugs.length < COMPARE_LIMITS.min) {
+    return (
+      <div className="space-y-6">
+        {controls}
+        <div className="text-center py-12 text-(--color-ink-muted)">Add at least {COMPARE_LIMITS.min} protocols to compare</div>
+      </div>
+    )
+  }
+  if (protocols.length === 0 && pending.length > 0) return <LoadingSpinner message={`Loading ${slugs.join(', ')}...`} />
+  if (protocols.length === 0) {
+    return (
+      <div className="space-y-6">
+        {controls}
+        <div className="text-center py-20 text-(--color-danger)">Error: {failed.map(slug => results[slug].error).join(' · ')}</div>
+      </div>
+    )
+  }
+
+  const snapshotHeaders = ['Protocol', 'Slug', ...COMPARE_METRICS.map(snapshotLabel)]
+  const snapshotRows = snapshots.map(p => [p.name, p.slug, ...COMPARE_METRICS.map(m => p.latest[m.key])])
+  const view = [ROLLING_LABELS[rolling], indexed && 'indexed', logScale && 'log'].filter(Boolean).join(' · ')
+
+  return (
+    <div className="space-y-6">
+      {controls}
+
+      {failed.length > 0 && (
+        <div className="text-xs font-mono text-(--color-danger)">
+          Could not load {failed.map(slug => `${slug} (${results[slug].error})`).join(', ')}
+        </div>
+      )}
+
+      <NarrativeBox title="Reading the Comparison">
+        <p>
+          Every metric is drawn on a shared date axis, one colour per protocol. <strong>Indexed to 100</strong> rebases each line to its value on
+          the first day all plotted protocols report, so a protocol ten times larger no longer flattens the rest and the lines read as relative
+          growth. <strong>Rolling averages</strong> smooth daily fees, revenue and users over a trailing 7 or 30 days. P/S divides market cap by
+          30-day annualized fees; dev activity and social volume come from Santiment's free tier, which covers only the last year. Protocols
+          without a token, a Santiment listing or user data simply drop out of those charts.
+        </p>
+      </NarrativeBox>
+
+      <ChartCard title="Latest Snapshot" subtitle="Flows summed or averaged over the last 30 days · Levels and P/S as of the latest day · Click a name for its profile"
+        csvData={{ filename: `compare-${slugs.join('-')}`, headers: snapshotHeaders, rows: snapshotRows }}>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-(--color-border)">
+                <th className={`${th} text-left`}>Protocol</th>
+                {COMPARE_METRICS.map(m => <th key={m.key} className={`${th} text-right`}>{snapshotLabel(m)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {snapshots.map(p => (
+                <tr key={p.slug} className="border-b border-(--color-border) hover:bg-(--color-surface)">
+                  <td className="p-2 font-medium" style={{ borderLeft: `3px solid ${colorOf(p.slug)}` }}>
+                    <button className="cursor-pointer hover:text-(--color-primary) text-left" onClick={() => openProtocol(p.slug)}>{p.name}</button>
+                  </td>
+                  {COMPARE_METRICS.map(m => <td key={m.key} className="text-right p-2 font-mono">{formatValue(m, p.latest[m.key])}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </ChartCard>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {charts.map(({ metric, dates, lines, missing, base }) => (
+          <ChartCard key={metric.key} title={metric.label}
+            subtitle={[
+              metric.source,
+              view,
+              indexed && (base ? `${base} = 100` : 'no common start date'),
+              missing.length > 0 && `No data: ${missing.join(', ')}`,
+            ].filter(Boolean).join(' · ')}
+            csvData={lines.length > 0 ? {
+              filename: `compare-${metric.key}${indexed ? '-indexed' : ''}`,
+              headers: ['Date', ...lines.map(l => l.name)],
+              rows: dates.map((d, i) => [d, ...lines.map(l => l.values[i])]),
+            } : undefined}>
+            {lines.length > 0 ? (
+              <Plot
+                data={lines.map(l => ({
+                  x: dates,
+                  y: l.values,
+                  name: l.name,
+                  type: 'scatter',
+                  mode: 'lines',
+                  connectgaps: false,
+                  line: { color: colorOf(l.slug), width: 1.5 },
+                  hovertemplate: `${l.name}: ${hoverValue(metric, indexed && base)}<extra></extra>`,
+                }))}
+                layout={{
+                  ...defaultLayout,
+                  height: 340,
+                  hovermode: 'x unified',
+                  yaxis: { ...defaultLayout.yaxis, title: indexed && base ? 'Index (100 = start)' : axisTitle(metric), type: logScale ? 'log' : 'linear' },
+                  legend: { ...defaultLayout.legend, orientation: 'h', y: 1.12 },
+                }}
+                config={defaultConfig}
+                className="w-full"
+              />
+            ) : (
+              <div className="text-center py-12 text-sm text-(--color-ink-muted)">No {metric.label.toLowerCase()} data for these protocols</div>
+            )}
+          </ChartCard>
+        ))}
+      </div>
+    </div>
+  )
+}
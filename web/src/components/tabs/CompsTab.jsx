@@ -0,0 +1,301 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import Plot, { defaultLayout, defaultConfig, colors } from '../Plot'
+import ChartCard from '../ChartCard'
+import KPICard from '../KPICard'
+import NarrativeBox from '../NarrativeBox'
+import LoadingSpinner from '../LoadingSpinner'
+import { fetchValuationsData } from '../../services/api'
+import { formatCurrency, formatPercent, formatMultiple } from '../../utils/helpers'
+import { computeValuations } from '../../utils/valuations'
+import {
+  loadPeerGroups, savePeerGroups, createPeerGroup, parsePeerGroupImport, mergePeerGroups, exportPeerGroups,
+  compsTable, COMP_METRICS,
+} from '../../utils/peers'
+import { downloadJSON } from '../../utils/csv'
+import { downloadXLSX } from '../../utils/xlsx'
+import { useUrlState } from '../../hooks/useUrlState'
+import { useProtocol } from '../../context/ProtocolProvider'
+import { useWatchlistView } from '../../context/WatchlistProvider'
+
+const btn = 'text-xs font-mono text-(--color-ink-muted) hover:text-(--color-ink) cursor-pointer px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) transition-colors'
+const th = 'py-2 px-3 text-[11px] font-semibold text-(--color-ink-muted) uppercase tracking-widest'
+const input = 'px-2 py-1 text-sm border border-(--color-rule) bg-(--color-paper)'
+
+const FORMATTERS = {
+  currency: (v) => formatCurrency(v),
+  percent: (v) => formatPercent(v),
+  multiple: (v) => formatMultiple(v),
+}
+const formatMetric = (metric, v) => v === null || v === undefined ? '—' : FORMATTERS[metric.format](v)
+
+// Beyond one standard deviation from the peer mean, in the metric's good or bad direction
+function zColor(metric, z) {
+  if (z === null || !metric.higher || Math.abs(z) < 1) return undefined
+  const good = metric.higher === 'good' ? z > 0 : z < 0
+  return good ? colors.success : colors.danger
+}
+const formatZ = (z) => z === null ? '' : `${z > 0 ? '+' : ''}${z.toFixed(1)}σ`
+
+// ============================================================================
+// PEER GROUP EDITOR
+// ============================================================================
+
+function PeerGroupManager({ groups, setGroups, active, setActive, options }) {
+  const [query, setQuery] = useState('')
+  const [message, setMessage] = useState(null)
+  const fileRef = useRef(null)
+
+  const update = (changes) => setGroups(gs => gs.map(g => g.id === active.id ? { ...g, ...changes } : g))
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    const q = query.trim().toLowerCase()
+    if (!q || !active) return
+    const match = options.find(p => p.slug.toLowerCase() === q || (p.name || '').toLowerCase() === q)
+    const slug = (match?.slug || q).toLowerCase()
+    if (!active.slugs.includes(slug)) update({ slugs: [...active.slugs, slug] })
+    setQuery('')
+  }
+
+  const handleCreate = () => {
+    const name = window.prompt('Peer group name (e.g. "Perp DEXs")')
+    if (!name?.trim()) return
+    const slug = window.prompt('First protocol (DeFiLlama slug)')
+    try {
+      const group = createPeerGroup(name, [slug || ''])
+      setGroups(gs => [...gs, group])
+      setActive(group.id)
+      setMessage(null)
+    } catch (err) {
+      setMessage(err.message)
+    }
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const imported = parsePeerGroupImport(await file.text())
+      setGroups(gs => mergePeerGroups(gs, imported))
+      setMessage(`Imported ${imported.length} peer group${imported.length === 1 ? '' : 's'}`)
+    } catch (err) {
+      setMessage(`Import failed: ${err.message}`)
+    }
+  }
+
+  const nameOf = (slug) => options.find(p => p.slug.toLowerCase() === slug)?.name || slug
+
+  return (
+    <div className="border border-(--color-rule) p-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {groups.length > 0 && (
+          <select value={active?.id || ''} onChange={e => setActive(e.target.value)} className={`${input} font-mono`}>
+            {groups.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+          </select>
+        )}
+        <button className={btn} onClick={handleCreate}>+ New group</button>
+        <button className={btn} disabled={!active} onClick={() => {
+          const name = window.prompt('Rename peer group', active.name)
+          if (name?.trim()) update({ name: name.trim() })
+        }}>Rename</button>
+        <button className={btn} disabled={!active} onClick={() => {
+          if (window.confirm(`Delete "${active.name}"?`)) setGroups(gs => gs.filter(g => g.id !== active.id))
+        }}>Delete</button>
+        <span className="w-px h-5 bg-(--color-rule) mx-1" />
+        <button className={btn} disabled={groups.length === 0} onClick={() => downloadJSON('revenue-codex-peer-groups', exportPeerGroups(groups))}>Export JSON</button>
+        <button className={btn} onClick={() => fileRef.current?.click()}>Import JSON</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+        {message && <span className="text-xs text-(--color-ink-muted)">{message}</span>}
+      </div>
+      {active && (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {active.slugs.map(slug => (
+              <span key={slug} className="inline-flex items-center gap-1 text-xs font-mono border border-(--color-rule) px-2 py-0.5">
+                {nameOf(slug)}
+                <button className="cursor-pointer text-(--color-ink-muted) hover:text-(--color-danger)" title={`Remove ${slug}`}
+                  disabled={active.slugs.length < 2}
+                  onClick={() => update({ slugs: active.slugs.filter(s => s !== slug) })}>×</button>
+              </span>
+            ))}
+          </div>
+          <form onSubmit={handleAdd} className="flex items-center gap-2">
+            <input list="comps-protocols" value={query} onChange={e => setQuery(e.target.value)}
+              placeholder="Add protocol (name or DeFiLlama slug)" className={`${input} flex-1 max-w-sm`} />
+            <datalist id="comps-protocols">
+              {options.map(p => <option key={p.slug} value={p.slug}>{p.name}</option>)}
+            </datalist>
+            <button type="submit" className={btn}>Add</button>
+          </form>
+        </>
+      )}
+    </div>
+  )
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function CompsTab() {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [groups, setGroups] = useState(loadPeerGroups)
+  const [activeId, setActive] = useUrlState('comps', null)
+  const { openProtocol } = useProtocol()
+  const watchlist = useWatchlistView()
+
+  useEffect(() => { savePeerGroups(groups) }, [groups])
+
+  useEffect(() => {
+    fetchValuationsData()
+      .then(setData)
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const valuations = useMemo(() => data ? computeValuations(data) : null, [data])
+  const active = groups.find(g => g.id === activeId) || groups[0] || null
+  const comps = useMemo(() => valuations && active ? compsTable(valuations, active) : null, [valuations, active])
+
+  if (loading) return <LoadingSpinner message="Loading fees, revenue and market data..." />
+  if (error) return <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
+  if (!valuations) return <div className="text-center py-20">No data available</div>
+
+  const options = valuations.protocols.slice(0, 500)
+  const manager = <PeerGroupManager groups={groups} setGroups={setGroups} active={active} setActive={setActive} options={options} />
+  if (!active || !comps) {
+    return (
+      <div className="space-y-6">
+        {manager}
+        <div className="text-center py-12 text-(--color-ink-muted)">Create a peer group to build a comps table</div>
+      </div>
+    )
+  }
+
+  const { rows, stats, missing } = comps
+  const cheapest = rows.filter(r => r.prRatio !== null).sort((a, b) => a.prRatio - b.prRatio)[0]
+  const fastest = rows.filter(r => r.feeGrowth30d !== null).sort((a, b) => b.feeGrowth30d - a.feeGrowth30d)[0]
+  const summaryRows = [
+    { label: 'Peer median', values: COMP_METRICS.map(m => stats[m.key].median) },
+    { label: 'Peer mean', values: COMP_METRICS.map(m => stats[m.key].mean) },
+  ]
+
+  const headers = ['Protocol', 'Slugs', 'MarketCap', ...COMP_METRICS.map(m => m.label), 'EmissionsUSD']
+  const tableRows = [
+    ...rows.map(r => [r.name, r.versions.join(' '), r.mcap, ...COMP_METRICS.map(m => r[m.key]), r.emissions]),
+    ...summaryRows.map(s => [s.label, '', null, ...s.values, null]),
+  ]
+  const zHeaders = ['Protocol', ...COMP_METRICS.map(m => `${m.label} z`)]
+  const zRows = rows.map(r => [r.name, ...COMP_METRICS.map(m => r.z[m.key])])
+  const filename = `comps-${active.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`
+
+  const plotted = rows.filter(r => r.prRatio > 0 && r.feeGrowth30d !== null)
+
+  return (
+    <div className="space-y-6">
+      {manager}
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <KPICard title="Peers" value={rows.length} subtitle={missing.length > 0 ? `No fee data: ${missing.join(', ')}` : active.name} />
+        <KPICard title="Median P/Rev" value={formatMultiple(stats.prRatio.median)} subtitle={`Median P/F ${formatMultiple(stats.pfRatio.median)}`} />
+        <KPICard title="Cheapest on P/Rev" value={cheapest?.name || '—'} subtitle={cheapest ? `${formatMultiple(cheapest.prRatio)} · ${formatZ(cheapest.z.prRatio) || 'n/a'} vs peers` : 'No revenue-earning peers'} />
+        <KPICard title="Fastest Fee Growth" value={fastest?.name || '—'} subtitle={fastest ? `${formatPercent(fastest.feeGrowth30d)} over 30d` : '—'} />
+      </div>
+
+      <NarrativeBox title="Reading the Comps Table">
+        <p>
+          Each peer's versions are summed into one row (e.g. Aave V2 + V3). <strong>P/Rev</strong> divides market cap by annualized protocol
+          revenue, <strong>P/F</strong> by annualized fees — the multiple the Valuations and Valuation Bands tabs call P/S. <strong>Emissions
+          % MCap</strong> is the trailing-year value of unlocked tokens relative to market cap. Under each figure, the <strong>z-score</strong>
+          shows how many standard deviations it sits from the peer mean — green and red mark readings beyond one σ in the favourable or
+          unfavourable direction. The same groups can replace the fixed sectors as the P/S benchmark in the Revenue Score's valuation
+          dimension.
+        </p>
+      </NarrativeBox>
+
+      <ChartCard title={`${active.name} — Comparable Companies`}
+        subtitle="Annualized from the last 24h · z-scores vs the group (sample σ) · Click a name for its profile"
+        csvData={{ filename, headers, rows: tableRows }}>
+        <div className="flex justify-end mb-2">
+          <button className={btn} onClick={() => downloadXLSX(filename, [
+            { name: active.name, headers, rows: tableRows },
+            { name: 'Z-scores', headers: zHeaders, rows: zRows },
+          ])}>XLSX</button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-(--color-border)">
+                <th className={`${th} text-left`}>Protocol</th>
+                {COMP_METRICS.map(m => <th key={m.key} className={`${th} text-right`}>{m.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => (
+                <tr key={r.key} className={`border-b border-(--color-border) hover:bg-(--color-surface) ${watchlist.rowClass(r.slug)}`}>
+                  <td className="p-2 font-medium">
+                    <button className="cursor-pointer hover:text-(--color-primary) text-left" onClick={() => openProtocol(r.slug)}>{r.name}</button>
+                    {r.versions.length > 1 && <span className="block text-[10px] font-mono text-(--color-ink-muted)">{r.versions.length} versions</span>}
+                  </td>
+                  {COMP_METRICS.map(m => (
+                    <td key={m.key} className="text-right p-2 font-mono">
+                      {formatMetric(m, r[m.key])}
+                      <span className="block text-[10px]" style={{ color: zColor(m, r.z[m.key]) || 'var(--color-ink-muted)' }}>{formatZ(r.z[m.key])}</span>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              {summaryRows.map(s => (
+                <tr key={s.label} className="border-b border-(--color-border) bg-(--color-paper-alt)">
+                  <td className="p-2 font-semibold text-xs uppercase tracking-widest text-(--color-ink-muted)">{s.label}</td>
+                  {COMP_METRICS.map((m, i) => <td key={m.key} className="text-right p-2 font-mono font-semibold">{formatMetric(m, s.values[i])}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </ChartCard>
+
+      {plotted.length > 1 && (
+        <ChartCard title="Relative Value — P/Rev vs Fee Growth"
+          subtitle={`Bubble size = annualized fees · Dashed lines = peer medians · Lower-right = cheaper and growing faster`}>
+          <Plot
+            data={[{
+              x: plotted.map(r => r.feeGrowth30d),
+              y: plotted.map(r => r.prRatio),
+              text: plotted.map(r => r.name),
+              customdata: plotted.map(r => formatCurrency(r.annualizedFees)),
+              type: 'scatter',
+              mode: 'markers+text',
+              textposition: 'top center',
+              marker: watchlist.marker({
+                size: plotted.map(r => Math.max(10, Math.min(50, Math.sqrt(r.annualizedFees / 1e6) * 4))),
+                color: colors.primary,
+                opacity: 0.7,
+                line: { width: 1, color: '#FFF' },
+              }, plotted),
+              hovertemplate: '%{text}<br>P/Rev: %{y:.1f}x<br>Fee growth: %{x:.1f}%<br>Fees: %{customdata}/yr<extra></extra>',
+            }]}
+            layout={{
+              ...defaultLayout,
+              height: 420,
+              xaxis: { ...defaultLayout.xaxis, title: 'Fee growth, 30d vs prior 30d (%)' },
+              yaxis: { ...defaultLayout.yaxis, title: 'P/Rev (log)', type: 'log' },
+              showlegend: false,
+              shapes: [
+                stats.feeGrowth30d.median !== null && { type: 'line', yref: 'paper', y0: 0, y1: 1, x0: stats.feeGrowth30d.median, x1: stats.feeGrowth30d.median, line: { color: colors.slate, dash: 'dash', width: 1 } },
+                stats.prRatio.median !== null && { type: 'line', xref: 'paper', x0: 0, x1: 1, y0: stats.prRatio.median, y1: stats.prRatio.median, line: { color: colors.slate, dash: 'dash', width: 1 } },
+              ].filter(Boolean),
+            }}
+            config={defaultConfig}
+            className="w-full"
+          />
+        </ChartCard>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,360 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import Plot, { defaultLayout, defaultConfig, colors } from '../Plot'
+import ChartCard from '../ChartCard'
+import KPICard from '../KPICard'
+import NarrativeBox from '../NarrativeBox'
+import LoadingSpinner from '../LoadingSpinner'
+import { fetchDcfData, fetchFeesOverview } from '../../services/api'
+import { formatCurrency, formatMultiple, formatNumber } from '../../utils/helpers'
+import {
+  ASSUMPTION_FIELDS, seedFromData, defaultAssumptions, runDcf, sensitivityGrid,
+  loadScenarios, saveScenarios, createScenario, parseScenarioImport, mergeScenarios, exportScenarios,
+} from '../../utils/dcf'
+import { downloadJSON } from '../../utils/csv'
+import { useUrlState } from '../../hooks/useUrlState'
+
+const btn = 'text-xs font-mono text-(--color-ink-muted) hover:text-(--color-ink) cursor-pointer px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) transition-colors'
+const th = 'py-2 px-3 text-[11px] font-semibold text-(--color-ink-muted) uppercase tracking-widest'
+const input = 'px-2 py-1 text-sm border border-(--color-rule) bg-(--color-paper)'
+
+const SENSITIVITY_COLUMNS = ['growth', 'terminalMultiple', 'takeRate']
+const fieldOf = (key) => ASSUMPTION_FIELDS.find(f => f.key === key)
+const formatUpside = (u) => u === null ? '—' : `${u >= 0 ? '+' : ''}${(u * 100).toFixed(0)}%`
+const upsideColor = (u) => u === null ? colors.slate : u >= 0 ? colors.success : colors.danger
+const formatAssumption = (key, v) => key === 'terminalMultiple' ? `${v}x` : key === 'years' ? `${v}y` : `${v}%`
+
+// ============================================================================
+// SCENARIOS
+// ============================================================================
+
+function ScenarioManager({ slug, assumptions, scenarios, setScenarios, onLoad }) {
+  const [name, setName] = useState('')
+  const [author, setAuthor] = useState('')
+  const [notes, setNotes] = useState('')
+  const [message, setMessage] = useState(null)
+  const fileRef = useRef(null)
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    const scenario = createScenario({ name, slug, author, notes, assumptions })
+    setScenarios(list => mergeScenarios(list, [scenario]))
+    setName('')
+    setNotes('')
+    setMessage(`Saved "${scenario.name}"`)
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const imported = parseScenarioImport(await file.text())
+      setScenarios(list => mergeScenarios(list, imported))
+      setMessage(`Imported ${imported.length} scenario${imported.length === 1 ? '' : 's'}`)
+    } catch (err) {
+      setMessage(`Import failed: ${err.message}`)
+    }
+  }
+
+  const own = scenarios.filter(s => s.slug === slug)
+
+  return (
+    <div className="border border-(--color-rule) p-4 space-y-3">
+      <form onSubmit={handleSave} className="flex flex-wrap items-center gap-2">
+        <input value={name} onChange={e => setName(e.target.value)} placeholder="Scenario name (e.g. Bull)" className={`${input} w-44`} />
+        <input value={author} onChange={e => setAuthor(e.target.value)} placeholder="Author" className={`${input} w-32`} />
+        <input value={notes} onChange={e => setNotes(e.target.value)} placeholder="Rationale" className={`${input} flex-1 min-w-48`} />
+        <button type="submit" className={btn}>Save scenario</button>
+      </form>
+      <div className="flex flex-wrap items-center gap-2">
+        <button className={btn} disabled={own.length === 0} onClick={() => downloadJSON(`dcf-scenarios-${slug}`, exportScenarios(own))}>Export this protocol</button>
+        <button className={btn} disabled={scenarios.length === 0} onClick={() => downloadJSON('dcf-scenarios', exportScenarios(scenarios))}>Export all</button>
+        <button className={btn} onClick={() => fileRef.current?.click()}>Import JSON</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+        {message && <span className="text-xs text-(--color-ink-muted)">{message}</span>}
+      </div>
+      {own.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {own.map(s => (
+            <span key={s.id} className="inline-flex items-center gap-1 text-xs font-mono border border-(--color-rule) px-2 py-1" title={s.notes || undefined}>
+              <button className="cursor-pointer hover:text-(--color-primary)" onClick={() => onLoad(s.assumptions)}>{s.name}{s.author ? ` · ${s.author}` : ''}</button>
+              <button className="cursor-pointer text-(--color-ink-muted) hover:text-(--color-danger)" title="Delete"
+                onClick={() => setScenarios(list => list.filter(x => x.id !== s.id))}>×</button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function DcfTab() {
+  const [slug, setSlug] = useUrlState('dcf', 'aave')
+  const [sensitivityCol, setSensitivityCol] = useUrlState('dcfSensitivity', 'growth', { values: SENSITIVITY_COLUMNS })
+  const [query, setQuery] = useState(slug)
+  const [options, setOptions] = useState([])
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [assumptions, setAssumptions] = useState(null)
+  const [scenarios, setScenarios] = useState(loadScenarios)
+
+  useEffect(() => { saveScenarios(scenarios) }, [scenarios])
+
+  // Protocol picker: fee earners, largest first
+  useEffect(() => {
+    fetchFeesOverview()
+      .then(fees => setOptions((fees?.protocols || [])
+        .filter(p => p.slug && p.total30d > 0)
+        .sort((a, b) => b.total30d - a.total30d)
+        .slice(0, 500)))
+      .catch(() => {})
+  }, [])
+
+  useEffect(() => {
+    setLoading(true)
+    setError(null)
+    setQuery(slug)
+    fetchDcfData(slug)
+      .then(setData)
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false))
+  }, [slug])
+
+  const seed = useMemo(() => data ? seedFromData(data) : null, [data])
+  useEffect(() => { if (seed) setAssumptions(defaultAssumptions(seed)) }, [seed])
+
+  const result = useMemo(() => seed && assumptions ? runDcf(seed, assumptions) : null, [seed, assumptions])
+  const grid = useMemo(() => seed && assumptions
+    ? sensitivityGrid(seed, assumptions, 'discountRate', sensitivityCol)
+    : null, [seed, assumptions, sensitivityCol])
+  const comparisons = useMemo(() => {
+    if (!seed || !assumptions) return []
+    return [
+      { name: 'Current inputs', assumptions },
+      ...scenarios.filter(s => s.slug === slug).map(s => ({ name: s.author ? `${s.name} (${s.author})` : s.name, assumptions: s.assumptions, notes: s.notes })),
+    ].map(c => ({ ...c, result: runDcf(seed, c.assumptions) }))
+  }, [seed, assumptions, scenarios, slug])
+
+  const handlePick = (e) => {
+    e.preventDefault()
+    const q = query.trim().toLowerCase()
+    if (!q) return
+    const match = options.find(p => p.slug.toLowerCase() === q || (p.name || '').toLowerCase() === q)
+    setSlug(match?.slug || q)
+  }
+
+  const picker = (
+    <form onSubmit={handlePick} className="flex flex-wrap items-center gap-2">
+      <span className="text-sm font-medium text-(--color-text-secondary)">Protocol:</span>
+      <input list="dcf-protocols" value={query} onChange={e => setQuery(e.target.value)}
+        placeholder="Name or DeFiLlama slug" className={`${input} w-64`} />
+      <datalist id="dcf-protocols">
+        {options.map(p => <option key={p.slug} value={p.slug}>{p.name}</option>)}
+      </datalist>
+      <button type="submit" className={btn}>Value</button>
+    </form>
+  )
+
+  if (loading) return <LoadingSpinner message={`Loading ${slug} cash flows...`} />
+  if (error) {
+    return (
+      <div className="space-y-6">
+        {picker}
+        <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
+      </div>
+    )
+  }
+  if (!seed || !assumptions || !result) return <div className="text-center py-20">No data available</div>
+
+  const set = (key, value) => setAssumptions(a => ({ ...a, [key]: value }))
+  const scenarioCsvHeaders = ['Scenario', ...ASSUMPTION_FIELDS.map(f => f.key), 'FairMarketCap', 'Upside']
+
+  return (
+    <div className="space-y-6">
+      {picker}
+
+      {/* Seed */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <KPICard title="Trailing Fees" value={formatCurrency(seed.trailingFees)}
+          subtitle={seed.historyDays < 365 ? `${seed.historyDays}d annualized` : 'last 365 days'} />
+        <KPICard title="Holders Take Rate" value={seed.takeRate !== null ? `${seed.takeRate.toFixed(1)}%` : '—'}
+          subtitle={seed.trailingHolders !== null ? `${formatCurrency(seed.trailingHolders)} to holders` : 'no holders revenue reported'} />
+        <KPICard title="Market Cap" value={seed.mcap > 0 ? formatCurrency(seed.mcap) : '—'}
+          subtitle={seed.circulatingSupply > 0 ? `${formatNumber(seed.circulatingSupply)} tokens circulating` : 'no CoinGecko market'} />
+        <KPICard title={`Unlocks in ${assumptions.years}y`} value={formatNumber(result.newTokens)}
+          subtitle={seed.unlocks.length > 0 ? `holders keep ${(result.holderShare * 100).toFixed(0)}%` : 'no emission schedule'} />
+      </div>
+
+      {/* Assumptions */}
+      <ChartCard title={`${data.name} — Assumptions`} subtitle="Seeded from DeFiLlama fees, holders revenue and emissions · Every output below updates live">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+          {ASSUMPTION_FIELDS.map(({ key, label, unit, min, max, step }) => (
+            <label key={key} className="space-y-1">
+              <span className="block text-xs text-(--color-text-secondary)">{label} <span className="text-(--color-ink-muted)">({unit})</span></span>
+              <div className="flex items-center gap-2">
+                <input type="range" min={min} max={max} step={step} value={assumptions[key]}
+                  onChange={e => set(key, Number(e.target.value))} className="flex-1 accent-(--color-primary)" />
+                <input type="number" min={min} max={max} step={step} value={assumptions[key]}
+                  onChange={e => e.target.value !== '' && set(key, Math.max(min, Math.min(max, Number(e.target.value))))}
+                  className={`${input} w-20 text-right font-mono`} />
+              </div>
+            </label>
+          ))}
+        </div>
+        <div className="mt-3">
+          <button className={btn} onClick={() => setAssumptions(defaultAssumptions(seed))}>Reset to defaults</button>
+        </div>
+      </ChartCard>
+
+      {/* Outputs */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <KPICard title="Fair Market Cap" value={formatCurrency(result.fairMcap)} subtitle="after unlock dilution" />
+        <KPICard title="Upside" value={formatUpside(result.upside)} subtitle="vs current market cap" />
+        <KPICard title="Fair Price" value={result.fairPrice !== null ? formatCurrency(result.fairPrice, 2) : '—'}
+          subtitle={seed.price > 0 ? `now ${formatCurrency(seed.price, 2)}` : ''} />
+        <KPICard title="Terminal Value Share" value={result.equityValue > 0 ? `${(result.pvTerminal / result.equityValue * 100).toFixed(0)}%` : '—'}
+          subtitle={`implied P/E ${result.rows[0].cashFlow > 0 && seed.mcap > 0 ? formatMultiple(seed.mcap / result.rows[0].cashFlow) : '—'} on year 1`} />
+      </div>
+
+      <ChartCard title="Projected Holder Cash Flows" subtitle={`Fees × ${assumptions.takeRate}% take rate · Discounted at ${assumptions.discountRate}% · Terminal value at ${assumptions.terminalMultiple}x year-${assumptions.years} cash flow`}
+        csvData={{
+          filename: `dcf-${slug}`,
+          headers: ['Year', 'Fees', 'CashFlow', 'DiscountedCashFlow'],
+          rows: [
+            ...result.rows.map(r => [r.year, r.fees, r.cashFlow, r.discounted]),
+            ['Terminal', '', result.terminalValue, result.pvTerminal],
+          ],
+        }}>
+        <Plot
+          data={[
+            { x: result.rows.map(r => `Y${r.year}`), y: result.rows.map(r => r.cashFlow), type: 'bar', name: 'Cash flow', marker: { color: colors.primary + '66' },
+              hovertemplate: '%{x}<br>Cash flow: $%{y:,.0f}<extra></extra>' },
+            { x: result.rows.map(r => `Y${r.year}`), y: result.rows.map(r => r.discounted), type: 'bar', name: 'Present value', marker: { color: colors.primary },
+              hovertemplate: '%{x}<br>Present value: $%{y:,.0f}<extra></extra>' },
+            { x: ['Terminal'], y: [result.pvTerminal], type: 'bar', name: 'PV of terminal value', marker: { color: colors.secondary },
+              hovertemplate: 'Terminal<br>Present value: $%{y:,.0f}<extra></extra>' },
+          ]}
+          layout={{
+            ...defaultLayout, height: 380, barmode: 'group',
+            xaxis: { ...defaultLayout.xaxis, type: 'category' },
+            yaxis: { ...defaultLayout.yaxis, title: 'USD' },
+            legend: { ...defaultLayout.legend, orientation: 'h', y: 1.1 },
+          }}
+          config={defaultConfig} className="w-full"
+        />
+      </ChartCard>
+
+      {/* Sensitivity */}
+      <ChartCard title="Sensitivity — Upside vs Current Market Cap" subtitle="Discount rate (rows) against a second assumption · Centre cell = current inputs"
+        csvData={{
+          filename: `dcf-sensitivity-${slug}-${sensitivityCol}`,
+          headers: [`discountRate \\ ${sensitivityCol}`, ...grid.colValues],
+          rows: grid.rowValues.map((rv, i) => [rv, ...grid.cells[i].map(u => u === null ? '' : (u * 100).toFixed(1))]),
+        }}>
+        <div className="flex items-center gap-3 mb-3">
+          <label className="text-xs text-(--color-text-secondary)">Columns:</label>
+          <div className="flex rounded-md border border-(--color-border) overflow-hidden">
+            {SENSITIVITY_COLUMNS.map(key => (
+              <button key={key} onClick={() => setSensitivityCol(key)}
+                className={`px-3 py-1 text-xs font-medium cursor-pointer transition-colors ${sensitivityCol === key ? 'bg-(--color-primary) text-white' : 'text-(--color-text-secondary) hover:bg-(--color-paper-alt)'}`}
+              >{fieldOf(key).label}</button>
+            ))}
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm font-mono">
+            <thead>
+              <tr className="border-b border-(--color-border)">
+                <th className={`${th} text-left`}>Discount ↓ / {fieldOf(sensitivityCol).label} →</th>
+                {grid.colValues.map(cv => <th key={cv} className={`${th} text-right`}>{formatAssumption(sensitivityCol, cv)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {grid.rowValues.map((rv, i) => (
+                <tr key={rv} className="border-b border-(--color-border)">
+                  <td className="py-2 px-3 text-(--color-ink-muted)">{formatAssumption('discountRate', rv)}</td>
+                  {grid.cells[i].map((u, j) => {
+                    const current = rv === assumptions.discountRate && grid.colValues[j] === assumptions[sensitivityCol]
+                    return (
+                      <td key={j} className={`py-2 px-3 text-right ${current ? 'font-bold bg-(--color-paper-alt)' : ''}`} style={{ color: upsideColor(u) }}>
+                        {formatUpside(u)}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </ChartCard>
+
+      {/* Scenarios */}
+      <ChartCard title="Scenarios" subtitle="Save the current inputs under a name, load a saved set, or exchange scenarios as JSON for review">
+        <ScenarioManager slug={slug} assumptions={assumptions} scenarios={scenarios} setScenarios={setScenarios} onLoad={setAssumptions} />
+      </ChartCard>
+
+      {comparisons.length > 1 && (
+        <ChartCard title="Scenario Comparison" subtitle={`Fair market cap per scenario · Dashed line = current market cap${seed.mcap > 0 ? ` (${formatCurrency(seed.mcap)})` : ''}`}
+          csvData={{
+            filename: `dcf-scenarios-${slug}`,
+            headers: scenarioCsvHeaders,
+            rows: comparisons.map(c => [c.name, ...ASSUMPTION_FIELDS.map(f => c.assumptions[f.key]), c.result.fairMcap, c.result.upside]),
+          }}>
+          <Plot
+            data={[{
+              x: comparisons.map(c => c.name), y: comparisons.map(c => c.result.fairMcap), type: 'bar',
+              marker: { color: comparisons.map(c => upsideColor(c.result.upside)) },
+              text: comparisons.map(c => formatUpside(c.result.upside)), textposition: 'outside',
+              hovertemplate: '%{x}<br>Fair market cap: $%{y:,.0f}<br>Upside: %{text}<extra></extra>',
+            }]}
+            layout={{
+              ...defaultLayout, height: 360, showlegend: false,
+              xaxis: { ...defaultLayout.xaxis, type: 'category' },
+              yaxis: { ...defaultLayout.yaxis, title: 'Fair market cap (USD)' },
+              shapes: seed.mcap > 0 ? [{ type: 'line', xref: 'paper', x0: 0, x1: 1, y0: seed.mcap, y1: seed.mcap, line: { color: colors.slate, dash: 'dash', width: 1 } }] : [],
+            }}
+            config={defaultConfig} className="w-full"
+          />
+          <div className="overflow-x-auto mt-4">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-(--color-border)">
+                  <th className={`${th} text-left`}>Scenario</th>
+                  {ASSUMPTION_FIELDS.map(f => <th key={f.key} className={`${th} text-right`}>{f.label}</th>)}
+                  <th className={`${th} text-right`}>Fair MCap</th>
+                  <th className={`${th} text-right`}>Upside</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparisons.map((c, i) => (
+                  <tr key={i} className="border-b border-(--color-border)" title={c.notes || undefined}>
+                    <td className="py-2 px-3 font-medium">{c.name}</td>
+                    {ASSUMPTION_FIELDS.map(f => <td key={f.key} className="py-2 px-3 text-right font-mono">{formatAssumption(f.key, c.assumptions[f.key])}</td>)}
+                    <td className="py-2 px-3 text-right">{formatCurrency(c.result.fairMcap)}</td>
+                    <td className="py-2 px-3 text-right font-bold" style={{ color: upsideColor(c.result.upside) }}>{formatUpside(c.result.upside)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </ChartCard>
+      )}
+
+      <NarrativeBox title="How the Model Works">
+        <p>
+          Fees start from the protocol's trailing year on DeFiLlama and grow at a constant rate. Holders receive the <strong>take rate</strong> share —
+          seeded with the protocol's own holders revenue / fees — and each year's cash flow is discounted at the <strong>discount rate</strong>.
+          The final year is capitalized at the <strong>terminal multiple</strong>. Tokens the DeFiLlama emission schedule unlocks over the
+          horizon dilute today's holders, so the fair market cap is the discounted value times circulating / (circulating + unlocks).
+          Token incentives are not modelled separately: lower the take rate to account for them.
+        </p>
+      </NarrativeBox>
+    </div>
+  )
+}
@@ -5,6 +5,11 @@ import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
 import { formatCurrency, formatNumber, formatPercent } from '../../utils/helpers'
+import { fetchDerivativesOverview, fetchOptionsOverview } from '../../services/api'
+import {
+  fetchFundingRates, fetchLiquidations, fetchEtfFlows, fetchOIByExchange,
+  fetchOpenInterest, fetchLongShortRatio,
+} from '../../services/coinglass'
 
 // Tracked coins for OI and Long/Short data
 const OI_COINS = ['BTC', 'ETH', 'SOL', 'DOGE', 'XRP', 'AVAX']
@@ -12,59 +17,39 @@ const LONG_SHORT_COINS = ['BTC', 'ETH', 'SOL']
 const ALL_DISPLAY_COINS = ['BTC', 'ETH', 'SOL', 'DOGE', 'XRP', 'AVAX', 'ADA', 'LINK']
 
 async function fetchAllDerivativesData() {
-  const parseResult = async (result) => {
-    if (result.status === 'fulfilled' && result.value.ok) {
-      return result.value.json()
-    }
-    return null
-  }
+  const value = (result) => result.status === 'fulfilled' ? result.value : null
 
-  // Build all fetch promises
-  const fetchPromises = [
+  const [funding, liquidation, etf, oiExchange, ...rest] = await Promise.allSettled([
     // Coinglass endpoints
-    fetch('/api/coinglass?action=funding'),
-    fetch('/api/coinglass?action=liquidation'),
-    fetch('/api/coinglass?action=etf'),
-    fetch('/api/coinglass?action=oi_exchange&symbol=BTC'),
+    fetchFundingRates(),
+    fetchLiquidations(),
+    fetchEtfFlows(),
+    fetchOIByExchange('BTC'),
     // OI for each tracked coin
-    ...OI_COINS.map(symbol => fetch(`/api/coinglass?action=oi&symbol=${symbol}&range=4h`)),
+    ...OI_COINS.map(symbol => fetchOpenInterest(symbol, '4h')),
     // Long/Short for BTC, ETH, SOL
-    ...LONG_SHORT_COINS.map(symbol => fetch(`/api/coinglass?action=longshort&symbol=${symbol}&range=4h`)),
+    ...LONG_SHORT_COINS.map(symbol => fetchLongShortRatio(symbol, '4h')),
     // DeFiLlama endpoints
-    fetch('https://api.llama.fi/overview/derivatives'),
-    fetch('https://api.llama.fi/overview/options'),
-  ]
-
-  const results = await Promise.allSettled(fetchPromises)
-
-  // Parse results in order
-  let idx = 0
-  const funding = await parseResult(results[idx++])
-  const liquidation = await parseResult(results[idx++])
-  const etf = await parseResult(results[idx++])
-  const oiExchange = await parseResult(results[idx++])
+    fetchDerivativesOverview(),
+    fetchOptionsOverview(),
+  ])
 
   // OI data per coin
   const oiData = {}
-  for (const symbol of OI_COINS) {
-    oiData[symbol] = await parseResult(results[idx++])
-  }
+  OI_COINS.forEach((symbol, i) => { oiData[symbol] = value(rest[i]) })
 
   // Long/Short data per coin
   const longShortData = {}
-  for (const symbol of LONG_SHORT_COINS) {
-    longShortData[symbol] = await parseResult(results[idx++])
-  }
+  LONG_SHORT_COINS.forEach((symbol, i) => { longShortData[symbol] = value(rest[OI_COINS.length + i]) })
 
   // DeFiLlama data
-  const defiDerivatives = await parseResult(results[idx++])
-  const defiOptions = await parseResult(results[idx++])
+  const [defiDerivatives, defiOptions] = rest.slice(OI_COINS.length + LONG_SHORT_COINS.length).map(value)
 
   return {
-    funding,
-    liquidation,
-    etf,
-    oiExchange,
+    funding: value(funding),
+    liquidation: value(liquidation),
+    etf: value(etf),
+    oiExchange: value(oiExchange),
     oiData,
     longShortData,
     defiDerivatives,
@@ -283,6 +268,7 @@ export default function DerivativesTab() {
 
       {/* Funding Rate Heatmap */}
       <ChartCard
+        sources={['coinglass']}
         title="Funding Rate Heatmap"
         subtitle="Multi-coin funding rates — green: negative (shorts pay longs), red: high positive (longs pay shorts)"
         csvData={{ filename: 'funding-rates', headers: ['Symbol','AvgFundingRate%'], rows: fundingRates.map(d => [d.symbol, d.avgRate?.toFixed(4)]) }}
@@ -325,7 +311,7 @@ export default function DerivativesTab() {
       </ChartCard>
 
       {/* Open Interest by Coin */}
-      <ChartCard title="Open Interest by Coin" subtitle="Current OI for tracked coins"
+      <ChartCard sources={['coinglass']} title="Open Interest by Coin" subtitle="Current OI for tracked coins"
         csvData={{ filename: 'open-interest', headers: ['Symbol','OpenInterest'], rows: oiByCoins.map(d => [d.symbol, d.oi]) }}>
         <Plot
           data={[{
@@ -355,7 +341,7 @@ export default function DerivativesTab() {
 
       {/* OI by Exchange (BTC) */}
       {oiByExchange.length > 0 && (
-        <ChartCard title="BTC OI by Exchange" subtitle="Exchange market share of Bitcoin open interest"
+        <ChartCard sources={['coinglass']} title="BTC OI by Exchange" subtitle="Exchange market share of Bitcoin open interest"
           csvData={{ filename: 'btc-oi-by-exchange', headers: ['Exchange','OpenInterest'], rows: oiByExchange.map(d => [d.exchangeName || d.exchange, d.openInterest]) }}>
           <Plot
             data={[{
@@ -382,7 +368,7 @@ export default function DerivativesTab() {
       )}
 
       {/* Liquidation Bars */}
-      <ChartCard title="Liquidation Analysis" subtitle="24h liquidations by coin — Longs (green) vs Shorts (red)"
+      <ChartCard sources={['coinglass']} title="Liquidation Analysis" subtitle="24h liquidations by coin — Longs (green) vs Shorts (red)"
         csvData={{ filename: 'liquidations', headers: ['Symbol','LongLiquidation','ShortLiquidation'], rows: topLiquidated.map(d => [d.symbol, d.longLiquidationUsd, d.shortLiquidationUsd]) }}>
         <Plot
           data={[
@@ -417,7 +403,7 @@ export default function DerivativesTab() {
       </ChartCard>
 
       {/* Long/Short Ratio Lines */}
-      <ChartCard title="Long/Short Ratio — BTC, ETH, SOL" subtitle="Time series with reference line at 1.0 — >1.5 overleveraged long, <0.7 overleveraged short">
+      <ChartCard sources={['coinglass']} title="Long/Short Ratio — BTC, ETH, SOL" subtitle="Time series with reference line at 1.0 — >1.5 overleveraged long, <0.7 overleveraged short">
         <Plot
           data={longShortTraces}
           layout={{
@@ -447,7 +433,7 @@ export default function DerivativesTab() {
 
       {/* BTC ETF Daily Flows */}
       {etfFlows.length > 0 && (
-        <ChartCard title="Bitcoin ETF Daily Flows" subtitle="Net inflows/outflows — green: inflow, red: outflow"
+        <ChartCard sources={['coinglass']} title="Bitcoin ETF Daily Flows" subtitle="Net inflows/outflows — green: inflow, red: outflow"
           csvData={{ filename: 'btc-etf-flows', headers: ['Date','NetFlow_USD_M'], rows: etfFlows.map(d => [d.date, d.netflow]) }}>
           <Plot
             data={[{
@@ -478,7 +464,7 @@ export default function DerivativesTab() {
 
       {/* DeFi Derivatives Revenue */}
       {topDerivativesProtocols.length > 0 && (
-        <ChartCard title="DeFi Derivatives Protocol Revenue" subtitle="Top protocols by daily revenue (DeFiLlama)"
+        <ChartCard sources={['defillama']} title="DeFi Derivatives Protocol Revenue" subtitle="Top protocols by daily revenue (DeFiLlama)"
           csvData={{ filename: 'defi-derivatives-revenue', headers: ['Protocol','DailyRevenue'], rows: topDerivativesProtocols.map(p => [p.name, p.dailyRevenue]) }}>
           <Plot
             data={[{
@@ -509,7 +495,7 @@ export default function DerivativesTab() {
 
       {/* Options Volume */}
       {topOptionsProtocols.length > 0 && (
-        <ChartCard title="DeFi Options Protocol Volume" subtitle="Top options protocols by daily volume (DeFiLlama)"
+        <ChartCard sources={['defillama']} title="DeFi Options Protocol Volume" subtitle="Top options protocols by daily volume (DeFiLlama)"
           csvData={{ filename: 'defi-options-volume', headers: ['Protocol','DailyVolume'], rows: topOptionsProtocols.map(p => [p.name, p.dailyVolume]) }}>
           <Plot
             data={[{
@@ -7,12 +7,15 @@ import LoadingSpinner from '../LoadingSpinner'
 import { fetchFutureLeadersData } from '../../services/api'
 import { formatCurrency, formatNumber, categorizeSector } from '../../utils/helpers'
 import { futureLeadersNarrative } from '../../data/narratives'
+import { useUrlState } from '../../hooks/useUrlState'
+import { useWatchlistView } from '../../context/WatchlistProvider'
 
 export default function FutureLeadersTab() {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
-  const [rwaMultiplier, setRwaMultiplier] = useState(5)
+  const [rwaMultiplier, setRwaMultiplier] = useUrlState('rwaMultiplier', 5, { parse: Number })
+  const watchlist = useWatchlistView()
 
   useEffect(() => {
     fetchFutureLeadersData()
@@ -27,13 +30,13 @@ export default function FutureLeadersTab() {
   const allProtocols = data?.protocols || []
   const feesProtocols = data?.fees?.protocols || []
 
-  // RWA protocols by TVL
-  const rwaProtocols = allProtocols
+  // RWA protocols by TVL (KPIs stay sector-wide; the watchlist only narrows the charts)
+  const rwaRanked = allProtocols
     .filter(p => p.category === 'RWA' && p.tvl > 0)
     .sort((a, b) => (b.tvl || 0) - (a.tvl || 0))
-    .slice(0, 15)
+  const rwaProtocols = watchlist.apply(rwaRanked).slice(0, 15)
 
-  const totalRwaTvl = rwaProtocols.reduce((sum, p) => sum + (p.tvl || 0), 0)
+  const totalRwaTvl = rwaRanked.slice(0, 15).reduce((sum, p) => sum + (p.tvl || 0), 0)
   const rwaProtocolCount = allProtocols.filter(p => p.category === 'RWA').length
 
   // AI/Compute protocols
@@ -65,7 +68,7 @@ export default function FutureLeadersTab() {
   }))
 
   // Scatter plot data: TVL vs 24h Revenue by sector
-  const scatterData = allProtocols
+  const scatterData = watchlist.apply(allProtocols)
     .filter(p => p.tvl > 1e6)
     .map(p => {
       const feesData = feesProtocols.find(f =>
@@ -73,6 +76,7 @@ export default function FutureLeadersTab() {
       )
       return {
         name: p.name,
+        slug: p.slug,
         tvl: p.tvl || 0,
         revenue24h: feesData?.total24h || 0,
         category: p.category || 'Other',
@@ -130,7 +134,7 @@ export default function FutureLeadersTab() {
             x: rwaProtocols.map(p => p.name),
             y: rwaProtocols.map(p => p.tvl),
             type: 'bar',
-            marker: { color: colors.primary, line: { width: 0 } },
+            marker: watchlist.marker({ color: colors.primary, line: { width: 0 } }, rwaProtocols),
             hovertemplate: '%{x}<br>$%{y:,.0f}<extra></extra>',
           }]}
           layout={{
@@ -212,11 +216,11 @@ export default function FutureLeadersTab() {
               mode: 'markers',
               type: 'scatter',
               name: 'Other Sectors',
-              marker: {
+              marker: watchlist.marker({
                 color: colors.slate,
                 size: 8,
                 opacity: 0.4,
-              },
+              }, otherScatter),
               hovertemplate: '%{text}<br>TVL: $%{x:,.0f}<br>Revenue: $%{y:,.0f}<extra></extra>',
             },
             {
@@ -226,12 +230,12 @@ export default function FutureLeadersTab() {
               mode: 'markers',
               type: 'scatter',
               name: 'RWA',
-              marker: {
+              marker: watchlist.marker({
                 color: colors.primary,
                 size: 14,
                 opacity: 0.85,
                 line: { width: 2, color: '#FFF' },
-              },
+              }, rwaScatter),
               hovertemplate: '%{text}<br>TVL: $%{x:,.0f}<br>Revenue: $%{y:,.0f}<extra>RWA</extra>',
             },
             {
@@ -241,12 +245,12 @@ export default function FutureLeadersTab() {
               mode: 'markers',
               type: 'scatter',
               name: 'AI/Compute',
-              marker: {
+              marker: watchlist.marker({
                 color: colors.secondary,
                 size: 14,
                 opacity: 0.85,
                 line: { width: 2, color: '#FFF' },
-              },
+              }, aiScatter),
               hovertemplate: '%{text}<br>TVL: $%{x:,.0f}<br>Revenue: $%{y:,.0f}<extra>AI/Compute</extra>',
             },
           ]}
@@ -5,6 +5,9 @@ import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
 import { formatCurrency, formatPercent, formatNumber, categorizeSector } from '../../utils/helpers'
+import { coefficientOfVariation, autocorrelation } from '../../utils/analytics'
+import { fetchFeesOverview, fetchAllProtocols, fetchProtocolFeesHistory } from '../../services/api'
+import { fetchLiquidations, fetchFundingRates } from '../../services/coinglass'
 
 // Protocols to fetch historical revenue data for
 const HISTORICAL_PROTOCOLS = ['aave', 'uniswap', 'lido', 'maker', 'hyperliquid', 'gmx', 'dydx']
@@ -27,73 +30,32 @@ function categorizeRevenue(category) {
 }
 
 async function fetchAllMEVData() {
-  const parseResult = async (result) => {
-    if (result.status === 'fulfilled' && result.value.ok) {
-      return result.value.json()
-    }
-    return null
-  }
+  const value = (result) => result.status === 'fulfilled' ? result.value : null
 
-  // Build all fetch promises
-  const fetchPromises = [
+  const [feesOverview, protocols, liquidation, funding, ...historical] = await Promise.allSettled([
     // DeFiLlama data
-    fetch('https://api.llama.fi/overview/fees?excludeTotalDataChartBreakdown=false'),
-    fetch('https://api.llama.fi/protocols'),
+    fetchFeesOverview(),
+    fetchAllProtocols(),
     // Coinglass data
-    fetch('/api/coinglass?action=liquidation'),
-    fetch('/api/coinglass?action=funding'),
+    fetchLiquidations(),
+    fetchFundingRates(),
     // Historical protocol data
-    ...HISTORICAL_PROTOCOLS.map(slug => fetch(`https://api.llama.fi/summary/fees/${slug}`)),
-  ]
-
-  const results = await Promise.allSettled(fetchPromises)
-
-  let idx = 0
-  const feesOverview = await parseResult(results[idx++])
-  const protocols = await parseResult(results[idx++])
-  const liquidation = await parseResult(results[idx++])
-  const funding = await parseResult(results[idx++])
+    ...HISTORICAL_PROTOCOLS.map(slug => fetchProtocolFeesHistory(slug)),
+  ])
 
   // Historical data per protocol
   const historicalData = {}
-  for (const slug of HISTORICAL_PROTOCOLS) {
-    historicalData[slug] = await parseResult(results[idx++])
-  }
+  HISTORICAL_PROTOCOLS.forEach((slug, i) => { historicalData[slug] = value(historical[i]) })
 
   return {
-    feesOverview,
-    protocols,
-    liquidation,
-    funding,
+    feesOverview: value(feesOverview),
+    protocols: value(protocols),
+    liquidation: value(liquidation),
+    funding: value(funding),
     historicalData,
   }
 }
 
-// Calculate coefficient of variation (std/mean)
-function coefficientOfVariation(values) {
-  if (!values || values.length < 2) return null
-  const mean = values.reduce((a, b) => a + b, 0) / values.length
-  if (mean === 0) return null
-  const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length
-  const stdDev = Math.sqrt(variance)
-  return stdDev / mean
-}
-
-// Calculate autocorrelation at lag 1
-function autocorrelation(values) {
-  if (!values || values.length < 3) return null
-  const mean = values.reduce((a, b) => a + b, 0) / values.length
-  let numerator = 0
-  let denominator = 0
-  for (let i = 0; i < values.length - 1; i++) {
-    numerator += (values[i] - mean) * (values[i + 1] - mean)
-  }
-  for (let i = 0; i < values.length; i++) {
-    denominator += Math.pow(values[i] - mean, 2)
-  }
-  return denominator === 0 ? null : numerator / denominator
-}
-
 // Quadrant classification for organic vs extractive
 function classifyQuadrant(cv, avgRevenue, medianCV, medianRevenue) {
   const highRev = avgRevenue > medianRevenue
@@ -5,55 +5,12 @@ import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
 import { formatCurrency, formatPercent } from '../../utils/helpers'
+import {
+  fetchCoinChart, fetchCoinGeckoGlobal, fetchYahooHistorical, fetchYahooQuote,
+  fetchYieldPools, fetchFeesOverview, fetchFearGreedIndex,
+} from '../../services/api'
 import { fetchMVRV } from '../../services/santiment'
-
-// Calculate Pearson correlation coefficient
-function calculateCorrelation(x, y) {
-  if (x.length !== y.length || x.length < 2) return null
-  const n = x.length
-  const sumX = x.reduce((a, b) => a + b, 0)
-  const sumY = y.reduce((a, b) => a + b, 0)
-  const sumXY = x.reduce((acc, xi, i) => acc + xi * y[i], 0)
-  const sumX2 = x.reduce((acc, xi) => acc + xi * xi, 0)
-  const sumY2 = y.reduce((acc, yi) => acc + yi * yi, 0)
-  const numerator = n * sumXY - sumX * sumY
-  const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY))
-  return denominator === 0 ? null : numerator / denominator
-}
-
-// Calculate rolling correlation over a window
-function calculateRollingCorrelation(series1, series2, windowSize = 30) {
-  const aligned = alignTimeSeries(series1, series2)
-  if (aligned.dates.length < windowSize) return null
-  const lastWindow1 = aligned.values1.slice(-windowSize)
-  const lastWindow2 = aligned.values2.slice(-windowSize)
-  return calculateCorrelation(lastWindow1, lastWindow2)
-}
-
-// Align two time series by date
-function alignTimeSeries(series1, series2) {
-  const map1 = new Map(series1.map(d => [d.date, d.value]))
-  const map2 = new Map(series2.map(d => [d.date, d.value]))
-  const commonDates = [...map1.keys()].filter(d => map2.has(d)).sort()
-  return {
-    dates: commonDates,
-    values1: commonDates.map(d => map1.get(d)),
-    values2: commonDates.map(d => map2.get(d)),
-  }
-}
-
-// Align multiple time series by date
-function alignMultipleTimeSeries(...seriesArray) {
-  if (seriesArray.length === 0) return { dates: [], values: [] }
-  const maps = seriesArray.map(s => new Map(s.map(d => [d.date, d.value])))
-  const allDates = new Set()
-  maps.forEach(m => m.forEach((_, k) => allDates.add(k)))
-  const commonDates = [...allDates].filter(d => maps.every(m => m.has(d))).sort()
-  return {
-    dates: commonDates,
-    values: maps.map(m => commonDates.map(d => m.get(d))),
-  }
-}
+import { rollingCorrelationTest, alignTimeSeries } from '../../utils/analytics'
 
 // Classify macro regime based on indicators
 function classifyMacroRegime(treasuryYield, dxyLevel, btcChange30d, defiSpread, vixLevel, fearGreed) {
@@ -139,29 +96,29 @@ export default function MacroTab() {
     async function fetchAllData() {
       const results = await Promise.allSettled([
         // CoinGecko BTC 1yr chart
-        fetch('/api/coingecko?action=coin_chart&coin_id=bitcoin&days=365').then(r => r.json()),
+        fetchCoinChart('bitcoin', 365),
         // CoinGecko ETH 1yr chart
-        fetch('/api/coingecko?action=coin_chart&coin_id=ethereum&days=365').then(r => r.json()),
+        fetchCoinChart('ethereum', 365),
         // CoinGecko global
-        fetch('/api/coingecko?action=global').then(r => r.json()),
+        fetchCoinGeckoGlobal(),
         // Yahoo S&P 500 history 2y
-        fetch('/api/yahoo?action=historical&symbol=^GSPC&period=2y').then(r => r.json()),
+        fetchYahooHistorical('^GSPC', '2y'),
         // Yahoo Treasury yield 2y
-        fetch('/api/yahoo?action=historical&symbol=^IRX&period=2y').then(r => r.json()),
+        fetchYahooHistorical('^IRX', '2y'),
         // Yahoo DXY 1y
-        fetch('/api/yahoo?action=historical&symbol=DX-Y.NYB&period=1y').then(r => r.json()),
+        fetchYahooHistorical('DX-Y.NYB', '1y'),
         // Yahoo Gold 1y
-        fetch('/api/yahoo?action=historical&symbol=GC=F&period=1y').then(r => r.json()),
+        fetchYahooHistorical('GC=F', '1y'),
         // Yahoo VIX 1y
-        fetch('/api/yahoo?action=historical&symbol=^VIX&period=1y').then(r => r.json()),
+        fetchYahooHistorical('^VIX', '1y'),
         // Yahoo Nifty 50 quote
-        fetch('/api/yahoo?action=quote&symbol=^NSEI').then(r => r.json()),
+        fetchYahooQuote('^NSEI'),
         // DeFiLlama yields (pools)
-        fetch('https://api.llama.fi/pools').then(r => r.json()),
+        fetchYieldPools(),
         // DeFiLlama fees
-        fetch('https://api.llama.fi/overview/fees').then(r => r.json()),
+        fetchFeesOverview(),
         // Fear & Greed Index (365 days)
-        fetch('https://api.alternative.me/fng/?limit=365&format=json').then(r => r.json()),
+        fetchFearGreedIndex(365),
         // Santiment MVRV for BTC
         fetchMVRV('bitcoin').catch(() => null),
       ])
@@ -233,7 +190,7 @@ export default function MacroTab() {
   const currentVIX = vixTimeSeries.length > 0 ? vixTimeSeries[vixTimeSeries.length - 1].value : null
 
   // Fear & Greed Index
-  const fngData = data?.fearGreed?.data || []
+  const fngData = data?.fearGreed || []
   const fngTimeSeries = fngData.map(d => ({
     date: new Date(parseInt(d.timestamp) * 1000).toISOString().split('T')[0],
     value: parseInt(d.value),
@@ -267,16 +224,32 @@ export default function MacroTab() {
 
   // ===== CALCULATE CORRELATIONS =====
   
-  const btcSpCorrelation = calculateRollingCorrelation(btcTimeSeries, spTimeSeries, 30)
-  const btcGoldCorrelation = calculateRollingCorrelation(btcTimeSeries, goldTimeSeries, 30)
-  const btcDxyCorrelation = calculateRollingCorrelation(btcTimeSeries, dxyTimeSeries, 30)
-  const btcVixCorrelation = calculateRollingCorrelation(btcTimeSeries, vixTimeSeries, 30)
-  const spGoldCorrelation = calculateRollingCorrelation(spTimeSeries, goldTimeSeries, 30)
-  const spDxyCorrelation = calculateRollingCorrelation(spTimeSeries, dxyTimeSeries, 30)
-  const spVixCorrelation = calculateRollingCorrelation(spTimeSeries, vixTimeSeries, 30)
-  const goldDxyCorrelation = calculateRollingCorrelation(goldTimeSeries, dxyTimeSeries, 30)
-  const goldVixCorrelation = calculateRollingCorrelation(goldTimeSeries, vixTimeSeries, 30)
-  const dxyVixCorrelation = calculateRollingCorrelation(dxyTimeSeries, vixTimeSeries, 30)
+  const correlationSeries = { btc: btcTimeSeries, sp: spTimeSeries, gold: goldTimeSeries, dxy: dxyTimeSeries, vix: vixTimeSeries }
+  const correlationKeys = Object.keys(correlationSeries)
+  const correlationTests = {}
+  correlationKeys.forEach((a, i) => correlationKeys.slice(i + 1).forEach(b => {
+    correlationTests[`${a}:${b}`] = correlationTests[`${b}:${a}`] = rollingCorrelationTest(correlationSeries[a], correlationSeries[b], 30)
+  }))
+  const rollingCorrelation = (a, b) => correlationTests[`${a}:${b}`]?.r ?? null
+
+  const btcSpCorrelation = rollingCorrelation('btc', 'sp')
+  const btcGoldCorrelation = rollingCorrelation('btc', 'gold')
+  const btcDxyCorrelation = rollingCorrelation('btc', 'dxy')
+  const btcVixCorrelation = rollingCorrelation('btc', 'vix')
+  const spGoldCorrelation = rollingCorrelation('sp', 'gold')
+  const spDxyCorrelation = rollingCorrelation('sp', 'dxy')
+  const spVixCorrelation = rollingCorrelation('sp', 'vix')
+  const goldDxyCorrelation = rollingCorrelation('gold', 'dxy')
+  const goldVixCorrelation = rollingCorrelation('gold', 'vix')
+  const dxyVixCorrelation = rollingCorrelation('dxy', 'vix')
+
+  // Chart annotation: r with its 95% interval and p-value over the 30-day window
+  const correlationLabel = (a, b) => {
+    const test = correlationTests[`${a}:${b}`]
+    if (!test) return '30d Correlation: N/A'
+    const p = test.pValue < 0.001 ? '<0.001' : test.pValue.toFixed(3)
+    return `30d Correlation: ${test.r.toFixed(2)} [${test.ci[0].toFixed(2)}, ${test.ci[1].toFixed(2)}] · p = ${p}`
+  }
 
   // Correlation matrix data
   const correlationMatrix = [
@@ -510,7 +483,7 @@ export default function MacroTab() {
             legend: { ...defaultLayout.legend, orientation: 'h', y: 1.08 },
             annotations: [{
               x: 0.02, y: 0.98, xref: 'paper', yref: 'paper',
-              text: `30d Correlation: ${btcSpCorrelation?.toFixed(2) ?? 'N/A'}`,
+              text: correlationLabel('btc', 'sp'),
               showarrow: false,
               font: { size: 12, color: colors.slate },
               bgcolor: 'rgba(255,255,255,0.9)',
@@ -568,7 +541,7 @@ export default function MacroTab() {
             legend: { ...defaultLayout.legend, orientation: 'h', y: 1.08 },
             annotations: [{
               x: 0.02, y: 0.98, xref: 'paper', yref: 'paper',
-              text: `30d Correlation: ${btcGoldCorrelation?.toFixed(2) ?? 'N/A'}`,
+              text: correlationLabel('btc', 'gold'),
               showarrow: false,
               font: { size: 12, color: colors.slate },
               bgcolor: 'rgba(255,255,255,0.9)',
@@ -660,7 +633,7 @@ export default function MacroTab() {
               yaxis: { ...defaultLayout.yaxis, title: 'BTC Price (USD)' },
               annotations: [{
                 x: 0.02, y: 0.98, xref: 'paper', yref: 'paper',
-                text: `30d Correlation: ${btcDxyCorrelation?.toFixed(2) ?? 'N/A'}`,
+                text: correlationLabel('btc', 'dxy'),
                 showarrow: false,
                 font: { size: 12, color: colors.slate },
                 bgcolor: 'rgba(255,255,255,0.9)',
@@ -734,7 +707,7 @@ export default function MacroTab() {
       )}
 
       {/* Correlation Matrix as Bar Chart Heatmap */}
-      <ChartCard title="30-Day Rolling Correlation Matrix" subtitle="Cross-asset correlations: BTC, S&P 500, Gold, DXY, VIX">
+      <ChartCard title="30-Day Rolling Correlation Matrix" subtitle="Cross-asset correlations: BTC, S&P 500, Gold, DXY, VIX · * significant at p < 0.05">
         <div className="overflow-x-auto">
           <table className="w-full text-sm">
             <thead>
@@ -751,9 +724,10 @@ export default function MacroTab() {
               {correlationMatrix.map((row, i) => (
                 <tr key={row.name} className="border-b border-(--color-border) last:border-0">
                   <td className="py-3 px-4 font-medium">{row.name}</td>
-                  {['btc', 'sp', 'gold', 'dxy', 'vix'].map((col, j) => {
+                  {correlationKeys.map((col, j) => {
                     const val = row[col]
                     const isIdentity = i === j
+                    const significant = correlationTests[`${correlationKeys[i]}:${col}`]?.pValue < 0.05
                     return (
                       <td key={col} className="py-2 px-2 text-center">
                         <div className="relative h-8 flex items-center justify-center">
@@ -767,7 +741,7 @@ export default function MacroTab() {
                             />
                           )}
                           <span className={`relative z-10 font-mono text-sm ${isIdentity ? 'text-(--color-text-secondary)' : ''}`}>
-                            {isIdentity ? '1.00' : val !== null ? val.toFixed(2) : '—'}
+                            {isIdentity ? '1.00' : val !== null ? `${val.toFixed(2)}${significant ? '*' : ''}` : '—'}
                           </span>
                         </div>
                       </td>
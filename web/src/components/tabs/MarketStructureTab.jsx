@@ -5,6 +5,10 @@ import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
 import { formatCurrency, formatPercent, formatNumber } from '../../utils/helpers'
+import {
+  fetchCoinGeckoExchanges, fetchCoinGeckoGlobal, fetchCoinGeckoMarkets, fetchCoinGeckoCategories,
+  fetchDexOverview, fetchBridges, fetchDerivativesOverview, fetchDexProtocol,
+} from '../../services/api'
 
 // Top DEX protocols to fetch individual data for
 const TOP_DEX_PROTOCOLS = [
@@ -22,18 +26,16 @@ export default function MarketStructureTab() {
       // Build all fetch promises
       const fetchPromises = [
         // CoinGecko Pro data via proxy
-        fetch('/api/coingecko?action=exchanges').then(r => r.json()),
-        fetch('/api/coingecko?action=global').then(r => r.json()),
-        fetch('/api/coingecko?action=markets').then(r => r.json()),
-        fetch('/api/coingecko?action=categories').then(r => r.json()),
+        fetchCoinGeckoExchanges(),
+        fetchCoinGeckoGlobal(),
+        fetchCoinGeckoMarkets(),
+        fetchCoinGeckoCategories(),
         // DeFiLlama data (direct)
-        fetch('https://api.llama.fi/overview/dexs').then(r => r.json()),
-        fetch('https://bridges.llama.fi/bridges').then(r => r.json()),
-        fetch('https://api.llama.fi/overview/derivatives').then(r => r.json()),
+        fetchDexOverview(),
+        fetchBridges(),
+        fetchDerivativesOverview(),
         // Individual DEX protocol data
-        ...TOP_DEX_PROTOCOLS.map(protocol =>
-          fetch(`https://api.llama.fi/summary/dexs/${protocol}`).then(r => r.json())
-        )
+        ...TOP_DEX_PROTOCOLS.map(protocol => fetchDexProtocol(protocol))
       ]
 
       const results = await Promise.allSettled(fetchPromises)
@@ -49,7 +51,7 @@ export default function MarketStructureTab() {
       const dexProtocolData = {}
       TOP_DEX_PROTOCOLS.forEach((protocol, i) => {
         const result = dexProtocolResults[i]
-        if (result.status === 'fulfilled') {
+        if (result.status === 'fulfilled' && result.value) {
           dexProtocolData[protocol] = result.value
         }
       })
@@ -0,0 +1,360 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import Plot, { defaultLayout, defaultConfig, colors } from '../Plot'
+import ChartCard from '../ChartCard'
+import KPICard from '../KPICard'
+import NarrativeBox from '../NarrativeBox'
+import LoadingSpinner from '../LoadingSpinner'
+import { fetchRevenueScoreData } from '../../services/api'
+import { computeRevenueScores, computeMoatScores } from '../../utils/scores'
+import {
+  REVENUE_DIMENSIONS, MOAT_DIMENSIONS, MOAT_RATINGS, WEIGHT_RANGE, DEFAULT_METHODOLOGY,
+  sanitizeMethodology, compareRankings,
+} from '../../utils/methodology'
+import { spearmanCorrelation } from '../../utils/analytics'
+import { downloadJSON } from '../../utils/csv'
+import { useUrlState } from '../../hooks/useUrlState'
+import { useMethodology } from '../../context/MethodologyProvider'
+import { useWatchlistView } from '../../context/WatchlistProvider'
+
+const btn = 'text-xs font-mono text-(--color-ink-muted) hover:text-(--color-ink) cursor-pointer px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) transition-colors'
+const th = 'py-2 px-3 text-[11px] font-semibold text-(--color-ink-muted) uppercase tracking-widest'
+const input = 'px-2 py-1 text-sm border border-(--color-rule) bg-(--color-paper)'
+
+const SCORES = {
+  revenue: { label: 'Revenue Score', field: 'composite' },
+  moat: { label: 'Moat Score', field: 'moatScore' },
+}
+
+const clone = (m) => JSON.parse(JSON.stringify({ name: m.name, revenue: m.revenue, moat: m.moat, moatRatings: m.moatRatings }))
+const sameScoring = (a, b) => JSON.stringify([a.revenue, a.moat, a.moatRatings]) === JSON.stringify([b.revenue, b.moat, b.moatRatings])
+const clampTo = (v, { min, max }) => Math.max(min, Math.min(max, v))
+// Curve parameters such as 25/3 chains display rounded; typed values are kept as entered
+const shown = (v) => Number.isFinite(v) ? +v.toFixed(2) : ''
+const formatChange = (c) => c === null ? '—' : c > 0 ? `▲ ${c}` : c < 0 ? `▼ ${-c}` : '='
+const changeColor = (c) => c > 0 ? colors.success : c < 0 ? colors.danger : colors.slate
+
+// ============================================================================
+// EDITOR
+// ============================================================================
+
+/** Weighted dimensions of one score with their curve parameters; add/remove from the catalogue. */
+function DimensionEditor({ catalogue, dimensions, minDimensions, onChange }) {
+  const included = catalogue.filter(d => dimensions[d.key])
+  const available = catalogue.filter(d => !dimensions[d.key])
+  const totalWeight = included.reduce((s, d) => s + dimensions[d.key].weight, 0)
+
+  const setValue = (key, field, value) => onChange({ ...dimensions, [key]: { ...dimensions[key], [field]: value } })
+  const remove = (key) => onChange(Object.fromEntries(Object.entries(dimensions).filter(([k]) => k !== key)))
+  const add = (d) => onChange({ ...dimensions, [d.key]: { ...d.defaults } })
+
+  return (
+    <div className="space-y-3">
+      {included.map(d => {
+        const dim = dimensions[d.key]
+        return (
+          <div key={d.key} className="border border-(--color-rule) p-3 space-y-2">
+            <div className="flex items-start justify-between gap-2">
+              <div>
+                <div className="text-sm font-medium text-(--color-ink)">{d.label}</div>
+                <div className="text-xs text-(--color-ink-muted)">{d.description}</div>
+              </div>
+              <button className={btn} disabled={included.length <= minDimensions} onClick={() => remove(d.key)}
+                title={included.length <= minDimensions ? `At least ${minDimensions} dimension${minDimensions === 1 ? '' : 's'}` : 'Remove dimension'}>Remove</button>
+            </div>
+            <label className="block space-y-1">
+              <span className="block text-xs text-(--color-text-secondary)">
+                Weight <span className="text-(--color-ink-muted)">(max points · {totalWeight > 0 ? `${(dim.weight / totalWeight * 100).toFixed(0)}% of the score` : 'excluded'})</span>
+              </span>
+              <div className="flex items-center gap-2">
+                <input type="range" min={WEIGHT_RANGE.min} max={WEIGHT_RANGE.max} step={WEIGHT_RANGE.step} value={dim.weight}
+                  onChange={e => setValue(d.key, 'weight', Number(e.target.value))} className="flex-1 accent-(--color-primary)" />
+                <input type="number" min={WEIGHT_RANGE.min} max={WEIGHT_RANGE.max} step={WEIGHT_RANGE.step} value={dim.weight}
+                  onChange={e => e.target.value !== '' && setValue(d.key, 'weight', clampTo(Number(e.target.value), WEIGHT_RANGE))}
+                  className={`${input} w-20 text-right font-mono`} />
+              </div>
+            </label>
+            {d.params.length > 0 && (
+              <div className="flex flex-wrap gap-4">
+                {d.params.map(p => (
+                  <label key={p.key} className="space-y-1">
+                    <span className="block text-xs text-(--color-text-secondary)">{p.label} <span className="text-(--color-ink-muted)">{p.unit && `(${p.unit})`}</span></span>
+                    <input type="number" min={p.min} max={p.max} step={p.step} value={shown(dim[p.key])}
+                      onChange={e => e.target.value !== '' && setValue(d.key, p.key, clampTo(Number(e.target.value), p))}
+                      className={`${input} w-24 text-right font-mono`} />
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        )
+      })}
+      {available.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-xs text-(--color-ink-muted)">Add:</span>
+          {available.map(d => <button key={d.key} className={btn} title={d.description} onClick={() => add(d)}>+ {d.label}</button>)}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function MethodologyTab() {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const { methodologies, active, setActive, saveAs, update, remove, importJSON, exportJSON } = useMethodology()
+  const watchlist = useWatchlistView()
+  const [compareId, setCompareId] = useUrlState('compare', 'value-heavy', { values: methodologies.map(m => m.id) })
+  const [scoreKey, setScoreKey] = useUrlState('methodScore', 'revenue', { values: Object.keys(SCORES) })
+  const [draft, setDraft] = useState(() => clone(active))
+  const [saveName, setSaveName] = useState('')
+  const [message, setMessage] = useState(null)
+  const fileRef = useRef(null)
+
+  useEffect(() => {
+    fetchRevenueScoreData()
+      .then(setData)
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  // Switching (or saving) the active methodology starts a fresh draft
+  useEffect(() => { setDraft(clone(active)) }, [active])
+
+  const compareWith = methodologies.find(m => m.id === compareId) || DEFAULT_METHODOLOGY
+  const dirty = !sameScoring(draft, active)
+  const valid = sanitizeMethodology(draft) !== null
+  const draftLabel = dirty ? `${active.name} (edited)` : active.name
+
+  // Both rankings recompute on every edit
+  const comparison = useMemo(() => {
+    if (!data) return null
+    const score = (methodology) => scoreKey === 'moat'
+      ? computeMoatScores({ allProtocols: data.protocols, fees: data.fees, markets: data.markets }, { methodology }).scored
+      : computeRevenueScores(data, { methodology })
+    const rowsA = score(draft)
+    const rowsB = score(compareWith)
+    const rows = compareRankings(rowsA, rowsB, SCORES[scoreKey].field)
+    const both = rows.filter(r => r.change !== null)
+    return {
+      rows,
+      scoredA: rowsA.length,
+      scoredB: rowsB.length,
+      rankCorrelation: both.length >= 3 ? spearmanCorrelation(both.map(r => r.rankA), both.map(r => r.rankB)) : null,
+      meanAbsChange: both.length > 0 ? both.reduce((s, r) => s + Math.abs(r.change), 0) / both.length : null,
+      climber: both.reduce((best, r) => !best || r.change > best.change ? r : best, null),
+      faller: both.reduce((worst, r) => !worst || r.change < worst.change ? r : worst, null),
+    }
+  }, [data, draft, compareWith, scoreKey])
+
+  if (loading) return <LoadingSpinner message="Loading scoring inputs..." />
+  if (error) return <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
+  if (!comparison) return <div className="text-center py-20">No data available</div>
+
+  const { rows, scoredA, scoredB, rankCorrelation, meanAbsChange, climber, faller } = comparison
+  const label = SCORES[scoreKey].label
+  const visible = watchlist.apply(rows)
+  const movers = visible.filter(r => r.change).sort((a, b) => Math.abs(b.change) - Math.abs(a.change)).slice(0, 25)
+    .sort((a, b) => a.change - b.change)
+
+  const handleSaveAs = (e) => {
+    e.preventDefault()
+    if (!saveName.trim()) return
+    try {
+      const created = saveAs(draft, saveName)
+      setActive(created.id)
+      setSaveName('')
+      setMessage(`Saved "${created.name}" and applied it across the dashboard`)
+    } catch (err) {
+      setMessage(err.message)
+    }
+  }
+
+  const handleUpdate = () => {
+    try {
+      update(active.id, { ...draft, name: active.name })
+      setMessage(`Saved "${active.name}"`)
+    } catch (err) {
+      setMessage(err.message)
+    }
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const count = importJSON(await file.text())
+      setMessage(`Imported ${count} methodolog${count === 1 ? 'y' : 'ies'}`)
+    } catch (err) {
+      setMessage(`Import failed: ${err.message}`)
+    }
+  }
+
+  const custom = methodologies.filter(m => !m.builtIn)
+
+  return (
+    <div className="space-y-6">
+      {/* Active methodology */}
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-sm font-medium text-(--color-text-secondary)">Dashboard methodology:</span>
+        <select value={active.id} onChange={e => setActive(e.target.value)} className={input}>
+          {methodologies.map(m => <option key={m.id} value={m.id}>{m.name}{m.builtIn ? ' (preset)' : ''}</option>)}
+        </select>
+        {!active.builtIn && (
+          <button className={btn} onClick={() => { remove(active.id); setMessage(`Deleted "${active.name}"`) }}>Delete</button>
+        )}
+        <span className="text-xs text-(--color-ink-muted)">Drives the Revenue Score, Moats, My Watchlist, Score Backtest tabs and protocol profiles</span>
+      </div>
+
+      <NarrativeBox title="How the Scores Are Built">
+        <p>
+          Each dimension scores from zero to its <strong>weight</strong> along a curve set by its parameters — for example Take Rate reaches its full weight
+          at the take rate given in "Full score at", and Valuation pays full weight inside a fair P/S band around the sector median, tapering outside it.
+          The Revenue Score is the share of available points (dimensions a protocol has no data for drop out of both sides); the Moat Score is the share of
+          all points, rated against the thresholds below. Changes re-rank the comparison live; save them to apply them to every tab. The presets are
+          read-only — "Save as" keeps an edited copy, and methodologies travel between browsers as JSON.
+        </p>
+      </NarrativeBox>
+
+      {/* Editor */}
+      <ChartCard title={`Edit — ${draftLabel}`}
+        subtitle={dirty ? 'Unsaved changes · The comparison below already uses them' : 'Adjust weights, curves and dimensions · Rankings below update live'}>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-(--color-ink)">Revenue Score</h3>
+            <DimensionEditor catalogue={REVENUE_DIMENSIONS} dimensions={draft.revenue} minDimensions={2}
+              onChange={revenue => setDraft(d => ({ ...d, revenue }))} />
+          </div>
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-(--color-ink)">Moat Score</h3>
+            <DimensionEditor catalogue={MOAT_DIMENSIONS} dimensions={draft.moat} minDimensions={1}
+              onChange={moat => setDraft(d => ({ ...d, moat }))} />
+            <div className="border border-(--color-rule) p-3 space-y-2">
+              <div className="text-sm font-medium text-(--color-ink)">Rating thresholds</div>
+              <div className="flex flex-wrap gap-4">
+                {MOAT_RATINGS.map(r => (
+                  <label key={r.key} className="space-y-1">
+                    <span className="block text-xs text-(--color-text-secondary)">{r.label} <span className="text-(--color-ink-muted)">(score ≥)</span></span>
+                    <input type="number" min={0} max={100} step={5} value={draft.moatRatings[r.key]}
+                      onChange={e => e.target.value !== '' && setDraft(d => ({ ...d, moatRatings: { ...d.moatRatings, [r.key]: clampTo(Number(e.target.value), { min: 0, max: 100 }) } }))}
+                      className={`${input} w-20 text-right font-mono`} />
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="mt-4 space-y-2">
+          {!valid && <div className="text-xs text-(--color-danger)">Needs at least two weighted Revenue Score dimensions and one weighted Moat Score dimension.</div>}
+          <form onSubmit={handleSaveAs} className="flex flex-wrap items-center gap-2">
+            {!active.builtIn && <button type="button" className={btn} disabled={!dirty || !valid} onClick={handleUpdate}>Save</button>}
+            <input value={saveName} onChange={e => setSaveName(e.target.value)} placeholder="Name (e.g. Value-heavy v2)" className={`${input} w-52`} />
+            <button type="submit" className={btn} disabled={!valid}>Save as</button>
+            <button type="button" className={btn} disabled={!dirty} onClick={() => setDraft(clone(active))}>Discard changes</button>
+            <span className="mx-1 text-(--color-rule)">|</span>
+            <button type="button" className={btn} disabled={custom.length === 0} onClick={() => downloadJSON('scoring-methodologies', exportJSON())}>Export saved</button>
+            <button type="button" className={btn} onClick={() => fileRef.current?.click()}>Import JSON</button>
+            <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+            {message && <span className="text-xs text-(--color-ink-muted)">{message}</span>}
+          </form>
+        </div>
+      </ChartCard>
+
+      {/* Comparison controls */}
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex rounded-md border border-(--color-rule) overflow-hidden">
+          {Object.entries(SCORES).map(([key, s]) => (
+            <button key={key} onClick={() => setScoreKey(key)}
+              className={`px-4 py-1.5 text-xs font-medium transition-colors cursor-pointer ${scoreKey === key ? 'bg-(--color-primary) text-white' : 'text-(--color-text-secondary) hover:bg-(--color-paper-alt)'}`}>{s.label}</button>
+          ))}
+        </div>
+        <span className="text-sm font-medium text-(--color-text-secondary)">{draftLabel} vs</span>
+        <select value={compareWith.id} onChange={e => setCompareId(e.target.value)} className={input}>
+          {methodologies.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <KPICard title="Rank Correlation" value={rankCorrelation !== null ? rankCorrelation.toFixed(2) : '—'}
+          subtitle="Spearman · 1 = same order" />
+        <KPICard title="Mean Rank Change" value={meanAbsChange !== null ? meanAbsChange.toFixed(1) : '—'}
+          subtitle={`places · ${scoredA} vs ${scoredB} scored`} />
+        <KPICard title="Biggest Climber" value={climber?.change > 0 ? climber.name : '—'}
+          subtitle={climber?.change > 0 ? `#${climber.rankA} → #${climber.rankB} under ${compareWith.name}` : 'No rank gains'} />
+        <KPICard title="Biggest Faller" value={faller?.change < 0 ? faller.name : '—'}
+          subtitle={faller?.change < 0 ? `#${faller.rankA} → #${faller.rankB} under ${compareWith.name}` : 'No rank losses'} />
+      </div>
+
+      {/* Rank movers */}
+      {movers.length > 0 && (
+        <ChartCard title={`${label} — Largest Rank Changes`}
+          subtitle={`Places gained (green) or lost (red) moving from ${draftLabel} to ${compareWith.name} · Top ${movers.length} by size`}>
+          <Plot
+            data={[{
+              y: movers.map(r => r.name),
+              x: movers.map(r => r.change),
+              type: 'bar',
+              orientation: 'h',
+              marker: { color: movers.map(r => changeColor(r.change)) },
+              text: movers.map(r => `#${r.rankA} → #${r.rankB}`),
+              textposition: 'outside',
+              hovertemplate: '%{y}<br>%{text}<extra></extra>',
+            }]}
+            layout={{
+              ...defaultLayout,
+              height: Math.max(360, movers.length * 22),
+              xaxis: { ...defaultLayout.xaxis, title: 'Rank change (places)', zeroline: true },
+              yaxis: { ...defaultLayout.yaxis, tickfont: { size: 11 } },
+              margin: { ...defaultLayout.margin, l: 130, r: 60 },
+              showlegend: false,
+            }}
+            config={defaultConfig}
+            className="w-full"
+          />
+        </ChartCard>
+      )}
+
+      {/* Side-by-side ranking */}
+      <ChartCard title={`${label} — Side by Side`}
+        subtitle={`Ranked by ${draftLabel} · — = not scored under that methodology`}
+        csvData={{
+          filename: `methodology-${scoreKey}-comparison`,
+          headers: ['Protocol', `Rank (${draftLabel})`, `Score (${draftLabel})`, `Rank (${compareWith.name})`, `Score (${compareWith.name})`, 'RankChange'],
+          rows: visible.map(r => [r.name, r.rankA ?? '', r.scoreA?.toFixed(1) ?? '', r.rankB ?? '', r.scoreB?.toFixed(1) ?? '', r.change ?? '']),
+        }}>
+        <div className="overflow-x-auto max-h-[560px] overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead className="sticky top-0 bg-(--color-paper)">
+              <tr className="border-b border-(--color-border)">
+                <th className={`${th} text-left`}>Protocol</th>
+                <th className={`${th} text-right`}>Rank · {draftLabel}</th>
+                <th className={`${th} text-right`}>Score</th>
+                <th className={`${th} text-right`}>Rank · {compareWith.name}</th>
+                <th className={`${th} text-right`}>Score</th>
+                <th className={`${th} text-right`}>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(r => (
+                <tr key={r.slug} className={`border-b border-(--color-border) hover:bg-(--color-surface) ${watchlist.rowClass(r.slug)}`}>
+                  <td className="p-2 font-medium">{r.name}</td>
+                  <td className="text-right p-2 font-mono">{r.rankA ?? '—'}</td>
+                  <td className="text-right p-2 font-mono">{r.scoreA !== null ? r.scoreA.toFixed(0) : '—'}</td>
+                  <td className="text-right p-2 font-mono">{r.rankB ?? '—'}</td>
+                  <td className="text-right p-2 font-mono">{r.scoreB !== null ? r.scoreB.toFixed(0) : '—'}</td>
+                  <td className="text-right p-2 font-mono" style={{ color: changeColor(r.change) }}>{formatChange(r.change)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </ChartCard>
+    </div>
+  )
+}
@@ -5,7 +5,12 @@ import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
 import { fetchMoatsData } from '../../services/api'
-import { formatCurrency, formatNumber, formatPercent, categorizeSector } from '../../utils/helpers'
+import { formatCurrency, formatNumber, formatPercent } from '../../utils/helpers'
+import { computeMoatScores } from '../../utils/scores'
+import { MOAT_DIMENSIONS } from '../../utils/methodology'
+import { useProtocolClick } from '../../context/ProtocolProvider'
+import { useWatchlistView } from '../../context/WatchlistProvider'
+import { useMethodology } from '../../context/MethodologyProvider'
 import { moatsNarrative } from '../../data/narratives'
 
 const ratingColors = {
@@ -31,41 +36,13 @@ function MoatBadge({ rating }) {
   )
 }
 
-/**
- * Compute a moat score (0-100) based on:
- * - TVL dominance within category (0-25)
- * - Revenue consistency (7d vs 24h ratio, 0-25)
- * - Multi-chain presence (0-25)
- * - Capital efficiency (revenue/TVL, 0-25)
- */
-function computeMoatScore(p, categoryStats) {
-  const cat = categoryStats[p.sector] || {}
-  // TVL dominance: share of category TVL
-  const tvlShare = cat.totalTvl > 0 ? (p.tvl / cat.totalTvl) * 100 : 0
-  const tvlScore = Math.min(25, tvlShare * 2.5) // 10% share = max
-  // Revenue consistency: 7d revenue should be ~7x 24h
-  const expectedRatio = 7
-  const actualRatio = p.revenue24h > 0 ? (p.revenue7d || 0) / p.revenue24h : 0
-  const consistencyScore = Math.min(25, actualRatio > 0 ? (Math.min(actualRatio / expectedRatio, 1.2)) * 20 : 0)
-  // Multi-chain: more chains = wider moat
-  const chainScore = Math.min(25, p.chains * 3)
-  // Capital efficiency: revenue per dollar of TVL (annualized)
-  const efficiency = p.tvl > 0 ? (p.revenue24h * 365 / p.tvl) * 100 : 0
-  const effScore = Math.min(25, efficiency * 5) // 5% efficiency = max
-  return Math.round(tvlScore + consistencyScore + chainScore + effScore)
-}
-
-function getMoatRating(score) {
-  if (score >= 60) return 'Strong Moat'
-  if (score >= 40) return 'Moderate Moat'
-  if (score >= 20) return 'Weak Moat'
-  return 'No Moat'
-}
-
 export default function MoatsTab() {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const onProtocolClick = useProtocolClick()
+  const watchlist = useWatchlistView()
+  const { active: methodology } = useMethodology()
 
   useEffect(() => {
     fetchMoatsData()
@@ -77,67 +54,8 @@ export default function MoatsTab() {
   const processed = useMemo(() => {
     if (!data) return null
 
-    const allProtocols = data?.allProtocols || []
-    const feesProtocols = data?.fees?.protocols || []
-    const cgMarkets = Array.isArray(data?.markets) ? data.markets : []
-
-    // Build CoinGecko mcap lookup
-    const mcapLookup = {}
-    cgMarkets.forEach(m => {
-      if (m.id) mcapLookup[m.id.toLowerCase()] = m.market_cap
-      if (m.symbol) mcapLookup[m.symbol.toLowerCase()] = m.market_cap
-    })
-
-    // Merge all protocols with fee/revenue data
-    const feesMap = {}
-    feesProtocols.forEach(p => {
-      const key = (p.slug || '').toLowerCase()
-      feesMap[key] = p
-    })
-
-    const merged = allProtocols
-      .filter(p => p.tvl > 1e6)
-      .map(p => {
-        const slug = (p.slug || '').toLowerCase()
-        const fee = feesMap[slug]
-        const mcap = mcapLookup[slug] || mcapLookup[(p.symbol || '').toLowerCase()] || p.mcap || 0
-        const sector = categorizeSector(p.category || 'Other')
-        return {
-          name: p.name,
-          slug: p.slug,
-          tvl: p.tvl,
-          mcap,
-          revenue24h: fee?.total24h || 0,
-          revenue7d: fee?.total7d || 0,
-          revenue30d: fee?.total30d || 0,
-          chains: Array.isArray(p.chains) ? p.chains.length : (p.chain ? 1 : 0),
-          chainList: Array.isArray(p.chains) ? p.chains : (p.chain ? [p.chain] : []),
-          category: p.category || 'Other',
-          sector,
-          change7d: p.change_7d || 0,
-        }
-      })
-
-    // Category stats for relative moat scoring
-    const categoryStats = {}
-    merged.forEach(p => {
-      if (!categoryStats[p.sector]) categoryStats[p.sector] = { totalTvl: 0, totalRevenue: 0, count: 0 }
-      categoryStats[p.sector].totalTvl += p.tvl
-      categoryStats[p.sector].totalRevenue += p.revenue24h
-      categoryStats[p.sector].count++
-    })
+    const { merged, scored } = computeMoatScores(data, { methodology })
 
-    // Score all protocols with revenue
-    const scored = merged
-      .filter(p => p.revenue24h > 0)
-      .map(p => {
-        const moatScore = computeMoatScore(p, categoryStats)
-        return { ...p, moatScore, moatRating: getMoatRating(moatScore) }
-      })
-      .sort((a, b) => b.moatScore - a.moatScore)
-
-
-    const top50 = scored.slice(0, 50)
     const ratingDist = { 'Strong Moat': 0, 'Moderate Moat': 0, 'Weak Moat': 0, 'No Moat': 0 }
     scored.forEach(p => ratingDist[p.moatRating]++)
 
@@ -153,20 +71,26 @@ export default function MoatsTab() {
       .filter(s => s.count >= 3)
       .sort((a, b) => b.avgScore - a.avgScore)
 
-    return { scored, top50, ratingDist, sectorAvgMoat, totalAnalyzed: scored.length, allMerged: merged }
-  }, [data])
+    return { scored, ratingDist, sectorAvgMoat, totalAnalyzed: scored.length, allMerged: merged }
+  }, [data, methodology])
 
   if (loading) return <LoadingSpinner message="Loading moats data..." />
   if (error) return <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
   if (!processed) return <div className="text-center py-20">No data available</div>
 
-  const { scored, top50, ratingDist, sectorAvgMoat, totalAnalyzed, allMerged } = processed
+  const { scored, ratingDist, sectorAvgMoat, totalAnalyzed, allMerged } = processed
+  const top50 = watchlist.apply(scored).slice(0, 50)
   const combinedTVL = top50.reduce((s, p) => s + p.tvl, 0)
   const combinedRev = top50.reduce((s, p) => s + p.revenue24h, 0)
   const avgMoatScore = top50.length > 0 ? top50.reduce((s, p) => s + p.moatScore, 0) / top50.length : 0
 
   // Scatter: all protocols as background, top 50 colored by moat
-  const scatterBg = allMerged.filter(p => p.tvl > 1e6 && p.revenue24h > 1000)
+  const scatterBg = watchlist.apply(allMerged.filter(p => p.tvl > 1e6 && p.revenue24h > 1000))
+
+  const components = MOAT_DIMENSIONS
+    .filter(d => methodology.moat[d.key]?.weight > 0)
+    .map(d => `${d.label} (${methodology.moat[d.key].weight})`)
+    .join(' + ')
 
   return (
     <div className="space-y-6">
@@ -176,7 +100,7 @@ export default function MoatsTab() {
 
       <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4">
         <KPICard title="Protocols Scored" value={totalAnalyzed} subtitle="With revenue" />
-        <KPICard title="Strong Moats" value={ratingDist['Strong Moat']} subtitle="Score ≥60" />
+        <KPICard title="Strong Moats" value={ratingDist['Strong Moat']} subtitle={`Score ≥${methodology.moatRatings.strong}`} />
         <KPICard title="Top 50 TVL" value={formatCurrency(combinedTVL)} subtitle="Combined" />
         <KPICard title="Top 50 Revenue" value={formatCurrency(combinedRev)} subtitle="24h combined" />
         <KPICard title="Avg Moat Score" value={avgMoatScore.toFixed(0)} subtitle="Top 50 (of 100)" />
@@ -184,7 +108,7 @@ export default function MoatsTab() {
       </div>
 
       {/* Top 50 Protocol Table */}
-      <ChartCard title="Top 50 Protocols by Moat Score" subtitle="Dynamically scored: TVL dominance (25) + Revenue consistency (25) + Multi-chain (25) + Capital efficiency (25)"
+      <ChartCard title="Top 50 Protocols by Moat Score" subtitle={`Dynamically scored: ${components} · ${methodology.name} methodology`}
         csvData={{ filename: 'moat-scores', headers: ['Rank','Protocol','TVL','Revenue24h','MCap','Chains','Sector','MoatScore','Rating'], rows: top50.map((p, i) => [i+1, p.name, p.tvl, p.revenue24h, p.mcap, p.chains, p.sector, p.moatScore, p.moatRating]) }}>
         <div className="overflow-x-auto max-h-[500px] overflow-y-auto">
           <table className="w-full text-sm">
@@ -203,7 +127,7 @@ export default function MoatsTab() {
             </thead>
             <tbody>
               {top50.map((p, i) => (
-                <tr key={p.slug} className="border-b border-(--color-rule) hover:bg-(--color-paper-alt) transition-colors">
+                <tr key={p.slug} className={`border-b border-(--color-rule) hover:bg-(--color-paper-alt) transition-colors ${watchlist.rowClass(p.slug)}`}>
                   <td className="py-2.5 px-3 font-mono text-sm text-(--color-ink-muted)">{i + 1}</td>
                   <td className="py-2.5 px-3 font-medium text-(--color-ink)">{p.name}</td>
                   <td className="py-2.5 px-3 text-right font-mono text-sm">{formatCurrency(p.tvl)}</td>
@@ -221,13 +145,14 @@ export default function MoatsTab() {
       </ChartCard>
 
       {/* TVL vs Revenue Scatter — all protocols, colored by moat */}
-      <ChartCard title="TVL vs Revenue Scatter" subtitle={`${scatterBg.length} protocols · Top 50 by moat colored · Gray = unscored · Log scale`}
+      <ChartCard title="TVL vs Revenue Scatter" subtitle={`${scatterBg.length} protocols · Top 50 by moat colored · Gray = unscored · Log scale · Click a point for its profile`}
         csvData={{ filename: 'tvl-vs-revenue', headers: ['Protocol','TVL','Revenue24h','Sector','MoatScore','Rating'], rows: scored.filter(p => p.tvl > 1e6).map(p => [p.name, p.tvl, p.revenue24h, p.sector, p.moatScore, p.moatRating]) }}>
         <Plot
           data={[
             {
               x: scatterBg.map(p => p.tvl), y: scatterBg.map(p => p.revenue24h),
               text: scatterBg.map(p => p.name),
+              customdata: scatterBg.map(p => p.slug),
               mode: 'markers', type: 'scatter', name: 'All Protocols',
               marker: { color: '#E5E3E0', size: 6, opacity: 0.4 },
               hovertemplate: '%{text}<br>TVL: $%{x:,.0f}<br>Rev: $%{y:,.0f}<extra></extra>',
@@ -237,8 +162,9 @@ export default function MoatsTab() {
               return {
                 x: pts.map(p => p.tvl), y: pts.map(p => p.revenue24h),
                 text: pts.map(p => `${p.name}<br>Score: ${p.moatScore}<br>Chains: ${p.chains}`),
+                customdata: pts.map(p => p.slug),
                 mode: 'markers', type: 'scatter', name: rating,
-                marker: { color: ratingChartColors[rating], size: pts.map(p => Math.max(10, Math.min(35, Math.sqrt(p.mcap / 1e7) * 3))), opacity: 0.85, line: { width: 1, color: '#FFF' } },
+                marker: watchlist.marker({ color: ratingChartColors[rating], size: pts.map(p => Math.max(10, Math.min(35, Math.sqrt(p.mcap / 1e7) * 3))), opacity: 0.85, line: { width: 1, color: '#FFF' } }, pts),
                 hovertemplate: '%{text}<extra></extra>',
               }
             }),
@@ -250,6 +176,7 @@ export default function MoatsTab() {
             legend: { ...defaultLayout.legend, orientation: 'h', y: -0.12 },
           }}
           config={defaultConfig}
+          onClick={onProtocolClick}
           className="w-full"
         />
       </ChartCard>
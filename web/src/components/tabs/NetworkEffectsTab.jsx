@@ -5,15 +5,19 @@ import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
 import { formatCurrency, formatPercent, formatNumber, categorizeSector } from '../../utils/helpers'
-import { fetchAllProtocols, fetchFeesOverview, fetchDexOverview } from '../../services/api'
+import { fetchAllProtocols, fetchFeesOverview, fetchDexOverview, fetchCoinGeckoMarkets } from '../../services/api'
 import { fetchDailyActiveAddresses } from '../../services/santiment'
+import { getRegistry } from '../../utils/registry'
+import { linearRegression, coefficientOfDetermination } from '../../utils/analytics'
+import { useWatchlistView } from '../../context/WatchlistProvider'
 
-// First movers and their fast followers for comparison
+// First movers and their fast followers for comparison (registry entity ids —
+// every DeFiLlama deployment of an entity, e.g. aave-v2/v3, is summed together)
 const FIRST_MOVERS = {
-  'aave': { label: 'Aave', category: 'Lending', followers: ['compound-v2', 'compound-v3', 'morpho'] },
-  'uniswap': { label: 'Uniswap', category: 'DEX', followers: ['sushiswap', 'pancakeswap'] },
-  'maker': { label: 'Maker', category: 'CDP', followers: ['liquity', 'abracadabra'] },
-  'lido': { label: 'Lido', category: 'Liquid Staking', followers: ['rocket-pool', 'frax-ether'] },
+  aave: { label: 'Aave', category: 'Lending', followers: ['compound', 'morpho'] },
+  uniswap: { label: 'Uniswap', category: 'DEX', followers: ['sushi', 'pancakeswap'] },
+  maker: { label: 'Maker', category: 'CDP', followers: ['liquity', 'abracadabra'] },
+  lido: { label: 'Lido', category: 'Liquid Staking', followers: ['rocket-pool', 'frax-finance'] },
 }
 
 export default function NetworkEffectsTab() {
@@ -21,6 +25,7 @@ export default function NetworkEffectsTab() {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [loadingPhase, setLoadingPhase] = useState('Fetching protocols...')
+  const watchlist = useWatchlistView()
 
   useEffect(() => {
     async function fetchData() {
@@ -28,7 +33,7 @@ export default function NetworkEffectsTab() {
       const [protocolsRes, feesRes, marketsRes, dexRes] = await Promise.allSettled([
         fetchAllProtocols(),
         fetchFeesOverview(),
-        fetch('/api/coingecko?action=markets').then(r => r.ok ? r.json() : []),
+        fetchCoinGeckoMarkets().catch(() => []),
         fetchDexOverview(),
       ])
 
@@ -37,13 +42,6 @@ export default function NetworkEffectsTab() {
       const markets = marketsRes.status === 'fulfilled' ? marketsRes.value : []
       const dexOverview = dexRes.status === 'fulfilled' ? dexRes.value : null
 
-      // Create market cap lookup
-      const marketCapLookup = {}
-      markets.forEach(m => {
-        if (m.symbol) marketCapLookup[m.symbol.toLowerCase()] = m.market_cap
-        if (m.id) marketCapLookup[m.id.toLowerCase()] = m.market_cap
-      })
-
       // Try to fetch DAA for select protocols (optional)
       setLoadingPhase('Fetching network metrics...')
       let daaData = {}
@@ -66,7 +64,6 @@ export default function NetworkEffectsTab() {
         protocols,
         fees,
         markets,
-        marketCapLookup,
         dexOverview,
         daaData,
       }
@@ -82,7 +79,8 @@ export default function NetworkEffectsTab() {
   const processedData = useMemo(() => {
     if (!data) return null
 
-    const { protocols, fees, marketCapLookup, dexOverview } = data
+    const { protocols, fees, markets, dexOverview } = data
+    const registry = getRegistry(protocols, markets)
     const feesProtocols = fees?.protocols || []
     const dexProtocols = dexOverview?.protocols || []
 
@@ -98,9 +96,8 @@ export default function NetworkEffectsTab() {
         const annualizedRevenue = revenue24h * 365
 
         // Get market cap
-        const symbol = (p.symbol || '').toLowerCase()
-        const slug = (p.slug || '').toLowerCase()
-        const mcap = marketCapLookup[symbol] || marketCapLookup[slug] || p.mcap || 0
+        const entity = registry.resolve(p)
+        const mcap = entity?.market?.market_cap || p.mcap || 0
 
         // Get DEX volume if available
         const dexData = dexProtocols.find(d =>
@@ -111,6 +108,7 @@ export default function NetworkEffectsTab() {
         return {
           name: p.name,
           slug: p.slug,
+          entityId: entity?.id || p.slug,
           symbol: p.symbol,
           tvl: p.tvl,
           mcap,
@@ -135,44 +133,25 @@ export default function NetworkEffectsTab() {
       .sort((a, b) => b.tvl - a.tvl)
       .slice(0, 100)
 
-    // Calculate R² for different power laws
+    // R² of a fixed-exponent law: y = x^exponent means log(y) = exponent * log(x)
     const calculateR2 = (data, exponent) => {
       if (data.length < 3) return 0
       const logTvl = data.map(p => Math.log10(p.tvl))
-      const logMcap = data.map(p => Math.log10(p.mcap))
-
-      // y = x^exponent means log(y) = exponent * log(x)
-      const predicted = logTvl.map(x => x * exponent)
-      const meanY = logMcap.reduce((a, b) => a + b, 0) / logMcap.length
-
-      const ssRes = logMcap.reduce((sum, y, i) => sum + Math.pow(y - predicted[i], 2), 0)
-      const ssTot = logMcap.reduce((sum, y) => sum + Math.pow(y - meanY, 2), 0)
-
-      return ssTot > 0 ? 1 - (ssRes / ssTot) : 0
+      return coefficientOfDetermination(data.map(p => Math.log10(p.mcap)), logTvl.map(x => x * exponent))
     }
 
-    // Fit log-log regression to find actual exponent
-    const fitPowerLaw = (data) => {
-      if (data.length < 3) return { beta: 1, r2: 0 }
-      const logTvl = data.map(p => Math.log10(p.tvl))
-      const logMcap = data.map(p => Math.log10(p.mcap))
-
-      const n = logTvl.length
-      const sumX = logTvl.reduce((a, b) => a + b, 0)
-      const sumY = logMcap.reduce((a, b) => a + b, 0)
-      const sumXY = logTvl.reduce((sum, x, i) => sum + x * logMcap[i], 0)
-      const sumX2 = logTvl.reduce((sum, x) => sum + x * x, 0)
-
-      const beta = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX)
-      const r2 = calculateR2(data, beta)
-
-      return { beta, r2 }
+    // Fit log-log regression to find the actual exponent
+    const fitLogLog = (data, yOf) => {
+      const valid = data.filter(p => p.tvl > 0 && yOf(p) > 0)
+      if (valid.length < 3) return { beta: 1, r2: 0 }
+      const fit = linearRegression(valid.map(p => Math.log10(p.tvl)), valid.map(p => Math.log10(yOf(p))))
+      return { beta: fit.slope, r2: fit.rSquared, betaCI: fit.slopeCI }
     }
 
     const r2Linear = calculateR2(metcalfeData, 1)
     const r2Super = calculateR2(metcalfeData, 1.5)
     const r2Metcalfe = calculateR2(metcalfeData, 2)
-    const fittedPower = fitPowerLaw(metcalfeData)
+    const fittedPower = fitLogLog(metcalfeData, p => p.mcap)
 
     // ===== REVENUE-TVL POWER RELATIONSHIP =====
     const revenueTvlData = mergedProtocols
@@ -180,28 +159,7 @@ export default function NetworkEffectsTab() {
       .sort((a, b) => b.annualizedRevenue - a.annualizedRevenue)
       .slice(0, 80)
 
-    const revenuePowerFit = (() => {
-      const validData = revenueTvlData.filter(p => p.tvl > 0 && p.annualizedRevenue > 0)
-      if (validData.length < 3) return { beta: 1, r2: 0 }
-
-      const logTvl = validData.map(p => Math.log10(p.tvl))
-      const logRev = validData.map(p => Math.log10(p.annualizedRevenue))
-
-      const n = logTvl.length
-      const sumX = logTvl.reduce((a, b) => a + b, 0)
-      const sumY = logRev.reduce((a, b) => a + b, 0)
-      const sumXY = logTvl.reduce((sum, x, i) => sum + x * logRev[i], 0)
-      const sumX2 = logTvl.reduce((sum, x) => sum + x * x, 0)
-
-      const beta = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX)
-      const meanY = sumY / n
-      const predicted = logTvl.map(x => x * beta + (meanY - beta * sumX / n))
-      const ssRes = logRev.reduce((sum, y, i) => sum + Math.pow(y - predicted[i], 2), 0)
-      const ssTot = logRev.reduce((sum, y) => sum + Math.pow(y - meanY, 2), 0)
-      const r2 = ssTot > 0 ? 1 - (ssRes / ssTot) : 0
-
-      return { beta, r2 }
-    })()
+    const revenuePowerFit = fitLogLog(revenueTvlData, p => p.annualizedRevenue)
 
     // ===== MULTI-CHAIN NETWORK EFFECTS =====
     const multiChainData = mergedProtocols
@@ -226,36 +184,22 @@ export default function NetworkEffectsTab() {
       .sort((a, b) => b.volume24h - a.volume24h)
 
     // Fit volume ~ TVL^beta
-    const dexVolumeFit = (() => {
-      const validDex = dexData.filter(p => p.tvl > 0 && p.volume24h > 0)
-      if (validDex.length < 3) return { beta: 1, r2: 0 }
-
-      const logTvl = validDex.map(p => Math.log10(p.tvl))
-      const logVol = validDex.map(p => Math.log10(p.volume24h))
-
-      const n = logTvl.length
-      const sumX = logTvl.reduce((a, b) => a + b, 0)
-      const sumY = logVol.reduce((a, b) => a + b, 0)
-      const sumXY = logTvl.reduce((sum, x, i) => sum + x * logVol[i], 0)
-      const sumX2 = logTvl.reduce((sum, x) => sum + x * x, 0)
-
-      const beta = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX)
-      const meanY = sumY / n
-      const ssRes = logVol.reduce((sum, y, i) => {
-        const pred = beta * logTvl[i] + (meanY - beta * sumX / n)
-        return sum + Math.pow(y - pred, 2)
-      }, 0)
-      const ssTot = logVol.reduce((sum, y) => sum + Math.pow(y - meanY, 2), 0)
-      const r2 = ssTot > 0 ? 1 - (ssRes / ssTot) : 0
-
-      return { beta, r2 }
-    })()
+    const dexVolumeFit = fitLogLog(dexData, p => p.volume24h)
 
     // ===== FIRST MOVER VS FAST FOLLOWER =====
-    const firstMoverComparison = Object.entries(FIRST_MOVERS).map(([slug, info]) => {
-      const leader = mergedProtocols.find(p => p.slug === slug)
+    const entityTotals = (id) => {
+      const rows = mergedProtocols.filter(p => p.entityId === id)
+      if (rows.length === 0) return null
+      return {
+        tvl: rows.reduce((sum, p) => sum + p.tvl, 0),
+        annualizedRevenue: rows.reduce((sum, p) => sum + p.annualizedRevenue, 0),
+      }
+    }
+
+    const firstMoverComparison = Object.entries(FIRST_MOVERS).map(([id, info]) => {
+      const leader = entityTotals(id)
       const followers = info.followers
-        .map(f => mergedProtocols.find(p => p.slug === f))
+        .map(entityTotals)
         .filter(Boolean)
 
       const totalFollowerTvl = followers.reduce((sum, f) => sum + f.tvl, 0)
@@ -349,6 +293,12 @@ export default function NetworkEffectsTab() {
     totalAnalyzed,
   } = processedData
 
+  // Fits and reference curves stay market-wide; the watchlist only narrows the plotted points
+  const metcalfePoints = watchlist.apply(metcalfeData)
+  const revenuePoints = watchlist.apply(revenueTvlData)
+  const multiChainPoints = watchlist.apply(multiChainData).slice(0, 60)
+  const decayPoints = watchlist.apply(decayAnalysis)
+
   // Best fit model
   const bestFit = r2Metcalfe > r2Super && r2Metcalfe > r2Linear ? 'Metcalfe (n²)'
     : r2Super > r2Linear ? 'Super-linear (n^1.5)' : 'Linear (n)'
@@ -356,7 +306,7 @@ export default function NetworkEffectsTab() {
   // =======================
   // Chart 1: Metcalfe's Law Test
   // =======================
-  const sectors = [...new Set(metcalfeData.map(p => p.sector))]
+  const sectors = [...new Set(metcalfePoints.map(p => p.sector))]
   const sectorColorMap = {}
   sectors.forEach((sector, i) => { sectorColorMap[sector] = colors.palette[i % colors.palette.length] })
 
@@ -405,7 +355,7 @@ export default function NetworkEffectsTab() {
   ]
 
   const metcalfeScatterTraces = sectors.map(sector => {
-    const pts = metcalfeData.filter(p => p.sector === sector)
+    const pts = metcalfePoints.filter(p => p.sector === sector)
     return {
       x: pts.map(p => p.tvl),
       y: pts.map(p => p.mcap),
@@ -413,12 +363,12 @@ export default function NetworkEffectsTab() {
       mode: 'markers',
       type: 'scatter',
       name: sector,
-      marker: {
+      marker: watchlist.marker({
         color: sectorColorMap[sector],
         size: 10,
         opacity: 0.7,
         line: { width: 1, color: '#FFF' },
-      },
+      }, pts),
       hovertemplate: '%{text}<extra></extra>',
     }
   })
@@ -426,12 +376,12 @@ export default function NetworkEffectsTab() {
   // =======================
   // Chart 2: Revenue-TVL Power Relationship
   // =======================
-  const revenueSectors = [...new Set(revenueTvlData.map(p => p.sector))]
+  const revenueSectors = [...new Set(revenuePoints.map(p => p.sector))]
   const revenueSectorColors = {}
   revenueSectors.forEach((s, i) => { revenueSectorColors[s] = colors.palette[i % colors.palette.length] })
 
   const revenueScatterTraces = revenueSectors.map(sector => {
-    const pts = revenueTvlData.filter(p => p.sector === sector)
+    const pts = revenuePoints.filter(p => p.sector === sector)
     return {
       x: pts.map(p => p.tvl),
       y: pts.map(p => p.annualizedRevenue),
@@ -439,12 +389,12 @@ export default function NetworkEffectsTab() {
       mode: 'markers',
       type: 'scatter',
       name: sector,
-      marker: {
+      marker: watchlist.marker({
         color: revenueSectorColors[sector],
         size: 10,
         opacity: 0.7,
         line: { width: 1, color: '#FFF' },
-      },
+      }, pts),
       hovertemplate: '%{text}<extra></extra>',
     }
   })
@@ -545,7 +495,7 @@ export default function NetworkEffectsTab() {
       {/* Chart 2: Revenue-TVL Power Relationship */}
       <ChartCard
         title="Revenue-TVL Power Relationship"
-        subtitle={`Log-log regression: Revenue ∝ TVL^${revenuePowerFit.beta.toFixed(2)} · R²=${(revenuePowerFit.r2 * 100).toFixed(1)}% · ${revenuePowerFit.beta > 1 ? '✅ Super-linear (network effects amplify revenue)' : '⚠️ Sub-linear (diminishing returns)'}`}
+        subtitle={`Log-log regression: Revenue ∝ TVL^${revenuePowerFit.beta.toFixed(2)}${revenuePowerFit.betaCI ? ` (95% CI ${revenuePowerFit.betaCI[0].toFixed(2)}–${revenuePowerFit.betaCI[1].toFixed(2)})` : ''} · R²=${(revenuePowerFit.r2 * 100).toFixed(1)}% · ${revenuePowerFit.beta > 1 ? '✅ Super-linear (network effects amplify revenue)' : '⚠️ Sub-linear (diminishing returns)'}`}
       >
         <Plot
           data={revenueScatterTraces}
@@ -624,18 +574,18 @@ export default function NetworkEffectsTab() {
         <Plot
           data={[
             {
-              x: multiChainData.slice(0, 60).map(p => p.chains),
-              y: multiChainData.slice(0, 60).map(p => p.annualizedRevenue),
-              text: multiChainData.slice(0, 60).map(p => `${p.name}<br>Chains: ${p.chains}<br>Revenue: ${formatCurrency(p.annualizedRevenue)}/yr`),
+              x: multiChainPoints.map(p => p.chains),
+              y: multiChainPoints.map(p => p.annualizedRevenue),
+              text: multiChainPoints.map(p => `${p.name}<br>Chains: ${p.chains}<br>Revenue: ${formatCurrency(p.annualizedRevenue)}/yr`),
               mode: 'markers',
               type: 'scatter',
               name: 'Protocols',
-              marker: {
-                color: multiChainData.slice(0, 60).map(p => colors.palette[Math.min(p.chains, colors.palette.length - 1)]),
-                size: multiChainData.slice(0, 60).map(p => Math.max(8, Math.min(30, Math.sqrt(p.tvl / 1e8) * 5))),
+              marker: watchlist.marker({
+                color: multiChainPoints.map(p => colors.palette[Math.min(p.chains, colors.palette.length - 1)]),
+                size: multiChainPoints.map(p => Math.max(8, Math.min(30, Math.sqrt(p.tvl / 1e8) * 5))),
                 opacity: 0.7,
                 line: { width: 1, color: '#FFF' },
-              },
+              }, multiChainPoints),
               hovertemplate: '%{text}<extra></extra>',
             },
           ]}
@@ -662,7 +612,7 @@ export default function NetworkEffectsTab() {
       {/* Chart 5: Liquidity Begets Liquidity (DEX) */}
       <ChartCard
         title="Liquidity Begets Liquidity — DEX Network Effects"
-        subtitle={`Volume ∝ TVL^${dexVolumeFit.beta.toFixed(2)} · R²=${(dexVolumeFit.r2 * 100).toFixed(1)}% · ${dexVolumeFit.beta > 1 ? '✅ Super-linear: deeper liquidity attracts disproportionately more volume' : '⚠️ Sub-linear: diminishing returns to scale'}`}
+        subtitle={`Volume ∝ TVL^${dexVolumeFit.beta.toFixed(2)}${dexVolumeFit.betaCI ? ` (95% CI ${dexVolumeFit.betaCI[0].toFixed(2)}–${dexVolumeFit.betaCI[1].toFixed(2)})` : ''} · R²=${(dexVolumeFit.r2 * 100).toFixed(1)}% · ${dexVolumeFit.beta > 1 ? '✅ Super-linear: deeper liquidity attracts disproportionately more volume' : '⚠️ Sub-linear: diminishing returns to scale'}`}
       >
         <Plot
           data={[{
@@ -781,18 +731,18 @@ export default function NetworkEffectsTab() {
             },
             // Scatter
             {
-              x: decayAnalysis.map(p => p.change30d),
-              y: decayAnalysis.map(p => p.estimatedRevenueChange),
-              text: decayAnalysis.map(p => `${p.name}<br>TVL Δ: ${p.change30d.toFixed(1)}%<br>Est. Rev Δ: ${p.estimatedRevenueChange.toFixed(1)}%`),
+              x: decayPoints.map(p => p.change30d),
+              y: decayPoints.map(p => p.estimatedRevenueChange),
+              text: decayPoints.map(p => `${p.name}<br>TVL Δ: ${p.change30d.toFixed(1)}%<br>Est. Rev Δ: ${p.estimatedRevenueChange.toFixed(1)}%`),
               mode: 'markers',
               type: 'scatter',
               name: 'Declining protocols',
-              marker: {
-                color: decayAnalysis.map(p => p.estimatedRevenueChange < p.change30d ? colors.danger : colors.warning),
-                size: decayAnalysis.map(p => Math.max(8, Math.min(25, Math.sqrt(p.tvl / 1e8) * 5))),
+              marker: watchlist.marker({
+                color: decayPoints.map(p => p.estimatedRevenueChange < p.change30d ? colors.danger : colors.warning),
+                size: decayPoints.map(p => Math.max(8, Math.min(25, Math.sqrt(p.tvl / 1e8) * 5))),
                 opacity: 0.7,
                 line: { width: 1, color: '#FFF' },
-              },
+              }, decayPoints),
               hovertemplate: '%{text}<extra></extra>',
             },
           ]}
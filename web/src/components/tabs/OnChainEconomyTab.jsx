@@ -4,7 +4,13 @@ import ChartCard from '../ChartCard'
 import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
+import {
+  fetchChainTvl, fetchFeesByChain, fetchHistoricalChainTvl, fetchFeesOverview, fetchDexOverview,
+  fetchStablecoins, fetchStablecoinCharts, fetchHacks, fetchRaises, fetchCoinGeckoGlobal,
+} from '../../services/api'
 import { formatCurrency, formatNumber, formatPercent, formatMultiple, rollingAverage } from '../../utils/helpers'
+import { calculateGini, buildLorenzCurve } from '../../utils/analytics'
+import { useWatchlistView } from '../../context/WatchlistProvider'
 
 // Top chains to fetch individual TVL data for
 const TOP_CHAINS = ['ethereum', 'solana', 'bsc', 'arbitrum', 'base', 'polygon', 'avalanche', 'optimism']
@@ -13,25 +19,21 @@ const FEES_CHAINS = ['ethereum', 'solana', 'arbitrum', 'base']
 // Fetch on-chain economy data from multiple sources
 async function fetchOnChainEconomyData() {
   // Build chain TVL fetches
-  const chainTvlFetches = TOP_CHAINS.map(chain =>
-    fetch(`https://api.llama.fi/v2/historicalChainTvl/${chain}`).then(r => r.ok ? r.json() : null)
-  )
-  
+  const chainTvlFetches = TOP_CHAINS.map(chain => fetchChainTvl(chain))
+
   // Build chain fees fetches
-  const chainFeesFetches = FEES_CHAINS.map(chain =>
-    fetch(`https://api.llama.fi/overview/fees/${chain}`).then(r => r.ok ? r.json() : null)
-  )
+  const chainFeesFetches = FEES_CHAINS.map(chain => fetchFeesByChain(chain))
 
   const results = await Promise.allSettled([
     // Core data
-    fetch('https://api.llama.fi/v2/historicalChainTvl').then(r => r.ok ? r.json() : null),
-    fetch('https://api.llama.fi/overview/fees?excludeTotalDataChartBreakdown=false').then(r => r.ok ? r.json() : null),
-    fetch('https://api.llama.fi/overview/dexs').then(r => r.ok ? r.json() : null),
-    fetch('https://stablecoins.llama.fi/stablecoins?includePrices=true').then(r => r.ok ? r.json() : null),
-    fetch('https://stablecoins.llama.fi/stablecoincharts/all?stablecoin=1').then(r => r.ok ? r.json() : null),
-    fetch('https://api.llama.fi/hacks').then(r => r.ok ? r.json() : null),
-    fetch('https://api.llama.fi/raises').then(r => r.ok ? r.json() : null),
-    fetch('/api/coingecko?action=global').then(r => r.ok ? r.json() : null),
+    fetchHistoricalChainTvl(),
+    fetchFeesOverview(),
+    fetchDexOverview(),
+    fetchStablecoins(),
+    fetchStablecoinCharts(),
+    fetchHacks(),
+    fetchRaises(),
+    fetchCoinGeckoGlobal(),
     // Chain-specific TVL data
     ...chainTvlFetches,
     // Chain-specific fees data
@@ -66,42 +68,6 @@ async function fetchOnChainEconomyData() {
   }
 }
 
-// Calculate Gini coefficient for concentration analysis
-function calculateGini(values) {
-  const sorted = [...values].filter(v => v > 0).sort((a, b) => a - b)
-  const n = sorted.length
-  if (n === 0) return 0
-  
-  let sumOfDifferences = 0
-  for (let i = 0; i < n; i++) {
-    for (let j = 0; j < n; j++) {
-      sumOfDifferences += Math.abs(sorted[i] - sorted[j])
-    }
-  }
-  const mean = sorted.reduce((a, b) => a + b, 0) / n
-  return sumOfDifferences / (2 * n * n * mean)
-}
-
-// Build cumulative distribution for Lorenz curve
-function buildLorenzCurve(values) {
-  const sorted = [...values].filter(v => v > 0).sort((a, b) => a - b)
-  const total = sorted.reduce((a, b) => a + b, 0)
-  if (total === 0) return { x: [0, 100], y: [0, 100] }
-  
-  const n = sorted.length
-  const x = [0]
-  const y = [0]
-  let cumSum = 0
-  
-  sorted.forEach((val, i) => {
-    cumSum += val
-    x.push(((i + 1) / n) * 100)
-    y.push((cumSum / total) * 100)
-  })
-  
-  return { x, y }
-}
-
 // Small nation GDP data for comparison (2023-2024 estimates in USD)
 const NATION_GDPS = [
   { name: 'Tuvalu', gdp: 60e6 },
@@ -170,6 +136,7 @@ export default function OnChainEconomyTab() {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const watchlist = useWatchlistView()
 
   useEffect(() => {
     fetchOnChainEconomyData()
@@ -313,6 +280,14 @@ export default function OnChainEconomyTab() {
   const lorenz = buildLorenzCurve(protocolRevenues)
   const gini = calculateGini(protocolRevenues)
 
+  // Watched protocols placed on the curve (the curve itself stays market-wide):
+  // the k-th smallest earner sits at point k, in buildLorenzCurve's ascending order
+  const lorenzWatched = watchlist.mode === 'off' ? [] : protocols
+    .filter(p => p.total24h > 0)
+    .sort((a, b) => a.total24h - b.total24h)
+    .map((p, i) => ({ name: p.displayName || p.name, slug: p.slug, x: lorenz.x[i + 1], y: lorenz.y[i + 1] }))
+    .filter(p => watchlist.isWatched(p.slug))
+
   // ===========================================
   // Chart 6: Hack Losses Over Time
   // ===========================================
@@ -614,6 +589,16 @@ export default function OnChainEconomyTab() {
               line: { color: colors.slate, width: 1, dash: 'dash' },
               hoverinfo: 'skip',
             },
+            ...(lorenzWatched.length > 0 ? [{
+              x: lorenzWatched.map(p => p.x),
+              y: lorenzWatched.map(p => p.y),
+              text: lorenzWatched.map(p => p.name),
+              type: 'scatter',
+              mode: 'markers',
+              name: 'Watchlist',
+              marker: { color: colors.warning, size: 9, line: { width: 2, color: '#1A1A1A' } },
+              hovertemplate: '%{text}<br>Bottom %{x:.1f}% of protocols (with it)<br>generate %{y:.1f}% of revenue<extra></extra>',
+            }] : []),
           ]}
           layout={{
             ...defaultLayout,
@@ -5,6 +5,7 @@ import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
 import { formatNumber, formatMultiple, rollingAverage } from '../../utils/helpers'
+import { fetchSantiment, fetchMetric, isSantimentConfigured } from '../../services/santiment'
 
 // Santiment API configuration
 const SLUGS = ['bitcoin', 'ethereum', 'uniswap', 'aave', 'chainlink']
@@ -21,52 +22,11 @@ const METRICS = [
   'age_consumed',
 ]
 
-// Get date range (last 365 days)
-function getDateRange() {
-  const to = new Date()
-  const from = new Date()
-  from.setDate(from.getDate() - 365)
-  return {
-    from: from.toISOString().split('T')[0],
-    to: to.toISOString().split('T')[0],
-  }
-}
-
-// Fetch a single metric for a single slug from Santiment
-async function fetchMetric(metric, slug) {
-  const { from, to } = getDateRange()
-  const query = `{ getMetric(metric: "${metric}") { timeseriesData(slug: "${slug}" from: "${from}" to: "${to}" interval: "1d") { datetime value } } }`
-  
-  const response = await fetch('/api/santiment', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ query }),
-  })
-  
-  if (!response.ok) {
-    throw new Error(`Santiment API error: ${response.status}`)
-  }
-  
-  const data = await response.json()
-  return data?.data?.getMetric?.timeseriesData || []
-}
-
 // Fetch all projects from Santiment
 async function fetchAllProjects() {
   const query = `{ allProjects(page: 1 pageSize: 100) { slug name ticker marketcapUsd } }`
-  
-  const response = await fetch('/api/santiment', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ query }),
-  })
-  
-  if (!response.ok) {
-    throw new Error(`Santiment API error: ${response.status}`)
-  }
-  
-  const data = await response.json()
-  return data?.data?.allProjects || []
+  const data = await fetchSantiment(query)
+  return data?.allProjects || []
 }
 
 // Fetch all Santiment data
@@ -77,6 +37,7 @@ async function fetchOnChainMetricsData() {
   
   for (const slug of SLUGS) {
     for (const metric of METRICS) {
+      // santiment.js' default range: the last 365 days
       metricPromises.push(fetchMetric(metric, slug))
       metricKeys.push({ metric, slug })
     }
@@ -111,20 +72,8 @@ async function fetchOnChainMetricsData() {
   })
   
   // Check if Santiment is configured
-  if (allFailed && metricPromises.length > 0) {
-    // Try to detect if it's a configuration issue
-    try {
-      const testResponse = await fetch('/api/santiment', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query: '{ __typename }' }),
-      })
-      if (testResponse.status === 401 || testResponse.status === 403) {
-        return { notConfigured: true }
-      }
-    } catch {
-      return { notConfigured: true }
-    }
+  if (allFailed && metricPromises.length > 0 && !(await isSantimentConfigured())) {
+    return { notConfigured: true }
   }
   
   return { ...data, hasAnyData, notConfigured: !hasAnyData && allFailed }
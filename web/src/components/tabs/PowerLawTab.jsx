@@ -1,183 +1,17 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import Plot, { defaultLayout, defaultConfig, colors } from '../Plot'
 import ChartCard from '../ChartCard'
 import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
+import { fetchPowerLawData } from '../../services/api'
+import { getRegistry } from '../../utils/registry'
+import { useWatchlistView } from '../../context/WatchlistProvider'
 import { formatCurrency, formatNumber, formatPercent } from '../../utils/helpers'
-
-// ============================================================================
-// STATISTICAL FUNCTIONS
-// ============================================================================
-
-/**
- * Linear regression on log-log data to estimate power law exponent
- * For Zipf's law: y = C * x^(-α) => log(y) = log(C) - α * log(x)
- * Returns { alpha, intercept, rSquared }
- */
-function fitPowerLaw(ranks, values) {
-  // Filter out zeros and invalid values
-  const validPairs = ranks
-    .map((r, i) => ({ rank: r, value: values[i] }))
-    .filter(p => p.rank > 0 && p.value > 0)
-  
-  if (validPairs.length < 3) return { alpha: null, intercept: null, rSquared: null }
-  
-  const logX = validPairs.map(p => Math.log10(p.rank))
-  const logY = validPairs.map(p => Math.log10(p.value))
-  
-  const n = logX.length
-  const sumX = logX.reduce((a, b) => a + b, 0)
-  const sumY = logY.reduce((a, b) => a + b, 0)
-  const sumXY = logX.reduce((sum, x, i) => sum + x * logY[i], 0)
-  const sumX2 = logX.reduce((sum, x) => sum + x * x, 0)
-  const sumY2 = logY.reduce((sum, y) => sum + y * y, 0)
-  
-  const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX)
-  const intercept = (sumY - slope * sumX) / n
-  
-  // R-squared
-  const meanY = sumY / n
-  const ssTotal = logY.reduce((sum, y) => sum + (y - meanY) ** 2, 0)
-  const ssResidual = logY.reduce((sum, y, i) => {
-    const predicted = intercept + slope * logX[i]
-    return sum + (y - predicted) ** 2
-  }, 0)
-  const rSquared = ssTotal > 0 ? 1 - ssResidual / ssTotal : 0
-  
-  // Alpha is negative slope (since Zipf: y ~ x^(-α))
-  return { alpha: -slope, intercept, rSquared }
-}
-
-/**
- * Calculate Gini coefficient for measuring inequality
- */
-function calculateGini(values) {
-  const sorted = [...values].filter(v => v > 0).sort((a, b) => a - b)
-  const n = sorted.length
-  if (n === 0) return 0
-  
-  let sumOfDifferences = 0
-  for (let i = 0; i < n; i++) {
-    for (let j = 0; j < n; j++) {
-      sumOfDifferences += Math.abs(sorted[i] - sorted[j])
-    }
-  }
-  const mean = sorted.reduce((a, b) => a + b, 0) / n
-  return sumOfDifferences / (2 * n * n * mean)
-}
-
-/**
- * Build Lorenz curve data for Pareto analysis
- */
-function buildLorenzCurve(values) {
-  const sorted = [...values].filter(v => v > 0).sort((a, b) => b - a) // Descending
-  const total = sorted.reduce((a, b) => a + b, 0)
-  if (total === 0) return { x: [0, 100], y: [0, 100], thresholds: {} }
-  
-  const n = sorted.length
-  const x = [0]
-  const y = [0]
-  let cumSum = 0
-  
-  const thresholds = { p80: null, p90: null, p95: null, p99: null }
-  
-  sorted.forEach((val, i) => {
-    cumSum += val
-    const xPercent = ((i + 1) / n) * 100
-    const yPercent = (cumSum / total) * 100
-    x.push(xPercent)
-    y.push(yPercent)
-    
-    // Track what % of protocols generate 80%, 90%, 95%, 99% of value
-    if (thresholds.p80 === null && yPercent >= 80) thresholds.p80 = xPercent
-    if (thresholds.p90 === null && yPercent >= 90) thresholds.p90 = xPercent
-    if (thresholds.p95 === null && yPercent >= 95) thresholds.p95 = xPercent
-    if (thresholds.p99 === null && yPercent >= 99) thresholds.p99 = xPercent
-  })
-  
-  return { x, y, thresholds }
-}
-
-/**
- * Calculate Herfindahl-Hirschman Index (HHI)
- */
-function calculateHHI(values) {
-  const total = values.reduce((a, b) => a + b, 0)
-  if (total === 0) return 0
-  
-  return values.reduce((sum, v) => {
-    const share = (v / total) * 100
-    return sum + share * share
-  }, 0)
-}
-
-/**
- * Calculate Spearman rank correlation coefficient
- */
-function spearmanCorrelation(x, y) {
-  if (x.length !== y.length || x.length < 3) return null
-  
-  const n = x.length
-  
-  // Create rank arrays
-  const rankArray = (arr) => {
-    const sorted = arr.map((v, i) => ({ v, i })).sort((a, b) => b.v - a.v)
-    const ranks = new Array(n)
-    sorted.forEach((item, rank) => { ranks[item.i] = rank + 1 })
-    return ranks
-  }
-  
-  const rankX = rankArray(x)
-  const rankY = rankArray(y)
-  
-  // Calculate sum of squared differences
-  let sumD2 = 0
-  for (let i = 0; i < n; i++) {
-    sumD2 += (rankX[i] - rankY[i]) ** 2
-  }
-  
-  // Spearman's rho
-  return 1 - (6 * sumD2) / (n * (n * n - 1))
-}
-
-/**
- * Histogram bins for log-transformed data
- */
-function createLogHistogram(values, numBins = 30) {
-  const filtered = values.filter(v => v > 0)
-  if (filtered.length === 0) return { bins: [], counts: [] }
-  
-  const logValues = filtered.map(v => Math.log10(v))
-  const min = Math.min(...logValues)
-  const max = Math.max(...logValues)
-  const binWidth = (max - min) / numBins
-  
-  const bins = []
-  const counts = []
-  
-  for (let i = 0; i < numBins; i++) {
-    const binStart = min + i * binWidth
-    const binEnd = binStart + binWidth
-    bins.push((binStart + binEnd) / 2)
-    counts.push(0)
-  }
-  
-  logValues.forEach(v => {
-    const binIndex = Math.min(Math.floor((v - min) / binWidth), numBins - 1)
-    if (binIndex >= 0 && binIndex < numBins) counts[binIndex]++
-  })
-  
-  return { bins, counts, min, max }
-}
-
-/**
- * Generate normal distribution curve for overlay
- */
-function normalDistribution(x, mean, stdDev, scale) {
-  const variance = stdDev * stdDev
-  return scale * Math.exp(-((x - mean) ** 2) / (2 * variance)) / (stdDev * Math.sqrt(2 * Math.PI))
-}
+import {
+  fitPowerLaw, fitPowerLawMLE, powerLawGoodnessOfFit, calculateGini, buildParetoCurve, calculateHHI,
+  correlationTest, createLogHistogram, normalDistribution, mean, standardDeviation,
+} from '../../utils/analytics'
 
 // ============================================================================
 // MAIN COMPONENT
@@ -187,29 +21,22 @@ export default function PowerLawTab() {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const watchlist = useWatchlistView()
 
   useEffect(() => {
-    async function fetchData() {
-      const results = await Promise.allSettled([
-        fetch('https://api.llama.fi/protocols').then(r => r.ok ? r.json() : null),
-        fetch('https://api.llama.fi/overview/fees?excludeTotalDataChartBreakdown=false').then(r => r.ok ? r.json() : null),
-        fetch('/api/coingecko?action=markets').then(r => r.ok ? r.json() : null),
-      ])
-
-      const getValue = (idx) => results[idx]?.status === 'fulfilled' ? results[idx].value : null
-
-      setData({
-        protocols: getValue(0),
-        feesOverview: getValue(1),
-        markets: getValue(2),
-      })
-    }
-
-    fetchData()
+    fetchPowerLawData()
+      .then(setData)
       .catch(e => setError(e.message))
       .finally(() => setLoading(false))
   }, [])
 
+  // MLE tail fit + bootstrap KS test are the expensive part — rerun only when data changes
+  const revenueTail = useMemo(() => {
+    const values = (data?.feesOverview?.protocols || []).filter(p => p.total24h > 0).map(p => p.total24h * 365)
+    const fit = fitPowerLawMLE(values)
+    return fit && { ...fit, gof: powerLawGoodnessOfFit(values, { simulations: 100 }) }
+  }, [data])
+
   if (loading) return <LoadingSpinner message="Loading power law analysis data..." />
   if (error && !data) return <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
 
@@ -228,6 +55,7 @@ export default function PowerLawTab() {
     .filter(p => p.total24h > 0)
     .map(p => ({
       name: p.displayName || p.name,
+      slug: p.slug,
       revenue: (p.total24h || 0) * 365,
       dailyRevenue: p.total24h || 0,
       tvl: p.tvl || 0,
@@ -239,16 +67,19 @@ export default function PowerLawTab() {
     .filter(p => p.tvl > 0)
     .map(p => ({
       name: p.name,
+      slug: p.slug,
       tvl: p.tvl,
       mcap: p.mcap || 0,
     }))
     .sort((a, b) => b.tvl - a.tvl)
 
-  // Extract market caps
+  // Extract market caps (slug: the coin's DeFiLlama protocol, for the watchlist)
+  const registry = getRegistry(protocols, markets)
   const protocolMcaps = markets
     .filter(m => m.market_cap > 0)
     .map(m => ({
       name: m.name,
+      slug: registry.resolve(m.id, 'gecko')?.llamaSlugs[0] || m.id,
       symbol: m.symbol?.toUpperCase(),
       mcap: m.market_cap,
     }))
@@ -267,6 +98,9 @@ export default function PowerLawTab() {
     revenueFit.intercept !== null ? Math.pow(10, revenueFit.intercept - revenueFit.alpha * Math.log10(r)) : null
   )
 
+  // The watchlist filters the plotted points only: ranks, fits, Gini and HHI stay market-wide
+  const revenuePoints = watchlist.apply(protocolRevenues.map((p, i) => ({ ...p, rank: i + 1 })))
+
   // ============================================================================
   // ZIPF PLOT DATA - MARKET CAP
   // ============================================================================
@@ -278,6 +112,7 @@ export default function PowerLawTab() {
   const mcapFittedLine = mcapRanks.map(r =>
     mcapFit.intercept !== null ? Math.pow(10, mcapFit.intercept - mcapFit.alpha * Math.log10(r)) : null
   )
+  const mcapPoints = watchlist.apply(protocolMcaps.slice(0, 200).map((p, i) => ({ ...p, rank: i + 1 })))
 
   // ============================================================================
   // ZIPF PLOT DATA - TVL
@@ -290,12 +125,13 @@ export default function PowerLawTab() {
   const tvlFittedLine = tvlRanks.map(r =>
     tvlFit.intercept !== null ? Math.pow(10, tvlFit.intercept - tvlFit.alpha * Math.log10(r)) : null
   )
+  const tvlPoints = watchlist.apply(protocolTvls.slice(0, 200).map((p, i) => ({ ...p, rank: i + 1 })))
 
   // ============================================================================
   // PARETO / LORENZ CURVE
   // ============================================================================
   
-  const lorenzRevenue = buildLorenzCurve(revenueValues)
+  const lorenzRevenue = buildParetoCurve(revenueValues)
   const giniRevenue = calculateGini(revenueValues)
   
   // Compare to S&P 500 typical Gini (~0.7 for revenue concentration)
@@ -331,8 +167,8 @@ export default function PowerLawTab() {
   
   // Fit normal to log-transformed data
   const logRevenues = revenueValues.filter(v => v > 0).map(v => Math.log10(v))
-  const logMean = logRevenues.reduce((a, b) => a + b, 0) / logRevenues.length
-  const logStdDev = Math.sqrt(logRevenues.reduce((sum, v) => sum + (v - logMean) ** 2, 0) / logRevenues.length)
+  const logMean = mean(logRevenues)
+  const logStdDev = standardDeviation(logRevenues)
   
   // Generate normal overlay
   const normalOverlay = revenueHistogram.bins.map(x => ({
@@ -348,7 +184,7 @@ export default function PowerLawTab() {
   const matchedProtocols = []
   const revenueByName = {}
   protocolRevenues.forEach((p, i) => {
-    revenueByName[p.name.toLowerCase()] = { rank: i + 1, revenue: p.revenue }
+    revenueByName[p.name.toLowerCase()] = { rank: i + 1, revenue: p.revenue, slug: p.slug }
   })
   
   const tvlByName = {}
@@ -360,6 +196,7 @@ export default function PowerLawTab() {
     if (tvlByName[name]) {
       matchedProtocols.push({
         name,
+        slug: revenueByName[name].slug,
         revenueRank: revenueByName[name].rank,
         tvlRank: tvlByName[name].rank,
         revenue: revenueByName[name].revenue,
@@ -368,10 +205,13 @@ export default function PowerLawTab() {
     }
   })
   
-  const spearmanRho = spearmanCorrelation(
+  const spearmanTest = correlationTest(
     matchedProtocols.map(p => p.revenueRank),
-    matchedProtocols.map(p => p.tvlRank)
+    matchedProtocols.map(p => p.tvlRank),
+    { method: 'spearman' }
   )
+  const spearmanRho = spearmanTest?.r ?? null
+  const rankPoints = watchlist.apply(matchedProtocols)
 
   // ============================================================================
   // EXPONENT COMPARISON
@@ -408,7 +248,7 @@ export default function PowerLawTab() {
         <KPICard
           title="Revenue α"
           value={revenueFit.alpha !== null ? revenueFit.alpha.toFixed(2) : '—'}
-          subtitle={`R² = ${revenueFit.rSquared !== null ? revenueFit.rSquared.toFixed(3) : '—'}`}
+          subtitle={`R² = ${revenueFit.rSquared !== null ? revenueFit.rSquared.toFixed(3) : '—'}${revenueFit.alphaCI ? ` · 95% CI ${revenueFit.alphaCI[0].toFixed(2)}–${revenueFit.alphaCI[1].toFixed(2)}` : ''}`}
         />
         <KPICard
           title="Market Cap α"
@@ -435,17 +275,17 @@ export default function PowerLawTab() {
         <Plot
           data={[
             {
-              x: revenueRanks,
-              y: revenueValues,
+              x: revenuePoints.map(p => p.rank),
+              y: revenuePoints.map(p => p.revenue),
               type: 'scatter',
               mode: 'markers',
               name: 'Protocols',
-              text: protocolRevenues.map(p => p.name),
-              marker: {
+              text: revenuePoints.map(p => p.name),
+              marker: watchlist.marker({
                 color: colors.primary,
                 size: 8,
                 opacity: 0.7,
-              },
+              }, revenuePoints),
               hovertemplate: '%{text}<br>Rank: %{x}<br>Revenue: $%{y:,.0f}<extra></extra>',
             },
             {
@@ -484,17 +324,17 @@ export default function PowerLawTab() {
         <Plot
           data={[
             {
-              x: mcapRanks.slice(0, 200),
-              y: mcapValues.slice(0, 200),
+              x: mcapPoints.map(p => p.rank),
+              y: mcapPoints.map(p => p.mcap),
               type: 'scatter',
               mode: 'markers',
               name: 'Tokens',
-              text: protocolMcaps.slice(0, 200).map(p => `${p.name} (${p.symbol})`),
-              marker: {
+              text: mcapPoints.map(p => `${p.name} (${p.symbol})`),
+              marker: watchlist.marker({
                 color: colors.secondary,
                 size: 7,
                 opacity: 0.7,
-              },
+              }, mcapPoints),
               hovertemplate: '%{text}<br>Rank: %{x}<br>MCap: $%{y:,.0f}<extra></extra>',
             },
             {
@@ -533,17 +373,17 @@ export default function PowerLawTab() {
         <Plot
           data={[
             {
-              x: tvlRanks.slice(0, 200),
-              y: tvlValues.slice(0, 200),
+              x: tvlPoints.map(p => p.rank),
+              y: tvlPoints.map(p => p.tvl),
               type: 'scatter',
               mode: 'markers',
               name: 'Protocols',
-              text: protocolTvls.slice(0, 200).map(p => p.name),
-              marker: {
+              text: tvlPoints.map(p => p.name),
+              marker: watchlist.marker({
                 color: colors.success,
                 size: 7,
                 opacity: 0.7,
-              },
+              }, tvlPoints),
               hovertemplate: '%{text}<br>Rank: %{x}<br>TVL: $%{y:,.0f}<extra></extra>',
             },
             {
@@ -729,7 +569,9 @@ export default function PowerLawTab() {
       {/* Log-Normal vs Power Law */}
       <ChartCard 
         title="Distribution Analysis — Log(Revenue)" 
-        subtitle="If bell-shaped → log-normal; if heavy-tailed → power law"
+        subtitle={`If bell-shaped → log-normal; if heavy-tailed → power law${revenueTail
+          ? ` · Tail MLE α = ${revenueTail.alpha.toFixed(2)} ± ${revenueTail.alphaSE.toFixed(2)} above ${formatCurrency(revenueTail.xmin)} · KS p = ${revenueTail.gof?.pValue?.toFixed(2) ?? '—'}`
+          : ''}`}
       >
         <Plot
           data={[
@@ -772,22 +614,22 @@ export default function PowerLawTab() {
       {/* Revenue Rank vs TVL Rank */}
       <ChartCard 
         title="Revenue Rank vs TVL Rank" 
-        subtitle={`Spearman ρ = ${spearmanRho !== null ? spearmanRho.toFixed(3) : '—'} · Do the same protocols dominate both metrics?`}
+        subtitle={`Spearman ρ = ${spearmanRho !== null ? spearmanRho.toFixed(3) : '—'}${spearmanTest?.pValue != null ? ` (p = ${spearmanTest.pValue < 0.001 ? '<0.001' : spearmanTest.pValue.toFixed(3)})` : ''} · Do the same protocols dominate both metrics?`}
       >
         <Plot
           data={[
             {
-              x: matchedProtocols.map(p => p.revenueRank),
-              y: matchedProtocols.map(p => p.tvlRank),
-              text: matchedProtocols.map(p => p.name),
+              x: rankPoints.map(p => p.revenueRank),
+              y: rankPoints.map(p => p.tvlRank),
+              text: rankPoints.map(p => p.name),
               type: 'scatter',
               mode: 'markers',
               name: 'Protocols',
-              marker: {
+              marker: watchlist.marker({
                 color: colors.secondary,
                 size: 10,
                 opacity: 0.7,
-              },
+              }, rankPoints),
               hovertemplate: '%{text}<br>Revenue Rank: %{x}<br>TVL Rank: %{y}<extra></extra>',
             },
             {
@@ -832,6 +674,15 @@ export default function PowerLawTab() {
           <strong> {lorenzRevenue.thresholds.p80?.toFixed(1) || '—'}%</strong> of protocols generate 80% of all revenue, and 
           <strong> {lorenzRevenue.thresholds.p95?.toFixed(1) || '—'}%</strong> generate 95%. This follows Pareto's principle on steroids.
         </p>
+        {revenueTail && (
+          <p>
+            <strong>Tail Fit:</strong> A maximum-likelihood fit of the revenue distribution gives a density exponent of
+            <strong> α = {revenueTail.alpha.toFixed(2)} ± {revenueTail.alphaSE.toFixed(2)}</strong> for the {revenueTail.nTail} protocols
+            above {formatCurrency(revenueTail.xmin)}/yr (the rank-size α above is the same tail seen sideways: α ≈ 1 + 1/α<sub>Zipf</sub>).
+            The bootstrapped Kolmogorov–Smirnov test gives p = <strong>{revenueTail.gof?.pValue?.toFixed(2) ?? '—'}</strong> —
+            {revenueTail.gof?.pValue >= 0.1 ? ' a power law is a plausible description of the tail.' : ' the power law is rejected, so a log-normal or truncated tail fits better.'}
+          </p>
+        )}
         <p>
           <strong>Rank Correlation:</strong> Revenue rank and TVL rank have a Spearman correlation of 
           <strong> {spearmanRho !== null ? spearmanRho.toFixed(3) : '—'}</strong>. A high correlation suggests that the same protocols 
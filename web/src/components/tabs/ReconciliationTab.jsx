@@ -0,0 +1,233 @@
+import { useState, useEffect, useMemo } from 'react'
+import Plot, { defaultLayout, defaultConfig, colors } from '../Plot'
+import ChartCard from '../ChartCard'
+import KPICard from '../KPICard'
+import NarrativeBox from '../NarrativeBox'
+import LoadingSpinner from '../LoadingSpinner'
+import { fetchReconciliationData } from '../../services/api'
+import { formatCurrency, formatMultiple } from '../../utils/helpers'
+import { reconcileVendors, RECONCILED_METRICS } from '../../utils/reconciliation'
+import { useUrlState } from '../../hooks/useUrlState'
+import { useProtocolClick } from '../../context/ProtocolProvider'
+import { useWatchlistView } from '../../context/WatchlistProvider'
+
+const THRESHOLDS = [10, 25, 50, 100]
+const METRIC_LABELS = { fees: 'Fees', revenue: 'Revenue', earnings: 'Earnings' }
+const METRIC_COLORS = { fees: colors.primary, revenue: colors.success, earnings: colors.secondary }
+
+const formatGap = (gap) => gap === null ? '—' : `${gap > 0 ? '+' : ''}${(gap * 100).toFixed(0)}%`
+const csvGap = (gap) => gap === null ? '' : (gap * 100).toFixed(1)
+const csvValue = (v) => v === null || v === undefined ? '' : v.toFixed(0)
+
+export default function ReconciliationTab() {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [threshold, setThreshold] = useUrlState('gapThreshold', 25, { values: THRESHOLDS, parse: Number })
+  const onProtocolClick = useProtocolClick()
+  const watchlist = useWatchlistView()
+
+  useEffect(() => {
+    fetchReconciliationData()
+      .then(setData)
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const processed = useMemo(() => {
+    if (!data) return null
+    const ttAvailable = Object.values(data.tokenTerminal).some(Boolean)
+    return { ...reconcileVendors(data, threshold / 100), ttAvailable }
+  }, [data, threshold])
+
+  if (loading) return <LoadingSpinner message="Reconciling Token Terminal against DeFiLlama..." />
+  if (error) return <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
+  if (!processed) return <div className="text-center py-20">No data available</div>
+  if (!processed.ttAvailable) {
+    return <div className="text-center py-20 text-(--color-danger)">Token Terminal data unavailable — check TOKEN_TERMINAL_API_KEY</div>
+  }
+
+  const { rows, ttOnly, llamaOnly, medianGaps } = processed
+  const flagged = rows.filter(r => r.flags.length > 0)
+  const visibleRows = watchlist.apply(rows)
+
+  // === Chart: relative gap per metric, largest DeFiLlama earners ===
+  const chartRows = visibleRows.slice(0, 25).reverse()
+
+  return (
+    <div className="space-y-6">
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <KPICard
+          title="Protocols Matched"
+          value={rows.length}
+          subtitle={`${ttOnly.length} Token Terminal-only`}
+        />
+        <KPICard
+          title="Flagged"
+          value={flagged.length}
+          subtitle={`gap > ${threshold}% on any metric`}
+        />
+        <KPICard
+          title="Median Revenue Gap"
+          value={formatGap(medianGaps.revenue)}
+          subtitle="absolute, 30d"
+        />
+        <KPICard
+          title="Median Earnings Gap"
+          value={formatGap(medianGaps.earnings)}
+          subtitle="absolute, 30d"
+        />
+      </div>
+
+      <NarrativeBox title="Two Vendors, One Revenue Figure">
+        <p>
+          Every revenue figure on this dashboard comes from DeFiLlama. This view re-derives it from <strong>Token Terminal</strong> over
+          the same 30 days and flags protocols where the vendors disagree. <strong>Fees</strong> and <strong>revenue</strong> are compared
+          directly; <strong>earnings</strong> (revenue minus token incentives) are compared against DeFiLlama revenue less Token Terminal's
+          incentives, since DeFiLlama reports no incentive spend. P/E multiples are shown for context but not flagged — they inherit the
+          earnings gap and each vendor's market cap source. Large gaps usually mean a different fee definition (supply-side fees,
+          MEV, gas) or a missing chain deployment on one side.
+        </p>
+      </NarrativeBox>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-sm font-medium text-(--color-text-secondary)">Flag gaps above:</span>
+        <div className="flex rounded-md border border-(--color-rule) overflow-hidden">
+          {THRESHOLDS.map(t => (
+            <button key={t} onClick={() => setThreshold(t)}
+              className={`px-4 py-1.5 text-xs font-medium transition-colors cursor-pointer ${threshold === t ? 'bg-(--color-primary) text-white' : 'text-(--color-text-secondary) hover:bg-(--color-paper-alt)'}`}>{t}%</button>
+          ))}
+        </div>
+      </div>
+
+      {/* Chart: gap by metric */}
+      <ChartCard
+        title="Token Terminal vs DeFiLlama — Relative Gap"
+        subtitle={`(Token Terminal − DeFiLlama) / DeFiLlama, 30d · Top 25 by DeFiLlama fees · Dotted lines at ±${threshold}%`}
+        csvData={{
+          filename: 'vendor-reconciliation-gaps',
+          headers: ['Protocol', 'FeesGapPct', 'RevenueGapPct', 'EarningsGapPct'],
+          rows: chartRows.map(r => [r.name, csvGap(r.fees.gap), csvGap(r.revenue.gap), csvGap(r.earnings.gap)]),
+        }}
+      >
+        <Plot
+          data={RECONCILED_METRICS.map(m => ({
+            y: chartRows.map(r => r.name),
+            // Clip so one unmatched definition does not flatten every other bar
+            x: chartRows.map(r => r[m].gap === null ? null : Math.max(-2, Math.min(2, r[m].gap)) * 100),
+            customdata: chartRows.map(r => r.slug),
+            text: chartRows.map(r => formatGap(r[m].gap)),
+            type: 'bar',
+            orientation: 'h',
+            name: METRIC_LABELS[m],
+            marker: { color: METRIC_COLORS[m] },
+            hovertemplate: `%{y}<br>${METRIC_LABELS[m]} gap: %{text}<extra></extra>`,
+          }))}
+          layout={{
+            ...defaultLayout,
+            height: Math.max(400, chartRows.length * 28),
+            barmode: 'group',
+            margin: { ...defaultLayout.margin, l: 140 },
+            xaxis: { ...defaultLayout.xaxis, title: 'Gap (%)', ticksuffix: '%', range: [-200, 200] },
+            yaxis: { ...defaultLayout.yaxis, type: 'category', automargin: true },
+            shapes: [-threshold, threshold].map(x => ({
+              type: 'line', x0: x, x1: x, yref: 'paper', y0: 0, y1: 1,
+              line: { color: colors.danger, width: 1, dash: 'dot' },
+            })),
+          }}
+          config={defaultConfig}
+          className="w-full"
+          onClick={onProtocolClick}
+        />
+      </ChartCard>
+
+      {/* Reconciliation table */}
+      <ChartCard
+        title="Reconciliation Table"
+        subtitle={`30d totals · DeFiLlama earnings = revenue − Token Terminal incentives · Flagged rows differ by more than ${threshold}%`}
+        csvData={{
+          filename: `vendor-reconciliation-${threshold}pct`,
+          headers: [
+            'Protocol', 'TokenTerminalProject',
+            'FeesTT', 'FeesLlama', 'FeesGapPct',
+            'RevenueTT', 'RevenueLlama', 'RevenueGapPct',
+            'EarningsTT', 'EarningsLlama', 'EarningsGapPct',
+            'TokenIncentivesTT', 'PE_TT', 'PE_Llama', 'DaysCovered', 'Flags',
+          ],
+          rows: visibleRows.map(r => [
+            r.name, r.projectId,
+            csvValue(r.fees.tt), csvValue(r.fees.llama), csvGap(r.fees.gap),
+            csvValue(r.revenue.tt), csvValue(r.revenue.llama), csvGap(r.revenue.gap),
+            csvValue(r.earnings.tt), csvValue(r.earnings.llama), csvGap(r.earnings.gap),
+            csvValue(r.tokenIncentives), r.pe.tt?.toFixed(1) || '', r.pe.llama?.toFixed(1) || '',
+            r.days, r.flags.join(' '),
+          ]),
+        }}
+      >
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-(--color-border)">
+                <th className="text-left p-2">Protocol</th>
+                {RECONCILED_METRICS.map(m => (
+                  <th key={m} colSpan={3} className="text-center p-2">{METRIC_LABELS[m]}</th>
+                ))}
+                <th className="text-right p-2">Incentives</th>
+                <th colSpan={2} className="text-center p-2">P/E</th>
+              </tr>
+              <tr className="border-b border-(--color-border) text-xs text-(--color-ink-muted)">
+                <th />
+                {RECONCILED_METRICS.map(m => [
+                  <th key={`${m}-tt`} className="text-right p-2 font-normal">TT</th>,
+                  <th key={`${m}-llama`} className="text-right p-2 font-normal">Llama</th>,
+                  <th key={`${m}-gap`} className="text-right p-2 font-normal">Gap</th>,
+                ])}
+                <th className="text-right p-2 font-normal">TT</th>
+                <th className="text-right p-2 font-normal">TT</th>
+                <th className="text-right p-2 font-normal">Llama</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map(r => (
+                <tr key={r.projectId}
+                  className={`border-b border-(--color-border) hover:bg-(--color-surface) ${watchlist.rowClass(r.slug) || (r.flags.length > 0 ? 'bg-(--color-paper-alt)' : '')}`}>
+                  <td className="p-2 font-medium" title={`Token Terminal: ${r.projectId} · ${r.days} days`}>
+                    {r.flags.length > 0 && <span style={{ color: colors.danger }}>● </span>}{r.name}
+                  </td>
+                  {RECONCILED_METRICS.map(m => [
+                    <td key={`${m}-tt`} className="text-right p-2">{formatCurrency(r[m].tt)}</td>,
+                    <td key={`${m}-llama`} className="text-right p-2">{formatCurrency(r[m].llama)}</td>,
+                    <td key={`${m}-gap`} className="text-right p-2 font-mono"
+                      style={{ color: r.flags.includes(m) ? colors.danger : colors.slate }}>
+                      {formatGap(r[m].gap)}
+                    </td>,
+                  ])}
+                  <td className="text-right p-2">{formatCurrency(r.tokenIncentives)}</td>
+                  <td className="text-right p-2">{formatMultiple(r.pe.tt)}</td>
+                  <td className="text-right p-2">{formatMultiple(r.pe.llama)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </ChartCard>
+
+      {/* Coverage */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <ChartCard title="Token Terminal Only" subtitle="Projects with no DeFiLlama fees or revenue for the same entity">
+          <p className="text-sm text-(--color-text-secondary)">
+            {ttOnly.length > 0 ? ttOnly.map(p => p.name).sort().join(' · ') : 'None — every project matched.'}
+          </p>
+        </ChartCard>
+        <ChartCard title="DeFiLlama Only" subtitle="Largest DeFiLlama earners Token Terminal returned no data for">
+          <p className="text-sm text-(--color-text-secondary)">
+            {llamaOnly.length > 0
+              ? llamaOnly.map(p => `${p.name} (${formatCurrency(p.revenue30d)})`).join(' · ')
+              : 'None.'}
+          </p>
+        </ChartCard>
+      </div>
+    </div>
+  )
+}
@@ -7,11 +7,13 @@ import LoadingSpinner from '../LoadingSpinner'
 import { fetchRevenueQualityData } from '../../services/api'
 import { formatCurrency, formatPercent, categorizeSector } from '../../utils/helpers'
 import { revenueQualityNarrative } from '../../data/narratives'
+import { useWatchlistView } from '../../context/WatchlistProvider'
 
 export default function RevenueQualityTab() {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const watchlist = useWatchlistView()
 
   useEffect(() => {
     fetchRevenueQualityData()
@@ -54,7 +56,6 @@ export default function RevenueQualityTab() {
       ? withValidTR.map(p => p.takeRate).sort((a, b) => a - b)[Math.floor(withValidTR.length / 2)] : null
     const highTakeRate = withValidTR.filter(p => p.takeRate > 50).length
     const lowTakeRate = withValidTR.filter(p => p.takeRate <= 50).length
-    const top20 = protocolsWithTakeRate.filter(p => p.revenue > 0).slice(0, 20)
 
     // Stablecoin data
     const stablecoins = data?.stablecoins?.peggedAssets || []
@@ -94,7 +95,7 @@ export default function RevenueQualityTab() {
 
     return {
       feesProtocols, totalFees24h, totalRevenue24h,
-      protocolsWithTakeRate, top20, medianTakeRate, highTakeRate, lowTakeRate,
+      protocolsWithTakeRate, medianTakeRate, highTakeRate, lowTakeRate,
       totalStablecoinMcap, top10Stablecoins,
       sortedSectors, totalSectorRevenue, sectorTimeSeries, uniqueDates,
     }
@@ -106,11 +107,14 @@ export default function RevenueQualityTab() {
 
   const {
     feesProtocols, totalFees24h, totalRevenue24h,
-    protocolsWithTakeRate, top20, medianTakeRate, highTakeRate, lowTakeRate,
+    protocolsWithTakeRate, medianTakeRate, highTakeRate, lowTakeRate,
     totalStablecoinMcap, top10Stablecoins,
     sortedSectors, totalSectorRevenue, sectorTimeSeries, uniqueDates,
   } = processed
 
+  // Watchlist filter applies to the protocol ranking; take-rate stats and sectors stay market-wide
+  const top20 = watchlist.apply(protocolsWithTakeRate.filter(p => p.revenue > 0)).slice(0, 20)
+
   const overallTakeRate = totalFees24h > 0 ? (totalRevenue24h / totalFees24h) * 100 : null
 
   const sectorAreaTraces = Object.entries(sectorTimeSeries)
@@ -148,8 +152,8 @@ export default function RevenueQualityTab() {
           csvData={{ filename: 'fees-vs-revenue-take-rate', headers: ['Protocol','Fees24h','Revenue24h','TakeRate%','Sector'], rows: top20.map(p => [p.name, p.fees, p.revenue, p.takeRate.toFixed(1), p.sector]) }}>
           <Plot
             data={[
-              { x: top20.map(p => p.name), y: top20.map(p => p.fees), type: 'bar', name: 'Fees', marker: { color: colors.palette[0] }, hovertemplate: '%{x}<br>Fees: $%{y:,.0f}<extra></extra>' },
-              { x: top20.map(p => p.name), y: top20.map(p => p.revenue), type: 'bar', name: 'Revenue', marker: { color: colors.palette[1] }, hovertemplate: '%{x}<br>Revenue: $%{y:,.0f}<extra></extra>' },
+              { x: top20.map(p => p.name), y: top20.map(p => p.fees), type: 'bar', name: 'Fees', marker: watchlist.marker({ color: colors.palette[0] }, top20), hovertemplate: '%{x}<br>Fees: $%{y:,.0f}<extra></extra>' },
+              { x: top20.map(p => p.name), y: top20.map(p => p.revenue), type: 'bar', name: 'Revenue', marker: watchlist.marker({ color: colors.palette[1] }, top20), hovertemplate: '%{x}<br>Revenue: $%{y:,.0f}<extra></extra>' },
             ]}
             layout={{
               ...defaultLayout, height: 480, barmode: 'group',
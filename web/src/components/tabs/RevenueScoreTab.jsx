@@ -4,129 +4,29 @@ import ChartCard from '../ChartCard'
 import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
-import { formatCurrency, formatPercent, formatNumber, formatMultiple, categorizeSector } from '../../utils/helpers'
-
-// ============================================================================
-// SCORING FUNCTIONS
-// ============================================================================
-
-/**
- * Revenue Sustainability Score (0–25)
- * Low coefficient of variation in daily revenue = stable = high score
- */
-function scoreSustainability(dailyRevenues) {
-  if (!dailyRevenues || dailyRevenues.length < 30) return null
-  const values = dailyRevenues.filter(v => v > 0)
-  if (values.length < 14) return null
-  const mean = values.reduce((a, b) => a + b, 0) / values.length
-  if (mean === 0) return 0
-  const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length
-  const cv = Math.sqrt(variance) / mean
-  // CV of 0 = perfect score, CV > 2 = 0 score
-  return Math.max(0, Math.min(25, 25 * (1 - cv / 2)))
-}
-
-/**
- * Take Rate Score (0–25)
- * Revenue/Fees ratio — higher retention = higher score
- */
-function scoreTakeRate(revenue, fees) {
-  if (!fees || fees <= 0) return null
-  if (!revenue || revenue < 0) return 0
-  const takeRate = revenue / fees
-  // 0% = 0 score, 100% = 25 score (linear)
-  return Math.max(0, Math.min(25, takeRate * 25))
-}
-
-/**
- * Growth Momentum Score (0–20)
- * 30d revenue growth rate — positive growth scores higher
- */
-function scoreGrowth(revenue30d, revenuePrev30d) {
-  if (!revenuePrev30d || revenuePrev30d <= 0) return null
-  const growthRate = ((revenue30d - revenuePrev30d) / revenuePrev30d) * 100
-  // -50% = 0, 0% = 10, +100% = 20 (clamped)
-  return Math.max(0, Math.min(20, 10 + (growthRate / 10)))
-}
-
-/**
- * Capital Efficiency Score (0–15)
- * Revenue/TVL ratio — higher = more efficient
- */
-function scoreEfficiency(annualizedRevenue, tvl) {
-  if (!tvl || tvl <= 0) return null
-  const efficiency = (annualizedRevenue / tvl) * 100
-  // 0% = 0, 5% = 7.5, 20%+ = 15 (capped)
-  return Math.max(0, Math.min(15, efficiency * 0.75))
-}
-
-/**
- * Valuation Reasonableness Score (0–15)
- * P/S ratio vs sector median — moderate P/S scores high
- */
-function scoreValuation(psRatio, sectorMedianPS) {
-  if (!psRatio || psRatio <= 0 || !sectorMedianPS || sectorMedianPS <= 0) return null
-  const ratio = psRatio / sectorMedianPS
-  // ratio of 1.0 = perfect score, ratio < 0.25 or > 4 = 0 score
-  if (ratio >= 0.5 && ratio <= 2.0) return 15
-  if (ratio >= 0.25 && ratio < 0.5) return 10
-  if (ratio > 2.0 && ratio <= 3.0) return 10
-  if (ratio > 3.0 && ratio <= 4.0) return 5
-  return 2
-}
-
-/**
- * Compute composite score with available dimensions
- */
-function computeCompositeScore(scores) {
-  const available = Object.entries(scores).filter(([_, v]) => v !== null)
-  if (available.length < 2) return null
-
-  const maxPossible = {
-    sustainability: 25,
-    takeRate: 25,
-    growth: 20,
-    efficiency: 15,
-    valuation: 15,
-  }
-
-  // Sum available scores and their max possible values
-  let totalScore = 0
-  let totalMax = 0
-  available.forEach(([key, value]) => {
-    totalScore += value
-    totalMax += maxPossible[key] || 0
-  })
-
-  // Normalize to 0–100 scale
-  return totalMax > 0 ? (totalScore / totalMax) * 100 : 0
+import { fetchRevenueScoreData } from '../../services/api'
+import { formatCurrency, formatPercent, formatNumber, formatMultiple } from '../../utils/helpers'
+import { computeRevenueScores } from '../../utils/scores'
+import { REVENUE_DIMENSIONS, DEFAULT_METHODOLOGY } from '../../utils/methodology'
+import { loadPeerGroups } from '../../utils/peers'
+import { useUrlState } from '../../hooks/useUrlState'
+import { useWatchlistView } from '../../context/WatchlistProvider'
+import { useMethodology } from '../../context/MethodologyProvider'
+
+const DIMENSION_COLORS = {
+  sustainability: colors.primary,
+  takeRate: colors.success,
+  growth: colors.warning,
+  efficiency: colors.cyan,
+  valuation: colors.secondary,
+  earnings: colors.rose,
+  scale: colors.slate,
 }
 
-// ============================================================================
-// DATA FETCHING
-// ============================================================================
-
-async function fetchRevenueScoreData() {
-  const results = await Promise.allSettled([
-    // DeFiLlama fees (total + breakdown)
-    fetch('https://api.llama.fi/overview/fees?excludeTotalDataChartBreakdown=false').then(r => r.ok ? r.json() : null),
-    // DeFiLlama fees as revenue (take rate comparison)
-    fetch('/api/defillama?action=fees_revenue').then(r => r.ok ? r.json() : null),
-    // All protocols (TVL data)
-    fetch('https://api.llama.fi/protocols').then(r => r.ok ? r.json() : null),
-    // CoinGecko markets (market cap for P/S)
-    fetch('/api/coingecko?action=markets').then(r => r.ok ? r.json() : null),
-  ])
-
-  const getValue = (idx) => results[idx]?.status === 'fulfilled' ? results[idx].value : null
-
-  return {
-    fees: getValue(0),
-    feesRevenue: getValue(1),
-    protocols: getValue(2),
-    markets: getValue(3),
-  }
-}
+// Max points of the dimensions a protocol was scored on (computeCompositeScore's denominator)
+const scoredMax = (p, weights) => Object.entries(p.scores)
+  .filter(([_, v]) => v !== null)
+  .reduce((sum, [key]) => sum + weights[key].weight, 0)
 
 // ============================================================================
 // MAIN COMPONENT
@@ -136,6 +36,11 @@ export default function RevenueScoreTab() {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const watchlist = useWatchlistView()
+  const { active: methodology } = useMethodology()
+  // Valuation benchmark: categorizeSector buckets or the Comps tab's peer groups
+  const [peers, setPeers] = useUrlState('peers', 'sectors', { values: ['sectors', 'groups'] })
+  const [peerGroups] = useState(loadPeerGroups)
 
   useEffect(() => {
     fetchRevenueScoreData()
@@ -147,118 +52,7 @@ export default function RevenueScoreTab() {
   const processed = useMemo(() => {
     if (!data) return null
 
-    const feesProtocols = data.fees?.protocols || []
-    const revenueProtocols = data.feesRevenue?.protocols || []
-    const allProtocols = data.protocols || []
-    const markets = data.markets || []
-    const totalDataChartBreakdown = data.fees?.totalDataChartBreakdown || []
-
-    // Build lookups
-    const revLookup = {}
-    revenueProtocols.forEach(p => { if (p.slug) revLookup[p.slug.toLowerCase()] = p })
-
-    const protocolLookup = {}
-    allProtocols.forEach(p => { if (p.slug) protocolLookup[p.slug.toLowerCase()] = p })
-
-    const marketCapLookup = {}
-    markets.forEach(m => {
-      if (m.symbol) marketCapLookup[m.symbol.toLowerCase()] = m
-      if (m.id) marketCapLookup[m.id.toLowerCase()] = m
-    })
-
-    // Build daily revenue per protocol from breakdown
-    const protocolDailyRevenue = {}
-    totalDataChartBreakdown.forEach(([_, breakdown]) => {
-      Object.entries(breakdown || {}).forEach(([protocol, value]) => {
-        if (!protocolDailyRevenue[protocol]) protocolDailyRevenue[protocol] = []
-        protocolDailyRevenue[protocol].push(value)
-      })
-    })
-
-    // Get top 50 protocols by fees
-    const top50 = feesProtocols
-      .filter(p => p.total24h > 0)
-      .sort((a, b) => (b.total24h || 0) - (a.total24h || 0))
-      .slice(0, 50)
-
-    // Compute sector median P/S ratios
-    const sectorPSRatios = {}
-    top50.forEach(p => {
-      const protocolData = protocolLookup[(p.slug || '').toLowerCase()]
-      const sector = categorizeSector(p.category || protocolData?.category || 'Other')
-      const symbol = (protocolData?.symbol || p.slug || '').toLowerCase()
-      const mcapData = marketCapLookup[symbol] || marketCapLookup[(p.slug || '').toLowerCase()]
-      const mcap = mcapData?.market_cap || protocolData?.mcap || 0
-      const annRevenue = (p.total24h || 0) * 365
-      if (mcap > 0 && annRevenue > 0) {
-        const ps = mcap / annRevenue
-        if (!sectorPSRatios[sector]) sectorPSRatios[sector] = []
-        sectorPSRatios[sector].push(ps)
-      }
-    })
-
-    const sectorMedianPS = {}
-    Object.entries(sectorPSRatios).forEach(([sector, ratios]) => {
-      const sorted = [...ratios].sort((a, b) => a - b)
-      sectorMedianPS[sector] = sorted[Math.floor(sorted.length / 2)] || null
-    })
-
-    // Score each protocol
-    const scoredProtocols = top50.map(p => {
-      const slug = (p.slug || '').toLowerCase()
-      const rev = revLookup[slug]
-      const protocolData = protocolLookup[slug]
-      const sector = categorizeSector(p.category || protocolData?.category || 'Other')
-      const symbol = (protocolData?.symbol || p.slug || '').toLowerCase()
-      const mcapData = marketCapLookup[symbol] || marketCapLookup[slug]
-      const mcap = mcapData?.market_cap || protocolData?.mcap || 0
-      const tvl = protocolData?.tvl || 0
-      const revenue24h = rev?.total24h || 0
-      const fees24h = p.total24h || 0
-      const annRevenue = fees24h * 365
-
-      // Daily revenues for sustainability
-      const dailyRevs = protocolDailyRevenue[p.slug] || protocolDailyRevenue[p.name] || []
-
-      // Growth: compare last 30 days to previous 30 days
-      const last30 = dailyRevs.slice(-30)
-      const prev30 = dailyRevs.slice(-60, -30)
-      const sum30 = last30.reduce((a, b) => a + b, 0)
-      const sumPrev30 = prev30.reduce((a, b) => a + b, 0)
-
-      // P/S ratio
-      const psRatio = mcap > 0 && annRevenue > 0 ? mcap / annRevenue : null
-
-      // Sub-scores
-      const sustainability = scoreSustainability(dailyRevs)
-      const takeRate = scoreTakeRate(revenue24h, fees24h)
-      const growth = scoreGrowth(sum30, sumPrev30)
-      const efficiency = scoreEfficiency(annRevenue, tvl)
-      const valuation = scoreValuation(psRatio, sectorMedianPS[sector])
-
-      const scores = { sustainability, takeRate, growth, efficiency, valuation }
-      const composite = computeCompositeScore(scores)
-
-      // Price change (from CoinGecko)
-      const priceChange30d = mcapData?.price_change_percentage_30d_in_currency || null
-
-      return {
-        name: p.name || p.slug,
-        slug: p.slug,
-        symbol: protocolData?.symbol || '',
-        sector,
-        fees24h,
-        revenue24h,
-        annRevenue,
-        tvl,
-        mcap,
-        psRatio,
-        priceChange30d,
-        scores,
-        composite,
-      }
-    }).filter(p => p.composite !== null)
-    .sort((a, b) => b.composite - a.composite)
+    const scoredProtocols = computeRevenueScores(data, { methodology, peerGroups: peers === 'groups' ? peerGroups : [] })
 
     // KPIs
     const highestScore = scoredProtocols[0]
@@ -298,7 +92,7 @@ export default function RevenueScoreTab() {
       sectorAvgScores,
       totalScored: scoredProtocols.length,
     }
-  }, [data])
+  }, [data, methodology, peers, peerGroups])
 
   if (loading) return <LoadingSpinner message="Computing revenue quality scores..." />
   if (error) return <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
@@ -309,22 +103,30 @@ export default function RevenueScoreTab() {
     bestSector, worstSector, sectorAvgScores, totalScored,
   } = processed
 
+  // The methodology's weighted dimensions, in catalogue order
+  const weights = methodology.revenue
+  const SCORE_DIMENSIONS = REVENUE_DIMENSIONS
+    .filter(d => weights[d.key]?.weight > 0)
+    .map(d => ({ key: d.key, label: d.label, color: DIMENSION_COLORS[d.key] }))
+
+  // Watchlist filter narrows the per-protocol charts; sector aggregates stay market-wide
+  const visibleProtocols = watchlist.apply(scoredProtocols)
+
   // === Chart 1: Revenue Quality Scoreboard ===
-  const top30 = scoredProtocols.slice(0, 30)
+  const top30 = visibleProtocols.slice(0, 30)
 
   // === Chart 2: Quality Score vs Market Cap Scatter ===
-  const scatterProtocols = scoredProtocols.filter(p => p.mcap > 0)
+  const scatterProtocols = visibleProtocols.filter(p => p.mcap > 0)
   const sectors = [...new Set(scatterProtocols.map(p => p.sector))]
   const sectorColorMap = {}
   sectors.forEach((s, i) => { sectorColorMap[s] = colors.palette[i % colors.palette.length] })
 
   // === Chart 3: Radar Charts for Top 6 ===
-  const top6 = scoredProtocols.slice(0, 6)
-  const radarCategories = ['Sustainability', 'Take Rate', 'Growth', 'Efficiency', 'Valuation']
-  const radarMax = [25, 25, 20, 15, 15]
+  const top6 = visibleProtocols.slice(0, 6)
+  const radarCategories = SCORE_DIMENSIONS.map(d => d.label)
 
   // === Chart 5: Quality Score vs 30d Price Change ===
-  const priceProtocols = scoredProtocols.filter(p => p.priceChange30d !== null && p.priceChange30d !== undefined)
+  const priceProtocols = visibleProtocols.filter(p => p.priceChange30d !== null && p.priceChange30d !== undefined)
 
   // Score color
   const getScoreColor = (score) => {
@@ -336,6 +138,23 @@ export default function RevenueScoreTab() {
 
   return (
     <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-sm font-medium text-(--color-text-secondary)">Valuation peers:</span>
+        <div className="flex rounded-md border border-(--color-rule) overflow-hidden">
+          {[['sectors', 'Sectors'], ['groups', 'My peer groups']].map(([key, label]) => (
+            <button key={key} onClick={() => setPeers(key)}
+              className={`px-4 py-1.5 text-xs font-medium transition-colors cursor-pointer ${peers === key ? 'bg-(--color-primary) text-white' : 'text-(--color-text-secondary) hover:bg-(--color-paper-alt)'}`}>{label}</button>
+          ))}
+        </div>
+        {peers === 'groups' && (
+          <span className="text-xs text-(--color-ink-muted)">
+            {peerGroups.length > 0
+              ? `${peerGroups.map(g => g.name).join(', ')} replace their members' sectors — edit them on the Comps tab`
+              : 'No peer groups yet — create them on the Comps tab'}
+          </span>
+        )}
+      </div>
+
       {/* KPI Cards */}
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
         <KPICard
@@ -362,11 +181,18 @@ export default function RevenueScoreTab() {
 
       <NarrativeBox title="Revenue Quality Score Methodology">
         <p>
-          Each protocol is scored 0–100 across five dimensions: <strong>Revenue Sustainability</strong> (25pts — low volatility = stable cash flow),
+          Each protocol is scored across six dimensions: <strong>Revenue Sustainability</strong> (25pts — low volatility = stable cash flow),
           <strong> Take Rate</strong> (25pts — % of fees retained by the protocol), <strong>Growth Momentum</strong> (20pts — 30d revenue trend),
-          <strong> Capital Efficiency</strong> (15pts — revenue per dollar of TVL), and <strong>Valuation Reasonableness</strong> (15pts — P/S vs sector median).
-          Protocols with incomplete data are scored on available dimensions with proportional reweighting.
+          <strong> Capital Efficiency</strong> (15pts — revenue per dollar of TVL), <strong>Valuation Reasonableness</strong> (15pts — P/S vs {peers === 'groups' ? 'peer-group median where a protocol belongs to one, else sector' : 'sector'} median),
+          and <strong>Earnings</strong> (15pts — margin left to holders after token incentives and unlock dilution; break-even = 7.5).
+          The composite is the share of available points, 0–100: protocols with incomplete data are scored on available dimensions with proportional reweighting.
         </p>
+        {methodology.id !== DEFAULT_METHODOLOGY.id && (
+          <p className="mt-2">
+            Scores below use the <strong>{methodology.name}</strong> methodology:{' '}
+            {SCORE_DIMENSIONS.map(d => `${d.label} ${weights[d.key].weight}pts`).join(', ')}. Edit or switch it on the Scoring Methodology tab.
+          </p>
+        )}
       </NarrativeBox>
 
       {/* Chart 1: Scoreboard */}
@@ -375,66 +201,25 @@ export default function RevenueScoreTab() {
         subtitle="Composite score breakdown by dimension · Higher = more sustainable, well-priced, efficient revenue"
         csvData={{
           filename: 'revenue-quality-scores',
-          headers: ['Protocol', 'CompositeScore', 'Sustainability', 'TakeRate', 'Growth', 'Efficiency', 'Valuation', 'Sector'],
+          headers: ['Protocol', 'CompositeScore', ...SCORE_DIMENSIONS.map(d => d.label.replace(/ /g, '')), 'Sector'],
           rows: top30.map(p => [
             p.name, p.composite.toFixed(1),
-            p.scores.sustainability?.toFixed(1) || '',
-            p.scores.takeRate?.toFixed(1) || '',
-            p.scores.growth?.toFixed(1) || '',
-            p.scores.efficiency?.toFixed(1) || '',
-            p.scores.valuation?.toFixed(1) || '',
+            ...SCORE_DIMENSIONS.map(({ key }) => p.scores[key]?.toFixed(1) || ''),
             p.sector,
           ]),
         }}
       >
         <Plot
-          data={[
-            {
-              y: top30.map(p => p.name),
-              x: top30.map(p => (p.scores.sustainability || 0) / 25 * 100 * 0.25),
-              type: 'bar',
-              orientation: 'h',
-              name: 'Sustainability',
-              marker: { color: colors.primary },
-              hovertemplate: '%{y}<br>Sustainability: %{x:.1f}<extra></extra>',
-            },
-            {
-              y: top30.map(p => p.name),
-              x: top30.map(p => (p.scores.takeRate || 0) / 25 * 100 * 0.25),
-              type: 'bar',
-              orientation: 'h',
-              name: 'Take Rate',
-              marker: { color: colors.success },
-              hovertemplate: '%{y}<br>Take Rate: %{x:.1f}<extra></extra>',
-            },
-            {
-              y: top30.map(p => p.name),
-              x: top30.map(p => (p.scores.growth || 0) / 20 * 100 * 0.20),
-              type: 'bar',
-              orientation: 'h',
-              name: 'Growth',
-              marker: { color: colors.warning },
-              hovertemplate: '%{y}<br>Growth: %{x:.1f}<extra></extra>',
-            },
-            {
-              y: top30.map(p => p.name),
-              x: top30.map(p => (p.scores.efficiency || 0) / 15 * 100 * 0.15),
-              type: 'bar',
-              orientation: 'h',
-              name: 'Efficiency',
-              marker: { color: colors.cyan },
-              hovertemplate: '%{y}<br>Efficiency: %{x:.1f}<extra></extra>',
-            },
-            {
-              y: top30.map(p => p.name),
-              x: top30.map(p => (p.scores.valuation || 0) / 15 * 100 * 0.15),
-              type: 'bar',
-              orientation: 'h',
-              name: 'Valuation',
-              marker: { color: colors.secondary },
-              hovertemplate: '%{y}<br>Valuation: %{x:.1f}<extra></extra>',
-            },
-          ]}
+          data={SCORE_DIMENSIONS.map(({ key, label, color }) => ({
+            y: top30.map(p => p.name),
+            // Each segment's share of the composite (normalized over the dimensions scored)
+            x: top30.map(p => (p.scores[key] || 0) / scoredMax(p, weights) * 100),
+            type: 'bar',
+            orientation: 'h',
+            name: label,
+            marker: { color },
+            hovertemplate: `%{y}<br>${label}: %{x:.1f}<extra></extra>`,
+          }))}
           layout={{
             ...defaultLayout,
             height: Math.max(500, top30.length * 24),
@@ -467,12 +252,12 @@ export default function RevenueScoreTab() {
                 mode: 'markers',
                 type: 'scatter',
                 name: sector,
-                marker: {
+                marker: watchlist.marker({
                   color: sectorColorMap[sector],
                   size: pts.map(p => Math.max(8, Math.min(35, Math.sqrt(p.annRevenue / 1e5) * 2))),
                   opacity: 0.75,
                   line: { width: 1, color: '#FFF' },
-                },
+                }, pts),
                 hovertemplate: '%{text}<extra></extra>',
               }
             })}
@@ -498,14 +283,8 @@ export default function RevenueScoreTab() {
           <Plot
             data={top6.map((p, i) => ({
               type: 'scatterpolar',
-              r: [
-                ((p.scores.sustainability || 0) / 25) * 100,
-                ((p.scores.takeRate || 0) / 25) * 100,
-                ((p.scores.growth || 0) / 20) * 100,
-                ((p.scores.efficiency || 0) / 15) * 100,
-                ((p.scores.valuation || 0) / 15) * 100,
-                ((p.scores.sustainability || 0) / 25) * 100, // close the polygon
-              ],
+              // Close the polygon by repeating the first axis
+              r: [...SCORE_DIMENSIONS, SCORE_DIMENSIONS[0]].map(({ key }) => ((p.scores[key] || 0) / weights[key].weight) * 100),
               theta: [...radarCategories, radarCategories[0]],
               fill: 'toself',
               fillcolor: colors.palette[i % colors.palette.length] + '30',
@@ -596,10 +375,10 @@ export default function RevenueScoreTab() {
       )}
 
       {/* Chart 5: Quality Score vs 30d Price Change */}
-      {priceProtocols.length > 5 && (
+      {priceProtocols.length > (watchlist.filtering ? 0 : 5) && (
         <ChartCard
           title="Revenue Quality vs 30-Day Price Change"
-          subtitle="Does quality predict returns? Upper-right = high quality + price appreciation"
+          subtitle="One snapshot — the Score Backtest tab tests it over monthly rebalances · Upper-right = high quality + price appreciation"
         >
           <Plot
             data={[
@@ -627,12 +406,12 @@ export default function RevenueScoreTab() {
                 textposition: 'top center',
                 textfont: { size: 8, color: '#9CA3AF' },
                 type: 'scatter',
-                marker: {
+                marker: watchlist.marker({
                   color: priceProtocols.map(p => getScoreColor(p.composite)),
                   size: priceProtocols.map(p => Math.max(8, Math.min(30, Math.sqrt(p.annRevenue / 1e5) * 2))),
                   opacity: 0.75,
                   line: { width: 1, color: '#FFF' },
-                },
+                }, priceProtocols),
                 hovertemplate: '%{text}<extra></extra>',
                 showlegend: false,
               },
@@ -7,6 +7,7 @@ import LoadingSpinner from '../LoadingSpinner'
 import { fetchRiskPremiumData } from '../../services/api'
 import { formatPercent, formatCurrency, formatNumber } from '../../utils/helpers'
 import { riskPremiumNarrative } from '../../data/narratives'
+import { mean, standardDeviation, linearRegression, robustRegression } from '../../utils/analytics'
 
 export default function RiskPremiumTab() {
   const [data, setData] = useState(null)
@@ -48,10 +49,9 @@ export default function RiskPremiumTab() {
 
     // Risk premium distribution stats
     const premiums = poolsWithPremium.map(p => p.riskPremium).sort((a, b) => a - b)
-    const meanPremium = premiums.reduce((a, b) => a + b, 0) / premiums.length
+    const meanPremium = mean(premiums)
     const medianPremium = premiums[Math.floor(premiums.length / 2)]
-    const variance = premiums.reduce((sum, p) => sum + Math.pow(p - meanPremium, 2), 0) / premiums.length
-    const stdDev = Math.sqrt(variance)
+    const stdDev = standardDeviation(premiums)
 
     // 1. Risk Premium Distribution - buckets for histogram
     const premiumBuckets = [
@@ -128,10 +128,11 @@ export default function RiskPremiumTab() {
       .filter(p => p.tvlUsd > 100000 && p.apy > 0 && p.apy < 100)
       .slice(0, 500)
 
-    // Simple linear regression on log(TVL) vs APY
+    // OLS on log(TVL) vs APY, plus a Huber fit so a handful of incentive-farm outliers can't set the trend
     const logTvls = tvlPremiumScatter.map(p => Math.log10(p.tvlUsd))
     const apys = tvlPremiumScatter.map(p => p.apy)
-    const { slope, intercept, rSquared } = linearRegression(logTvls, apys)
+    const { slope, intercept, rSquared, slopeCI, pValue } = linearRegression(logTvls, apys)
+    const robustFit = robustRegression(logTvls, apys)
 
     // 5. Efficient Frontier - APY volatility proxy using spread within project
     const projectData = {}
@@ -146,9 +147,8 @@ export default function RiskPremiumTab() {
       .filter(([_, data]) => data.pools.length >= 2 && data.tvl > 1e6)
       .map(([project, data]) => {
         const apys = data.pools.map(p => p.apy)
-        const avgApy = apys.reduce((a, b) => a + b, 0) / apys.length
-        const variance = apys.reduce((sum, a) => sum + Math.pow(a - avgApy, 2), 0) / apys.length
-        const volatility = Math.sqrt(variance)
+        const avgApy = mean(apys)
+        const volatility = standardDeviation(apys)
         return {
           project,
           avgApy,
@@ -224,7 +224,7 @@ export default function RiskPremiumTab() {
       chainStats,
       categoryStats,
       tvlPremiumScatter,
-      regression: { slope, intercept, rSquared },
+      regression: { slope, intercept, rSquared, slopeCI, pValue, robust: robustFit },
       efficientPools,
       top10Efficient,
       sharpeByProtocol,
@@ -443,7 +443,7 @@ export default function RiskPremiumTab() {
       {/* 4. TVL-Weighted Risk Premium Scatter */}
       <ChartCard 
         title="TVL-Weighted Risk Premium — Scale Effect" 
-        subtitle={`Larger pools = lower APY · R² = ${regression.rSquared.toFixed(3)} · Slope = ${regression.slope.toFixed(2)}%/decade`}
+        subtitle={`Larger pools = lower APY · R² = ${regression.rSquared.toFixed(3)} · Slope = ${regression.slope.toFixed(2)}%/decade${regression.slopeCI ? ` (95% CI ${regression.slopeCI[0].toFixed(2)} to ${regression.slopeCI[1].toFixed(2)}, p = ${regression.pValue < 0.001 ? '<0.001' : regression.pValue.toFixed(3)})` : ''} · Robust slope = ${regression.robust.slope.toFixed(2)}%/decade`}
       >
         <Plot
           data={[
@@ -471,6 +471,15 @@ export default function RiskPremiumTab() {
               line: { color: colors.warning, width: 2, dash: 'dash' },
               hoverinfo: 'skip',
             },
+            {
+              x: [1e5, 1e10],
+              y: [regression.robust.intercept + regression.robust.slope * 5, regression.robust.intercept + regression.robust.slope * 10],
+              type: 'scatter',
+              mode: 'lines',
+              name: 'Robust trend (Huber)',
+              line: { color: colors.indigo, width: 2, dash: 'dot' },
+              hoverinfo: 'skip',
+            },
           ]}
           layout={{
             ...defaultLayout,
@@ -699,26 +708,3 @@ function categorizeProtocol(project) {
   if (yieldProtocols.some(y => p.includes(y))) return 'Yield Aggregator'
   return 'Other'
 }
-
-// Helper: Simple linear regression
-function linearRegression(x, y) {
-  const n = x.length
-  if (n === 0) return { slope: 0, intercept: 0, rSquared: 0 }
-  
-  const sumX = x.reduce((a, b) => a + b, 0)
-  const sumY = y.reduce((a, b) => a + b, 0)
-  const sumXY = x.reduce((total, xi, i) => total + xi * y[i], 0)
-  const sumX2 = x.reduce((total, xi) => total + xi * xi, 0)
-  const sumY2 = y.reduce((total, yi) => total + yi * yi, 0)
-  
-  const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX)
-  const intercept = (sumY - slope * sumX) / n
-  
-  // R-squared
-  const yMean = sumY / n
-  const ssTotal = y.reduce((sum, yi) => sum + Math.pow(yi - yMean, 2), 0)
-  const ssResidual = y.reduce((sum, yi, i) => sum + Math.pow(yi - (intercept + slope * x[i]), 2), 0)
-  const rSquared = ssTotal > 0 ? 1 - ssResidual / ssTotal : 0
-  
-  return { slope, intercept, rSquared: Math.max(0, rSquared) }
-}
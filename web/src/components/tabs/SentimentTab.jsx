@@ -8,12 +8,13 @@ import { fetchSentimentData } from '../../services/api'
 import { formatCurrency, formatPercent, percentile } from '../../utils/helpers'
 import { sentimentNarrative } from '../../data/narratives'
 import { downloadCSV } from '../../utils/csv'
+import { useUrlState, parseBool } from '../../hooks/useUrlState'
 
 export default function SentimentTab() {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
-  const [showStablecoins, setShowStablecoins] = useState(true)
+  const [showStablecoins, setShowStablecoins] = useUrlState('stablecoins', true, { parse: parseBool })
 
   useEffect(() => {
     fetchSentimentData()
@@ -292,7 +293,7 @@ export default function SentimentTab() {
       })()}
 
       {/* Fear & Greed historical */}
-      <ChartCard title="Fear & Greed Index — Historical" subtitle="Crypto market sentiment over time"
+      <ChartCard sources={['alternative']} title="Fear & Greed Index — Historical" subtitle="Crypto market sentiment over time"
         csvData={{ filename: 'fear-greed-historical', headers: ['Date','FearGreedIndex'], rows: fgDates.map((d, i) => [d, fgValues[i]]) }}>
         <Plot
           data={[{
@@ -5,49 +5,26 @@ import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
 import { formatNumber, formatPercent } from '../../utils/helpers'
+import { entity } from '../../utils/registry'
+import { fetchCoinChart, fetchCoinGeckoMarkets } from '../../services/api'
+import { fetchSantiment, fetchMetric, isSantimentConfigured } from '../../services/santiment'
 
-// Tokens to track — mix of L1s, DeFi blue chips, and trending narratives
+// Tokens to track — mix of L1s, DeFi blue chips, and trending narratives.
+// Entity ids resolve to Santiment slugs + tickers via the identity registry.
 const TRACKED_TOKENS = [
-  { slug: 'bitcoin', symbol: 'BTC' },
-  { slug: 'ethereum', symbol: 'ETH' },
-  { slug: 'solana', symbol: 'SOL' },
-  { slug: 'uniswap', symbol: 'UNI' },
-  { slug: 'aave', symbol: 'AAVE' },
-  { slug: 'chainlink', symbol: 'LINK' },
-  { slug: 'arbitrum', symbol: 'ARB' },
-  { slug: 'optimism', symbol: 'OP' },
-  { slug: 'celestia', symbol: 'TIA' },
-  { slug: 'sui', symbol: 'SUI' },
-  { slug: 'near', symbol: 'NEAR' },
-  { slug: 'pepe', symbol: 'PEPE' },
-]
-
+  'bitcoin', 'ethereum', 'solana', 'uniswap', 'aave', 'chainlink',
+  'arbitrum', 'optimism', 'celestia', 'sui', 'near', 'pepe',
+].map(id => {
+  const e = entity(id)
+  return { id, slug: e.santimentSlug, symbol: e.symbol }
+})
+
+// Whole UTC days, so the Santiment request bodies (the cache keys) hold all day
 function getDateRange() {
-  const to = new Date()
-  const from = new Date()
-  from.setDate(from.getDate() - 90) // 90 days for heatmap
-  return { from: from.toISOString(), to: to.toISOString() }
-}
-
-async function fetchSantimentMetric(metric, slug, from, to) {
-  const query = `
-    query GetMetric($slug: String!, $from: DateTime!, $to: DateTime!) {
-      getMetric(metric: "${metric}") {
-        timeseriesData(slug: $slug, from: $from, to: $to, interval: "1d") {
-          datetime
-          value
-        }
-      }
-    }
-  `
-  const response = await fetch('/api/santiment', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ query, variables: { slug, from, to } }),
-  })
-  if (!response.ok) throw new Error(`Santiment ${response.status}`)
-  const data = await response.json()
-  return data?.data?.getMetric?.timeseriesData || []
+  const today = new Date().toISOString().split('T')[0]
+  const from = new Date(today)
+  from.setUTCDate(from.getUTCDate() - 90) // 90 days for heatmap
+  return { from: from.toISOString(), to: `${today}T00:00:00.000Z` }
 }
 
 async function fetchSentimentPair(slug, from, to) {
@@ -61,16 +38,10 @@ async function fetchSentimentPair(slug, from, to) {
       }
     }
   `
-  const response = await fetch('/api/santiment', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ query, variables: { slug, from, to } }),
-  })
-  if (!response.ok) throw new Error(`Santiment ${response.status}`)
-  const data = await response.json()
+  const data = await fetchSantiment(query, { slug, from, to })
   return {
-    positive: data?.data?.positive?.timeseriesData || [],
-    negative: data?.data?.negative?.timeseriesData || [],
+    positive: data?.positive?.timeseriesData || [],
+    negative: data?.negative?.timeseriesData || [],
   }
 }
 
@@ -78,22 +49,11 @@ async function fetchAllSocialData() {
   const { from, to } = getDateRange()
 
   // Test if Santiment is configured
-  try {
-    const testResponse = await fetch('/api/santiment', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ query: '{ __typename }', variables: {} }),
-    })
-    if (testResponse.status === 401 || testResponse.status === 403 || testResponse.status === 500) {
-      return { notConfigured: true }
-    }
-  } catch {
-    return { notConfigured: true }
-  }
+  if (!(await isSantimentConfigured())) return { notConfigured: true }
 
   // Fetch social volume for all tokens
   const socialPromises = TRACKED_TOKENS.map(t =>
-    fetchSantimentMetric('social_volume_total', t.slug, from, to).catch(() => [])
+    fetchMetric('social_volume_total', t.slug, from, to).catch(() => [])
   )
 
   // Fetch sentiment for top 4 tokens (BTC, ETH, SOL, UNI)
@@ -103,14 +63,10 @@ async function fetchAllSocialData() {
   )
 
   // Fetch BTC price for overlay
-  const btcPricePromise = fetch('/api/coingecko?action=coin_chart&coin_id=bitcoin&days=90')
-    .then(r => r.ok ? r.json() : null)
-    .catch(() => null)
+  const btcPricePromise = fetchCoinChart('bitcoin', 90).catch(() => null)
 
   // Fetch CoinGecko markets for price changes
-  const marketsPromise = fetch('/api/coingecko?action=markets')
-    .then(r => r.ok ? r.json() : [])
-    .catch(() => [])
+  const marketsPromise = fetchCoinGeckoMarkets().catch(() => [])
 
   const [socialResults, sentimentResults, btcChart, markets] = await Promise.all([
     Promise.allSettled(socialPromises),
@@ -4,6 +4,7 @@ import ChartCard from '../ChartCard'
 import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
+import { fetchStablecoins, fetchStablecoinCharts, fetchStablecoinChart, fetchCoinChart, fetchCoinGeckoGlobal } from '../../services/api'
 import { formatCurrency, formatPercent, formatNumber } from '../../utils/helpers'
 
 // Top chains for stablecoin dominance breakdown
@@ -12,18 +13,16 @@ const STABLE_CHAINS = ['Ethereum', 'Tron', 'BSC', 'Arbitrum', 'Solana', 'Polygon
 async function fetchStablecoinFlowsData() {
   const results = await Promise.allSettled([
     // DeFiLlama stablecoins (free)
-    fetch('https://stablecoins.llama.fi/stablecoins?includePrices=true').then(r => r.ok ? r.json() : null),
+    fetchStablecoins(),
     // DeFiLlama stablecoin chart (total supply over time)
-    fetch('https://stablecoins.llama.fi/stablecoincharts/all?stablecoin=1').then(r => r.ok ? r.json() : null),
+    fetchStablecoinCharts(),
     // Individual stablecoin charts for composition (top 5 by ID)
     // IDs: 1=USDT, 2=USDC, 3=BUSD, 5=DAI, 9=TUSD, 33=FRAX, 48=PYUSD, 66=FDUSD, 72=USDE, 74=USDS
-    ...[1, 2, 5, 66, 72, 74].map(id =>
-      fetch(`https://stablecoins.llama.fi/stablecoincharts/all?stablecoin=${id}`).then(r => r.ok ? r.json() : null)
-    ),
+    ...[1, 2, 5, 66, 72, 74].map(id => fetchStablecoinChart(id)),
     // CoinGecko BTC 1yr chart for overlay
-    fetch('/api/coingecko?action=coin_chart&coin_id=bitcoin&days=365').then(r => r.ok ? r.json() : null),
+    fetchCoinChart('bitcoin', 365),
     // CoinGecko global data for total market cap
-    fetch('/api/coingecko?action=global').then(r => r.ok ? r.json() : null),
+    fetchCoinGeckoGlobal(),
   ])
 
   const getValue = (idx) => results[idx]?.status === 'fulfilled' ? results[idx].value : null
@@ -7,28 +7,28 @@ import LoadingSpinner from '../LoadingSpinner'
 import { fetchTokenomicsStudyData } from '../../services/api'
 import { formatCurrency, formatMultiple, formatPercent } from '../../utils/helpers'
 import { tokenomicsStudyNarrative } from '../../data/narratives'
+import { getRegistry } from '../../utils/registry'
+import { useWatchlistView } from '../../context/WatchlistProvider'
 
-// Token model classification for known protocols
+// Token model classification for known protocols (keyed by registry entity id)
 const TOKEN_MODEL_MAP = {
   // Fee-burn (deflationary supply)
   ethereum: 'Fee-Burn',
-  binancecoin: 'Fee-Burn',
-  'bnb': 'Fee-Burn',
+  bnb: 'Fee-Burn',
   // Staking rewards (direct yield to stakers)
   aave: 'Staking Rewards',
-  'curve-dao-token': 'Staking Rewards',
-  'lido-dao': 'Staking Rewards',
+  curve: 'Staking Rewards',
+  lido: 'Staking Rewards',
   gmx: 'Staking Rewards',
-  'synthetix-network-token': 'Staking Rewards',
+  synthetix: 'Staking Rewards',
   sushi: 'Staking Rewards',
-  'compound-governance-token': 'Staking Rewards',
+  compound: 'Staking Rewards',
   // Treasury accrual (revenue to DAO)
   uniswap: 'Treasury Accrual',
   chainlink: 'Treasury Accrual',
-  'pancakeswap-token': 'Treasury Accrual',
+  pancakeswap: 'Treasury Accrual',
   // Buyback & burn (hybrid)
   maker: 'Buyback & Burn',
-  mkr: 'Buyback & Burn',
 }
 
 // Estimated capture rate by model type (% of fees to token holders)
@@ -47,23 +47,24 @@ const MODEL_COLORS = {
   'Buyback & Burn': colors.warning,
 }
 
-// Estimated staking APY and inflation for known tokens
+// Estimated staking APY and inflation for known tokens (keyed by registry entity id)
 const STAKING_DATA = {
-  'aave': { stakingApy: 5.2, inflation: 0.8 },
-  'curve-dao-token': { stakingApy: 12.5, inflation: 8.0 },
-  'lido-dao': { stakingApy: 0, inflation: 2.0 },
-  'gmx': { stakingApy: 15.0, inflation: 5.0 },
-  'synthetix-network-token': { stakingApy: 18.0, inflation: 12.0 },
-  'sushi': { stakingApy: 8.0, inflation: 10.0 },
-  'compound-governance-token': { stakingApy: 3.5, inflation: 0.5 },
-  'ethereum': { stakingApy: 4.0, inflation: 0 },
-  'maker': { stakingApy: 8.0, inflation: -2.0 },
+  aave: { stakingApy: 5.2, inflation: 0.8 },
+  curve: { stakingApy: 12.5, inflation: 8.0 },
+  lido: { stakingApy: 0, inflation: 2.0 },
+  gmx: { stakingApy: 15.0, inflation: 5.0 },
+  synthetix: { stakingApy: 18.0, inflation: 12.0 },
+  sushi: { stakingApy: 8.0, inflation: 10.0 },
+  compound: { stakingApy: 3.5, inflation: 0.5 },
+  ethereum: { stakingApy: 4.0, inflation: 0 },
+  maker: { stakingApy: 8.0, inflation: -2.0 },
 }
 
 export default function TokenomicsStudyTab() {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const watchlist = useWatchlistView()
 
   useEffect(() => {
     fetchTokenomicsStudyData()
@@ -79,29 +80,17 @@ export default function TokenomicsStudyTab() {
   const llamaProtocols = data?.protocols || []
   const markets = data?.markets || []
   const coinDetails = data?.coinDetails || []
+  const registry = getRegistry(llamaProtocols, markets)
 
   // Build unified protocol dataset with token model classification
   const protocolsWithModels = feesProtocols
     .filter(p => p.total24h > 10000)
     .map(p => {
       const slug = (p.slug || p.name || '').toLowerCase()
-      const llama = llamaProtocols.find(lp =>
-        lp.slug === p.slug || (lp.name || '').toLowerCase() === (p.name || '').toLowerCase()
-      )
-      const market = markets.find(m =>
-        (m.id || '').toLowerCase().includes(slug) ||
-        (m.symbol || '').toLowerCase() === slug ||
-        slug.includes((m.symbol || '').toLowerCase())
-      )
-      
-      // Determine token model
-      let tokenModel = 'Other'
-      for (const [key, model] of Object.entries(TOKEN_MODEL_MAP)) {
-        if (slug.includes(key) || (market?.id || '').includes(key)) {
-          tokenModel = model
-          break
-        }
-      }
+      const llama = llamaProtocols.find(lp => lp.slug === p.slug)
+      const entity = registry.resolve(p)
+      const market = entity?.market || null
+      const tokenModel = TOKEN_MODEL_MAP[entity?.id] || 'Other'
 
       const revenue24h = p.total24h || 0
       const annualizedRevenue = revenue24h * 365
@@ -164,15 +153,15 @@ export default function TokenomicsStudyTab() {
   }).sort((a, b) => a.median - b.median)
 
   // 3. Revenue Capture Efficiency - Scatter of total fees vs capture %
-  const captureScatter = protocolsWithModels.filter(p => p.annualizedRevenue > 1e6)
+  const captureScatter = watchlist.apply(protocolsWithModels).filter(p => p.annualizedRevenue > 1e6)
 
   // 4. Token Velocity Problem - Scatter of velocity vs revenue yield
-  const velocityScatter = protocolsWithModels.filter(p => p.velocity && p.revenueYield && p.velocity < 100)
+  const velocityScatter = watchlist.apply(protocolsWithModels).filter(p => p.velocity && p.revenueYield && p.velocity < 100)
 
   // 5. Dilution-Adjusted Returns for staking tokens
   const stakingTokens = coinDetails
     .map(c => {
-      const stakingInfo = STAKING_DATA[c.id] || { stakingApy: 0, inflation: 0 }
+      const stakingInfo = STAKING_DATA[registry.resolve(c.id, 'gecko')?.id] || { stakingApy: 0, inflation: 0 }
       return {
         name: c.data?.name || c.id,
         id: c.id,
@@ -185,7 +174,7 @@ export default function TokenomicsStudyTab() {
     .sort((a, b) => b.realYield - a.realYield)
 
   // 6. Market Cap vs Revenue by Model - Scatter with model colors
-  const mcapRevenueScatter = protocolsWithModels.filter(p => p.mcap > 1e6 && p.annualizedRevenue > 1e5)
+  const mcapRevenueScatter = watchlist.apply(protocolsWithModels).filter(p => p.mcap > 1e6 && p.annualizedRevenue > 1e5)
 
   // KPI calculations
   const feeBurnAvgPS = protocolsWithModels.filter(p => p.tokenModel === 'Fee-Burn' && p.psRatio).length > 0
@@ -312,12 +301,12 @@ export default function TokenomicsStudyTab() {
               type: 'scatter',
               mode: 'markers',
               name: model,
-              marker: {
+              marker: watchlist.marker({
                 color: MODEL_COLORS[model],
                 size: pts.map(p => Math.max(10, Math.min(30, Math.sqrt(p.mcap / 1e8) * 3))),
                 opacity: 0.7,
                 line: { width: 1, color: '#FFF' },
-              },
+              }, pts),
               hovertemplate: '%{text}<extra></extra>',
             }
           })}
@@ -346,11 +335,11 @@ export default function TokenomicsStudyTab() {
               type: 'scatter',
               mode: 'markers',
               name: model,
-              marker: {
+              marker: watchlist.marker({
                 color: MODEL_COLORS[model],
                 size: 12,
                 opacity: 0.7,
-              },
+              }, pts),
               hovertemplate: '%{text}<extra></extra>',
             }
           })}
@@ -418,12 +407,12 @@ export default function TokenomicsStudyTab() {
               type: 'scatter',
               mode: 'markers',
               name: model,
-              marker: {
+              marker: watchlist.marker({
                 color: MODEL_COLORS[model],
                 size: pts.map(p => Math.max(10, Math.min(35, Math.sqrt(p.tvl / 1e7) * 3))),
                 opacity: 0.7,
                 line: { width: 1, color: '#FFF' },
-              },
+              }, pts),
               hovertemplate: '%{text}<extra></extra>',
             }
           })}
@@ -5,6 +5,12 @@ import KPICard from '../KPICard'
 import NarrativeBox from '../NarrativeBox'
 import LoadingSpinner from '../LoadingSpinner'
 import { formatCurrency, formatNumber, formatPercent, formatMultiple } from '../../utils/helpers'
+import { useUrlState } from '../../hooks/useUrlState'
+import {
+  fetchCoinGeckoPublicTreasury, fetchCoinChart, fetchCoinGeckoCategories,
+  fetchMassiveTickerDetails, fetchMassiveAggs, fetchMassiveSnapshot,
+  fetchMassiveFinancials, fetchMassiveDividends, fetchMassiveSplits,
+} from '../../services/api'
 
 // ─── Ticker symbol mapping ──────────────────────────────────────────────────
 function toStockTicker(cgSymbol) {
@@ -103,17 +109,16 @@ function extractFinancials(filings) {
 // ─── Data fetching ──────────────────────────────────────────────────────────
 
 async function fetchTreasuryData() {
-  const parseJSON = async (r) => { if (!r.ok) return null; return r.json() }
   const fromDate = '2023-01-01'
   const daysSinceStart = Math.ceil((Date.now() - new Date(fromDate).getTime()) / 86400000)
 
   // Phase 1: CoinGecko — treasury lists, price history, categories
   const [btcTreasury, ethTreasury, btcChart, ethChart, categories] = await Promise.all([
-    fetch('/api/coingecko?action=public_treasury_btc').then(parseJSON).catch(() => null),
-    fetch('/api/coingecko?action=public_treasury_eth').then(parseJSON).catch(() => null),
-    fetch(`/api/coingecko?action=coin_chart&coin_id=bitcoin&days=${daysSinceStart}`).then(parseJSON).catch(() => null),
-    fetch(`/api/coingecko?action=coin_chart&coin_id=ethereum&days=${daysSinceStart}`).then(parseJSON).catch(() => null),
-    fetch('/api/coingecko?action=categories').then(parseJSON).catch(() => null),
+    fetchCoinGeckoPublicTreasury('btc').catch(() => null),
+    fetchCoinGeckoPublicTreasury('eth').catch(() => null),
+    fetchCoinChart('bitcoin', daysSinceStart).catch(() => null),
+    fetchCoinChart('ethereum', daysSinceStart).catch(() => null),
+    fetchCoinGeckoCategories().catch(() => null),
   ])
 
   // Collect ALL tickers from BTC + ETH companies
@@ -127,23 +132,22 @@ async function fetchTreasuryData() {
 
   // Phase 2: Massive.com — stock details + daily aggs
   const detailPromises = tickersToFetch.map(t =>
-    fetch(`/api/massive?action=ticker_details&ticker=${t}`).then(parseJSON).catch(() => null)
+    fetchMassiveTickerDetails(t).catch(() => null)
   )
   const aggsPromises = tickersToFetch.map(t =>
-    fetch(`/api/massive?action=aggs&ticker=${t}&from=${fromDate}&to=${today}`).then(parseJSON).catch(() => null)
+    fetchMassiveAggs(t, fromDate, today).catch(() => null)
   )
 
   // Phase 3: Snapshot, financials, events
-  const snapshotPromise = fetch(`/api/massive?action=snapshot_tickers&tickers=${tickersToFetch.join(',')}`)
-    .then(parseJSON).catch(() => null)
+  const snapshotPromise = fetchMassiveSnapshot(tickersToFetch).catch(() => null)
   const financialsPromises = TOP_FINANCIALS_TICKERS.map(t =>
-    fetch(`/api/massive?action=financials&ticker=${t}`).then(parseJSON).catch(() => null)
+    fetchMassiveFinancials(t).catch(() => null)
   )
   const dividendsPromises = TOP_FINANCIALS_TICKERS.map(t =>
-    fetch(`/api/massive?action=dividends&ticker=${t}`).then(parseJSON).catch(() => null)
+    fetchMassiveDividends(t).catch(() => null)
   )
   const splitsPromises = TOP_FINANCIALS_TICKERS.map(t =>
-    fetch(`/api/massive?action=splits&ticker=${t}`).then(parseJSON).catch(() => null)
+    fetchMassiveSplits(t).catch(() => null)
   )
 
   const [detailResults, aggsResults, snapshot, financialsResults, dividendsResults, splitsResults] = await Promise.all([
@@ -184,9 +188,9 @@ export default function TreasuryCompaniesTab() {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
-  const [assetView, setAssetView] = useState('btc')
-  const [mcapView, setMcapView] = useState('mcap')
-  const [mcapRange, setMcapRange] = useState('ALL')
+  const [assetView, setAssetView] = useUrlState('asset', 'btc', { values: ['btc', 'eth', 'combined'] })
+  const [mcapView, setMcapView] = useUrlState('mcapView', 'mcap', { values: ['mcap', 'indexed'] })
+  const [mcapRange, setMcapRange] = useUrlState('mcapRange', 'ALL', { values: ['3M', '6M', '1Y', '2Y', 'ALL'] })
 
   useEffect(() => {
     fetchTreasuryData().then(setData).catch(e => setError(e.message)).finally(() => setLoading(false))
@@ -0,0 +1,338 @@
+import { useState, useEffect, useMemo } from 'react'
+import Plot, { defaultLayout, defaultConfig, colors } from '../Plot'
+import ChartCard from '../ChartCard'
+import KPICard from '../KPICard'
+import NarrativeBox from '../NarrativeBox'
+import LoadingSpinner from '../LoadingSpinner'
+import { fetchUnlocksData, fetchLlamaEmission } from '../../services/api'
+import { formatCurrency, formatNumber } from '../../utils/helpers'
+import { upcomingUnlocks, overhangRanking, supplyCurve, UNLOCK_WINDOWS, ALLOCATION_GROUPS } from '../../utils/unlocks'
+import { nowSeconds } from '../../utils/asOf'
+import { useUrlState } from '../../hooks/useUrlState'
+import { useProtocol } from '../../context/ProtocolProvider'
+import { useWatchlistView } from '../../context/WatchlistProvider'
+
+const th = 'py-2 px-3 text-[11px] font-semibold text-(--color-ink-muted) uppercase tracking-widest'
+const input = 'px-2 py-1 text-sm border border-(--color-rule) bg-(--color-paper)'
+
+const GROUP_COLORS = {
+  team: colors.rose,
+  investors: colors.warning,
+  ecosystem: colors.success,
+  other: colors.slate,
+}
+const groupLabel = (key) => ALLOCATION_GROUPS.find(g => g.key === key)?.label || key
+
+const pct = (v, digits = 1) => v === null || v === undefined ? '—' : `${v.toFixed(digits)}%`
+const years = (v) => v === null || v === undefined ? '—' : `${v.toFixed(1)}y`
+// Unlocks above a day's trading volume need days of buying to absorb
+const volumeColor = (v) => v === null ? undefined : v >= 100 ? colors.danger : v >= 25 ? colors.warning : undefined
+
+// ============================================================================
+// SUPPLY CURVE
+// ============================================================================
+
+function SupplyCurve({ emissionSlug, name }) {
+  const [raw, setRaw] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    setLoading(true)
+    setError(null)
+    fetchLlamaEmission(emissionSlug)
+      .then(setRaw)
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false))
+  }, [emissionSlug])
+
+  const curve = useMemo(() => raw ? supplyCurve(raw) : null, [raw])
+
+  if (loading) return <LoadingSpinner message={`Loading ${name} emission schedule...`} />
+  if (error || !curve) return <div className="text-sm text-(--color-ink-muted) py-8 text-center">No emission schedule for {name}{error ? ` (${error})` : ''}</div>
+
+  const dates = curve.timestamps.map(ts => new Date(ts * 1000).toISOString().slice(0, 10))
+  const today = new Date(nowSeconds() * 1000).toISOString().slice(0, 10)
+
+  return (
+    <ChartCard title={`${name} — Cumulative Unlocked Supply`}
+      subtitle={`${curve.token ? `${curve.token} · ` : ''}Stacked by allocation · Dashed line = today · Allocations: ${curve.groups.map(g => `${g.label} (${g.sections.join(', ')})`).join(' · ')}`}
+      csvData={{
+        filename: `${emissionSlug}-supply-curve`,
+        headers: ['Date', ...curve.groups.map(g => g.label)],
+        rows: dates.map((d, i) => [d, ...curve.groups.map(g => g.values[i])]),
+      }}>
+      <Plot
+        data={curve.groups.map(g => ({
+          x: dates,
+          y: g.values,
+          type: 'scatter',
+          mode: 'lines',
+          stackgroup: 'supply',
+          name: g.label,
+          line: { color: GROUP_COLORS[g.key], width: 1 },
+          hovertemplate: `${g.label}<br>%{x}<br>%{y:,.0f} tokens<extra></extra>`,
+        }))}
+        layout={{
+          ...defaultLayout,
+          height: 420,
+          yaxis: { ...defaultLayout.yaxis, title: 'Tokens unlocked' },
+          legend: { ...defaultLayout.legend, orientation: 'h', y: 1.1 },
+          shapes: [{ type: 'line', x0: today, x1: today, yref: 'paper', y0: 0, y1: 1, line: { color: colors.slate, dash: 'dash', width: 1 } }],
+        }}
+        config={defaultConfig}
+        className="w-full"
+      />
+    </ChartCard>
+  )
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function UnlocksTab() {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [days, setDays] = useUrlState('window', 30, { values: UNLOCK_WINDOWS, parse: Number })
+  const [selected, setSelected] = useUrlState('unlock', null)
+  const { openProtocol } = useProtocol()
+  const watchlist = useWatchlistView()
+
+  useEffect(() => {
+    fetchUnlocksData()
+      .then(setData)
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const processed = useMemo(() => {
+    if (!data) return null
+    const horizon = upcomingUnlocks(data, { days: Math.max(...UNLOCK_WINDOWS) })
+    const overhang = overhangRanking(data)
+    // Every token with a schedule, for the supply-curve picker
+    const tokens = [...new Map(overhang.concat(horizon).map(r => [r.emissionSlug, r.name])).entries()]
+      .map(([emissionSlug, name]) => ({ emissionSlug, name }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+    return { horizon, overhang, tokens }
+  }, [data])
+
+  if (loading) return <LoadingSpinner message="Loading unlock schedules..." />
+  if (error) return <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
+  if (!processed) return <div className="text-center py-20">No data available</div>
+
+  const { horizon, overhang, tokens } = processed
+  const events = watchlist.apply(horizon.filter(e => e.daysAway <= days))
+  const totalUsd = events.reduce((s, e) => s + e.usd, 0)
+  const largest = events[0]
+  const heaviest = events.reduce((best, e) => e.pctDailyVolume !== null && (!best || e.pctDailyVolume > best.pctDailyVolume) ? e : best, null)
+  const protocolsUnlocking = new Set(events.map(e => e.emissionSlug)).size
+  const calendar = [...events].sort((a, b) => a.timestamp - b.timestamp)
+
+  const ranked = watchlist.apply(overhang).filter(r => r.overhangToRevenue !== null)
+  const topOverhang = ranked.slice(0, 25)
+
+  const focus = tokens.find(t => t.emissionSlug === selected) || (largest && { emissionSlug: largest.emissionSlug, name: largest.name }) || tokens[0]
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-sm font-medium text-(--color-text-secondary)">Next:</span>
+        <div className="flex rounded-md border border-(--color-rule) overflow-hidden">
+          {UNLOCK_WINDOWS.map(d => (
+            <button key={d} onClick={() => setDays(d)}
+              className={`px-4 py-1.5 text-xs font-medium transition-colors cursor-pointer ${days === d ? 'bg-(--color-primary) text-white' : 'text-(--color-text-secondary) hover:bg-(--color-paper-alt)'}`}>{d} days</button>
+          ))}
+        </div>
+        <span className="text-xs text-(--color-ink-muted)">{(data.emissions || []).length} tokens with DeFiLlama emission schedules</span>
+      </div>
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <KPICard title={`Unlocking in ${days}d`} value={formatCurrency(totalUsd)}
+          subtitle={`${events.length} events · ${protocolsUnlocking} tokens`} />
+        <KPICard title="Largest Unlock" value={largest ? largest.name : '—'}
+          subtitle={largest ? `${formatCurrency(largest.usd)} on ${largest.date}` : 'None scheduled'} />
+        <KPICard title="Heaviest vs Volume" value={heaviest ? heaviest.name : '—'}
+          subtitle={heaviest ? `${pct(heaviest.pctDailyVolume, 0)} of a day's volume` : 'No volume data'} />
+        <KPICard title="Top Overhang" value={ranked[0] ? ranked[0].name : '—'}
+          subtitle={ranked[0] ? `${years(ranked[0].overhangToRevenue)} of revenue unlocking in 12m` : 'No revenue-earning tokens'} />
+      </div>
+
+      <NarrativeBox title="Reading the Unlock Calendar">
+        <p>
+          Scheduled unlocks from DeFiLlama's emission tracker, valued at today's CoinGecko price. <strong>% of circulating</strong> is the new supply
+          relative to tokens already trading; <strong>% of daily volume</strong> compares the unlock's value with the 30-day average daily volume
+          (24h volume for smaller tokens, marked *) — above 100% the market needs more than a full day of trading to absorb it if recipients sell.
+          <strong> Overhang vs revenue</strong> sets the next 12 months of unlocks against annualized protocol revenue: how many years the protocol
+          would need to earn what is being released. Linear vesting streams appear as their scheduled events.
+        </p>
+      </NarrativeBox>
+
+      {/* Calendar */}
+      {calendar.length > 0 ? (
+        <ChartCard title={`Unlock Calendar — Next ${days} Days`}
+          subtitle="Each point is one unlock · Size = % of circulating supply · Color = allocation · Log scale · Click a point for its supply curve">
+          <Plot
+            data={ALLOCATION_GROUPS.map(g => {
+              const pts = calendar.filter(e => e.allocation === g.key && e.usd > 0)
+              return {
+                x: pts.map(e => e.date),
+                y: pts.map(e => e.usd),
+                customdata: pts.map(e => e.emissionSlug),
+                text: pts.map(e => `${e.name}<br>${e.description}<br>${formatNumber(e.tokens)} ${e.symbol} · ${formatCurrency(e.usd)}<br>${pct(e.pctCirculating)} of circulating`),
+                type: 'scatter',
+                mode: 'markers',
+                name: g.label,
+                marker: watchlist.marker({
+                  color: GROUP_COLORS[g.key],
+                  size: pts.map(e => Math.max(7, Math.min(40, Math.sqrt(e.pctCirculating || 0) * 10))),
+                  opacity: 0.75,
+                  line: { width: 1, color: '#FFF' },
+                }, pts),
+                hovertemplate: '%{x}<br>%{text}<extra></extra>',
+              }
+            }).filter(t => t.x.length > 0)}
+            layout={{
+              ...defaultLayout,
+              height: 420,
+              yaxis: { ...defaultLayout.yaxis, title: 'Unlock value (USD)', type: 'log' },
+              legend: { ...defaultLayout.legend, orientation: 'h', y: 1.1 },
+            }}
+            config={defaultConfig}
+            className="w-full"
+            onClick={(e) => { const slug = e.points?.[0]?.customdata; if (slug) setSelected(slug) }}
+          />
+        </ChartCard>
+      ) : (
+        <div className="text-center py-12 text-(--color-ink-muted)">No unlocks scheduled in the next {days} days</div>
+      )}
+
+      {events.length > 0 && (
+        <ChartCard title="Upcoming Unlocks" subtitle="Largest first · Click a row for its supply curve · * = sized against 24h volume"
+          csvData={{
+            filename: `unlocks-next-${days}d`,
+            headers: ['Date', 'Protocol', 'Symbol', 'Allocation', 'Description', 'Tokens', 'USD', 'PctCirculating', 'PctDailyVolume', 'VolumeBasis'],
+            rows: events.map(e => [e.date, e.name, e.symbol, groupLabel(e.allocation), e.description, e.tokens, e.usd, e.pctCirculating ?? '', e.pctDailyVolume ?? '', e.volumeBasis]),
+          }}>
+          <div className="overflow-x-auto max-h-[520px] overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-(--color-paper)">
+                <tr className="border-b border-(--color-border)">
+                  <th className={`${th} text-left`}>Date</th>
+                  <th className={`${th} text-left`}>Protocol</th>
+                  <th className={`${th} text-left`}>Allocation</th>
+                  <th className={`${th} text-right`}>Tokens</th>
+                  <th className={`${th} text-right`}>Value</th>
+                  <th className={`${th} text-right`}>% Circulating</th>
+                  <th className={`${th} text-right`}>% Daily Volume</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((e, i) => (
+                  <tr key={`${e.emissionSlug}-${e.timestamp}-${i}`} onClick={() => setSelected(e.emissionSlug)}
+                    className={`border-b border-(--color-border) hover:bg-(--color-surface) cursor-pointer ${watchlist.rowClass(e.slug)}`}>
+                    <td className="p-2 font-mono text-xs">{e.date} <span className="text-(--color-ink-muted)">({e.daysAway}d)</span></td>
+                    <td className="p-2 font-medium">
+                      {e.slug
+                        ? <button className="cursor-pointer hover:text-(--color-primary)" onClick={(ev) => { ev.stopPropagation(); openProtocol(e.slug) }}>{e.name}</button>
+                        : e.name}
+                      {e.symbol && <span className="ml-1 text-xs text-(--color-ink-muted)">{e.symbol}</span>}
+                    </td>
+                    <td className="p-2 text-xs" title={e.description}>
+                      <span style={{ color: GROUP_COLORS[e.allocation] }}>● </span>{groupLabel(e.allocation)}
+                    </td>
+                    <td className="text-right p-2 font-mono">{formatNumber(e.tokens)}</td>
+                    <td className="text-right p-2 font-mono">{formatCurrency(e.usd)}</td>
+                    <td className="text-right p-2 font-mono">{pct(e.pctCirculating, 2)}</td>
+                    <td className="text-right p-2 font-mono" style={{ color: volumeColor(e.pctDailyVolume) }}>
+                      {pct(e.pctDailyVolume, 0)}{e.volumeBasis === '24h' && e.pctDailyVolume !== null ? '*' : ''}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </ChartCard>
+      )}
+
+      {/* Supply curve */}
+      {focus && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="text-sm font-medium text-(--color-text-secondary)">Supply curve:</span>
+            <select value={focus.emissionSlug} onChange={e => setSelected(e.target.value)} className={`${input} max-w-72`}>
+              {tokens.map(t => <option key={t.emissionSlug} value={t.emissionSlug}>{t.name}</option>)}
+            </select>
+          </div>
+          <SupplyCurve key={focus.emissionSlug} emissionSlug={focus.emissionSlug} name={focus.name} />
+        </div>
+      )}
+
+      {/* Overhang vs revenue */}
+      {topOverhang.length > 0 && (
+        <ChartCard title="Supply Overhang vs Annualized Revenue"
+          subtitle="Value of the next 12 months of unlocks ÷ annualized protocol revenue · Years of revenue to match the new supply · Top 25"
+          csvData={{
+            filename: 'unlock-overhang',
+            headers: ['Protocol', 'Symbol', 'Overhang12mUSD', 'Overhang12mTokens', 'PctCirculating', 'PctMcap', 'AnnualizedRevenue', 'OverhangToRevenueYears'],
+            rows: ranked.map(r => [r.name, r.symbol, r.overhang, r.overhangTokens, r.pctCirculating ?? '', r.pctMcap ?? '', r.revenue, r.overhangToRevenue]),
+          }}>
+          <Plot
+            data={[{
+              y: topOverhang.map(r => r.name),
+              x: topOverhang.map(r => r.overhangToRevenue),
+              type: 'bar',
+              orientation: 'h',
+              marker: watchlist.marker({
+                color: topOverhang.map(r => r.overhangToRevenue >= 10 ? colors.danger : r.overhangToRevenue >= 2 ? colors.warning : colors.success),
+              }, topOverhang),
+              text: topOverhang.map(r => `${formatCurrency(r.overhang)} vs ${formatCurrency(r.revenue)}/yr`),
+              hovertemplate: '%{y}<br>%{x:.1f} years of revenue<br>%{text}<extra></extra>',
+            }]}
+            layout={{
+              ...defaultLayout,
+              height: Math.max(420, topOverhang.length * 22),
+              xaxis: { ...defaultLayout.xaxis, title: 'Years of revenue (log scale)', type: 'log' },
+              yaxis: { ...defaultLayout.yaxis, autorange: 'reversed', tickfont: { size: 11 } },
+              margin: { ...defaultLayout.margin, l: 130 },
+              showlegend: false,
+            }}
+            config={defaultConfig}
+            className="w-full"
+          />
+          <div className="overflow-x-auto mt-4 max-h-[420px] overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-(--color-paper)">
+                <tr className="border-b border-(--color-border)">
+                  <th className={`${th} text-left`}>#</th>
+                  <th className={`${th} text-left`}>Protocol</th>
+                  <th className={`${th} text-right`}>12m Unlocks</th>
+                  <th className={`${th} text-right`}>% Circulating</th>
+                  <th className={`${th} text-right`}>% MCap</th>
+                  <th className={`${th} text-right`}>Revenue / yr</th>
+                  <th className={`${th} text-right`}>Overhang ÷ Revenue</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ranked.slice(0, 50).map((r, i) => (
+                  <tr key={r.emissionSlug} onClick={() => setSelected(r.emissionSlug)}
+                    className={`border-b border-(--color-border) hover:bg-(--color-surface) cursor-pointer ${watchlist.rowClass(r.slug)}`}>
+                    <td className="p-2 font-mono text-(--color-ink-muted)">{i + 1}</td>
+                    <td className="p-2 font-medium">{r.name} {r.symbol && <span className="text-xs text-(--color-ink-muted)">{r.symbol}</span>}</td>
+                    <td className="text-right p-2 font-mono">{formatCurrency(r.overhang)}</td>
+                    <td className="text-right p-2 font-mono">{pct(r.pctCirculating)}</td>
+                    <td className="text-right p-2 font-mono">{pct(r.pctMcap)}</td>
+                    <td className="text-right p-2 font-mono">{formatCurrency(r.revenue)}</td>
+                    <td className="text-right p-2 font-mono font-semibold">{years(r.overhangToRevenue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </ChartCard>
+      )}
+    </div>
+  )
+}
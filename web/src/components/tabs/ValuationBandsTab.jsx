@@ -0,0 +1,285 @@
+import { useState, useEffect, useMemo } from 'react'
+import Plot, { defaultLayout, defaultConfig, colors } from '../Plot'
+import ChartCard from '../ChartCard'
+import KPICard from '../KPICard'
+import NarrativeBox from '../NarrativeBox'
+import LoadingSpinner from '../LoadingSpinner'
+import { fetchValuationBandsData, fetchProtocolMultiplesData } from '../../services/api'
+import { formatMultiple, formatPercent } from '../../utils/helpers'
+import { dailyMultiples, multipleBands, historyRanking, MULTIPLE_BASES, MIN_HISTORY_DAYS } from '../../utils/multiples'
+import { useUrlState } from '../../hooks/useUrlState'
+import { useProtocol } from '../../context/ProtocolProvider'
+import { useWatchlistView } from '../../context/WatchlistProvider'
+
+const btn = 'text-xs font-mono text-(--color-ink-muted) hover:text-(--color-ink) cursor-pointer px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) transition-colors'
+const th = 'py-2 px-3 text-[11px] font-semibold text-(--color-ink-muted) uppercase tracking-widest'
+const input = 'px-2 py-1 text-sm border border-(--color-rule) bg-(--color-paper)'
+
+// Bottom / top fifth of the protocol's own history
+const percentileColor = (p) => p <= 20 ? colors.success : p >= 80 ? colors.danger : colors.slate
+const signed = (v) => v === null || v === undefined || isNaN(v) ? '—' : `${v > 0 ? '+' : ''}${v.toFixed(0)}%`
+
+// ============================================================================
+// BAND CHART (one protocol)
+// ============================================================================
+
+function BandChart({ history, basis }) {
+  const { label, flow } = MULTIPLE_BASES[basis]
+  const series = useMemo(() => dailyMultiples(history[basis], history.chart), [history, basis])
+  const bands = useMemo(() => multipleBands(series), [series])
+
+  if (!series || !bands) {
+    return <div className="text-sm text-(--color-ink-muted) py-8 text-center">Not enough {flow} and market cap history for {history.name} to build {label} bands</div>
+  }
+
+  const dates = series.map(d => d.date)
+  const bandLine = (value, name, dash) => ({
+    x: [dates[0], dates[dates.length - 1]],
+    y: [value, value],
+    type: 'scatter',
+    mode: 'lines',
+    name,
+    line: { color: colors.slate, width: 1, dash },
+    hovertemplate: `${name}: %{y:.1f}x<extra></extra>`,
+  })
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <KPICard title={`Current ${label}`} value={formatMultiple(bands.current)} subtitle={`${history.name} · ${bands.currentDate}`} />
+        <KPICard title="Historical Percentile" value={formatPercent(bands.currentPercentile, 0)}
+          subtitle={`of days since ${bands.since} were at or below today`} />
+        <KPICard title={`Median ${label}`} value={formatMultiple(bands.p50)} subtitle={`Today ${Math.abs(bands.discountToMedian).toFixed(0)}% ${bands.discountToMedian >= 0 ? 'below' : 'above'} it`} />
+        <KPICard title="10th – 90th Band" value={`${formatMultiple(bands.p10)} – ${formatMultiple(bands.p90)}`}
+          subtitle={`Range ${formatMultiple(bands.min)} – ${formatMultiple(bands.max)} · ${bands.days} days`} />
+      </div>
+
+      <ChartCard title={`${history.name} — ${label} vs Own History`}
+        subtitle={`Market cap ÷ trailing-30d annualized ${flow} · Dashed lines = 10th / 90th percentile, dotted = median · Log scale`}
+        csvData={{
+          filename: `${history.slug}-${basis}-multiple-bands`,
+          headers: ['Date', 'MarketCap', `Annualized_${basis}`, label, 'P10', 'P50', 'P90'],
+          rows: series.map(d => [d.date, d.mcap, d.annualized, d.multiple, bands.p10, bands.p50, bands.p90]),
+        }}>
+        <Plot
+          data={[
+            bandLine(bands.p90, '90th percentile', 'dash'),
+            bandLine(bands.p50, 'Median', 'dot'),
+            bandLine(bands.p10, '10th percentile', 'dash'),
+            {
+              x: dates,
+              y: series.map(d => d.multiple),
+              type: 'scatter',
+              mode: 'lines',
+              name: label,
+              line: { color: basis === 'holders' ? colors.secondary : colors.primary, width: 2 },
+              hovertemplate: `%{x}<br>${label}: %{y:.1f}x<extra></extra>`,
+            },
+          ]}
+          layout={{
+            ...defaultLayout,
+            height: 420,
+            yaxis: { ...defaultLayout.yaxis, title: `${label} (x)`, type: 'log' },
+            legend: { ...defaultLayout.legend, orientation: 'h', y: 1.1 },
+            shapes: [{
+              type: 'rect', xref: 'paper', x0: 0, x1: 1, y0: bands.p10, y1: bands.p90,
+              fillcolor: colors.slate, opacity: 0.08, line: { width: 0 }, layer: 'below',
+            }],
+          }}
+          config={defaultConfig}
+          className="w-full"
+        />
+      </ChartCard>
+    </div>
+  )
+}
+
+// Universe members come with their histories; anything else is fetched on pick
+function ProtocolBands({ slug, universe, basis }) {
+  const cached = universe.find(u => u.slug === slug)
+  const [fetched, setFetched] = useState(null)
+  const [loading, setLoading] = useState(!cached)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (cached) return
+    setLoading(true)
+    setError(null)
+    fetchProtocolMultiplesData(slug)
+      .then(setFetched)
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false))
+  }, [slug, cached])
+
+  if (loading) return <LoadingSpinner message={`Loading ${slug} valuation history...`} />
+  if (error) return <div className="text-sm text-(--color-danger) py-8 text-center">Error: {error}</div>
+  return <BandChart history={cached || fetched} basis={basis} />
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function ValuationBandsTab() {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [basis, setBasis] = useUrlState('basis', 'fees', { values: Object.keys(MULTIPLE_BASES) })
+  const [selected, setSelected] = useUrlState('bands', null)
+  const [query, setQuery] = useState(selected || '')
+  const { openProtocol } = useProtocol()
+  const watchlist = useWatchlistView()
+
+  useEffect(() => {
+    fetchValuationBandsData()
+      .then(setData)
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  useEffect(() => { if (selected) setQuery(selected) }, [selected])
+
+  const processed = useMemo(() => {
+    if (!data) return null
+    // Protocol picker: fee earners, largest first
+    const options = (data.fees?.protocols || [])
+      .filter(p => p.slug && p.total30d > 0)
+      .sort((a, b) => b.total30d - a.total30d)
+      .slice(0, 500)
+    return { options, ranking: historyRanking(data.universe, basis) }
+  }, [data, basis])
+
+  if (loading) return <LoadingSpinner message="Loading valuation histories..." />
+  if (error) return <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
+  if (!processed) return <div className="text-center py-20">No data available</div>
+
+  const { options, ranking } = processed
+  const { label, flow } = MULTIPLE_BASES[basis]
+  const rows = watchlist.apply(ranking)
+  const slug = selected || ranking[0]?.slug || data.universe[0]?.slug
+  const cheap = ranking.filter(r => r.currentPercentile <= 20)
+  const rich = ranking.filter(r => r.currentPercentile >= 80)
+
+  const handlePick = (e) => {
+    e.preventDefault()
+    const q = query.trim().toLowerCase()
+    if (!q) return
+    const match = options.find(p => p.slug.toLowerCase() === q || (p.name || '').toLowerCase() === q)
+    setSelected(match?.slug || q)
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-4">
+        <div className="flex rounded-md border border-(--color-rule) overflow-hidden">
+          {Object.values(MULTIPLE_BASES).map(b => (
+            <button key={b.key} onClick={() => setBasis(b.key)}
+              className={`px-4 py-1.5 text-xs font-medium transition-colors cursor-pointer ${basis === b.key ? 'bg-(--color-primary) text-white' : 'text-(--color-text-secondary) hover:bg-(--color-paper-alt)'}`}>
+              {b.label} · {b.flow}
+            </button>
+          ))}
+        </div>
+        <form onSubmit={handlePick} className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-(--color-text-secondary)">Protocol:</span>
+          <input list="bands-protocols" value={query} onChange={e => setQuery(e.target.value)}
+            placeholder="Name or DeFiLlama slug" className={`${input} w-64`} />
+          <datalist id="bands-protocols">
+            {options.map(p => <option key={p.slug} value={p.slug}>{p.name}</option>)}
+          </datalist>
+          <button type="submit" className={btn}>Show bands</button>
+        </form>
+      </div>
+
+      {slug && <ProtocolBands key={slug} slug={slug} universe={data.universe} basis={basis} />}
+
+      <NarrativeBox title="Cheap Relative to Itself">
+        <p>
+          Peer multiples say whether a protocol is cheap next to others; its own history says whether it is cheap next to what the market
+          has been willing to pay for <em>it</em>. Each day's {label} is market cap over trailing-30d {flow}, annualized; the bands are the
+          10th, 50th and 90th percentiles of every day on record. A reading in the bottom fifth of its own range (green) means the token has
+          rarely been priced this low per dollar of {flow} — either an opportunity or a market that no longer believes the flow will last.
+          {basis === 'holders' && ' Holders revenue only counts what reaches token holders, so protocols that started distributing recently have short P/E histories.'}
+        </p>
+      </NarrativeBox>
+
+      {ranking.length > 0 && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <KPICard title="Protocols Ranked" value={ranking.length} subtitle={`Top ${data.universe.length} fee earners with ≥${MIN_HISTORY_DAYS}d of ${label} history`} />
+            <KPICard title="Cheapest vs History" value={ranking[0].name}
+              subtitle={`${formatMultiple(ranking[0].current)} · ${formatPercent(ranking[0].currentPercentile, 0)} percentile`} />
+            <KPICard title="Bottom Fifth" value={cheap.length} subtitle={`At or below their 20th percentile ${label}`} />
+            <KPICard title="Top Fifth" value={rich.length} subtitle={`At or above their 80th percentile ${label}`} />
+          </div>
+
+          <ChartCard title={`Cheapest vs Own History — ${label}`}
+            subtitle={`Current ${label} percentile within each protocol's own history · 0 = cheapest ever · Click a bar for its bands`}
+            csvData={{
+              filename: `valuation-bands-${basis}`,
+              headers: ['Protocol', 'Slug', `Current_${label}`, 'P10', 'P50', 'P90', 'Min', 'Max', 'CurrentPercentile', 'DiscountToMedianPct', 'HistoryDays', 'Since'],
+              rows: rows.map(r => [r.name, r.slug, r.current, r.p10, r.p50, r.p90, r.min, r.max, r.currentPercentile, r.discountToMedian, r.days, r.since]),
+            }}>
+            <Plot
+              data={[{
+                y: rows.map(r => r.name),
+                x: rows.map(r => r.currentPercentile),
+                customdata: rows.map(r => r.slug),
+                type: 'bar',
+                orientation: 'h',
+                marker: watchlist.marker({ color: rows.map(r => percentileColor(r.currentPercentile)) }, rows),
+                text: rows.map(r => `${formatMultiple(r.current)} vs median ${formatMultiple(r.p50)}`),
+                hovertemplate: '%{y}<br>%{x:.0f}th percentile<br>%{text}<extra></extra>',
+              }]}
+              layout={{
+                ...defaultLayout,
+                height: Math.max(380, rows.length * 22),
+                xaxis: { ...defaultLayout.xaxis, title: 'Percentile of own history', range: [0, 100] },
+                yaxis: { ...defaultLayout.yaxis, autorange: 'reversed', tickfont: { size: 11 } },
+                margin: { ...defaultLayout.margin, l: 130 },
+                showlegend: false,
+              }}
+              config={defaultConfig}
+              className="w-full"
+              onClick={(e) => { const s = e.points?.[0]?.customdata; if (s) setSelected(s) }}
+            />
+            <div className="overflow-x-auto mt-4">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-(--color-border)">
+                    <th className={`${th} text-left`}>#</th>
+                    <th className={`${th} text-left`}>Protocol</th>
+                    <th className={`${th} text-right`}>Current</th>
+                    <th className={`${th} text-right`}>10th</th>
+                    <th className={`${th} text-right`}>Median</th>
+                    <th className={`${th} text-right`}>90th</th>
+                    <th className={`${th} text-right`}>Percentile</th>
+                    <th className={`${th} text-right`}>vs Median</th>
+                    <th className={`${th} text-right`}>Since</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((r, i) => (
+                    <tr key={r.slug} onClick={() => setSelected(r.slug)}
+                      className={`border-b border-(--color-border) hover:bg-(--color-surface) cursor-pointer ${r.slug === slug ? 'bg-(--color-paper-alt)' : ''} ${watchlist.rowClass(r.slug)}`}>
+                      <td className="p-2 font-mono text-(--color-ink-muted)">{i + 1}</td>
+                      <td className="p-2 font-medium">
+                        <button className="cursor-pointer hover:text-(--color-primary)" onClick={(ev) => { ev.stopPropagation(); openProtocol(r.slug) }}>{r.name}</button>
+                      </td>
+                      <td className="text-right p-2 font-mono font-semibold">{formatMultiple(r.current)}</td>
+                      <td className="text-right p-2 font-mono">{formatMultiple(r.p10)}</td>
+                      <td className="text-right p-2 font-mono">{formatMultiple(r.p50)}</td>
+                      <td className="text-right p-2 font-mono">{formatMultiple(r.p90)}</td>
+                      <td className="text-right p-2 font-mono" style={{ color: percentileColor(r.currentPercentile) }}>{formatPercent(r.currentPercentile, 0)}</td>
+                      <td className="text-right p-2 font-mono">{signed(-r.discountToMedian)}</td>
+                      <td className="text-right p-2 font-mono text-xs text-(--color-ink-muted)">{r.since}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </ChartCard>
+        </>
+      )}
+    </div>
+  )
+}
@@ -7,16 +7,23 @@ import LoadingSpinner from '../LoadingSpinner'
 import RevenueBreakdownChart from '../RevenueBreakdownChart'
 import SectorTimeSeries from '../SectorTimeSeries'
 import { fetchValuationsData } from '../../services/api'
-import { formatCurrency, formatMultiple, formatPercent, categorizeSector } from '../../utils/helpers'
+import { formatCurrency, formatMultiple, formatPercent } from '../../utils/helpers'
 import { valuationsNarrative } from '../../data/narratives'
+import { computeValuations } from '../../utils/valuations'
+import { linearRegression } from '../../utils/analytics'
+import { useProtocolClick } from '../../context/ProtocolProvider'
+import { useWatchlistView } from '../../context/WatchlistProvider'
+import { useUrlState, parseBool } from '../../hooks/useUrlState'
 
 export default function ValuationsTab() {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
-  const [showStablecoins, setShowStablecoins] = useState(true)
-  const [selectedSector, setSelectedSector] = useState('All')
-  const [corrPeriod, setCorrPeriod] = useState('7d')
+  const [showStablecoins, setShowStablecoins] = useUrlState('stablecoins', true, { parse: parseBool })
+  const [selectedSector, setSelectedSector] = useUrlState('sector', 'All')
+  const [corrPeriod, setCorrPeriod] = useUrlState('corrPeriod', '7d', { values: ['7d', '30d'] })
+  const onProtocolClick = useProtocolClick()
+  const watchlist = useWatchlistView()
 
   useEffect(() => {
     fetchValuationsData()
@@ -28,97 +35,7 @@ export default function ValuationsTab() {
   const processed = useMemo(() => {
     if (!data) return null
 
-    // Fuzzy name normalization: strip common suffixes, special chars, whitespace
-    const normalizeName = (s) => {
-      if (!s) return ''
-      return s.toLowerCase()
-        .replace(/[-_.\s]+/g, '')  // strip separators
-        .replace(/(protocol|finance|network|dao|token|swap|exchange|defi|app|labs|xyz|io|org|v[0-9]+)$/g, '')
-        .replace(/[^a-z0-9]/g, '')  // strip remaining special chars
-    }
-
-    const feesProtocols = data?.fees?.protocols || []
-    const totalFees24h = data?.fees?.total24h || feesProtocols.reduce((s, p) => s + (p.total24h || 0), 0)
-    const revenueProtocols = data?.feesRevenue?.protocols || []
-    const totalRevenue24h = data?.feesRevenue?.total24h || revenueProtocols.reduce((s, p) => s + (p.total24h || 0), 0)
-
-    // Revenue protocols lookup (per-protocol take rate)
-    const revLookup = {}
-    revenueProtocols.forEach(p => { if (p.slug) revLookup[p.slug.toLowerCase()] = p })
-
-    // CoinGecko 1000 coins market cap lookup — keyed by id, symbol, name, AND normalized name
-    const cgMarkets = Array.isArray(data?.markets) ? data.markets : []
-    const mcapLookup = {}
-    const mcapFuzzy = {}
-    cgMarkets.forEach(m => {
-      if (m.id) mcapLookup[m.id.toLowerCase()] = m
-      if (m.symbol) mcapLookup[m.symbol.toLowerCase()] = m
-      if (m.name) mcapLookup[m.name.toLowerCase()] = m
-      // Fuzzy key
-      const nk = normalizeName(m.name || m.id)
-      if (nk) mcapFuzzy[nk] = m
-    })
-
-    // DeFiLlama protocols (TVL, category, mcap) — keyed by slug, name, AND normalized name
-    const llamaProtocols = data?.protocols || []
-    const llamaLookup = {}
-    const llamaFuzzy = {}
-    llamaProtocols.forEach(p => {
-      if (p.slug) llamaLookup[p.slug.toLowerCase()] = p
-      if (p.name) llamaLookup[p.name.toLowerCase()] = p
-      const nk = normalizeName(p.name || p.slug)
-      if (nk) llamaFuzzy[nk] = p
-    })
-
-    // Merge: DeFiLlama fees + revenue + CoinGecko market data
-    const mergedProtocols = feesProtocols
-      .filter(p => p.total24h > 0)
-      .map(p => {
-        const slug = (p.slug || '').toLowerCase()
-        const name = (p.name || '').toLowerCase()
-        const norm = normalizeName(p.name || p.slug)
-
-        // Match DeFiLlama protocols: exact slug -> exact name -> fuzzy
-        const llama = llamaLookup[slug] || llamaLookup[name] || llamaFuzzy[norm]
-
-        // Match CoinGecko: slug -> name -> gecko_id -> symbol -> fuzzy
-        const cg = mcapLookup[slug] || mcapLookup[name]
-          || mcapLookup[(llama?.gecko_id || '').toLowerCase()]
-          || mcapLookup[(llama?.symbol || '').toLowerCase()]
-          || mcapFuzzy[norm]
-
-        const rev = revLookup[slug]
-
-        // Use DeFiLlama mcap as primary, CoinGecko as fallback
-        const mcap = llama?.mcap || cg?.market_cap || 0
-        const tvl = llama?.tvl || 0
-        const fees24h = p.total24h
-        const revenue24h = rev?.total24h || 0
-        const annualizedFees = fees24h * 365
-        const takeRate = fees24h > 0 && revenue24h > 0 ? (revenue24h / fees24h) * 100 : null
-
-        return {
-          name: p.name || p.slug, slug: p.slug,
-          fees24h, revenue24h, fees7d: p.total7d || 0, fees30d: p.total30d || 0,
-          annualizedFees, mcap, tvl, takeRate,
-          category: llama?.category || p.category || 'Other',
-          sector: categorizeSector(llama?.category || p.category || 'Other'),
-          psRatio: mcap > 0 && annualizedFees > 0 ? mcap / annualizedFees : null,
-          priceChange7d: cg?.price_change_percentage_7d_in_currency || 0,
-          priceChange30d: cg?.price_change_percentage_30d_in_currency || 0,
-          feeChange7d: p.change_7d || 0,
-          feeChange30d: p.change_1m || 0,
-        }
-      })
-      .sort((a, b) => b.fees24h - a.fees24h)
-
-    // KPIs
-    const withPS = mergedProtocols.filter(p => p.psRatio > 0 && p.psRatio < 10000)
-    const medianPS = withPS.length > 0
-      ? withPS.map(p => p.psRatio).sort((a, b) => a - b)[Math.floor(withPS.length / 2)] : null
-    const withTR = mergedProtocols.filter(p => p.takeRate > 0 && p.takeRate <= 100)
-    const medianTakeRate = withTR.length > 0
-      ? withTR.map(p => p.takeRate).sort((a, b) => a - b)[Math.floor(withTR.length / 2)] : null
+    const { protocols: mergedProtocols, earnings, totalFees24h, totalRevenue24h, medianPS, medianPE, medianTakeRate } = computeValuations(data)
 
     const allSectors = ['All', ...new Set(mergedProtocols.map(p => p.sector))]
       .sort((a, b) => a === 'All' ? -1 : b === 'All' ? 1 : a.localeCompare(b))
@@ -131,30 +48,22 @@ export default function ValuationsTab() {
         return rc !== 0 && pc !== 0 && p.mcap > 0 && Math.abs(rc) < 500 && Math.abs(pc) < 500
       })
       .map(p => ({
-        name: p.name, sector: p.sector,
+        name: p.name, slug: p.slug, sector: p.sector,
         revChange: corrPeriod === '7d' ? p.feeChange7d : p.feeChange30d,
         priceChange: corrPeriod === '7d' ? p.priceChange7d : p.priceChange30d,
       }))
 
-    let rSquared = null, slope = null, intercept = null
+    let rSquared = null, slope = null, intercept = null, corrPValue = null
     if (corrData.length >= 5) {
-      const n = corrData.length
-      const xs = corrData.map(d => d.revChange), ys = corrData.map(d => d.priceChange)
-      const sx = xs.reduce((a, b) => a + b, 0), sy = ys.reduce((a, b) => a + b, 0)
-      const sxy = xs.reduce((s, x, i) => s + x * ys[i], 0)
-      const sx2 = xs.reduce((s, x) => s + x * x, 0), sy2 = ys.reduce((s, y) => s + y * y, 0)
-      const den = Math.sqrt((n * sx2 - sx * sx) * (n * sy2 - sy * sy))
-      const r = den > 0 ? (n * sxy - sx * sy) / den : 0
-      rSquared = r * r
-      slope = (n * sx2 - sx * sx) !== 0 ? (n * sxy - sx * sy) / (n * sx2 - sx * sx) : 0
-      intercept = (sy - slope * sx) / n
+      ({ rSquared, slope, intercept, pValue: corrPValue } = linearRegression(corrData.map(d => d.revChange), corrData.map(d => d.priceChange)))
     }
 
     return {
-      mergedProtocols, totalFees24h, totalRevenue24h,
-      medianPS, medianTakeRate, allSectors,
-      corrData, rSquared, slope, intercept,
-      cgMarketCount: cgMarkets.length, llamaProtocolCount: feesProtocols.length,
+      mergedProtocols, earnings, totalFees24h, totalRevenue24h,
+      medianPS, medianPE, medianTakeRate, allSectors,
+      corrData, rSquared, slope, intercept, corrPValue,
+      cgMarketCount: Array.isArray(data.markets) ? data.markets.length : 0,
+      llamaProtocolCount: data.fees?.protocols?.length || 0,
     }
   }, [data, corrPeriod])
 
@@ -163,12 +72,12 @@ export default function ValuationsTab() {
   if (!processed) return <div className="text-center py-20">No data available</div>
 
   const {
-    mergedProtocols, totalFees24h, totalRevenue24h, medianPS, medianTakeRate,
-    allSectors, corrData, rSquared, slope, intercept,
+    mergedProtocols, earnings, totalFees24h, totalRevenue24h, medianPS, medianPE, medianTakeRate,
+    allSectors, corrData, rSquared, slope, intercept, corrPValue,
     cgMarketCount, llamaProtocolCount,
   } = processed
 
-  let topProtocols = mergedProtocols
+  let topProtocols = watchlist.apply(mergedProtocols)
   if (!showStablecoins) {
     topProtocols = topProtocols.filter(p =>
       !['tether', 'circle', 'ethena', 'maker'].some(s => (p.slug || p.name || '').toLowerCase().includes(s))
@@ -177,12 +86,19 @@ export default function ValuationsTab() {
   const top30 = topProtocols.slice(0, 30)
 
   // Scatter: ALL protocols, filtered by sector
-  let scatterProtocols = mergedProtocols.filter(p => p.mcap > 0 && p.annualizedFees > 0)
+  let scatterProtocols = watchlist.apply(mergedProtocols).filter(p => p.mcap > 0 && p.annualizedFees > 0)
   if (selectedSector !== 'All') scatterProtocols = scatterProtocols.filter(p => p.sector === selectedSector)
   const scatterCats = [...new Set(scatterProtocols.map(p => p.sector))]
   const catColors = {}
   scatterCats.forEach((c, i) => { catColors[c] = colors.palette[i % colors.palette.length] })
 
+  // Profitability after incentives + unlocks: largest holder-revenue earners
+  const earningsTop = watchlist.apply(earnings).slice(0, 25)
+  const psBySlug = Object.fromEntries(mergedProtocols.map(p => [p.slug, p.psRatio]))
+
+  // Regression stays market-wide; the watchlist only narrows the plotted points
+  const corrPoints = watchlist.apply(corrData)
+
   // Regression line
   let regLine = null
   if (slope !== null && corrData.length >= 5) {
@@ -200,17 +116,18 @@ export default function ValuationsTab() {
         {llamaProtocolCount.toLocaleString()} DeFiLlama protocols · {cgMarketCount.toLocaleString()} CoinGecko coins
       </div>
 
-      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4">
         <KPICard title="Total Fees (24h)" value={formatCurrency(totalFees24h)} subtitle="All protocols" trend={data?.fees?.change_1d} />
         <KPICard title="Protocol Revenue (24h)" value={formatCurrency(totalRevenue24h)} subtitle="Revenue to protocol" />
         <KPICard title="Annualized Fees" value={formatCurrency(totalFees24h * 365)} subtitle="Extrapolated" />
         <KPICard title="Median P/S Ratio" value={medianPS ? formatMultiple(medianPS) : '—'} subtitle="Fee-earning protocols" />
+        <KPICard title="Median P/E Ratio" value={medianPE ? formatMultiple(medianPE) : '—'} subtitle="After incentives + unlocks" />
         <KPICard title="Median Take Rate" value={medianTakeRate ? formatPercent(medianTakeRate) : '—'} subtitle="Revenue / Fees" />
-        <KPICard title="Rev–Price R²" value={rSquared !== null ? rSquared.toFixed(3) : '—'} subtitle={`${corrPeriod} correlation`} />
+        <KPICard title="Rev–Price R²" value={rSquared !== null ? rSquared.toFixed(3) : '—'} subtitle={`${corrPeriod} correlation${corrPValue !== null ? ` · p = ${corrPValue < 0.001 ? '<0.001' : corrPValue.toFixed(3)}` : ''}`} />
       </div>
 
       <ChartCard title="Top 30 Protocol Fees (24h)" subtitle={`Daily fees — ${topProtocols.length.toLocaleString()} fee-earning protocols`}
-        csvData={{ filename: 'top30-protocol-fees', headers: ['Protocol','Fees24h','Revenue24h','Fees7d','Fees30d','AnnualizedFees','MarketCap','TVL','TakeRate','Sector','PS_Ratio'], rows: top30.map(p => [p.name, p.fees24h, p.revenue24h, p.fees7d, p.fees30d, p.annualizedFees, p.mcap, p.tvl, p.takeRate, p.sector, p.psRatio]) }}>
+        csvData={{ filename: 'top30-protocol-fees', headers: ['Protocol','Fees24h','Revenue24h','Fees7d','Fees30d','AnnualizedFees','MarketCap','TVL','TakeRate','Sector','PS_Ratio','PE_Ratio'], rows: top30.map(p => [p.name, p.fees24h, p.revenue24h, p.fees7d, p.fees30d, p.annualizedFees, p.mcap, p.tvl, p.takeRate, p.sector, p.psRatio, p.peRatio]) }}>
         <div className="flex items-center gap-3 mb-3">
           <label className="flex items-center gap-2 text-xs text-(--color-text-secondary) cursor-pointer">
             <input type="checkbox" checked={showStablecoins} onChange={e => setShowStablecoins(e.target.checked)} className="rounded" />
@@ -220,17 +137,18 @@ export default function ValuationsTab() {
         <Plot
           data={[{
             x: top30.map(p => p.name), y: top30.map(p => p.fees24h), type: 'bar',
-            marker: { color: top30.map((_, i) => colors.palette[i % colors.palette.length]), line: { width: 0 } },
+            customdata: top30.map(p => p.slug),
+            marker: watchlist.marker({ color: top30.map((_, i) => colors.palette[i % colors.palette.length]), line: { width: 0 } }, top30),
             hovertemplate: '%{x}<br>$%{y:,.0f}<extra></extra>',
           }]}
           layout={{ ...defaultLayout, height: 420, xaxis: { ...defaultLayout.xaxis, tickangle: -45, type: 'category' }, yaxis: { ...defaultLayout.yaxis, title: 'Fees (USD)' } }}
-          config={defaultConfig} className="w-full"
+          config={defaultConfig} className="w-full" onClick={onProtocolClick}
         />
       </ChartCard>
 
       {/* P/S Scatter — ALL protocols */}
-      <ChartCard title="Fees vs Market Cap — P/S Scatter" subtitle={`${scatterProtocols.length} protocols · Bubble = TVL · Color = Sector · Log scale`}
-        csvData={{ filename: 'ps-scatter', headers: ['Protocol','AnnualizedFees','MarketCap','TVL','PS_Ratio','TakeRate','Sector'], rows: scatterProtocols.map(p => [p.name, p.annualizedFees, p.mcap, p.tvl, p.psRatio, p.takeRate, p.sector]) }}>
+      <ChartCard title="Fees vs Market Cap — P/S Scatter" subtitle={`${scatterProtocols.length} protocols · Bubble = TVL · Color = Sector · Log scale · Click a point for its profile`}
+        csvData={{ filename: 'ps-scatter', headers: ['Protocol','AnnualizedFees','MarketCap','TVL','PS_Ratio','PE_Ratio','TakeRate','Sector'], rows: scatterProtocols.map(p => [p.name, p.annualizedFees, p.mcap, p.tvl, p.psRatio, p.peRatio, p.takeRate, p.sector]) }}>
         <div className="flex items-center gap-3 mb-3">
           <label className="text-xs text-(--color-text-secondary)">Sector:</label>
           <select value={selectedSector} onChange={e => setSelectedSector(e.target.value)}
@@ -243,9 +161,10 @@ export default function ValuationsTab() {
             const pts = scatterProtocols.filter(p => p.sector === cat)
             return {
               x: pts.map(p => p.annualizedFees), y: pts.map(p => p.mcap),
-              text: pts.map(p => `${p.name}<br>P/S: ${p.psRatio ? p.psRatio.toFixed(1) + 'x' : 'N/A'}<br>Take Rate: ${p.takeRate ? p.takeRate.toFixed(1) + '%' : 'N/A'}<br>Fees: $${(p.annualizedFees / 1e6).toFixed(1)}M<br>MCap: $${(p.mcap / 1e6).toFixed(0)}M`),
+              text: pts.map(p => `${p.name}<br>P/S: ${p.psRatio ? p.psRatio.toFixed(1) + 'x' : 'N/A'}<br>P/E: ${p.peRatio ? p.peRatio.toFixed(1) + 'x' : p.earnings < 0 ? 'loss' : 'N/A'}<br>Take Rate: ${p.takeRate ? p.takeRate.toFixed(1) + '%' : 'N/A'}<br>Fees: $${(p.annualizedFees / 1e6).toFixed(1)}M<br>MCap: $${(p.mcap / 1e6).toFixed(0)}M`),
+              customdata: pts.map(p => p.slug),
               mode: 'markers', type: 'scatter', name: cat,
-              marker: { color: catColors[cat], size: pts.map(p => Math.max(6, Math.min(40, Math.sqrt(p.tvl / 1e6) * 3))), opacity: 0.75, line: { width: 1, color: '#FFF' } },
+              marker: watchlist.marker({ color: catColors[cat], size: pts.map(p => Math.max(6, Math.min(40, Math.sqrt(p.tvl / 1e6) * 3))), opacity: 0.75, line: { width: 1, color: '#FFF' } }, pts),
               hovertemplate: '%{text}<extra></extra>',
             }
           })}
@@ -255,10 +174,70 @@ export default function ValuationsTab() {
             yaxis: { ...defaultLayout.yaxis, title: 'Market Cap (USD)', type: 'log' },
             legend: { ...defaultLayout.legend, orientation: 'h', y: -0.15 },
           }}
-          config={defaultConfig} className="w-full"
+          config={defaultConfig} className="w-full" onClick={onProtocolClick}
         />
       </ChartCard>
 
+      {/* Earnings: profitable after paying for growth? */}
+      {earningsTop.length > 0 && (
+        <ChartCard title="Profitable After Paying for Growth"
+          subtitle="Annualized holders revenue minus token incentives (Token Terminal) and trailing-year unlock dilution (DeFiLlama emissions) · Top 25 by holders revenue"
+          csvData={{ filename: 'protocol-earnings', headers: ['Protocol','HoldersRevenue','TokenIncentives','UnlockDilution','Earnings','Margin','MarketCap','PS_Ratio','PE_Ratio'], rows: earningsTop.map(e => [e.name, e.holdersRevenue, e.incentives, e.dilution, e.earnings, e.margin, e.mcap, psBySlug[e.slug], e.peRatio]) }}>
+          <Plot
+            data={[
+              { name: 'Holders revenue', x: earningsTop.map(e => e.name), y: earningsTop.map(e => e.holdersRevenue), type: 'bar', marker: { color: colors.success },
+                customdata: earningsTop.map(e => e.slug), hovertemplate: '%{x}<br>Holders revenue: $%{y:,.0f}<extra></extra>' },
+              { name: 'Token incentives', x: earningsTop.map(e => e.name), y: earningsTop.map(e => -(e.incentives || 0)), type: 'bar', marker: { color: colors.warning },
+                customdata: earningsTop.map(e => e.slug), hovertemplate: '%{x}<br>Incentives: $%{y:,.0f}<extra></extra>' },
+              { name: 'Unlock dilution', x: earningsTop.map(e => e.name), y: earningsTop.map(e => -e.dilution), type: 'bar', marker: { color: colors.danger },
+                customdata: earningsTop.map(e => e.slug), hovertemplate: '%{x}<br>Dilution: $%{y:,.0f}<extra></extra>' },
+              { name: 'Earnings', x: earningsTop.map(e => e.name), y: earningsTop.map(e => e.earnings), type: 'scatter', mode: 'markers',
+                marker: { color: '#1A1A1A', size: 9, symbol: 'diamond' },
+                customdata: earningsTop.map(e => e.slug), hovertemplate: '%{x}<br>Earnings: $%{y:,.0f}<extra></extra>' },
+            ]}
+            layout={{
+              ...defaultLayout, height: 460, barmode: 'relative',
+              xaxis: { ...defaultLayout.xaxis, tickangle: -45, type: 'category' },
+              yaxis: { ...defaultLayout.yaxis, title: 'Annualized USD', zeroline: true, zerolinecolor: '#7A7A7A' },
+              legend: { ...defaultLayout.legend, orientation: 'h', y: 1.08 },
+            }}
+            config={defaultConfig} className="w-full" onClick={onProtocolClick}
+          />
+          <div className="overflow-x-auto mt-4">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-(--color-border)">
+                  <th className="text-left p-2">Protocol</th>
+                  <th className="text-right p-2">Holders Rev</th>
+                  <th className="text-right p-2">Incentives</th>
+                  <th className="text-right p-2">Dilution</th>
+                  <th className="text-right p-2">Earnings</th>
+                  <th className="text-right p-2">Margin</th>
+                  <th className="text-right p-2">MCap</th>
+                  <th className="text-right p-2">P/S</th>
+                  <th className="text-right p-2">P/E</th>
+                </tr>
+              </thead>
+              <tbody>
+                {earningsTop.map(e => (
+                  <tr key={e.slug} className={`border-b border-(--color-border) hover:bg-(--color-surface) ${watchlist.rowClass(e.slug)}`}>
+                    <td className="p-2 font-medium">{e.name}</td>
+                    <td className="text-right p-2">{formatCurrency(e.holdersRevenue)}</td>
+                    <td className="text-right p-2" title={e.incentives === null ? 'Not covered by Token Terminal' : undefined}>{formatCurrency(e.incentives)}</td>
+                    <td className="text-right p-2">{formatCurrency(e.dilution)}</td>
+                    <td className="text-right p-2 font-bold" style={{ color: e.earnings >= 0 ? colors.success : colors.danger }}>{formatCurrency(e.earnings)}</td>
+                    <td className="text-right p-2">{formatPercent(e.margin * 100, 0)}</td>
+                    <td className="text-right p-2">{e.mcap > 0 ? formatCurrency(e.mcap) : '—'}</td>
+                    <td className="text-right p-2">{formatMultiple(psBySlug[e.slug])}</td>
+                    <td className="text-right p-2">{e.peRatio ? formatMultiple(e.peRatio) : e.earnings < 0 ? 'loss' : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </ChartCard>
+      )}
+
       {/* Revenue–Price Correlation */}
       <ChartCard title="Fee Growth vs Price Growth — Correlation"
         subtitle={`Does rising revenue affect price? ${corrData.length} protocols · R² = ${rSquared !== null ? rSquared.toFixed(3) : 'N/A'}`}
@@ -281,13 +260,14 @@ export default function ValuationsTab() {
         <Plot
           data={[
             ...scatterCats.map(cat => {
-              const pts = corrData.filter(d => d.sector === cat)
+              const pts = corrPoints.filter(d => d.sector === cat)
               if (!pts.length) return null
               return {
                 x: pts.map(d => d.revChange), y: pts.map(d => d.priceChange),
                 text: pts.map(d => `${d.name}<br>Fee Δ: ${d.revChange > 0 ? '+' : ''}${d.revChange.toFixed(1)}%<br>Price Δ: ${d.priceChange > 0 ? '+' : ''}${d.priceChange.toFixed(1)}%`),
+                customdata: pts.map(d => d.slug),
                 mode: 'markers', type: 'scatter', name: cat,
-                marker: { color: catColors[cat], size: 8, opacity: 0.7, line: { width: 1, color: '#FFF' } },
+                marker: watchlist.marker({ color: catColors[cat], size: 8, opacity: 0.7, line: { width: 1, color: '#FFF' } }, pts),
                 hovertemplate: '%{text}<extra></extra>',
               }
             }).filter(Boolean),
@@ -306,7 +286,7 @@ export default function ValuationsTab() {
               { type: 'line', x0: 0, x1: 1, xref: 'paper', y0: 0, y1: 0, line: { color: '#E5E3E0', dash: 'dot', width: 1 } },
             ],
           }}
-          config={defaultConfig} className="w-full"
+          config={defaultConfig} className="w-full" onClick={onProtocolClick}
         />
       </ChartCard>
 
@@ -0,0 +1,341 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import Plot, { defaultLayout, defaultConfig, colors } from '../Plot'
+import ChartCard from '../ChartCard'
+import KPICard from '../KPICard'
+import LoadingSpinner from '../LoadingSpinner'
+import { fetchFeesOverview, fetchLlamaFeesRevenue, fetchAllProtocols, fetchCoinGeckoMarketsAll, fetchEarningsInputs } from '../../services/api'
+import { formatCurrency, formatPercent, formatMultiple } from '../../utils/helpers'
+import { computeRevenueScores } from '../../utils/scores'
+import { watchKey } from '../../utils/watchlist'
+import { downloadJSON } from '../../utils/csv'
+import { useWatchlist } from '../../context/WatchlistProvider'
+import { useMethodology } from '../../context/MethodologyProvider'
+import { useProtocol, useProtocolClick } from '../../context/ProtocolProvider'
+
+// ============================================================================
+// DATA FETCHING
+// ============================================================================
+
+async function fetchWatchlistData() {
+  const results = await Promise.allSettled([
+    fetchFeesOverview(),
+    fetchLlamaFeesRevenue(),
+    fetchAllProtocols(),
+    fetchCoinGeckoMarketsAll(),
+    fetchEarningsInputs(),
+  ])
+
+  const getValue = (idx) => results[idx]?.status === 'fulfilled' ? results[idx].value : null
+
+  return {
+    fees: getValue(0),
+    feesRevenue: getValue(1),
+    protocols: getValue(2),
+    markets: getValue(3),
+    ...getValue(4),
+  }
+}
+
+// Exact slug first, otherwise the largest deployment of the same entity (e.g. 'aave' → aave-v3)
+function pickRow(rows, slug, sizeOf) {
+  const lower = slug.toLowerCase()
+  const exact = rows.find(r => (r.slug || '').toLowerCase() === lower)
+  if (exact) return exact
+  const key = watchKey(lower)
+  return rows
+    .filter(r => r.slug && watchKey(r.slug) === key)
+    .sort((a, b) => (sizeOf(b) || 0) - (sizeOf(a) || 0))[0] || null
+}
+
+const pctChange = (now, prev) => now > 0 && prev > 0 ? ((now - prev) / prev) * 100 : null
+
+const changeClass = (v) => v === null || v === undefined
+  ? 'text-(--color-ink-muted)'
+  : v >= 0 ? 'text-(--color-positive)' : 'text-(--color-negative)'
+
+const btn = 'text-xs font-mono text-(--color-ink-muted) hover:text-(--color-ink) cursor-pointer px-2 py-1 border border-(--color-rule) hover:border-(--color-ink) transition-colors'
+const th = 'py-2 px-3 text-[11px] font-semibold text-(--color-ink-muted) uppercase tracking-widest'
+
+// ============================================================================
+// WATCHLIST MANAGEMENT
+// ============================================================================
+
+function WatchlistManager({ protocols }) {
+  const { lists, active, setActive, createList, renameList, deleteList, add, importJSON, exportJSON } = useWatchlist()
+  const [query, setQuery] = useState('')
+  const [message, setMessage] = useState(null)
+  const fileRef = useRef(null)
+
+  const options = useMemo(() => (protocols || [])
+    .filter(p => p.slug && p.tvl > 0)
+    .sort((a, b) => (b.tvl || 0) - (a.tvl || 0))
+    .slice(0, 1500), [protocols])
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    const q = query.trim().toLowerCase()
+    if (!q) return
+    const match = options.find(p => p.slug.toLowerCase() === q || p.name.toLowerCase() === q)
+    add(match?.slug || q)
+    setQuery('')
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const count = importJSON(await file.text())
+      setMessage(`Imported ${count} list${count === 1 ? '' : 's'}`)
+    } catch (err) {
+      setMessage(`Import failed: ${err.message}`)
+    }
+  }
+
+  return (
+    <div className="border border-(--color-rule) p-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={active.id} onChange={e => setActive(e.target.value)}
+          className="px-2 py-1 text-sm border border-(--color-rule) bg-(--color-paper) font-mono">
+          {lists.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+        </select>
+        <button className={btn} onClick={() => createList()}>+ New list</button>
+        <button className={btn} onClick={() => {
+          const name = window.prompt('Rename watchlist', active.name)
+          if (name?.trim()) renameList(active.id, name.trim())
+        }}>Rename</button>
+        <button className={btn} disabled={lists.length < 2} onClick={() => {
+          if (window.confirm(`Delete "${active.name}"?`)) deleteList(active.id)
+        }}>Delete</button>
+        <span className="w-px h-5 bg-(--color-rule) mx-1" />
+        <button className={btn} onClick={() => downloadJSON('revenue-codex-watchlists', exportJSON())}>Export JSON</button>
+        <button className={btn} onClick={() => fileRef.current?.click()}>Import JSON</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+        {message && <span className="text-xs text-(--color-ink-muted)">{message}</span>}
+      </div>
+      <form onSubmit={handleAdd} className="flex items-center gap-2">
+        <input
+          list="watchlist-protocols" value={query} onChange={e => setQuery(e.target.value)}
+          placeholder="Add protocol (name or DeFiLlama slug)"
+          className="flex-1 max-w-sm px-2 py-1 text-sm border border-(--color-rule) bg-(--color-paper)"
+        />
+        <datalist id="watchlist-protocols">
+          {options.map(p => <option key={p.slug} value={p.slug}>{p.name}</option>)}
+        </datalist>
+        <button type="submit" className={btn}>Add</button>
+      </form>
+    </div>
+  )
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function WatchlistTab() {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const { active, remove } = useWatchlist()
+  const { active: methodology } = useMethodology()
+  const { openProtocol } = useProtocol()
+  const onProtocolClick = useProtocolClick()
+
+  useEffect(() => {
+    fetchWatchlistData()
+      .then(setData)
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  // Scoring is list-independent — only recompute when the data or methodology changes
+  const scores = useMemo(() => {
+    if (!data) return null
+    return {
+      top: computeRevenueScores(data, { methodology }),
+      all: computeRevenueScores(data, { limit: Infinity, methodology }),
+    }
+  }, [data, methodology])
+
+  const rows = useMemo(() => {
+    if (!data || !scores) return []
+    const feeRows = data.fees?.protocols || []
+    const revRows = data.feesRevenue?.protocols || []
+    const tvlRows = data.protocols || []
+
+    return active.slugs.map(slug => {
+      const fee = pickRow(feeRows, slug, r => r.total24h)
+      const rev = pickRow(revRows, slug, r => r.total24h)
+      const proto = pickRow(tvlRows, slug, r => r.tvl)
+      const resolved = (fee?.slug || proto?.slug || slug).toLowerCase()
+      const matches = p => p.slug === resolved
+      const scored = scores.top.find(matches) || scores.all.find(matches) || null
+      const fees30d = fee?.total30d ?? null
+      const mcap = scored?.mcap || proto?.mcap || 0
+      return {
+        slug,
+        profileSlug: resolved,
+        name: fee?.name || proto?.name || slug,
+        sector: scored?.sector || proto?.category || '—',
+        fees24h: fee?.total24h ?? null,
+        fees30d,
+        revenue24h: rev?.total24h ?? null,
+        revenue30d: rev?.total30d ?? null,
+        tvl: proto?.tvl ?? null,
+        mcap,
+        ps: mcap > 0 && fees30d > 0 ? mcap / (fees30d * (365 / 30)) : (scored?.psRatio ?? null),
+        score: scored?.composite ?? null,
+        feesChange7d: fee?.change_7d ?? null,
+        feesChange30d: fee?.change_1m ?? null,
+        tvlChange7d: proto?.change_7d ?? null,
+        tvlChange30d: pctChange(proto?.tvl, proto?.tvlPrevMonth),
+        found: Boolean(fee || proto),
+      }
+    })
+  }, [data, scores, active])
+
+  if (loading) return <LoadingSpinner message="Loading watchlist data..." />
+  if (error) return <div className="text-center py-20 text-(--color-danger)">Error: {error}</div>
+
+  const found = rows.filter(r => r.found)
+  const totalFees30d = found.reduce((s, r) => s + (r.fees30d || 0), 0)
+  const totalRev30d = found.reduce((s, r) => s + (r.revenue30d || 0), 0)
+  const totalTvl = found.reduce((s, r) => s + (r.tvl || 0), 0)
+  const scoredRows = found.filter(r => r.score !== null)
+  const avgScore = scoredRows.length > 0 ? scoredRows.reduce((s, r) => s + r.score, 0) / scoredRows.length : null
+  const psRows = found.filter(r => r.ps > 0)
+  const medianPS = psRows.length > 0 ? [...psRows].sort((a, b) => a.ps - b.ps)[Math.floor(psRows.length / 2)].ps : null
+  const feeChanges = found.filter(r => r.feesChange30d !== null)
+  const avgFeeChange = feeChanges.length > 0 ? feeChanges.reduce((s, r) => s + r.feesChange30d, 0) / feeChanges.length : null
+
+  const byFees = [...found].sort((a, b) => (b.fees30d || 0) - (a.fees30d || 0))
+  const scatterRows = found.filter(r => r.ps > 0 && r.score !== null)
+
+  const csvData = {
+    filename: `watchlist-${active.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+    headers: ['Protocol', 'Slug', 'Sector', 'Fees24h', 'Fees30d', 'Revenue24h', 'Revenue30d', 'P/S', 'TVL', 'RevenueScore', 'FeesChange7d', 'FeesChange30d', 'TVLChange7d', 'TVLChange30d'],
+    rows: rows.map(r => [r.name, r.slug, r.sector, r.fees24h, r.fees30d, r.revenue24h, r.revenue30d, r.ps?.toFixed(2), r.tvl, r.score?.toFixed(1), r.feesChange7d?.toFixed(2), r.feesChange30d?.toFixed(2), r.tvlChange7d?.toFixed(2), r.tvlChange30d?.toFixed(2)]),
+  }
+
+  return (
+    <div className="space-y-6">
+      <WatchlistManager protocols={data?.protocols} />
+
+      {rows.length === 0 ? (
+        <div className="text-center py-16 text-sm text-(--color-ink-muted)">
+          "{active.name}" is empty. Add protocols above, or use ☆ Watch on any protocol profile.
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            <KPICard title="Protocols" value={rows.length} subtitle={found.length < rows.length ? `${rows.length - found.length} not found` : active.name} />
+            <KPICard title="Fees 30d" value={formatCurrency(totalFees30d)} subtitle="Combined" trend={avgFeeChange} />
+            <KPICard title="Revenue 30d" value={formatCurrency(totalRev30d)} subtitle="Combined" />
+            <KPICard title="TVL" value={formatCurrency(totalTvl)} subtitle="Combined" />
+            <KPICard title="Median P/S" value={medianPS ? formatMultiple(medianPS) : '—'} subtitle="MCap / annualized fees" />
+            <KPICard title="Avg Revenue Score" value={avgScore !== null ? avgScore.toFixed(0) : '—'} subtitle={`${scoredRows.length} scored`} />
+          </div>
+
+          <ChartCard title={active.name} subtitle="Click a row for the protocol profile · Δ columns are DeFiLlama 7d / 30d changes" csvData={csvData}>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b-2 border-(--color-ink)">
+                    <th className={`text-left ${th}`}>Protocol</th>
+                    <th className={`text-right ${th}`}>Fees 24h</th>
+                    <th className={`text-right ${th}`}>Fees 30d</th>
+                    <th className={`text-right ${th}`}>Revenue 30d</th>
+                    <th className={`text-right ${th}`}>P/S</th>
+                    <th className={`text-right ${th}`}>TVL</th>
+                    <th className={`text-center ${th}`}>Score</th>
+                    <th className={`text-right ${th}`}>Fees Δ7d</th>
+                    <th className={`text-right ${th}`}>Fees Δ30d</th>
+                    <th className={`text-right ${th}`}>TVL Δ7d</th>
+                    <th className={`text-right ${th}`}>TVL Δ30d</th>
+                    <th className={th} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(r => (
+                    <tr key={r.slug} onClick={() => r.found && openProtocol(r.profileSlug)}
+                      className={`border-b border-(--color-rule) hover:bg-(--color-paper-alt) transition-colors ${r.found ? 'cursor-pointer' : 'opacity-50'}`}>
+                      <td className="py-2.5 px-3">
+                        <div className="font-medium text-(--color-ink)">{r.name}</div>
+                        <div className="text-xs text-(--color-ink-muted)">{r.found ? r.sector : `${r.slug} — not found on DeFiLlama`}</div>
+                      </td>
+                      <td className="py-2.5 px-3 text-right font-mono text-sm">{formatCurrency(r.fees24h)}</td>
+                      <td className="py-2.5 px-3 text-right font-mono text-sm">{formatCurrency(r.fees30d)}</td>
+                      <td className="py-2.5 px-3 text-right font-mono text-sm">{formatCurrency(r.revenue30d)}</td>
+                      <td className="py-2.5 px-3 text-right font-mono text-sm">{r.ps ? formatMultiple(r.ps) : '—'}</td>
+                      <td className="py-2.5 px-3 text-right font-mono text-sm">{formatCurrency(r.tvl)}</td>
+                      <td className="py-2.5 px-3 text-center font-mono font-semibold">{r.score !== null ? r.score.toFixed(0) : '—'}</td>
+                      {[r.feesChange7d, r.feesChange30d, r.tvlChange7d, r.tvlChange30d].map((v, i) => (
+                        <td key={i} className={`py-2.5 px-3 text-right font-mono text-sm ${changeClass(v)}`}>
+                          {v !== null ? `${v >= 0 ? '+' : ''}${formatPercent(v)}` : '—'}
+                        </td>
+                      ))}
+                      <td className="py-2.5 px-3 text-right">
+                        <button className={btn} title="Remove from watchlist"
+                          onClick={e => { e.stopPropagation(); remove(r.slug) }}>×</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </ChartCard>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ChartCard title="Fees vs Revenue (30d)" subtitle="Revenue = share of fees retained by the protocol">
+              <Plot
+                data={[
+                  {
+                    x: byFees.map(r => r.name), y: byFees.map(r => r.fees30d || 0),
+                    customdata: byFees.map(r => r.profileSlug),
+                    type: 'bar', name: 'Fees', marker: { color: colors.primary },
+                    hovertemplate: '%{x}<br>Fees: $%{y:,.0f}<extra></extra>',
+                  },
+                  {
+                    x: byFees.map(r => r.name), y: byFees.map(r => r.revenue30d || 0),
+                    customdata: byFees.map(r => r.profileSlug),
+                    type: 'bar', name: 'Revenue', marker: { color: colors.success },
+                    hovertemplate: '%{x}<br>Revenue: $%{y:,.0f}<extra></extra>',
+                  },
+                ]}
+                layout={{
+                  ...defaultLayout, height: 380, barmode: 'group',
+                  yaxis: { ...defaultLayout.yaxis, title: 'USD (30d)', type: 'log' },
+                  legend: { ...defaultLayout.legend, orientation: 'h', y: 1.1 },
+                }}
+                config={defaultConfig} className="w-full" onClick={onProtocolClick}
+              />
+            </ChartCard>
+
+            <ChartCard title="Revenue Score vs P/S" subtitle="Top-left = high quality at a low multiple · Click a point for its profile">
+              {scatterRows.length > 0 ? (
+                <Plot
+                  data={[{
+                    x: scatterRows.map(r => r.ps), y: scatterRows.map(r => r.score),
+                    text: scatterRows.map(r => r.name), customdata: scatterRows.map(r => r.profileSlug),
+                    mode: 'markers+text', type: 'scatter', textposition: 'top center',
+                    textfont: { size: 10, color: colors.slate },
+                    marker: { size: 12, color: colors.primary, opacity: 0.8, line: { width: 1, color: '#FFF' } },
+                    hovertemplate: '%{text}<br>P/S: %{x:.1f}x<br>Score: %{y:.0f}<extra></extra>',
+                  }]}
+                  layout={{
+                    ...defaultLayout, height: 380,
+                    xaxis: { ...defaultLayout.xaxis, title: 'P/S (log)', type: 'log' },
+                    yaxis: { ...defaultLayout.yaxis, title: 'Revenue Score', range: [0, 100] },
+                  }}
+                  config={defaultConfig} className="w-full" onClick={onProtocolClick}
+                />
+              ) : (
+                <div className="text-center py-20 text-sm text-(--color-ink-muted)">No watched protocol has both a market cap and a score</div>
+              )}
+            </ChartCard>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,65 @@
+import { createContext, useContext, useState, useEffect, useMemo } from "react"
+import {
+  loadMethodologies, saveMethodologies, createMethodology, sanitizeMethodology, parseMethodologyImport,
+  mergeMethodologies, exportMethodologies, PRESET_METHODOLOGIES, DEFAULT_METHODOLOGY,
+} from "../utils/methodology"
+
+const MethodologyContext = createContext(null)
+
+export function useMethodology() {
+  return useContext(MethodologyContext)
+}
+
+/**
+ * Scoring methodologies persisted to localStorage (see utils/methodology.js).
+ * The built-in presets are read-only; the active methodology drives the
+ * Revenue Score and Moat Score on every tab and the protocol deep-dive.
+ */
+export default function MethodologyProvider({ children }) {
+  const [state, setState] = useState(loadMethodologies)
+
+  useEffect(() => { saveMethodologies(state) }, [state])
+
+  const methodologies = useMemo(() => [...PRESET_METHODOLOGIES, ...state.methodologies], [state.methodologies])
+  const active = methodologies.find(m => m.id === state.activeId) || DEFAULT_METHODOLOGY
+
+  const actions = useMemo(() => ({
+    setActive: (id) => setState(s => ({ ...s, activeId: id })),
+    /** Save a draft under a new name; returns the new methodology. Throws when the draft is unusable. */
+    saveAs: (draft, name) => {
+      const created = createMethodology(draft, name)
+      setState(s => ({ ...s, methodologies: [...s.methodologies, created] }))
+      return created
+    },
+    /** Overwrite a saved (non-preset) methodology with a draft. */
+    update: (id, draft) => {
+      const clean = sanitizeMethodology({ ...draft, id, savedAt: new Date().toISOString() })
+      if (!clean) throw new Error('A methodology needs at least two weighted Revenue Score dimensions and one Moat Score dimension')
+      setState(s => ({ ...s, methodologies: s.methodologies.map(m => m.id === id ? clean : m) }))
+    },
+    remove: (id) => setState(s => ({
+      ...s,
+      methodologies: s.methodologies.filter(m => m.id !== id),
+      activeId: s.activeId === id ? DEFAULT_METHODOLOGY.id : s.activeId,
+    })),
+    /** Merge a JSON export into the saved methodologies. Throws with a readable message on bad input. */
+    importJSON: (text) => {
+      const imported = parseMethodologyImport(text)
+      setState(s => ({ ...s, methodologies: mergeMethodologies(s.methodologies, imported) }))
+      return imported.length
+    },
+    exportJSON: (list = state.methodologies) => exportMethodologies(list),
+  }), [state.methodologies])
+
+  const value = useMemo(() => ({
+    methodologies,
+    active,
+    ...actions,
+  }), [methodologies, active, actions])
+
+  return (
+    <MethodologyContext.Provider value={value}>
+      {children}
+    </MethodologyContext.Provider>
+  )
+}
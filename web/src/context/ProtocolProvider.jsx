@@ -0,0 +1,43 @@
+import { createContext, useContext, useCallback, useMemo } from 'react'
+import { useUrlState, navigate } from '../hooks/useUrlState'
+
+const ProtocolContext = createContext(null)
+
+export function useProtocol() {
+  return useContext(ProtocolContext)
+}
+
+/**
+ * Plotly onClick handler that opens the protocol deep-dive for the clicked point.
+ * Traces opt in by setting `customdata` to the DeFiLlama slug of each point.
+ */
+export function useProtocolClick() {
+  const { openProtocol } = useContext(ProtocolContext)
+  return useCallback((event) => {
+    const slug = event?.points?.[0]?.customdata
+    if (typeof slug === 'string' && slug) openProtocol(slug)
+  }, [openProtocol])
+}
+
+/**
+ * Tracks which protocol (if any) is open in the deep-dive page via `?protocol=<slug>`.
+ * App renders ProtocolPage in place of the active tab while one is selected;
+ * opening/closing pushes a history entry so browser back returns to the chart.
+ */
+export default function ProtocolProvider({ children }) {
+  const [slug] = useUrlState('protocol', null)
+
+  const openProtocol = useCallback((next) => {
+    navigate({ protocol: next })
+    window.scrollTo({ top: 0 })
+  }, [])
+  const closeProtocol = useCallback(() => navigate({ protocol: null }), [])
+
+  const value = useMemo(() => ({ slug, openProtocol, closeProtocol }), [slug, openProtocol, closeProtocol])
+
+  return (
+    <ProtocolContext.Provider value={value}>
+      {children}
+    </ProtocolContext.Provider>
+  )
+}
@@ -0,0 +1,111 @@
+import { createContext, useContext, useState, useEffect, useMemo, useCallback } from "react"
+import {
+  loadWatchlists, saveWatchlists, parseWatchlistImport, mergeWatchlists, exportWatchlists, watchKey, WATCHLIST_MODES,
+} from "../utils/watchlist"
+
+const WatchlistContext = createContext(null)
+
+// Entity-aware so un-watching 'aave-v3' also drops a stored 'aave'
+const sameEntity = (slug) => {
+  const key = watchKey(slug)
+  return (s) => watchKey(s) === key
+}
+
+export function useWatchlist() {
+  return useContext(WatchlistContext)
+}
+
+/**
+ * Per-chart helpers for the active watchlist and display mode:
+ *  - apply(rows)            filter mode → only watched rows; otherwise rows unchanged
+ *  - marker(marker, rows)   highlight mode → dark outline on watched scatter/bar points
+ *  - rowClass(slug)         highlight mode → tint for watched table rows
+ * `slugOf` defaults to row.slug for rows keyed differently.
+ */
+export function useWatchlistView() {
+  const { mode, watchedKeys } = useContext(WatchlistContext)
+  return useMemo(() => {
+    const isWatched = (slug) => watchedKeys.has(watchKey(slug))
+    const enabled = watchedKeys.size > 0
+    const filtering = enabled && mode === "filter"
+    const highlighting = enabled && mode === "highlight"
+    return {
+      mode,
+      isWatched,
+      filtering,
+      apply: (rows, slugOf = r => r.slug) => filtering ? rows.filter(r => isWatched(slugOf(r))) : rows,
+      marker: (marker, rows, slugOf = r => r.slug) => {
+        if (!highlighting) return marker
+        const base = marker?.line || {}
+        return {
+          ...marker,
+          line: {
+            ...base,
+            width: rows.map(r => isWatched(slugOf(r)) ? 3 : (base.width ?? 0)),
+            color: rows.map(r => isWatched(slugOf(r)) ? "#1A1A1A" : (base.color ?? "#FFF")),
+          },
+        }
+      },
+      rowClass: (slug) => highlighting && isWatched(slug) ? "bg-amber-50" : "",
+    }
+  }, [mode, watchedKeys])
+}
+
+/**
+ * Watchlists persisted to localStorage (see utils/watchlist.js). One list is
+ * active at a time; `mode` (off / highlight / filter) applies it to every
+ * ranking table and scatter that uses useWatchlistView().
+ */
+export default function WatchlistProvider({ children }) {
+  const [state, setState] = useState(loadWatchlists)
+
+  useEffect(() => { saveWatchlists(state) }, [state])
+
+  const active = state.lists.find(l => l.id === state.activeId) || state.lists[0]
+  const watchedKeys = useMemo(() => new Set(active.slugs.map(watchKey)), [active])
+
+  const updateActive = useCallback((fn) => {
+    setState(s => ({ ...s, lists: s.lists.map(l => l.id === s.activeId ? { ...l, slugs: fn(l.slugs) } : l) }))
+  }, [])
+
+  const actions = useMemo(() => ({
+    setMode: (mode) => WATCHLIST_MODES.includes(mode) && setState(s => ({ ...s, mode })),
+    setActive: (id) => setState(s => ({ ...s, activeId: id })),
+    createList: (name) => setState(s => {
+      const id = `wl-${Date.now().toString(36)}`
+      return { ...s, activeId: id, lists: [...s.lists, { id, name: name || `Watchlist ${s.lists.length + 1}`, slugs: [] }] }
+    }),
+    renameList: (id, name) => setState(s => ({ ...s, lists: s.lists.map(l => l.id === id ? { ...l, name } : l) })),
+    deleteList: (id) => setState(s => {
+      const lists = s.lists.filter(l => l.id !== id)
+      if (lists.length === 0) return s
+      return { ...s, lists, activeId: s.activeId === id ? lists[0].id : s.activeId }
+    }),
+    add: (slug) => updateActive(slugs => slugs.some(sameEntity(slug)) ? slugs : [...slugs, slug.toLowerCase()]),
+    remove: (slug) => updateActive(slugs => slugs.filter(s => !sameEntity(slug)(s))),
+    toggle: (slug) => updateActive(slugs => slugs.some(sameEntity(slug))
+      ? slugs.filter(s => !sameEntity(slug)(s))
+      : [...slugs, slug.toLowerCase()]),
+    /** Merge a JSON export into the current lists. Throws with a readable message on bad input. */
+    importJSON: (text) => {
+      const imported = parseWatchlistImport(text)
+      setState(s => mergeWatchlists(s, imported))
+      return imported.length
+    },
+    exportJSON: () => exportWatchlists(state),
+  }), [state, updateActive])
+
+  const value = useMemo(() => ({
+    lists: state.lists,
+    active,
+    mode: state.mode,
+    watchedKeys,
+    ...actions,
+  }), [state, active, watchedKeys, actions])
+
+  return (
+    <WatchlistContext.Provider value={value}>
+      {children}
+    </WatchlistContext.Provider>
+  )
+}
@@ -0,0 +1,47 @@
+// ============================================================
+// Manual entity overrides for the identity registry (utils/registry.js)
+// ============================================================
+// The registry seeds itself from DeFiLlama's `gecko_id` / `parentProtocol`
+// fields; entries here fill the gaps it cannot infer (Santiment slugs,
+// Token Terminal project ids, chains without a /protocols entry) and pin
+// joins that DeFiLlama gets wrong. Overrides always win over seeded data.
+//
+// Key = canonical entity id. `llama` lists DeFiLlama slugs — the FIRST one
+// is the primary slug used for per-protocol endpoints (summary/fees etc.).
+
+export const ENTITY_OVERRIDES = {
+  // ── L1 / L2 chains ──
+  bitcoin: { name: 'Bitcoin', symbol: 'BTC', gecko: 'bitcoin', santiment: 'bitcoin', tokenTerminal: 'bitcoin' },
+  ethereum: { name: 'Ethereum', symbol: 'ETH', llama: ['ethereum'], gecko: 'ethereum', santiment: 'ethereum', tokenTerminal: 'ethereum' },
+  solana: { name: 'Solana', symbol: 'SOL', llama: ['solana'], gecko: 'solana', santiment: 'solana', tokenTerminal: 'solana' },
+  tron: { name: 'Tron', symbol: 'TRX', llama: ['tron'], gecko: 'tron', santiment: 'tron', tokenTerminal: 'tron' },
+  bnb: { name: 'BNB', symbol: 'BNB', llama: ['bsc'], gecko: 'binancecoin', santiment: 'binance-coin', tokenTerminal: 'binance-smart-chain' },
+  arbitrum: { name: 'Arbitrum', symbol: 'ARB', llama: ['arbitrum'], gecko: 'arbitrum', santiment: 'arbitrum', tokenTerminal: 'arbitrum' },
+  optimism: { name: 'Optimism', symbol: 'OP', llama: ['optimism'], gecko: 'optimism', santiment: 'optimism-ethereum', tokenTerminal: 'optimism' },
+  celestia: { name: 'Celestia', symbol: 'TIA', llama: ['celestia'], gecko: 'celestia', santiment: 'celestia', tokenTerminal: 'celestia' },
+  sui: { name: 'Sui', symbol: 'SUI', llama: ['sui'], gecko: 'sui', santiment: 'sui', tokenTerminal: 'sui' },
+  near: { name: 'NEAR', symbol: 'NEAR', llama: ['near'], gecko: 'near', santiment: 'near-protocol', tokenTerminal: 'near-protocol' },
+  pepe: { name: 'Pepe', symbol: 'PEPE', gecko: 'pepe', santiment: 'pepe' },
+
+  // ── DeFi ──
+  aave: { name: 'Aave', symbol: 'AAVE', llama: ['aave', 'aave-v3', 'aave-v2', 'aave-v1'], parent: 'aave', gecko: 'aave', santiment: 'aave', tokenTerminal: 'aave' },
+  uniswap: { name: 'Uniswap', symbol: 'UNI', llama: ['uniswap', 'uniswap-v3', 'uniswap-v2', 'uniswap-v4'], parent: 'uniswap', gecko: 'uniswap', santiment: 'uniswap', tokenTerminal: 'uniswap' },
+  lido: { name: 'Lido', symbol: 'LDO', llama: ['lido'], gecko: 'lido-dao', santiment: 'lido-dao', tokenTerminal: 'lido-finance' },
+  maker: { name: 'Maker', symbol: 'MKR', llama: ['makerdao', 'maker'], gecko: 'maker', santiment: 'maker', tokenTerminal: 'maker' },
+  compound: { name: 'Compound', symbol: 'COMP', llama: ['compound', 'compound-v3', 'compound-v2'], parent: 'compound-finance', gecko: 'compound-governance-token', santiment: 'compound', tokenTerminal: 'compound' },
+  curve: { name: 'Curve', symbol: 'CRV', llama: ['curve-finance', 'curve-dex'], parent: 'curve-finance', gecko: 'curve-dao-token', santiment: 'curve', tokenTerminal: 'curve' },
+  gmx: { name: 'GMX', symbol: 'GMX', llama: ['gmx', 'gmx-v2-perps', 'gmx-v1-perps'], parent: 'gmx', gecko: 'gmx', santiment: 'gmx', tokenTerminal: 'gmx' },
+  pancakeswap: { name: 'PancakeSwap', symbol: 'CAKE', llama: ['pancakeswap', 'pancakeswap-amm-v3', 'pancakeswap-amm'], parent: 'pancakeswap', gecko: 'pancakeswap-token', santiment: 'pancakeswap', tokenTerminal: 'pancakeswap' },
+  jito: { name: 'Jito', symbol: 'JTO', llama: ['jito', 'jito-liquid-staking'], parent: 'jito', gecko: 'jito-governance-token', tokenTerminal: 'jito' },
+  raydium: { name: 'Raydium', symbol: 'RAY', llama: ['raydium', 'raydium-amm'], parent: 'raydium', gecko: 'raydium', santiment: 'raydium', tokenTerminal: 'raydium' },
+  pendle: { name: 'Pendle', symbol: 'PENDLE', llama: ['pendle'], gecko: 'pendle', santiment: 'pendle', tokenTerminal: 'pendle' },
+  dydx: { name: 'dYdX', symbol: 'DYDX', llama: ['dydx', 'dydx-v4'], parent: 'dydx', gecko: 'dydx-chain', santiment: 'dydx', tokenTerminal: 'dydx' },
+  synthetix: { name: 'Synthetix', symbol: 'SNX', llama: ['synthetix', 'synthetix-v3'], parent: 'synthetix', gecko: 'havven', santiment: 'synthetix-network-token', tokenTerminal: 'synthetix' },
+  sushi: { name: 'SushiSwap', symbol: 'SUSHI', llama: ['sushiswap', 'sushi'], parent: 'sushi', gecko: 'sushi', santiment: 'sushi', tokenTerminal: 'sushiswap' },
+  chainlink: { name: 'Chainlink', symbol: 'LINK', llama: ['chainlink'], gecko: 'chainlink', santiment: 'chainlink', tokenTerminal: 'chainlink' },
+  morpho: { name: 'Morpho', symbol: 'MORPHO', llama: ['morpho', 'morpho-blue'], parent: 'morpho', gecko: 'morpho', tokenTerminal: 'morpho' },
+  liquity: { name: 'Liquity', symbol: 'LQTY', llama: ['liquity', 'liquity-v1', 'liquity-v2'], parent: 'liquity', gecko: 'liquity', tokenTerminal: 'liquity' },
+  abracadabra: { name: 'Abracadabra', symbol: 'SPELL', llama: ['abracadabra', 'abracadabra-spell'], parent: 'abracadabra', gecko: 'spell-token' },
+  'rocket-pool': { name: 'Rocket Pool', symbol: 'RPL', llama: ['rocket-pool'], gecko: 'rocket-pool', santiment: 'rocket-pool', tokenTerminal: 'rocket-pool' },
+  'frax-finance': { name: 'Frax', symbol: 'FXS', llama: ['frax-ether', 'frax-finance'], parent: 'frax-finance', gecko: 'frax-share', santiment: 'frax-share', tokenTerminal: 'frax' },
+}
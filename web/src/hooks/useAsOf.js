@@ -0,0 +1,20 @@
+import { useLayoutEffect } from 'react'
+import { useUrlState } from './useUrlState'
+import { isValidAsOf, setAsOf } from '../utils/asOf'
+
+// ============================================================
+// Time-travel mode (?asOf=YYYY-MM-DD)
+// ============================================================
+
+const parse = (raw) => isValidAsOf(raw) ? raw : null
+
+/**
+ * The as-of date in the URL, pushed into the data layer (utils/asOf.js) in a
+ * layout effect — committed before any child's fetch effect runs.
+ * @returns {[string|null, Function]} date or null for live data, and its setter
+ */
+export function useAsOf() {
+  const [asOf, setParam] = useUrlState('asOf', null, { parse, push: true })
+  useLayoutEffect(() => { setAsOf(asOf) }, [asOf])
+  return [asOf, setParam]
+}
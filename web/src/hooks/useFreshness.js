@@ -0,0 +1,28 @@
+import { createContext, useContext, useLayoutEffect, useSyncExternalStore } from 'react'
+import { subscribeFreshness, getFreshnessVersion, getDegraded, openFreshnessScope } from '../services/freshness'
+
+// ============================================================
+// Data freshness for charts
+// ============================================================
+// The view (tab or protocol page) whose fetched URLs a chart's badge considers;
+// App provides it and opens it with useFreshnessScope.
+export const FreshnessScopeContext = createContext(null)
+
+/**
+ * Attribute fetches to `scope` from now on. A layout effect, so the scope is
+ * open before the view's own fetch effects run.
+ */
+export function useFreshnessScope(scope) {
+  useLayoutEffect(() => { openFreshnessScope(scope) }, [scope])
+}
+
+/**
+ * Oldest last-known-good data among the URLs the current view read.
+ * @param {string[]} [sources] narrow to these provider ids — see PROVIDER_LABELS in services/freshness.js
+ * @returns {{ ts: number, providers: string[] } | null} null when everything is fresh
+ */
+export function useFreshness(sources) {
+  const scope = useContext(FreshnessScopeContext)
+  useSyncExternalStore(subscribeFreshness, getFreshnessVersion)
+  return getDegraded(scope, sources)
+}
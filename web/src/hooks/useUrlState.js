@@ -0,0 +1,75 @@
+import { useSyncExternalStore } from 'react'
+
+// ============================================================
+// URL query-string state (deep links)
+// ============================================================
+// The whole view lives in `?tab=…&protocol=…&<per-tab keys>`. Query params
+// rather than paths so the static Vercel deployment needs no rewrites.
+// Values equal to their default are dropped to keep shared links short.
+
+const NAV_EVENT = 'urlstatechange'
+
+function subscribe(callback) {
+  window.addEventListener('popstate', callback)
+  window.addEventListener(NAV_EVENT, callback)
+  return () => {
+    window.removeEventListener('popstate', callback)
+    window.removeEventListener(NAV_EVENT, callback)
+  }
+}
+
+const getSearch = () => window.location.search
+
+/**
+ * Update query params. null/undefined/'' removes a key.
+ * @param {Object} updates
+ * @param {Object} [opts]
+ * @param {boolean} [opts.replace] replaceState instead of pushState (no history entry)
+ * @param {boolean} [opts.reset]   drop every existing param first
+ */
+export function navigate(updates, { replace = false, reset = false } = {}) {
+  const params = new URLSearchParams(reset ? '' : window.location.search)
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === '') params.delete(key)
+    else params.set(key, String(value))
+  })
+  const qs = params.toString()
+  const url = `${window.location.pathname}${qs ? `?${qs}` : ''}${window.location.hash}`
+  if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', url)
+  window.dispatchEvent(new Event(NAV_EVENT))
+}
+
+function readParam(search, key, defaultValue, { values, parse }) {
+  const raw = new URLSearchParams(search).get(key)
+  if (raw === null) return defaultValue
+  const value = parse ? parse(raw) : raw
+  if (value === null || value === undefined || Number.isNaN(value)) return defaultValue
+  if (values && !values.includes(value)) return defaultValue
+  return value
+}
+
+/**
+ * useState backed by one query param.
+ * @param {string} key
+ * @param {*} defaultValue
+ * @param {Object} [opts]
+ * @param {Array} [opts.values]  allowed values — anything else falls back to the default
+ * @param {Function} [opts.parse] string → value (e.g. Number); serialized back with String()
+ * @param {boolean} [opts.push]  add a history entry on change (navigation); default replaces
+ */
+export function useUrlState(key, defaultValue, { values, parse, push = false } = {}) {
+  const search = useSyncExternalStore(subscribe, getSearch)
+  const value = readParam(search, key, defaultValue, { values, parse })
+
+  const setValue = (next) => {
+    const current = readParam(window.location.search, key, defaultValue, { values, parse })
+    const resolved = typeof next === 'function' ? next(current) : next
+    navigate({ [key]: resolved === defaultValue ? null : resolved }, { replace: !push })
+  }
+
+  return [value, setValue]
+}
+
+/** `parse` for boolean params (serialized as true/false). */
+export const parseBool = (raw) => raw === '1' || raw === 'true'
@@ -3,11 +3,23 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App'
 import DataProvider from './context/DataProvider'
+import ProtocolProvider from './context/ProtocolProvider'
+import WatchlistProvider from './context/WatchlistProvider'
+import MethodologyProvider from './context/MethodologyProvider'
+import { installMockFetch } from './services/mock'
+
+installMockFetch()
 
 createRoot(document.getElementById('app')).render(
   <StrictMode>
     <DataProvider>
-      <App />
+      <ProtocolProvider>
+        <WatchlistProvider>
+          <MethodologyProvider>
+            <App />
+          </MethodologyProvider>
+        </WatchlistProvider>
+      </ProtocolProvider>
     </DataProvider>
   </StrictMode>
 )
@@ -0,0 +1,67 @@
+import { localStorageKey } from '../utils/localCollection';
+
+const API_BASE = '/api/alerts';
+const TOKEN_KEY = localStorageKey('alerts-token');
+
+export function getAlertsToken() {
+  try { return localStorage.getItem(TOKEN_KEY) || ''; } catch { return ''; }
+}
+
+export function setAlertsToken(token) {
+  try {
+    if (token) localStorage.setItem(TOKEN_KEY, token);
+    else localStorage.removeItem(TOKEN_KEY);
+  } catch {}
+}
+
+// Alerts are live state, so these bypass the client cache
+async function fetchApi(action, params = {}, body) {
+  const url = new URL(API_BASE, window.location.origin);
+  url.searchParams.set('action', action);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  const token = getAlertsToken();
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(url.toString(), body === undefined
+    ? { headers }
+    : { method: 'POST', headers, body: JSON.stringify(body) });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+    throw new Error(error.error || `HTTP ${response.status}`);
+  }
+
+  return response.json();
+}
+
+export async function fetchAlertRules() {
+  return fetchApi('rules');
+}
+
+export async function fetchAlertNotifications(limit = 50) {
+  return fetchApi('notifications', { limit });
+}
+
+export async function createAlertRule(rule) {
+  return fetchApi('create', {}, rule);
+}
+
+export async function updateAlertRule(id, changes) {
+  return fetchApi('update', { id }, changes);
+}
+
+export async function deleteAlertRule(id) {
+  return fetchApi('delete', { id }, {});
+}
+
+/** Dry-run a draft rule (or `{ id }` of a saved one) against the latest snapshot. */
+export async function testAlertRule(ruleOrId) {
+  return fetchApi('test', {}, ruleOrId);
+}
@@ -1,4 +1,10 @@
 import { deduplicatedFetch } from './cache'
+import { entity, getRegistry } from '../utils/registry'
+import { fetchDevActivity, fetchSocialVolume } from './santiment'
+import { fetchBulkMetric, daysAgo } from './tokenterminal'
+import { getAsOf, asOfCutoff } from '../utils/asOf'
+import { upcomingUnlocks, UNLOCK_WINDOWS } from '../utils/unlocks'
+import { ATTRIBUTION_CHAINS, ATTRIBUTION_METRICS } from '../utils/chainAttribution'
 
 // ============================================================
 // DeFiLlama (free, client-side)
@@ -15,6 +21,11 @@ export async function fetchProtocolFees(protocol) {
   return deduplicatedFetch(`${LLAMA_BASE}/summary/fees/${protocol}?dataType=dailyRevenue`)
 }
 
+// Daily fees (fetchProtocolFees is the revenue series)
+export async function fetchProtocolFeesHistory(protocol) {
+  return deduplicatedFetch(`${LLAMA_BASE}/summary/fees/${protocol}`)
+}
+
 export async function fetchAllProtocols() {
   return deduplicatedFetch(`${LLAMA_BASE}/protocols`)
 }
@@ -31,6 +42,10 @@ export async function fetchStablecoinCharts() {
   return deduplicatedFetch(`${LLAMA_STABLES}/stablecoincharts/all?stablecoin=1`)
 }
 
+export async function fetchStablecoinChart(stablecoinId) {
+  return deduplicatedFetch(`${LLAMA_STABLES}/stablecoincharts/all?stablecoin=${stablecoinId}`)
+}
+
 export async function fetchHistoricalChainTvl() {
   return deduplicatedFetch(`${LLAMA_BASE}/v2/historicalChainTvl`)
 }
@@ -115,9 +130,9 @@ export async function fetchHacks() {
   }
 }
 
-export async function fetchFeesByChain(chain) {
+export async function fetchFeesByChain(chain, dataType) {
   try {
-    return await deduplicatedFetch(`${LLAMA_BASE}/overview/fees/${chain}`)
+    return await deduplicatedFetch(`${LLAMA_BASE}/overview/fees/${chain}${dataType ? `?dataType=${dataType}` : ''}`)
   } catch {
     return null
   }
@@ -143,8 +158,9 @@ export async function fetchProtocolUsers(protocol) {
 // Alternative.me — Fear & Greed Index (free, client-side)
 // ============================================================
 export async function fetchFearGreedIndex(limit = 0) {
-  const data = await deduplicatedFetch(`https://api.alternative.me/fng/?limit=${limit}&format=json`)
-  return data.data // array of { value, value_classification, timestamp }
+  // As of a past date: the full history, cut there, then the latest `limit` days
+  const data = await deduplicatedFetch(`https://api.alternative.me/fng/?limit=${getAsOf() ? 0 : limit}&format=json`)
+  return limit > 0 ? data.data.slice(0, limit) : data.data // array of { value, value_classification, timestamp }, newest first
 }
 
 // ============================================================
@@ -175,7 +191,7 @@ export function fetchLlamaDatInstitutions() { return llamaFetch('dat_institution
 export function fetchLlamaFdvPerformance(period = '7d') { return llamaFetch('fdv_performance', { period }) }
 export function fetchLlamaFeesRevenue() { return llamaFetch('fees_revenue') }
 export function fetchLlamaFeesHolders() { return llamaFetch('fees_holders') }
-export function fetchLlamaFeesProtocol(protocol) { return llamaFetch('fees_protocol', { protocol }) }
+export function fetchLlamaFeesProtocol(protocol, dataType) { return llamaFetch('fees_protocol', dataType ? { protocol, dataType } : { protocol }) }
 
 // ============================================================
 // Yahoo Finance (via serverless proxy)
@@ -188,17 +204,53 @@ export async function fetchYahooHistorical(symbol, period = '2y') {
   return deduplicatedFetch(`/api/yahoo?action=historical&symbol=${encodeURIComponent(symbol)}&period=${period}`)
 }
 
+// ============================================================
+// Massive.com — US equities (via serverless proxy)
+// ============================================================
+function massiveFetch(action, params = {}) {
+  const qs = new URLSearchParams({ action, ...params })
+  return deduplicatedFetch(`/api/massive?${qs}`)
+}
+
+export function fetchMassiveTickerDetails(ticker) { return massiveFetch('ticker_details', { ticker }) }
+export function fetchMassiveAggs(ticker, from, to) { return massiveFetch('aggs', { ticker, from, to }) }
+export function fetchMassiveSnapshot(tickers) { return massiveFetch('snapshot_tickers', { tickers: tickers.join(',') }) }
+export function fetchMassiveFinancials(ticker) { return massiveFetch('financials', { ticker }) }
+export function fetchMassiveDividends(ticker) { return massiveFetch('dividends', { ticker }) }
+export function fetchMassiveSplits(ticker) { return massiveFetch('splits', { ticker }) }
+
 // ============================================================
 // Aggregated fetchers for tabs
 // ============================================================
+// Token Terminal bulk metrics over DeFiLlama's total30d window (one URL per day,
+// so every tab shares the cached response)
+const tokenTerminalWindow = () => ({ start: daysAgo(30), end: daysAgo(1) })
+
+// Inputs of utils/earnings.js: holders revenue, unlock schedules, token incentives
+export async function fetchEarningsInputs() {
+  const [feesHolders, emissions, tokenIncentives] = await Promise.allSettled([
+    fetchLlamaFeesHolders(),
+    fetchLlamaEmissions(),
+    fetchBulkMetric('token_incentives', tokenTerminalWindow()),
+  ])
+
+  return {
+    feesHolders: feesHolders.status === 'fulfilled' ? feesHolders.value : null,
+    emissions: emissions.status === 'fulfilled' ? emissions.value : null,
+    tokenIncentives: tokenIncentives.status === 'fulfilled' ? tokenIncentives.value : null,
+  }
+}
+
 export async function fetchValuationsData() {
-  const [fees, feesRevenue, protocols, fng, markets, emissions] = await Promise.allSettled([
+  const [fees, feesRevenue, protocols, fng, markets, emissions, feesHolders, tokenIncentives] = await Promise.allSettled([
     fetchFeesOverview(),
     fetchLlamaFeesRevenue(),
     fetchAllProtocols(),
     fetchFearGreedIndex(365),
     fetchCoinGeckoMarketsAll(),
     fetchLlamaEmissions(),
+    fetchLlamaFeesHolders(),
+    fetchBulkMetric('token_incentives', tokenTerminalWindow()),
   ])
 
   return {
@@ -208,6 +260,8 @@ export async function fetchValuationsData() {
     fearGreed: fng.status === 'fulfilled' ? fng.value : null,
     markets: markets.status === 'fulfilled' ? markets.value : null,
     emissions: emissions.status === 'fulfilled' ? emissions.value : null,
+    feesHolders: feesHolders.status === 'fulfilled' ? feesHolders.value : null,
+    tokenIncentives: tokenIncentives.status === 'fulfilled' ? tokenIncentives.value : null,
   }
 }
 
@@ -274,6 +328,76 @@ export async function fetchMoatsData() {
   }
 }
 
+export async function fetchRevenueScoreData() {
+  const [fees, feesRevenue, protocols, markets, earnings] = await Promise.allSettled([
+    // DeFiLlama fees (total + breakdown)
+    fetchFeesOverview(),
+    // DeFiLlama fees as revenue (take rate comparison)
+    fetchLlamaFeesRevenue(),
+    // All protocols (TVL data)
+    fetchAllProtocols(),
+    // CoinGecko markets (market cap for P/S)
+    fetchCoinGeckoMarketsAll(),
+    // Holders revenue, incentives and unlocks (earnings dimension)
+    fetchEarningsInputs(),
+  ])
+
+  return {
+    fees: fees.status === 'fulfilled' ? fees.value : null,
+    feesRevenue: feesRevenue.status === 'fulfilled' ? feesRevenue.value : null,
+    protocols: protocols.status === 'fulfilled' ? protocols.value : null,
+    markets: markets.status === 'fulfilled' ? markets.value : null,
+    ...earnings.value,
+  }
+}
+
+// DeFiLlama fees/revenue and Token Terminal's financials over the same 30 days
+// (DeFiLlama's total30d) — see utils/reconciliation.js
+export async function fetchReconciliationData() {
+  const range = tokenTerminalWindow()
+  const [fees, feesRevenue, protocols, markets, ttFees, ttRevenue, ttEarnings, ttIncentives, ttPE] = await Promise.allSettled([
+    fetchFeesOverview(),
+    fetchLlamaFeesRevenue(),
+    fetchAllProtocols(),
+    fetchCoinGeckoMarketsAll(),
+    fetchBulkMetric('fees', range),
+    fetchBulkMetric('revenue', range),
+    fetchBulkMetric('earnings', range),
+    fetchBulkMetric('token_incentives', range),
+    // Only the latest multiple is compared
+    fetchBulkMetric('price_to_earnings', { start: daysAgo(7) }),
+  ])
+  const settled = (r) => r.status === 'fulfilled' ? r.value : null
+
+  return {
+    fees: settled(fees),
+    feesRevenue: settled(feesRevenue),
+    protocols: settled(protocols),
+    markets: settled(markets),
+    tokenTerminal: {
+      fees: settled(ttFees),
+      revenue: settled(ttRevenue),
+      earnings: settled(ttEarnings),
+      tokenIncentives: settled(ttIncentives),
+      priceToEarnings: settled(ttPE),
+    },
+  }
+}
+
+export async function fetchPowerLawData() {
+  const [protocols, feesOverview, markets] = await Promise.allSettled([
+    fetchAllProtocols(),
+    fetchFeesOverview(),
+    fetchCoinGeckoMarketsAll(),
+  ])
+
+  return {
+    protocols: protocols.status === 'fulfilled' ? protocols.value : null,
+    feesOverview: feesOverview.status === 'fulfilled' ? feesOverview.value : null,
+    markets: markets.status === 'fulfilled' ? markets.value : null,
+  }
+}
+
 export async function fetchFutureLeadersData() {
   const [protocols, fees] = await Promise.allSettled([
     fetchAllProtocols(),
@@ -456,9 +580,11 @@ export async function fetchCoinGeckoMarkets(page = 1) {
   return deduplicatedFetch(`/api/coingecko?action=markets&page=${page}&per_page=250`)
 }
 
-// Fetch 1000 coins (4 pages × 250) — uses Pro API server-side pagination
+// Fetch 1000 coins (4 pages × 250) — uses Pro API server-side pagination.
+// As of a past date: today's top coins priced on that day (see markets_as_of).
 export async function fetchCoinGeckoMarketsAll() {
-  return deduplicatedFetch('/api/coingecko?action=markets_all')
+  const asOf = getAsOf()
+  return deduplicatedFetch(asOf ? `/api/coingecko?action=markets_as_of&date=${asOf}` : '/api/coingecko?action=markets_all')
 }
 
 export async function fetchCoinGeckoCategories() {
@@ -466,24 +592,26 @@ export async function fetchCoinGeckoCategories() {
 }
 
 export async function fetchCoinChart(coinId, days = 365) {
-  return deduplicatedFetch(`/api/coingecko?action=coin_chart&coin_id=${encodeURIComponent(coinId)}&days=${days}`)
+  const cutoff = asOfCutoff()
+  if (cutoff === null || days === 'max') {
+    return deduplicatedFetch(`/api/coingecko?action=coin_chart&coin_id=${encodeURIComponent(coinId)}&days=${days}`)
+  }
+  // As of a past date: the `days` before it — fetch back from today, then drop the gap
+  const span = days + Math.ceil((Date.now() / 1000 - cutoff) / 86400)
+  const chart = await deduplicatedFetch(`/api/coingecko?action=coin_chart&coin_id=${encodeURIComponent(coinId)}&days=${span}`)
+  const since = (cutoff - days * 86400) * 1000
+  const trim = (series) => Array.isArray(series) ? series.filter(([t]) => t >= since) : series
+  return { ...chart, prices: trim(chart?.prices), market_caps: trim(chart?.market_caps), total_volumes: trim(chart?.total_volumes) }
 }
 
-// Fetch market chart data for multiple coins in parallel (with batching)
+// Fetch market chart data for multiple coins in parallel — /api/coingecko's
+// rate limiter queues them, so there is no client-side batching
 export async function fetchCoinChartsBatch(coinIds, days = 365) {
-  const BATCH_SIZE = 6
-  const results = []
-  for (let i = 0; i < coinIds.length; i += BATCH_SIZE) {
-    const batch = coinIds.slice(i, i + BATCH_SIZE)
-    const batchResults = await Promise.allSettled(
-      batch.map(id => fetchCoinChart(id, days))
-    )
-    results.push(...batch.map((id, j) => ({
-      id,
-      data: batchResults[j].status === 'fulfilled' ? batchResults[j].value : null,
-    })))
-  }
-  return results
+  const results = await Promise.allSettled(coinIds.map(id => fetchCoinChart(id, days)))
+  return coinIds.map((id, i) => ({
+    id,
+    data: results[i].status === 'fulfilled' ? results[i].value : null,
+  }))
 }
 
 export async function fetchCoinGeckoGlobal() {
@@ -498,24 +626,20 @@ export async function fetchCoinGeckoTrending() {
   return deduplicatedFetch('/api/coingecko?action=trending')
 }
 
+// Public companies holding BTC or ETH (coin: 'btc' | 'eth')
+export async function fetchCoinGeckoPublicTreasury(coin) {
+  return deduplicatedFetch(`/api/coingecko?action=public_treasury_${coin}`)
+}
+
 // Protocol slugs and CoinGecko IDs for bubble comparison
+// Canonical entity ids (utils/registry.js) — slug/geckoId come from the registry
 const BUBBLE_PROTOCOLS = [
-  { slug: 'ethereum', geckoId: 'ethereum' },
-  { slug: 'solana', geckoId: 'solana' },
-  { slug: 'uniswap', geckoId: 'uniswap' },
-  { slug: 'aave', geckoId: 'aave' },
-  { slug: 'lido', geckoId: 'lido-dao' },
-  { slug: 'makerdao', geckoId: 'maker' },
-  { slug: 'tron', geckoId: 'tron' },
-  { slug: 'pancakeswap', geckoId: 'pancakeswap-token' },
-  { slug: 'curve-finance', geckoId: 'curve-dao-token' },
-  { slug: 'gmx', geckoId: 'gmx' },
-  { slug: 'jito', geckoId: 'jito-governance-token' },
-  { slug: 'raydium', geckoId: 'raydium' },
-  { slug: 'pendle', geckoId: 'pendle' },
-  { slug: 'compound', geckoId: 'compound-governance-token' },
-  { slug: 'dydx', geckoId: 'dydx-chain' },
-]
+  'ethereum', 'solana', 'uniswap', 'aave', 'lido', 'maker', 'tron', 'pancakeswap',
+  'curve', 'gmx', 'jito', 'raydium', 'pendle', 'compound', 'dydx',
+].map(id => {
+  const e = entity(id)
+  return { id, slug: e.llamaSlugs[0], geckoId: e.geckoId }
+})
 
 export async function fetchBubbleComparisonData() {
   // Phase 1: Bulk data (current snapshot)
@@ -525,26 +649,20 @@ export async function fetchBubbleComparisonData() {
     fetchAllProtocols(),
   ])
 
-  // Phase 2: Historical data — batch in groups of 5 with delay
-  const BATCH = 5
-  const feeHistories = []
-  const mcapHistories = []
-
-  for (let i = 0; i < BUBBLE_PROTOCOLS.length; i += BATCH) {
-    const batch = BUBBLE_PROTOCOLS.slice(i, i + BATCH)
-    const [feesBatch, chartBatch] = await Promise.all([
-      Promise.allSettled(batch.map(p => fetchLlamaFeesProtocol(p.slug))),
-      Promise.allSettled(batch.map(p => fetchCoinChart(p.geckoId, 'max'))),
-    ])
-    batch.forEach((p, j) => {
-      feeHistories.push({ slug: p.slug, data: feesBatch[j].status === 'fulfilled' ? feesBatch[j].value : null })
-      mcapHistories.push({ geckoId: p.geckoId, slug: p.slug, data: chartBatch[j].status === 'fulfilled' ? chartBatch[j].value : null })
-    })
-    // Small delay between batches to respect rate limits
-    if (i + BATCH < BUBBLE_PROTOCOLS.length) {
-      await new Promise(r => setTimeout(r, 300))
-    }
-  }
+  // Phase 2: Historical data — all at once; the API proxies pace the upstream calls
+  const [feesResults, chartResults] = await Promise.all([
+    Promise.allSettled(BUBBLE_PROTOCOLS.map(p => fetchLlamaFeesProtocol(p.slug))),
+    Promise.allSettled(BUBBLE_PROTOCOLS.map(p => fetchCoinChart(p.geckoId, 'max'))),
+  ])
+  const feeHistories = BUBBLE_PROTOCOLS.map((p, i) => ({
+    slug: p.slug,
+    data: feesResults[i].status === 'fulfilled' ? feesResults[i].value : null,
+  }))
+  const mcapHistories = BUBBLE_PROTOCOLS.map((p, i) => ({
+    geckoId: p.geckoId,
+    slug: p.slug,
+    data: chartResults[i].status === 'fulfilled' ? chartResults[i].value : null,
+  }))
 
   return {
     fees: fees.status === 'fulfilled' ? fees.value : null,
@@ -593,3 +711,302 @@ export async function fetchTokenomicsStudyData() {
     coinDetails,
   }
 }
+
+// ============================================================
+// Valuation bands (utils/multiples.js)
+// ============================================================
+// Today's largest fee earners with a CoinGecko token, one deployment per
+// entity — each costs two DeFiLlama fee histories and a price history
+const BANDS_UNIVERSE = 30
+
+// Fees and holders-revenue histories plus max-range market caps for one protocol
+async function fetchMultiplesHistory(slug, geckoId) {
+  const settled = (r) => r.status === 'fulfilled' ? r.value : null
+  const [fees, holders, chart] = await Promise.allSettled([
+    fetchLlamaFeesProtocol(slug),
+    fetchLlamaFeesProtocol(slug, 'dailyHoldersRevenue'),
+    fetchCoinChart(geckoId, 'max'),
+  ])
+  return { fees: settled(fees), holders: settled(holders), chart: settled(chart) }
+}
+
+export async function fetchValuationBandsData() {
+  const settled = (r) => r.status === 'fulfilled' ? r.value : null
+
+  const [fees, protocols, markets] = await Promise.allSettled([
+    fetchFeesOverview(),
+    fetchAllProtocols(),
+    fetchCoinGeckoMarketsAll(),
+  ])
+  if (fees.status === 'rejected') throw fees.reason
+
+  const registry = getRegistry(settled(protocols) || [], Array.isArray(settled(markets)) ? markets.value : [])
+  const seen = new Set()
+  const universe = []
+  ;[...(fees.value?.protocols || [])]
+    .filter(p => p.slug && p.total30d > 0)
+    .sort((a, b) => b.total30d - a.total30d)
+    .forEach(p => {
+      const e = registry.resolve(p)
+      const geckoId = e?.geckoId || e?.market?.id
+      if (universe.length >= BANDS_UNIVERSE || !geckoId || seen.has(e.id)) return
+      seen.add(e.id)
+      universe.push({ slug: p.slug, name: e.name || p.name, geckoId })
+    })
+
+  const histories = await Promise.all(universe.map(u => fetchMultiplesHistory(u.slug, u.geckoId)))
+
+  return {
+    fees: fees.value,
+    protocols: settled(protocols),
+    markets: settled(markets),
+    universe: universe.map((u, i) => ({ ...u, ...histories[i] })),
+  }
+}
+
+// Any DeFiLlama fees protocol, outside the ranked universe
+export async function fetchProtocolMultiplesData(slug) {
+  const [protocols, markets] = await Promise.all([
+    fetchAllProtocols().catch(() => []),
+    fetchCoinGeckoMarketsAll().catch(() => []),
+  ])
+  const registry = getRegistry(protocols, markets)
+  const e = registry.resolve(slug, 'llama') || registry.resolve(slug)
+  const geckoId = e?.geckoId || e?.market?.id
+  if (!geckoId) throw new Error(`No CoinGecko token for ${slug}`)
+  return { slug, name: e.name || slug, geckoId, ...(await fetchMultiplesHistory(slug, geckoId)) }
+}
+
+// ============================================================
+// Token unlocks (utils/unlocks.js)
+// ============================================================
+// Tokens whose upcoming unlocks are sized against a 30-day average volume
+// history — the rest fall back to CoinGecko's 24h volume
+const UNLOCK_VOLUME_COINS = 40
+
+export async function fetchUnlocksData() {
+  const settled = (r) => r.status === 'fulfilled' ? r.value : null
+
+  const [emissions, protocols, markets, feesRevenue] = await Promise.allSettled([
+    fetchLlamaEmissions(),
+    fetchAllProtocols(),
+    fetchCoinGeckoMarketsAll(),
+    fetchLlamaFeesRevenue(),
+  ])
+  if (emissions.status === 'rejected') throw emissions.reason
+
+  const data = {
+    emissions: settled(emissions),
+    protocols: settled(protocols),
+    markets: settled(markets),
+    feesRevenue: settled(feesRevenue),
+  }
+
+  // Largest unlocks in the longest window first
+  const geckoIds = [...new Set(upcomingUnlocks(data, { days: Math.max(...UNLOCK_WINDOWS) })
+    .map(u => u.geckoId).filter(Boolean))].slice(0, UNLOCK_VOLUME_COINS)
+  const charts = await fetchCoinChartsBatch(geckoIds, 30)
+  const volumes = {}
+  charts.forEach(({ id, data: chart }) => {
+    const values = (chart?.total_volumes || []).map(([, v]) => v).filter(v => v > 0)
+    if (values.length > 0) volumes[id] = values.reduce((s, v) => s + v, 0) / values.length
+  })
+
+  return { ...data, volumes }
+}
+
+// ============================================================
+// Score backtest (utils/backtest.js)
+// ============================================================
+// Today's largest fee earners with a CoinGecko token, one deployment per
+// entity — each costs a TVL history and a price history request
+const BACKTEST_UNIVERSE = 40
+
+export async function fetchBacktestData() {
+  const settled = (r) => r.status === 'fulfilled' ? r.value : null
+
+  const [fees, feesRevenue, protocols, markets] = await Promise.allSettled([
+    fetchFeesOverview(),
+    fetchLlamaFeesRevenue(),
+    fetchAllProtocols(),
+    fetchCoinGeckoMarketsAll(),
+  ])
+  if (fees.status === 'rejected') throw fees.reason
+
+  const protocolList = settled(protocols) || []
+  const registry = getRegistry(protocolList, Array.isArray(settled(markets)) ? markets.value : [])
+  const bySlug = new Map(protocolList.map(p => [p.slug, p]))
+  const seen = new Set()
+  const universe = []
+  ;[...(fees.value?.protocols || [])]
+    .filter(p => p.slug && p.total30d > 0)
+    .sort((a, b) => b.total30d - a.total30d)
+    .forEach(p => {
+      const e = registry.resolve(p)
+      const geckoId = e?.geckoId || e?.market?.id
+      if (universe.length >= BACKTEST_UNIVERSE || !geckoId || seen.has(e.id)) return
+      seen.add(e.id)
+      universe.push({ slug: p.slug, name: p.name, geckoId, protocol: bySlug.get(p.slug) || null })
+    })
+
+  const [details, charts] = await Promise.all([
+    Promise.allSettled(universe.map(u => fetchProtocolDetail(u.slug))),
+    fetchCoinChartsBatch(universe.map(u => u.geckoId), 'max'),
+  ])
+
+  return {
+    fees: fees.value,
+    feesRevenue: settled(feesRevenue),
+    universe: universe.map((u, i) => ({ ...u, detail: settled(details[i]), chart: charts[i].data })),
+  }
+}
+
+// ============================================================
+// DCF valuation (single protocol seed)
+// ============================================================
+export async function fetchDcfData(slug) {
+  const settled = (r) => r.status === 'fulfilled' ? r.value : null
+
+  const [fees, holders, protocols, markets] = await Promise.allSettled([
+    fetchLlamaFeesProtocol(slug),
+    fetchLlamaFeesProtocol(slug, 'dailyHoldersRevenue'),
+    fetchAllProtocols(),
+    fetchCoinGeckoMarketsAll(),
+  ])
+  if (fees.status === 'rejected') throw fees.reason
+
+  // Emissions live under the parent slug
+  const registry = getRegistry(settled(protocols), settled(markets))
+  const entity = registry.resolve(slug, 'llama') || registry.resolve(slug)
+  const emission = await fetchLlamaEmission(entity?.parent || slug).catch(() => null)
+
+  return {
+    slug,
+    name: entity?.name || settled(fees)?.name || slug,
+    fees: settled(fees),
+    holders: settled(holders),
+    market: entity?.market || null,
+    emission,
+  }
+}
+
+// ============================================================
+// Compare workspace (utils/compare.js)
+// ============================================================
+export async function fetchCompareProtocol(slug) {
+  const settled = (r) => r.status === 'fulfilled' ? r.value : null
+
+  // Phase 1: DeFiLlama series; Phase 2: market cap and Santiment via the registry ids
+  const [detail, fees, revenue, users, protocols, markets] = await Promise.allSettled([
+    fetchProtocolDetail(slug),
+    fetchLlamaFeesProtocol(slug),
+    fetchLlamaFeesProtocol(slug, 'dailyRevenue'),
+    fetchProtocolUsers(slug),
+    fetchAllProtocols(),
+    fetchCoinGeckoMarketsAll(),
+  ])
+  if (!settled(detail) && !settled(fees)) throw new Error(`No DeFiLlama data for ${slug}`)
+
+  const registry = getRegistry(settled(protocols), settled(markets))
+  const entity = registry.resolve(slug, 'llama') || registry.resolve(settled(detail) || slug)
+  const geckoId = settled(detail)?.gecko_id || entity?.geckoId || null
+  const santimentSlug = entity?.santimentSlug || geckoId
+
+  const [chart, dev, social] = await Promise.allSettled([
+    geckoId ? fetchCoinChart(geckoId, 'max') : Promise.resolve(null),
+    santimentSlug ? fetchDevActivity(santimentSlug) : Promise.resolve(null),
+    santimentSlug ? fetchSocialVolume(santimentSlug) : Promise.resolve(null),
+  ])
+
+  return {
+    slug,
+    name: entity?.name || settled(detail)?.name || settled(fees)?.name || slug,
+    geckoId,
+    detail: settled(detail),
+    fees: settled(fees),
+    revenue: settled(revenue),
+    users: settled(users),
+    chart: settled(chart),
+    dev: settled(dev),
+    social: settled(social),
+  }
+}
+
+// ============================================================
+// Chain attribution (utils/chainAttribution.js)
+// ============================================================
+// Per-chain fee and revenue overviews: { fees: { [chainId]: overview|null }, revenue: { ... } }
+export async function fetchChainAttributionData() {
+  const metrics = Object.entries(ATTRIBUTION_METRICS)
+  const results = await Promise.all(metrics.map(([, { dataType }]) =>
+    Promise.all(ATTRIBUTION_CHAINS.map(({ id }) => fetchFeesByChain(id, dataType)))))
+  if (results.every(list => list.every(ov => !ov))) throw new Error('No chain fee data from DeFiLlama')
+  return Object.fromEntries(metrics.map(([key], i) =>
+    [key, Object.fromEntries(ATTRIBUTION_CHAINS.map(({ id }, j) => [id, results[i][j]]))]))
+}
+
+// One protocol's daily fees and revenue, broken down by chain
+export async function fetchProtocolChainData(slug) {
+  const [fees, revenue] = await Promise.allSettled([
+    fetchLlamaFeesProtocol(slug),
+    fetchLlamaFeesProtocol(slug, ATTRIBUTION_METRICS.revenue.dataType),
+  ])
+  if (fees.status === 'rejected' && revenue.status === 'rejected') throw fees.reason
+  const settled = (r) => r.status === 'fulfilled' ? r.value : null
+  return { slug, name: settled(fees)?.name || settled(revenue)?.name || slug, fees: settled(fees), revenue: settled(revenue) }
+}
+
+// ============================================================
+// Protocol deep-dive (single protocol profile)
+// ============================================================
+export async function fetchProtocolProfileData(slug) {
+  const settled = (r) => r.status === 'fulfilled' ? r.value : null
+
+  // Phase 1: per-protocol DeFiLlama data + the shared datasets used for scoring
+  const [detail, fees, holders, users, allFees, feesRevenue, protocols, markets, earnings] = await Promise.allSettled([
+    fetchProtocolDetail(slug),
+    fetchLlamaFeesProtocol(slug),
+    fetchLlamaFeesProtocol(slug, 'dailyHoldersRevenue'),
+    fetchProtocolUsers(slug),
+    fetchFeesOverview(),
+    fetchLlamaFeesRevenue(),
+    fetchAllProtocols(),
+    fetchCoinGeckoMarketsAll(),
+    fetchEarningsInputs(),
+  ])
+
+  // Phase 2: identifiers from the registry (emissions/treasury live under the parent slug)
+  const registry = getRegistry(settled(protocols), settled(markets))
+  const entity = registry.resolve(slug, 'llama') || registry.resolve(settled(detail) || slug)
+  const geckoId = settled(detail)?.gecko_id || entity?.geckoId || null
+  const parentSlug = entity?.parent || slug
+  const santimentSlug = entity?.santimentSlug || geckoId
+
+  const [coinChart, emission, treasury, devActivity] = await Promise.allSettled([
+    geckoId ? fetchCoinChart(geckoId, 'max') : Promise.resolve(null),
+    fetchLlamaEmission(parentSlug),
+    fetchTreasury(parentSlug),
+    santimentSlug ? fetchDevActivity(santimentSlug) : Promise.resolve(null),
+  ])
+
+  return {
+    slug,
+    entity,
+    geckoId,
+    detail: settled(detail),
+    fees: settled(fees),
+    holders: settled(holders),
+    users: settled(users),
+    coinChart: settled(coinChart),
+    emission: settled(emission),
+    treasury: settled(treasury),
+    devActivity: settled(devActivity),
+    scoring: {
+      fees: settled(allFees),
+      feesRevenue: settled(feesRevenue),
+      protocols: settled(protocols),
+      markets: settled(markets),
+      ...earnings.value,
+    },
+  }
+}
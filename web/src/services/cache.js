@@ -1,8 +1,25 @@
+import { isMockMode, upstreamFetch } from './mock'
+import { markStale, markFresh, markConsumed, providerOf } from './freshness'
+import { asOfView } from '../utils/asOf'
+
 const MEMORY_CACHE = new Map()
 const DEFAULT_TTL = 15 * 60 * 1000 // 15 minutes
 
+// localStorage entry regardless of age — skipped under MOCK_UPSTREAM so responses
+// always come from the fixtures, never from an earlier live session
+function readStored(cacheKey) {
+  if (isMockMode()) return null
+  try {
+    const stored = localStorage.getItem("rc_" + cacheKey)
+    return stored ? JSON.parse(stored) : null
+  } catch(e) {
+    return null
+  }
+}
+
 export function cachedFetch(url, options = {}, ttl = DEFAULT_TTL) {
   const cacheKey = url + JSON.stringify(options.body || "")
+  markConsumed(url)
   
   // 1. Check memory cache first (fastest)
   const memEntry = MEMORY_CACHE.get(cacheKey)
@@ -11,41 +28,67 @@ export function cachedFetch(url, options = {}, ttl = DEFAULT_TTL) {
   }
   
   // 2. Check localStorage (survives page reload)
-  try {
-    const stored = localStorage.getItem("rc_" + cacheKey)
-    if (stored) {
-      const parsed = JSON.parse(stored)
-      if (Date.now() - parsed.ts < ttl) {
-        MEMORY_CACHE.set(cacheKey, parsed)
-        return Promise.resolve(parsed.data)
-      }
-    }
-  } catch(e) {}
+  const stored = readStored(cacheKey)
+  if (stored && Date.now() - stored.ts < ttl) {
+    MEMORY_CACHE.set(cacheKey, stored)
+    return Promise.resolve(stored.data)
+  }
   
-  // 3. Fetch from network
-  return fetch(url, options)
+  // 3. Fetch from network (or the recorded fixture)
+  return upstreamFetch(url, options)
     .then(res => {
       if (!res.ok) throw new Error(res.status)
+      // API handlers flag last-known-good responses (api/_cache.js setFreshnessHeaders)
+      if (res.headers.get("X-Data-Stale")) {
+        const age = Number(res.headers.get("X-Data-Age")) || 0
+        markStale(url, Date.now() - age * 1000, (res.headers.get("X-Data-Degraded") || "").split(","))
+      } else {
+        markFresh(url)
+      }
       return res.json()
     })
     .then(data => {
       const entry = { data, ts: Date.now() }
       MEMORY_CACHE.set(cacheKey, entry)
-      try { localStorage.setItem("rc_" + cacheKey, JSON.stringify(entry)) } catch(e) {}
+      if (!isMockMode()) try { localStorage.setItem("rc_" + cacheKey, JSON.stringify(entry)) } catch(e) {}
       return data
     })
+    .catch(err => {
+      // 4. Last known good: an expired copy beats an empty chart
+      const fallback = memEntry || stored
+      if (!fallback) throw err
+      markStale(url, fallback.ts, [providerOf(url)])
+      return fallback.data
+    })
 }
 
-// Deduplication: if same URL is being fetched, reuse the pending promise
+// Deduplication: if same URL is being fetched, reuse the pending promise.
+// Returns the response as received, whatever the as-of date.
 const PENDING = new Map()
-export function deduplicatedFetch(url, options = {}, ttl = DEFAULT_TTL) {
+export function deduplicatedFetchLive(url, options = {}, ttl = DEFAULT_TTL) {
   const key = url + JSON.stringify(options.body || "")
-  if (PENDING.has(key)) return PENDING.get(key)
+  if (PENDING.has(key)) {
+    markConsumed(url)
+    return PENDING.get(key)
+  }
   const promise = cachedFetch(url, options, ttl).finally(() => PENDING.delete(key))
   PENDING.set(key, promise)
   return promise
 }
 
+// What every fetcher uses: the response cut at the as-of date when time-travel
+// mode is on (utils/asOf.js). The caches always hold the live response.
+export function deduplicatedFetch(url, options = {}, ttl = DEFAULT_TTL) {
+  return deduplicatedFetchLive(url, options, ttl).then(data => asOfView(data))
+}
+
+// Seed the memory cache with data obtained elsewhere (e.g. the aggregated
+// /api/dashboard-data payload) so later fetches of `url` are instant hits.
+export function primeCache(url, data, ts = Date.now()) {
+  if (data === null || data === undefined) return
+  MEMORY_CACHE.set(url + JSON.stringify(""), { data, ts })
+}
+
 export function clearCache() {
   MEMORY_CACHE.clear()
   Object.keys(localStorage).filter(k => k.startsWith("rc_")).forEach(k => localStorage.removeItem(k))
@@ -1,23 +1,18 @@
+import { deduplicatedFetch } from './cache';
+
 const API_BASE = '/api/coinglass';
 
-async function fetchApi(action, params = {}) {
-  const url = new URL(API_BASE, window.location.origin);
-  url.searchParams.set('action', action);
-  
+// Through the shared cache: responses get freshness marking and the as-of cut
+function fetchApi(action, params = {}) {
+  const qs = new URLSearchParams({ action });
+
   Object.entries(params).forEach(([key, value]) => {
     if (value !== undefined && value !== null) {
-      url.searchParams.set(key, value);
+      qs.set(key, value);
     }
   });
 
-  const response = await fetch(url.toString());
-  
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({ error: 'Unknown error' }));
-    throw new Error(error.error || `HTTP ${response.status}`);
-  }
-  
-  return response.json();
+  return deduplicatedFetch(`${API_BASE}?${qs}`);
 }
 
 export async function fetchFundingRates() {
@@ -0,0 +1,136 @@
+import { deduplicatedFetchLive, primeCache } from './cache'
+import { markStale, markFresh } from './freshness'
+
+// ============================================================
+// Aggregated /api/dashboard-data payload — one request, one snapshot
+// ============================================================
+const DASHBOARD_URL = '/api/dashboard-data'
+
+const LLAMA_BASE = 'https://api.llama.fi'
+const LLAMA_STABLES = 'https://stablecoins.llama.fi'
+const LLAMA_BRIDGES = 'https://bridges.llama.fi'
+
+/**
+ * Payload key → URLs the individual fetchers in api.js / tabs request for the
+ * same dataset. Hydration primes each URL so those fetchers resolve from the
+ * snapshot instead of the network.
+ */
+const URL_MAP = {
+  protocols: [`${LLAMA_BASE}/protocols`],
+  fees: [`${LLAMA_BASE}/overview/fees?excludeTotalDataChartBreakdown=false`],
+  feesRevenue: ['/api/defillama?action=fees_revenue'],
+  feesHolders: ['/api/defillama?action=fees_holders'],
+  dexs: [`${LLAMA_BASE}/overview/dexs`],
+  options: [`${LLAMA_BASE}/overview/options`],
+  historicalTvl: [`${LLAMA_BASE}/v2/historicalChainTvl`],
+  stablecoins: [`${LLAMA_STABLES}/stablecoins?includePrices=true`],
+  derivatives: [`${LLAMA_BASE}/overview/derivatives`, '/api/defillama?action=derivatives'],
+  yields: [`${LLAMA_BASE}/pools`, '/api/defillama?action=yields'],
+  yieldsBorrow: ['/api/defillama?action=yields_borrow'],
+  yieldsPerps: ['/api/defillama?action=yields_perps'],
+  yieldsLsd: ['/api/defillama?action=yields_lsd'],
+  emissions: ['/api/defillama?action=emissions'],
+  categories: ['/api/defillama?action=categories'],
+  forks: ['/api/defillama?action=forks'],
+  oracles: ['/api/defillama?action=oracles'],
+  entities: ['/api/defillama?action=entities'],
+  treasuries: ['/api/defillama?action=treasuries'],
+  hacks: [`${LLAMA_BASE}/hacks`, '/api/defillama?action=hacks'],
+  raises: [`${LLAMA_BASE}/raises`, '/api/defillama?action=raises'],
+  chainAssets: ['/api/defillama?action=chain_assets'],
+  etfsBtc: ['/api/defillama?action=etfs_btc'],
+  etfsEth: ['/api/defillama?action=etfs_eth'],
+  etfsHistory: ['/api/defillama?action=etfs_history'],
+  bridges: [`${LLAMA_BRIDGES}/bridges`, '/api/defillama?action=bridges'],
+  datInstitutions: ['/api/defillama?action=dat_institutions'],
+  fdvPerformance: ['/api/defillama?action=fdv_performance&period=7d'],
+  fearGreed: ['https://api.alternative.me/fng/?limit=365&format=json'],
+  coinMarkets: ['/api/coingecko?action=markets_all'],
+  cgGlobal: ['/api/coingecko?action=global'],
+  cgCategories: ['/api/coingecko?action=categories'],
+  glassFunding: ['/api/coinglass?action=funding'],
+  glassLiquidation: ['/api/coinglass?action=liquidation'],
+  glassETF: ['/api/coinglass?action=etf'],
+  glassCoinsMarkets: ['/api/coinglass?action=coins_markets'],
+}
+
+// Live: hydration primes the caches, which must hold untruncated responses
+export function fetchDashboardData() {
+  return deduplicatedFetchLive(DASHBOARD_URL)
+}
+
+/**
+ * Prime the client cache with every dataset present in the payload.
+ * Empty datasets (null, or an empty coinMarkets array when the server has no
+ * CoinGecko key) are skipped so those fetchers still fall through to the network.
+ * Datasets the server served from last-known-good data (_meta.stale) are
+ * registered with the freshness registry under the same URLs. Entries are
+ * timestamped with the payload's generation time, so an old CDN copy expires
+ * on schedule and the next fetch goes to the network.
+ * Returns the number of datasets primed.
+ */
+export function hydrateFromDashboard(payload) {
+  if (!payload) return 0
+  const generatedAt = Date.parse(payload.timestamp) || Date.now()
+  const stale = payload._meta?.stale || {}
+  let primed = 0
+  Object.entries(URL_MAP).forEach(([key, urls]) => {
+    const value = payload[key]
+    if (value === null || value === undefined) return
+    if (Array.isArray(value) && value.length === 0) return
+    // Aged from when the data was fetched, not now: a CDN copy hours old must not count as fresh
+    const fetchedAt = stale[key] ? generatedAt - stale[key].age * 1000 : generatedAt
+    urls.forEach(url => {
+      primeCache(url, value, fetchedAt)
+      if (stale[key]) markStale(url, fetchedAt, [stale[key].provider])
+      else markFresh(url)
+    })
+    primed++
+  })
+  return primed
+}
+
+/**
+ * @typedef {Object} DashboardSnapshot
+ * @property {string|null} timestamp   Server time the payload was assembled (ISO)
+ * @property {Array<{source: string, error: string}>} errors   Datasets the last run failed to fetch
+ * @property {Object<string, {age: number, provider: string}>} stale Datasets served from last-known-good data (age in s)
+ * @property {Object|null} fees        /overview/fees (with totalDataChartBreakdown)
+ * @property {Object|null} feesRevenue /overview/fees?dataType=dailyRevenue
+ * @property {Object|null} feesHolders /overview/fees?dataType=dailyHoldersRevenue
+ * @property {Array|null} protocols    /protocols (TVL, category, gecko_id, mcap)
+ * @property {Array|null} markets      CoinGecko coins/markets (top 1000)
+ * @property {Array|null} yields       Yield pools (`data` unwrapped)
+ * @property {Object|null} dexs
+ * @property {Object|null} derivatives
+ * @property {Object|null} options
+ * @property {Object|null} stablecoins
+ * @property {Object|null} emissions
+ * @property {Array|null} fearGreed    Fear & Greed entries (`data` unwrapped)
+ * @property {Object|null} global      CoinGecko /global
+ * @property {Object|null} funding     Coinglass funding-rate home
+ */
+
+/** Select the commonly used datasets from a raw payload. */
+export function selectDashboard(payload) {
+  const d = payload || {}
+  return {
+    timestamp: d.timestamp || null,
+    errors: d._errors || [],
+    stale: d._meta?.stale || {},
+    fees: d.fees || null,
+    feesRevenue: d.feesRevenue || null,
+    feesHolders: d.feesHolders || null,
+    protocols: Array.isArray(d.protocols) ? d.protocols : null,
+    markets: Array.isArray(d.coinMarkets) && d.coinMarkets.length > 0 ? d.coinMarkets : null,
+    yields: d.yields?.data || null,
+    dexs: d.dexs || null,
+    derivatives: d.derivatives || null,
+    options: d.options || null,
+    stablecoins: d.stablecoins || null,
+    emissions: d.emissions || null,
+    fearGreed: d.fearGreed?.data || null,
+    global: d.cgGlobal || null,
+    funding: d.glassFunding || null,
+  }
+}
@@ -0,0 +1,119 @@
+// Data freshness registry — which cached URLs are currently being served from
+// last-known-good data because their upstream failed.
+//
+// Fed by cache.js (X-Data-* response headers from the API handlers, or the
+// client's own fallback to an expired entry) and by dashboard.js (the aggregated
+// payload's _meta.stale). Read by ChartCard's freshness badge via useFreshness.
+//
+// Badges are scoped to what a view rendered: App opens a scope per tab (or
+// protocol page), cache.js records every URL read while it is open, and a
+// chart only reports degraded URLs of its own scope — a stale yields feed
+// fetched by one tab does not badge every DeFiLlama chart in the app.
+
+export const PROVIDER_LABELS = {
+  defillama: 'DeFiLlama',
+  coingecko: 'CoinGecko',
+  coinglass: 'Coinglass',
+  tokenterminal: 'Token Terminal',
+  massive: 'Massive',
+  alternative: 'Alternative.me',
+  santiment: 'Santiment',
+  yahoo: 'Yahoo Finance',
+}
+
+const HOSTS = [
+  [/llama\.fi$/, 'defillama'],
+  [/alternative\.me$/, 'alternative'],
+]
+
+// Provider id for a fetched URL: /api/<proxy> by name, direct fetches by host
+export function providerOf(url) {
+  const proxy = url.match(/^\/api\/([a-z-]+)/)
+  if (proxy) return proxy[1] === 'token-terminal' ? 'tokenterminal' : proxy[1]
+  try {
+    const host = new URL(url).hostname
+    return HOSTS.find(([pattern]) => pattern.test(host))?.[1] || host
+  } catch {
+    return null
+  }
+}
+
+const DEGRADED = new Map() // url → { ts, providers }
+const CONSUMED = new Map() // scope → Set<url>
+const listeners = new Set()
+let version = 0
+let activeScope = null
+
+function emit() {
+  version++
+  listeners.forEach(fn => fn())
+}
+
+/** Record that `url` is being served from data last fetched at `ts` (ms) because `providers` failed. */
+export function markStale(url, ts, providers) {
+  DEGRADED.set(url, { ts, providers: providers.filter(Boolean) })
+  emit()
+}
+
+/** Record that `url` was just fetched successfully. */
+export function markFresh(url) {
+  if (DEGRADED.delete(url)) emit()
+}
+
+/**
+ * Make `scope` the view that subsequent fetches are attributed to. Re-entering a
+ * scope after another one starts its URL list afresh; re-opening the active one
+ * (StrictMode's effect replay) keeps it.
+ */
+export function openFreshnessScope(scope) {
+  if (scope === activeScope) return
+  activeScope = scope
+  CONSUMED.set(scope, new Set())
+  emit()
+}
+
+/** Record that the open view read `url` (network, cache hit or last-known-good). */
+export function markConsumed(url) {
+  const urls = CONSUMED.get(activeScope)
+  if (!urls || urls.has(url)) return
+  urls.add(url)
+  if (DEGRADED.has(url)) emit()
+}
+
+export function subscribeFreshness(fn) {
+  listeners.add(fn)
+  return () => listeners.delete(fn)
+}
+
+/** Changes whenever the registry does (useSyncExternalStore snapshot). */
+export function getFreshnessVersion() {
+  return version
+}
+
+/**
+ * Oldest degraded data among the URLs `scope` read, optionally narrowed to the
+ * given provider ids.
+ * @returns {{ ts: number, providers: string[] } | null}
+ */
+export function getDegraded(scope, sources) {
+  const urls = CONSUMED.get(scope)
+  if (!urls) return null
+  let oldest = null
+  const providers = new Set()
+  DEGRADED.forEach((entry, url) => {
+    if (!urls.has(url)) return
+    const hit = entry.providers.filter(p => !sources || sources.includes(p))
+    if (hit.length === 0) return
+    hit.forEach(p => providers.add(p))
+    if (!oldest || entry.ts < oldest) oldest = entry.ts
+  })
+  return oldest === null ? null : { ts: oldest, providers: [...providers] }
+}
+
+/** "3h", "25m", "2d" */
+export function formatAge(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000))
+  if (minutes < 60) return `${minutes}m`
+  const hours = Math.round(minutes / 60)
+  return hours < 48 ? `${hours}h` : `${Math.round(hours / 24)}d`
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest'
+import { markStale, markFresh, markConsumed, openFreshnessScope, getDegraded } from './freshness.js'
+
+const YIELDS = 'https://yields.llama.fi/pools'
+const FEES = 'https://api.llama.fi/overview/fees'
+
+describe('freshness scopes', () => {
+  it('reports only the degraded URLs the view read', () => {
+    openFreshnessScope('yield@live')
+    markConsumed(YIELDS)
+    markStale(YIELDS, 1000, ['defillama'])
+
+    openFreshnessScope('valuations@live')
+    markConsumed(FEES)
+    expect(getDegraded('valuations@live')).toBeNull()
+    expect(getDegraded('yield@live')).toEqual({ ts: 1000, providers: ['defillama'] })
+  })
+
+  it('narrows to the given providers', () => {
+    openFreshnessScope('derivatives@live')
+    markConsumed(YIELDS)
+    expect(getDegraded('derivatives@live', ['coinglass'])).toBeNull()
+    expect(getDegraded('derivatives@live', ['defillama'])?.ts).toBe(1000)
+  })
+
+  it('starts a re-entered scope afresh but keeps the open one', () => {
+    openFreshnessScope('derivatives@live')
+    expect(getDegraded('derivatives@live')).not.toBeNull()
+    openFreshnessScope('macro@live')
+    openFreshnessScope('derivatives@live')
+    expect(getDegraded('derivatives@live')).toBeNull()
+  })
+
+  it('clears the badge once the URL is fetched again', () => {
+    openFreshnessScope('yield@live')
+    markConsumed(YIELDS)
+    markFresh(YIELDS)
+    expect(getDegraded('yield@live')).toBeNull()
+  })
+})
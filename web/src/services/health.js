@@ -0,0 +1,17 @@
+const HEALTH_URL = '/api/health';
+
+/**
+ * Upstream telemetry from /api/health: per-provider uptime and state, and the
+ * last success / failure of every proxied action and dashboard dataset.
+ * Live state, so this bypasses the client cache.
+ */
+export async function fetchHealth() {
+  const response = await fetch(HEALTH_URL);
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+    throw new Error(error.error || `HTTP ${response.status}`);
+  }
+
+  return response.json();
+}
@@ -0,0 +1,53 @@
+// Upstream record/replay in the browser (MOCK_UPSTREAM — see api/_fixtures.js).
+//
+// Direct third-party fetches (api.llama.fi, bridges.llama.fi, …) go through the
+// dev server's /__fixtures endpoint (vite.config.js): in replay mode it answers
+// with the recorded response, in record mode the browser fetches live and posts
+// each successful response back to be saved. /api/* requests are left alone —
+// the handlers record and replay their own upstream calls.
+
+// 'record' | 'replay' | null — injected by vite.config.js; undefined outside Vite (e.g. the CLI)
+const MOCK_MODE = typeof __MOCK_UPSTREAM__ !== 'undefined' ? __MOCK_UPSTREAM__ : null
+const FIXTURE_ENDPOINT = '/__fixtures'
+
+let networkFetch = (url, options) => fetch(url, options)
+
+export function isMockMode() {
+  return MOCK_MODE !== null
+}
+
+function postJSON(path, payload) {
+  return networkFetch(FIXTURE_ENDPOINT + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  })
+}
+
+// fetch() that honours MOCK_UPSTREAM for absolute URLs
+export async function upstreamFetch(url, options = {}) {
+  if (!MOCK_MODE || !/^https?:\/\//.test(url)) return networkFetch(url, options)
+
+  const method = (options.method || 'GET').toUpperCase()
+  const body = typeof options.body === 'string' ? options.body : undefined
+
+  if (MOCK_MODE === 'replay') return postJSON('/replay', { method, url, body })
+
+  const res = await networkFetch(url, options)
+  if (res.ok) {
+    res.clone().json()
+      .then(response => postJSON('/record', { method, url, body, status: res.status, response }))
+      .catch(() => {})
+  }
+  return res
+}
+
+// Route the tabs' own fetch() calls through upstreamFetch too (no-op unless MOCK_UPSTREAM is set)
+export function installMockFetch() {
+  if (!MOCK_MODE) return
+  const nativeFetch = window.fetch.bind(window)
+  networkFetch = nativeFetch
+  window.fetch = (input, init) => (typeof input === 'string' || input instanceof URL)
+    ? upstreamFetch(String(input), init)
+    : nativeFetch(input, init)
+}
@@ -1,13 +1,16 @@
+import { deduplicatedFetch } from './cache';
+
 const API_BASE = '/api/santiment';
 
-// Helper to get default date range (1 year ago to now)
+// Helper to get default date range (1 year ago to today), whole UTC days so the
+// request body, and with it the cache key, stays the same all day
 function getDefaultDateRange() {
-  const now = new Date();
-  const oneYearAgo = new Date(now);
-  oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+  const today = new Date().toISOString().split('T')[0];
+  const oneYearAgo = new Date(today);
+  oneYearAgo.setUTCFullYear(oneYearAgo.getUTCFullYear() - 1);
   return {
     from: oneYearAgo.toISOString(),
-    to: now.toISOString(),
+    to: `${today}T00:00:00.000Z`,
   };
 }
 
@@ -25,9 +28,10 @@ export function makeMetricQuery(metric, slug, from, to, interval = '1d') {
   `;
 }
 
-// Core fetch function for GraphQL queries
-async function fetchSantiment(query, variables = {}) {
-  const response = await fetch(API_BASE, {
+// Core fetch function for GraphQL queries — through the shared cache, keyed on
+// the query and variables
+export async function fetchSantiment(query, variables = {}) {
+  const result = await deduplicatedFetch(API_BASE, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -35,13 +39,6 @@ async function fetchSantiment(query, variables = {}) {
     body: JSON.stringify({ query, variables }),
   });
 
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({ error: 'Unknown error' }));
-    throw new Error(error.error || `HTTP ${response.status}`);
-  }
-
-  const result = await response.json();
-
   if (result.errors) {
     throw new Error(result.errors.map(e => e.message).join(', '));
   }
@@ -49,8 +46,23 @@ async function fetchSantiment(query, variables = {}) {
   return result.data;
 }
 
+// Whether the proxy has a Santiment key: a live probe, not data, so it bypasses
+// the client cache (the proxy answers 500 without SANTIMENT_API_KEY)
+export async function isSantimentConfigured() {
+  try {
+    const response = await fetch(API_BASE, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: '{ __typename }', variables: {} }),
+    });
+    return ![401, 403, 500].includes(response.status);
+  } catch {
+    return false;
+  }
+}
+
 // Generic metric fetcher
-async function fetchMetric(metric, slug, from, to, interval = '1d') {
+export async function fetchMetric(metric, slug, from, to, interval = '1d') {
   const defaults = getDefaultDateRange();
   const query = makeMetricQuery(metric, slug, from || defaults.from, to || defaults.to, interval);
   const variables = {
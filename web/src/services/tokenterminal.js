@@ -0,0 +1,57 @@
+import { deduplicatedFetch } from './cache';
+import { nowSeconds } from '../utils/asOf';
+
+const API_BASE = '/api/token-terminal';
+
+// Every endpoint goes through the shared client cache (15 min, last-known-good
+// fallback) — the proxy paces Token Terminal at 60 req/min, so repeat visits
+// should not spend that budget again.
+function fetchApi(endpoint, params = {}) {
+  const qs = new URLSearchParams({ endpoint });
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      qs.set(key, value);
+    }
+  });
+
+  return deduplicatedFetch(`${API_BASE}?${qs}`);
+}
+
+// 'YYYY-MM-DD', `days` before today (UTC) — Token Terminal's date format.
+// "Today" is the as-of date in time-travel mode.
+export function daysAgo(days) {
+  return new Date((nowSeconds() - days * 86400) * 1000).toISOString().slice(0, 10);
+}
+
+export async function fetchProjects() {
+  return fetchApi('projects');
+}
+
+export async function fetchProjectDetail(projectId) {
+  return fetchApi('project-detail', { project_id: projectId });
+}
+
+// Time series of several metrics for one project, e.g. metricIds 'revenue,fees,earnings'
+export async function fetchProjectMetrics(projectId, { metricIds, interval, start, end, granularity } = {}) {
+  return fetchApi('metrics', { project_id: projectId, metric_id: metricIds, interval, start, end, granularity });
+}
+
+// One metric across every project (optionally one market sector)
+export async function fetchBulkMetric(metricId, { marketSectorId, interval, start, end } = {}) {
+  return fetchApi('bulk-metrics', { metric_id: metricId, market_sector_id: marketSectorId, interval, start, end });
+}
+
+export async function fetchAggregations(metricId, { projectId, marketSectorId } = {}) {
+  return fetchApi('aggregations', { metric_id: metricId, project_id: projectId, market_sector_id: marketSectorId });
+}
+
+export async function fetchMarketSectors() {
+  return fetchApi('market-sectors');
+}
+
+// revenue, fees, earnings, token_incentives, price_to_sales, price_to_earnings
+// and active_users for every project, keyed by metric (null when one failed)
+export async function fetchAllFinancials() {
+  return fetchApi('all-financials');
+}
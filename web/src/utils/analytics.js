@@ -0,0 +1,751 @@
+// Shared statistics for the analytical tabs. Pure functions only — no React,
+// no fetches — so the module can be imported from Node as well as the app.
+
+// ============================================================================
+// DESCRIPTIVE STATISTICS
+// ============================================================================
+
+export function sum(values) {
+  return values.reduce((a, b) => a + b, 0)
+}
+
+export function mean(values) {
+  return values.length > 0 ? sum(values) / values.length : null
+}
+
+/**
+ * Variance — population by default, `{ sample: true }` for the n − 1 estimator
+ */
+export function variance(values, { sample = false } = {}) {
+  const n = values.length
+  if (n < (sample ? 2 : 1)) return null
+  const m = mean(values)
+  return values.reduce((acc, v) => acc + (v - m) ** 2, 0) / (sample ? n - 1 : n)
+}
+
+export function standardDeviation(values, options) {
+  const v = variance(values, options)
+  return v === null ? null : Math.sqrt(v)
+}
+
+/**
+ * Coefficient of variation (population std / mean)
+ * Returns null for fewer than two values or a zero mean
+ */
+export function coefficientOfVariation(values) {
+  if (!values || values.length < 2) return null
+  const m = mean(values)
+  if (m === 0) return null
+  return standardDeviation(values) / m
+}
+
+/**
+ * Linear-interpolated quantile (same convention as numpy's default), p in [0, 1]
+ */
+export function quantile(values, p) {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const pos = (sorted.length - 1) * Math.min(Math.max(p, 0), 1)
+  const lo = Math.floor(pos)
+  const hi = Math.ceil(pos)
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo)
+}
+
+export function median(values) {
+  return quantile(values, 0.5)
+}
+
+/**
+ * Median absolute deviation (unscaled)
+ */
+export function medianAbsoluteDeviation(values) {
+  if (values.length === 0) return null
+  const m = median(values)
+  return median(values.map(v => Math.abs(v - m)))
+}
+
+// ============================================================================
+// DISTRIBUTIONS
+// ============================================================================
+
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7,
+]
+
+/**
+ * ln Γ(x) via the Lanczos approximation (g = 7)
+ */
+export function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x)
+  const z = x - 1
+  let a = LANCZOS[0]
+  const t = z + 7.5
+  for (let i = 1; i < 9; i++) a += LANCZOS[i] / (z + i)
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a)
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz)
+function betaContinuedFraction(x, a, b) {
+  const TINY = 1e-300
+  let c = 1
+  let d = 1 - (a + b) * x / (a + 1)
+  if (Math.abs(d) < TINY) d = TINY
+  d = 1 / d
+  let h = d
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2))
+    d = 1 + aa * d
+    if (Math.abs(d) < TINY) d = TINY
+    c = 1 + aa / c
+    if (Math.abs(c) < TINY) c = TINY
+    d = 1 / d
+    h *= d * c
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1))
+    d = 1 + aa * d
+    if (Math.abs(d) < TINY) d = TINY
+    c = 1 + aa / c
+    if (Math.abs(c) < TINY) c = TINY
+    d = 1 / d
+    const delta = d * c
+    h *= delta
+    if (Math.abs(delta - 1) < 1e-14) break
+  }
+  return h
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0
+  if (x >= 1) return 1
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x))
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b
+}
+
+/**
+ * Student's t cumulative distribution P(T ≤ t) with `df` degrees of freedom
+ */
+export function studentTCdf(t, df) {
+  if (!Number.isFinite(t)) return t > 0 ? 1 : 0
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5)
+  return t > 0 ? 1 - tail : tail
+}
+
+/**
+ * Two-sided p-value for a t statistic
+ */
+export function tTestPValue(t, df) {
+  if (!Number.isFinite(t)) return 0
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5)
+}
+
+/**
+ * Inverse Student's t CDF (bisection — precise to ~1e-10, which is plenty for intervals)
+ */
+export function studentTQuantile(p, df) {
+  if (p <= 0) return -Infinity
+  if (p >= 1) return Infinity
+  let lo = -1
+  let hi = 1
+  while (studentTCdf(lo, df) > p) lo *= 2
+  while (studentTCdf(hi, df) < p) hi *= 2
+  for (let i = 0; i < 100 && hi - lo > 1e-10; i++) {
+    const mid = (lo + hi) / 2
+    if (studentTCdf(mid, df) < p) lo = mid
+    else hi = mid
+  }
+  return (lo + hi) / 2
+}
+
+/**
+ * Complementary error function (Chebyshev fit, |relative error| < 1.2e-7)
+ */
+export function erfc(x) {
+  const z = Math.abs(x)
+  const t = 1 / (1 + 0.5 * z)
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))))
+  return x >= 0 ? r : 2 - r
+}
+
+export function normalCdf(x, mu = 0, sigma = 1) {
+  return 0.5 * erfc(-(x - mu) / (sigma * Math.SQRT2))
+}
+
+export function normalPdf(x, mu = 0, sigma = 1) {
+  return Math.exp(-((x - mu) ** 2) / (2 * sigma * sigma)) / (sigma * Math.sqrt(2 * Math.PI))
+}
+
+/**
+ * Normal density scaled to histogram counts (for overlays)
+ */
+export function normalDistribution(x, mu, sigma, scale) {
+  return scale * normalPdf(x, mu, sigma)
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, |relative error| < 1.2e-9)
+ */
+export function normalQuantile(p) {
+  if (p <= 0) return -Infinity
+  if (p >= 1) return Infinity
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239]
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1]
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783]
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416]
+  const pLow = 0.02425
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p))
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+  }
+  if (p > 1 - pLow) return -normalQuantile(1 - p)
+  const q = p - 0.5
+  const r = q * q
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+}
+
+/**
+ * Asymptotic Kolmogorov–Smirnov p-value for statistic `d` on `n` observations.
+ * Only valid when the reference distribution is fully specified — for fitted
+ * parameters use `powerLawGoodnessOfFit`, which bootstraps instead.
+ */
+export function ksPValue(d, n) {
+  if (!(d > 0) || n < 1) return 1
+  const sqrtN = Math.sqrt(n)
+  const lambda = (sqrtN + 0.12 + 0.11 / sqrtN) * d
+  let p = 0
+  for (let j = 1; j <= 100; j++) {
+    const term = 2 * (j % 2 ? 1 : -1) * Math.exp(-2 * j * j * lambda * lambda)
+    p += term
+    if (Math.abs(term) < 1e-12) break
+  }
+  return Math.min(Math.max(p, 0), 1)
+}
+
+/**
+ * Seeded PRNG (mulberry32) — resampling results are reproducible per seed
+ */
+export function createRng(seed = 1) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// ============================================================================
+// CORRELATION
+// ============================================================================
+
+/**
+ * Pearson correlation coefficient
+ * Returns null for mismatched lengths, fewer than two points or zero variance
+ */
+export function pearsonCorrelation(x, y) {
+  if (x.length !== y.length || x.length < 2) return null
+  const n = x.length
+  const mx = mean(x)
+  const my = mean(y)
+  let sxy = 0
+  let sxx = 0
+  let syy = 0
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - mx) * (y[i] - my)
+    sxx += (x[i] - mx) ** 2
+    syy += (y[i] - my) ** 2
+  }
+  const denominator = Math.sqrt(sxx * syy)
+  return denominator === 0 ? null : sxy / denominator
+}
+
+/**
+ * Ranks starting at 1, ties receive the average of the ranks they span
+ */
+export function rank(values) {
+  const order = values.map((v, i) => ({ v, i })).sort((a, b) => a.v - b.v)
+  const ranks = new Array(values.length)
+  for (let start = 0; start < order.length;) {
+    let end = start
+    while (end + 1 < order.length && order[end + 1].v === order[start].v) end++
+    const avg = (start + end) / 2 + 1
+    for (let k = start; k <= end; k++) ranks[order[k].i] = avg
+    start = end + 1
+  }
+  return ranks
+}
+
+/**
+ * Spearman rank correlation (Pearson on average ranks, so ties are handled)
+ * Returns null for mismatched lengths or fewer than three points
+ */
+export function spearmanCorrelation(x, y) {
+  if (x.length !== y.length || x.length < 3) return null
+  return pearsonCorrelation(rank(x), rank(y))
+}
+
+/**
+ * Correlation with significance: t-test p-value (H0: ρ = 0) and a Fisher-z
+ * confidence interval. Spearman uses the Fieller (1.06) standard error.
+ * Returns { r, n, t, pValue, ci: [lo, hi] } — p-value needs n ≥ 3, the interval n ≥ 4
+ */
+export function correlationTest(x, y, { method = 'pearson', confidence = 0.95 } = {}) {
+  const r = method === 'spearman' ? spearmanCorrelation(x, y) : pearsonCorrelation(x, y)
+  if (r === null) return null
+  const n = x.length
+  const result = { r, n, t: null, pValue: null, ci: null }
+  if (n < 3) return result
+
+  const df = n - 2
+  result.t = Math.abs(r) >= 1 ? Math.sign(r) * Infinity : r * Math.sqrt(df / (1 - r * r))
+  result.pValue = tTestPValue(result.t, df)
+
+  if (n > 3) {
+    const se = (method === 'spearman' ? 1.06 : 1) / Math.sqrt(n - 3)
+    const z = Math.atanh(Math.max(Math.min(r, 1 - 1e-15), -1 + 1e-15))
+    const zc = normalQuantile(1 - (1 - confidence) / 2)
+    result.ci = [Math.tanh(z - zc * se), Math.tanh(z + zc * se)]
+  }
+  return result
+}
+
+/**
+ * Autocorrelation at `lag` (defaults to 1), normalised by the full-series variance
+ * Returns null for fewer than three values or a constant series
+ */
+export function autocorrelation(values, lag = 1) {
+  if (!values || values.length < 3 || lag >= values.length) return null
+  const m = mean(values)
+  let numerator = 0
+  let denominator = 0
+  for (let i = 0; i < values.length - lag; i++) {
+    numerator += (values[i] - m) * (values[i + lag] - m)
+  }
+  for (let i = 0; i < values.length; i++) {
+    denominator += (values[i] - m) ** 2
+  }
+  return denominator === 0 ? null : numerator / denominator
+}
+
+// ============================================================================
+// TIME SERIES ALIGNMENT
+// ============================================================================
+
+/**
+ * Align two [{ date, value }] series on their common dates
+ */
+export function alignTimeSeries(series1, series2) {
+  const map1 = new Map(series1.map(d => [d.date, d.value]))
+  const map2 = new Map(series2.map(d => [d.date, d.value]))
+  const commonDates = [...map1.keys()].filter(d => map2.has(d)).sort()
+  return {
+    dates: commonDates,
+    values1: commonDates.map(d => map1.get(d)),
+    values2: commonDates.map(d => map2.get(d)),
+  }
+}
+
+/**
+ * Align any number of [{ date, value }] series on the dates they all share
+ */
+export function alignMultipleTimeSeries(...seriesArray) {
+  if (seriesArray.length === 0) return { dates: [], values: [] }
+  const maps = seriesArray.map(s => new Map(s.map(d => [d.date, d.value])))
+  const allDates = new Set()
+  maps.forEach(m => m.forEach((_, k) => allDates.add(k)))
+  const commonDates = [...allDates].filter(d => maps.every(m => m.has(d))).sort()
+  return {
+    dates: commonDates,
+    values: maps.map(m => commonDates.map(d => m.get(d))),
+  }
+}
+
+/**
+ * Correlation test over the trailing `windowSize` common dates of two series
+ * Returns null when the series share fewer than `windowSize` dates
+ */
+export function rollingCorrelationTest(series1, series2, windowSize = 30, options) {
+  const aligned = alignTimeSeries(series1, series2)
+  if (aligned.dates.length < windowSize) return null
+  return correlationTest(aligned.values1.slice(-windowSize), aligned.values2.slice(-windowSize), options)
+}
+
+/**
+ * Pearson correlation over the trailing `windowSize` common dates of two series
+ */
+export function calculateRollingCorrelation(series1, series2, windowSize = 30) {
+  return rollingCorrelationTest(series1, series2, windowSize)?.r ?? null
+}
+
+// ============================================================================
+// REGRESSION
+// ============================================================================
+
+/**
+ * R² of arbitrary predictions against observations (can be negative for a bad fixed model)
+ */
+export function coefficientOfDetermination(y, predicted) {
+  const my = mean(y)
+  const ssTotal = y.reduce((acc, yi) => acc + (yi - my) ** 2, 0)
+  const ssResidual = y.reduce((acc, yi, i) => acc + (yi - predicted[i]) ** 2, 0)
+  return ssTotal > 0 ? 1 - ssResidual / ssTotal : 0
+}
+
+/**
+ * Ordinary least squares y = intercept + slope·x with inference on the coefficients.
+ * Returns { slope, intercept, rSquared, n, standardError, slopeSE, interceptSE,
+ *           tStat, pValue, slopeCI, interceptCI } — inference fields are null below n = 3.
+ * Degenerate input (n < 2 or constant x) gives slope 0 and rSquared 0.
+ */
+export function linearRegression(x, y, { confidence = 0.95 } = {}) {
+  const n = x.length
+  const empty = { standardError: null, slopeSE: null, interceptSE: null, tStat: null, pValue: null, slopeCI: null, interceptCI: null }
+  if (n === 0) return { slope: 0, intercept: 0, rSquared: 0, n, ...empty }
+
+  const mx = mean(x)
+  const my = mean(y)
+  let sxx = 0
+  let sxy = 0
+  for (let i = 0; i < n; i++) {
+    sxx += (x[i] - mx) ** 2
+    sxy += (x[i] - mx) * (y[i] - my)
+  }
+  if (n < 2 || sxx === 0) return { slope: 0, intercept: my, rSquared: 0, n, ...empty }
+
+  const slope = sxy / sxx
+  const intercept = my - slope * mx
+  const rSquared = Math.max(0, coefficientOfDetermination(y, x.map(xi => intercept + slope * xi)))
+  if (n < 3) return { slope, intercept, rSquared, n, ...empty }
+
+  const df = n - 2
+  const sse = y.reduce((acc, yi, i) => acc + (yi - intercept - slope * x[i]) ** 2, 0)
+  const standardError = Math.sqrt(sse / df)
+  const slopeSE = standardError / Math.sqrt(sxx)
+  const interceptSE = standardError * Math.sqrt(1 / n + mx * mx / sxx)
+  const tStat = slopeSE === 0 ? Math.sign(slope) * Infinity : slope / slopeSE
+  const tc = studentTQuantile(1 - (1 - confidence) / 2, df)
+
+  return {
+    slope, intercept, rSquared, n,
+    standardError, slopeSE, interceptSE, tStat,
+    pValue: slope === 0 && slopeSE === 0 ? 1 : tTestPValue(tStat, df),
+    slopeCI: [slope - tc * slopeSE, slope + tc * slopeSE],
+    interceptCI: [intercept - tc * interceptSE, intercept + tc * interceptSE],
+  }
+}
+
+/**
+ * Theil–Sen estimator: median of pairwise slopes, intercept = median(y − slope·x).
+ * Breakdown point ~29%; O(n²) pairs, fine for the few hundred points a chart shows.
+ */
+export function theilSenRegression(x, y) {
+  const n = x.length
+  const slopes = []
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (x[j] !== x[i]) slopes.push((y[j] - y[i]) / (x[j] - x[i]))
+    }
+  }
+  if (slopes.length === 0) return { slope: 0, intercept: n > 0 ? median(y) : 0, rSquared: 0, n }
+  const slope = median(slopes)
+  const intercept = median(y.map((yi, i) => yi - slope * x[i]))
+  return { slope, intercept, rSquared: coefficientOfDetermination(y, x.map(xi => intercept + slope * xi)), n }
+}
+
+function weightedLeastSquares(x, y, w) {
+  const sw = sum(w)
+  const mx = x.reduce((acc, xi, i) => acc + w[i] * xi, 0) / sw
+  const my = y.reduce((acc, yi, i) => acc + w[i] * yi, 0) / sw
+  let sxx = 0
+  let sxy = 0
+  for (let i = 0; i < x.length; i++) {
+    sxx += w[i] * (x[i] - mx) ** 2
+    sxy += w[i] * (x[i] - mx) * (y[i] - my)
+  }
+  const slope = sxx === 0 ? 0 : sxy / sxx
+  return { slope, intercept: my - slope * mx }
+}
+
+/**
+ * Robust regression. `method: 'huber'` (default) runs IRLS with Huber weights and a
+ * MAD scale (k = 1.345 keeps 95% efficiency on normal errors); `'theil-sen'`
+ * delegates to theilSenRegression.
+ * Huber returns { slope, intercept, rSquared, n, scale, weights, iterations }.
+ */
+export function robustRegression(x, y, { method = 'huber', k = 1.345, maxIterations = 50, tolerance = 1e-8 } = {}) {
+  if (method === 'theil-sen') return theilSenRegression(x, y)
+  const n = x.length
+  let { slope, intercept } = linearRegression(x, y)
+  let weights = new Array(n).fill(1)
+  let scale = null
+  let iterations = 0
+
+  if (n >= 3) {
+    for (; iterations < maxIterations; iterations++) {
+      const residuals = y.map((yi, i) => yi - intercept - slope * x[i])
+      scale = medianAbsoluteDeviation(residuals) / 0.6745
+      if (!(scale > 0)) break
+      weights = residuals.map(r => {
+        const u = Math.abs(r / scale)
+        return u <= k ? 1 : k / u
+      })
+      const next = weightedLeastSquares(x, y, weights)
+      const moved = Math.abs(next.slope - slope) + Math.abs(next.intercept - intercept)
+      slope = next.slope
+      intercept = next.intercept
+      if (moved < tolerance * (1 + Math.abs(slope) + Math.abs(intercept))) {
+        iterations++
+        break
+      }
+    }
+  }
+
+  return {
+    slope, intercept, n, scale, weights, iterations,
+    rSquared: n > 0 ? coefficientOfDetermination(y, x.map(xi => intercept + slope * xi)) : 0,
+  }
+}
+
+// ============================================================================
+// POWER LAWS
+// ============================================================================
+
+/**
+ * Linear regression on log-log data to estimate a rank-size (Zipf) exponent
+ * For Zipf's law: y = C * x^(-α) => log(y) = log(C) - α * log(x)
+ * Returns { alpha, intercept, rSquared, alphaCI, pValue } — nulls below three valid points
+ */
+export function fitPowerLaw(ranks, values) {
+  const validPairs = ranks
+    .map((r, i) => ({ rank: r, value: values[i] }))
+    .filter(p => p.rank > 0 && p.value > 0)
+
+  if (validPairs.length < 3) return { alpha: null, intercept: null, rSquared: null, alphaCI: null, pValue: null }
+
+  const fit = linearRegression(
+    validPairs.map(p => Math.log10(p.rank)),
+    validPairs.map(p => Math.log10(p.value)),
+  )
+  // Alpha is negative slope (since Zipf: y ~ x^(-α))
+  return {
+    alpha: -fit.slope,
+    intercept: fit.intercept,
+    rSquared: fit.rSquared,
+    alphaCI: fit.slopeCI && [-fit.slopeCI[1], -fit.slopeCI[0]],
+    pValue: fit.pValue,
+  }
+}
+
+// MLE α and KS distance for the tail x ≥ xmin of an ascending-sorted array
+function fitTail(sorted, start, xmin = sorted[start]) {
+  const n = sorted.length - start
+  let logSum = 0
+  for (let i = start; i < sorted.length; i++) logSum += Math.log(sorted[i] / xmin)
+  if (logSum === 0) return null
+  const alpha = 1 + n / logSum
+
+  let ks = 0
+  for (let i = start; i < sorted.length; i++) {
+    const model = 1 - Math.pow(sorted[i] / xmin, 1 - alpha)
+    const j = i - start
+    ks = Math.max(ks, Math.abs(model - j / n), Math.abs(model - (j + 1) / n))
+  }
+  return { alpha, xmin, nTail: n, ks }
+}
+
+/**
+ * Continuous power-law MLE (Clauset, Shalizi & Newman 2009).
+ * α̂ = 1 + n / Σ ln(x / xmin); xmin is chosen to minimise the KS distance between
+ * the tail and the fitted model unless passed explicitly. At most `maxCandidates`
+ * quantile-spaced xmin values are scanned, and the tail keeps ≥ `minTail` points.
+ * Note the density exponent α relates to the Zipf rank exponent as α = 1 + 1/α_zipf.
+ * Returns { alpha, alphaSE, xmin, nTail, n, ks } or null when nothing can be fitted.
+ */
+export function fitPowerLawMLE(values, { xmin = null, minTail = 10, maxCandidates = 50 } = {}) {
+  const sorted = values.filter(v => v > 0 && Number.isFinite(v)).sort((a, b) => a - b)
+  const n = sorted.length
+
+  let best = null
+  if (xmin !== null) {
+    const start = sorted.findIndex(v => v >= xmin)
+    best = start >= 0 && n - start >= 2 ? fitTail(sorted, start, xmin) : null
+  } else {
+    const last = n - Math.max(minTail, 2)
+    if (last < 0) return null
+    const candidates = new Set()
+    const step = Math.max(1, (last + 1) / maxCandidates)
+    for (let pos = 0; pos <= last; pos += step) {
+      // First occurrence of each value, so ties land in the tail together
+      const start = sorted.indexOf(sorted[Math.floor(pos)])
+      candidates.add(start)
+    }
+    for (const start of candidates) {
+      const fit = fitTail(sorted, start)
+      if (fit && (!best || fit.ks < best.ks)) best = fit
+    }
+  }
+  if (!best) return null
+  return { ...best, alphaSE: (best.alpha - 1) / Math.sqrt(best.nTail), n }
+}
+
+/**
+ * Semi-parametric bootstrap goodness-of-fit for fitPowerLawMLE (Clauset et al. §4.1).
+ * Synthetic datasets draw from the fitted power law above xmin and resample the
+ * empirical body below it; each is refitted the same way. p = share of synthetic
+ * KS distances ≥ the observed one — p < 0.1 rules the power law out.
+ * Returns { pValue, ks, simulations } or null if the data cannot be fitted.
+ */
+export function powerLawGoodnessOfFit(values, { simulations = 100, seed = 1, ...fitOptions } = {}) {
+  const fit = fitPowerLawMLE(values, fitOptions)
+  if (!fit) return null
+  const rng = createRng(seed)
+  const body = values.filter(v => v > 0 && v < fit.xmin)
+  const tailShare = fit.nTail / fit.n
+  const options = { ...fitOptions, xmin: fitOptions.xmin ?? null }
+
+  let exceed = 0
+  let completed = 0
+  for (let s = 0; s < simulations; s++) {
+    const synthetic = new Array(fit.n)
+    for (let i = 0; i < fit.n; i++) {
+      synthetic[i] = body.length === 0 || rng() < tailShare
+        ? fit.xmin * Math.pow(1 - rng(), -1 / (fit.alpha - 1))
+        : body[Math.floor(rng() * body.length)]
+    }
+    const simFit = fitPowerLawMLE(synthetic, options)
+    if (!simFit) continue
+    completed++
+    if (simFit.ks >= fit.ks) exceed++
+  }
+  return { pValue: completed > 0 ? exceed / completed : null, ks: fit.ks, simulations: completed }
+}
+
+// ============================================================================
+// CONCENTRATION & INEQUALITY
+// ============================================================================
+
+/**
+ * Gini coefficient over positive values — Σ(2i − n − 1)·x₍ᵢ₎ / (n·Σx), O(n log n)
+ */
+export function calculateGini(values) {
+  const sorted = values.filter(v => v > 0).sort((a, b) => a - b)
+  const n = sorted.length
+  if (n === 0) return 0
+  let weighted = 0
+  for (let i = 0; i < n; i++) weighted += (2 * (i + 1) - n - 1) * sorted[i]
+  return weighted / (n * sum(sorted))
+}
+
+function cumulativeShares(sorted) {
+  const total = sum(sorted)
+  const x = [0]
+  const y = [0]
+  let cumSum = 0
+  sorted.forEach((val, i) => {
+    cumSum += val
+    x.push(((i + 1) / sorted.length) * 100)
+    y.push((cumSum / total) * 100)
+  })
+  return { x, y }
+}
+
+/**
+ * Lorenz curve (ascending) — cumulative % of value held by the bottom x% of holders
+ */
+export function buildLorenzCurve(values) {
+  const sorted = values.filter(v => v > 0).sort((a, b) => a - b)
+  if (sum(sorted) === 0) return { x: [0, 100], y: [0, 100] }
+  return cumulativeShares(sorted)
+}
+
+/**
+ * Pareto curve (descending Lorenz) — cumulative % of value held by the top x%,
+ * plus the smallest top share that reaches 80/90/95/99% of the total
+ */
+export function buildParetoCurve(values) {
+  const sorted = values.filter(v => v > 0).sort((a, b) => b - a)
+  if (sum(sorted) === 0) return { x: [0, 100], y: [0, 100], thresholds: {} }
+
+  const { x, y } = cumulativeShares(sorted)
+  const thresholds = { p80: null, p90: null, p95: null, p99: null }
+  for (let i = 1; i < y.length; i++) {
+    if (thresholds.p80 === null && y[i] >= 80) thresholds.p80 = x[i]
+    if (thresholds.p90 === null && y[i] >= 90) thresholds.p90 = x[i]
+    if (thresholds.p95 === null && y[i] >= 95) thresholds.p95 = x[i]
+    if (thresholds.p99 === null && y[i] >= 99) thresholds.p99 = x[i]
+  }
+  return { x, y, thresholds }
+}
+
+/**
+ * Herfindahl-Hirschman Index with shares in percent (0–10,000)
+ */
+export function calculateHHI(values) {
+  const total = sum(values)
+  if (total === 0) return 0
+  return values.reduce((acc, v) => acc + ((v / total) * 100) ** 2, 0)
+}
+
+/**
+ * Percentile bootstrap confidence interval for any statistic of one sample
+ * Returns { estimate, ci: [lo, hi] } or null for an empty sample
+ */
+export function bootstrapCI(values, statistic, { confidence = 0.95, resamples = 1000, seed = 1 } = {}) {
+  if (values.length === 0) return null
+  const rng = createRng(seed)
+  const estimates = []
+  const sample = new Array(values.length)
+  for (let r = 0; r < resamples; r++) {
+    for (let i = 0; i < values.length; i++) sample[i] = values[Math.floor(rng() * values.length)]
+    const est = statistic(sample)
+    if (est !== null && Number.isFinite(est)) estimates.push(est)
+  }
+  const alpha = (1 - confidence) / 2
+  return {
+    estimate: statistic(values),
+    ci: estimates.length > 0 ? [quantile(estimates, alpha), quantile(estimates, 1 - alpha)] : null,
+  }
+}
+
+// ============================================================================
+// HISTOGRAMS
+// ============================================================================
+
+/**
+ * Equal-width histogram of log10(values) over positive values
+ */
+export function createLogHistogram(values, numBins = 30) {
+  const filtered = values.filter(v => v > 0)
+  if (filtered.length === 0) return { bins: [], counts: [] }
+
+  const logValues = filtered.map(v => Math.log10(v))
+  const min = Math.min(...logValues)
+  const max = Math.max(...logValues)
+  const binWidth = (max - min) / numBins
+
+  const bins = []
+  const counts = []
+  for (let i = 0; i < numBins; i++) {
+    bins.push(min + (i + 0.5) * binWidth)
+    counts.push(0)
+  }
+
+  logValues.forEach(v => {
+    const binIndex = binWidth > 0 ? Math.min(Math.floor((v - min) / binWidth), numBins - 1) : 0
+    counts[binIndex]++
+  })
+
+  return { bins, counts, min, max }
+}
@@ -0,0 +1,227 @@
+import { describe, it, expect } from 'vitest'
+import {
+  mean, variance, quantile, median, logGamma,
+  studentTCdf, tTestPValue, studentTQuantile, normalCdf, normalQuantile, ksPValue, createRng,
+  pearsonCorrelation, rank, spearmanCorrelation, correlationTest,
+  linearRegression, theilSenRegression, fitPowerLawMLE, powerLawGoodnessOfFit,
+  calculateGini, buildLorenzCurve, calculateHHI, bootstrapCI,
+} from './analytics.js'
+
+// Reference values from R / scipy.stats unless noted
+
+// x = 1..5, y = [2, 4, 5, 4, 5]: r = √0.6, OLS y = 2.2 + 0.6x, SSE = 2.4
+const X = [1, 2, 3, 4, 5]
+const Y = [2, 4, 5, 4, 5]
+
+// Inverse-transform draws from a continuous power law with the given α and xmin
+function paretoSample(n, alpha, xmin, seed) {
+  const rng = createRng(seed)
+  return Array.from({ length: n }, () => xmin * Math.pow(1 - rng(), -1 / (alpha - 1)))
+}
+
+describe('descriptive statistics', () => {
+  it('uses numpy-style interpolated quantiles', () => {
+    expect(quantile([1, 2, 3, 4], 0.25)).toBeCloseTo(1.75, 12)
+    expect(median([3, 1, 2, 10])).toBeCloseTo(2.5, 12)
+    expect(quantile([], 0.5)).toBeNull()
+  })
+
+  it('switches between population and sample variance', () => {
+    expect(mean(Y)).toBe(4)
+    expect(variance(Y)).toBeCloseTo(1.2, 12)
+    expect(variance(Y, { sample: true })).toBeCloseTo(1.5, 12)
+  })
+})
+
+describe('distributions', () => {
+  it('matches ln Γ at integers', () => {
+    expect(logGamma(5)).toBeCloseTo(Math.log(24), 10)
+    expect(logGamma(1)).toBeCloseTo(0, 10)
+  })
+
+  it('matches normal quantiles and CDF', () => {
+    expect(normalQuantile(0.5)).toBeCloseTo(0, 8)
+    expect(normalQuantile(0.975)).toBeCloseTo(1.959963985, 6)
+    expect(normalQuantile(0.01)).toBeCloseTo(-2.326347874, 6)
+    expect(normalCdf(1.96)).toBeCloseTo(0.9750021049, 6)
+  })
+
+  it('matches Student t quantiles', () => {
+    expect(studentTQuantile(0.975, 1)).toBeCloseTo(12.70620474, 4)
+    expect(studentTQuantile(0.95, 5)).toBeCloseTo(2.015048373, 5)
+    expect(studentTQuantile(0.975, 10)).toBeCloseTo(2.228138852, 5)
+    expect(studentTQuantile(0.975, 3)).toBeCloseTo(3.182446305, 5)
+  })
+
+  it('is consistent between the t CDF, p-value and quantile', () => {
+    expect(studentTCdf(0, 5)).toBeCloseTo(0.5, 12)
+    expect(tTestPValue(2.228138852, 10)).toBeCloseTo(0.05, 6)
+    expect(tTestPValue(-2.228138852, 10)).toBeCloseTo(0.05, 6)
+  })
+
+  it('matches the asymptotic Kolmogorov distribution', () => {
+    // λ = 1.3581 is the 5% critical value; the d that maps to it under Stephens' correction
+    const n = 10000
+    const d = 1.3581 / (Math.sqrt(n) + 0.12 + 0.11 / Math.sqrt(n))
+    expect(ksPValue(d, n)).toBeCloseTo(0.05, 3)
+    expect(ksPValue(0, n)).toBe(1)
+    expect(ksPValue(0.5, n)).toBeCloseTo(0, 12)
+  })
+
+  it('seeds the PRNG reproducibly', () => {
+    const a = createRng(42)
+    const b = createRng(42)
+    const draws = Array.from({ length: 5 }, () => a())
+    expect(draws).toEqual(Array.from({ length: 5 }, () => b()))
+    draws.forEach(u => {
+      expect(u).toBeGreaterThanOrEqual(0)
+      expect(u).toBeLessThan(1)
+    })
+  })
+})
+
+describe('correlation', () => {
+  it('matches Pearson r and its t-test', () => {
+    expect(pearsonCorrelation(X, Y)).toBeCloseTo(0.7745966692, 8)
+    const test = correlationTest(X, Y)
+    expect(test.t).toBeCloseTo(2.121320344, 6)
+    expect(test.pValue).toBeCloseTo(0.1240270627, 4)
+  })
+
+  it('builds the Fisher-z interval around r', () => {
+    // tanh(atanh(√0.6) ∓ 1.959964 / √2)
+    const { ci } = correlationTest(X, Y)
+    expect(ci[0]).toBeCloseTo(-0.3400820, 5)
+    expect(ci[1]).toBeCloseTo(0.9842358, 5)
+  })
+
+  it('gives average ranks to ties', () => {
+    expect(rank([10, 20, 20, 30])).toEqual([1, 2.5, 2.5, 4])
+  })
+
+  it('returns 1 for Spearman on any monotone relation', () => {
+    expect(spearmanCorrelation(X, X.map(x => x ** 3))).toBeCloseTo(1, 12)
+    expect(spearmanCorrelation(X, X.map(x => -Math.exp(x)))).toBeCloseTo(-1, 12)
+    // scipy.stats.spearmanr([1, 2, 3, 4, 5], [5, 6, 7, 8, 7])
+    expect(spearmanCorrelation(X, [5, 6, 7, 8, 7])).toBeCloseTo(0.8207826817, 8)
+  })
+})
+
+describe('regression', () => {
+  it('matches OLS coefficients, standard errors and intervals', () => {
+    const fit = linearRegression(X, Y)
+    expect(fit.slope).toBeCloseTo(0.6, 12)
+    expect(fit.intercept).toBeCloseTo(2.2, 12)
+    expect(fit.rSquared).toBeCloseTo(0.6, 12)
+    expect(fit.standardError).toBeCloseTo(Math.sqrt(0.8), 12)
+    expect(fit.slopeSE).toBeCloseTo(0.2828427125, 8)
+    expect(fit.interceptSE).toBeCloseTo(0.9380831520, 8)
+    expect(fit.pValue).toBeCloseTo(0.1240270627, 4)
+    // R: confint(lm(y ~ x)), t(0.975, 3) = 3.182446
+    expect(fit.slopeCI[0]).toBeCloseTo(-0.3001317, 5)
+    expect(fit.slopeCI[1]).toBeCloseTo(1.5001317, 5)
+    expect(fit.interceptCI[0]).toBeCloseTo(-0.7853994, 5)
+    expect(fit.interceptCI[1]).toBeCloseTo(5.1853994, 5)
+  })
+
+  it('recovers an exact line', () => {
+    const fit = linearRegression(X, X.map(x => 3 - 2 * x))
+    expect(fit.slope).toBeCloseTo(-2, 12)
+    expect(fit.intercept).toBeCloseTo(3, 12)
+    expect(fit.rSquared).toBeCloseTo(1, 12)
+  })
+
+  it('degrades to slope 0 on constant x', () => {
+    const fit = linearRegression([2, 2, 2], [1, 2, 3])
+    expect(fit.slope).toBe(0)
+    expect(fit.intercept).toBe(2)
+    expect(fit.slopeCI).toBeNull()
+  })
+
+  it('ignores a single outlier with Theil-Sen', () => {
+    const y = X.map(x => 1 + 2 * x)
+    y[4] = 100
+    const fit = theilSenRegression(X, y)
+    expect(fit.slope).toBeCloseTo(2, 12)
+  })
+})
+
+describe('power laws', () => {
+  it('matches the closed-form MLE at a fixed xmin', () => {
+    // α̂ = 1 + n / Σ ln(x / xmin) = 1 + 2 / (0 + 1)
+    const fit = fitPowerLawMLE([1, Math.E], { xmin: 1 })
+    expect(fit.alpha).toBeCloseTo(3, 12)
+    expect(fit.alphaSE).toBeCloseTo(2 / Math.SQRT2, 12)
+    expect(fit.nTail).toBe(2)
+  })
+
+  it('recovers α from synthetic Pareto data', () => {
+    const fit = fitPowerLawMLE(paretoSample(5000, 2.5, 1, 7), { xmin: 1 })
+    expect(Math.abs(fit.alpha - 2.5)).toBeLessThan(3 * fit.alphaSE)
+    expect(fit.alphaSE).toBeCloseTo(1.5 / Math.sqrt(5000), 2)
+  })
+
+  it('finds xmin above an exponential body', () => {
+    const rng = createRng(3)
+    const body = Array.from({ length: 500 }, () => 1 + 4 * rng())
+    const values = [...body, ...paretoSample(2000, 2.5, 5, 11)]
+    const fit = fitPowerLawMLE(values)
+    expect(fit.xmin).toBeGreaterThan(4)
+    expect(fit.alpha).toBeGreaterThan(2.3)
+    expect(fit.alpha).toBeLessThan(2.7)
+  })
+
+  it('does not reject power-law data in the goodness-of-fit test', () => {
+    const gof = powerLawGoodnessOfFit(paretoSample(300, 2.5, 1, 5), { simulations: 40, seed: 2 })
+    expect(gof.simulations).toBe(40)
+    expect(gof.pValue).toBeGreaterThan(0.1)
+  })
+})
+
+describe('concentration', () => {
+  it('matches Gini reference values', () => {
+    expect(calculateGini([1, 1, 1, 1])).toBe(0)
+    expect(calculateGini([1, 2, 3, 4])).toBeCloseTo(0.25, 12)
+    // (n − 1) / n when one holder has everything among n positive holders
+    expect(calculateGini([1e-12, 1e-12, 1e-12, 1])).toBeCloseTo(0.75, 9)
+    expect(calculateGini([])).toBe(0)
+  })
+
+  it('ends the Lorenz curve at (100, 100)', () => {
+    const { x, y } = buildLorenzCurve([1, 2, 3, 4])
+    expect(x).toEqual([0, 25, 50, 75, 100])
+    expect(y.map(v => +v.toFixed(6))).toEqual([0, 10, 30, 60, 100])
+  })
+
+  it('matches HHI reference values', () => {
+    expect(calculateHHI([50, 50])).toBeCloseTo(5000, 9)
+    expect(calculateHHI([1, 1, 1, 1])).toBeCloseTo(2500, 9)
+    expect(calculateHHI([7])).toBeCloseTo(10000, 9)
+    expect(calculateHHI([60, 30, 10])).toBeCloseTo(4600, 9)
+  })
+})
+
+describe('bootstrap', () => {
+  const values = Array.from({ length: 200 }, (_, i) => Math.sin(i) * 10 + i / 20)
+
+  it('is reproducible per seed', () => {
+    const a = bootstrapCI(values, mean, { seed: 9, resamples: 500 })
+    const b = bootstrapCI(values, mean, { seed: 9, resamples: 500 })
+    expect(a).toEqual(b)
+  })
+
+  it('brackets the estimate with roughly the normal-theory width', () => {
+    const { estimate, ci } = bootstrapCI(values, mean, { resamples: 2000 })
+    expect(estimate).toBeCloseTo(mean(values), 12)
+    expect(ci[0]).toBeLessThan(estimate)
+    expect(ci[1]).toBeGreaterThan(estimate)
+    const se = Math.sqrt(variance(values, { sample: true }) / values.length)
+    expect((ci[1] - ci[0]) / (2 * 1.96 * se)).toBeGreaterThan(0.85)
+    expect((ci[1] - ci[0]) / (2 * 1.96 * se)).toBeLessThan(1.15)
+  })
+
+  it('collapses on a constant sample', () => {
+    expect(bootstrapCI([4, 4, 4], mean).ci).toEqual([4, 4])
+    expect(bootstrapCI([], mean)).toBeNull()
+  })
+})
@@ -0,0 +1,159 @@
+// ============================================================================
+// AS-OF DATE (time-travel mode, CLI --as-of)
+// ============================================================================
+// One app-wide clock. With an as-of date set, services/cache.js passes every
+// response through asOfView(), which cuts time series at the end of that day
+// (UTC) and recomputes the snapshot totals DeFiLlama derives from them —
+// total24h/7d/30d/1y per protocol from totalDataChartBreakdown, currentChainTvls
+// from chainTvls. Trailing windows elsewhere (unlocks, DCF horizon, Token
+// Terminal date ranges) read nowSeconds() instead of Date.now().
+//
+// Values with no history behind them (TVL on /protocols, CoinGecko snapshots
+// other than markets) stay current.
+
+const DAY_S = 86400
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+/** Earliest selectable date — DeFiLlama fees history starts in 2020. */
+export const EARLIEST_AS_OF = '2020-01-01'
+
+let asOf = null
+
+/** 'YYYY-MM-DD' strictly before today (UTC) and not before EARLIEST_AS_OF. */
+export function isValidAsOf(date) {
+  return typeof date === 'string' && DATE_RE.test(date) && !Number.isNaN(Date.parse(date))
+    && date >= EARLIEST_AS_OF && date < new Date().toISOString().slice(0, 10)
+}
+
+/** Set (or clear, with null / an invalid date) the app-wide as-of date. */
+export function setAsOf(date) {
+  asOf = isValidAsOf(date) ? date : null
+}
+
+/** Current as-of date ('YYYY-MM-DD') or null for live data. */
+export function getAsOf() {
+  return asOf
+}
+
+/** Last second (UTC) of the as-of day, or null for live data. */
+export function asOfCutoff() {
+  return asOf ? Date.parse(asOf) / 1000 + DAY_S - 1 : null
+}
+
+/** "Now" in seconds — the as-of cutoff when one is set. */
+export function nowSeconds() {
+  return asOf ? asOfCutoff() : Date.now() / 1000
+}
+
+// Charts mix seconds (DeFiLlama), millisecond (CoinGecko) and string timestamps
+const toSeconds = (t) => {
+  const n = Number(t)
+  return n > 1e11 ? n / 1000 : n
+}
+
+const isPairSeries = (value) => Array.isArray(value[0]) && Number.isFinite(toSeconds(value[0][0]))
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Breakdown cells are numbers or { chain: number } / { version: number } objects
+const cellValue = (cell) => typeof cell === 'number' ? cell
+  : isRecord(cell) ? Object.values(cell).reduce((s, v) => s + cellValue(v), 0)
+  : 0
+
+// Records stamped with `date` / `timestamp` (historicalChainTvl, stablecoin
+// charts, hacks, raises, fear & greed) or `listedAt` (/protocols)
+function truncateRecords(records, cutoff) {
+  return records.filter(r => {
+    if (!isRecord(r)) return true
+    const stamp = r.date ?? r.timestamp
+    if (stamp !== undefined && toSeconds(stamp) > cutoff) return false
+    return !(r.listedAt > cutoff)
+  })
+}
+
+/**
+ * DeFiLlama's window totals over a daily [[ts, value]] series, ascending.
+ * Keys match the fields of /overview and /summary responses.
+ */
+function windowTotals(series) {
+  const values = series.map(([, v]) => cellValue(v))
+  const sumLast = (n, skip = 0) => values.slice(Math.max(0, values.length - n - skip), values.length - skip).reduce((s, v) => s + v, 0)
+  const change = (current, previous) => previous > 0 ? (current / previous - 1) * 100 : null
+  const total24h = values.length > 0 ? values[values.length - 1] : 0
+  const total48hto24h = sumLast(1, 1)
+  const total7d = sumLast(7)
+  const total14dto7d = sumLast(7, 7)
+  const total30d = sumLast(30)
+  const total60dto30d = sumLast(30, 30)
+  return {
+    total24h, total48hto24h, total7d, total14dto7d, total30d, total60dto30d,
+    total1y: sumLast(365),
+    totalAllTime: sumLast(values.length),
+    change_1d: change(total24h, total48hto24h),
+    change_7d: change(total7d, total14dto7d),
+    change_1m: change(total30d, total60dto30d),
+  }
+}
+
+// Only overwrite fields the response already carries
+function assignTotals(target, totals) {
+  Object.keys(totals).forEach(key => { if (key in target) target[key] = totals[key] })
+}
+
+function truncateDocument(doc, cutoff) {
+  const out = { ...doc }
+  Object.entries(doc).forEach(([key, value]) => {
+    if (!Array.isArray(value) || value.length === 0) return
+    if (isPairSeries(value)) out[key] = value.filter(([t]) => toSeconds(t) <= cutoff)
+    else if (isRecord(value[0])) out[key] = truncateRecords(value, cutoff)
+  })
+
+  // /protocol/{slug}: per-chain TVL histories and the current split derived from them
+  if (isRecord(doc.chainTvls)) {
+    out.chainTvls = Object.fromEntries(Object.entries(doc.chainTvls).map(([chain, v]) => [chain, isRecord(v) ? truncateDocument(v, cutoff) : v]))
+    if (isRecord(doc.currentChainTvls)) {
+      out.currentChainTvls = Object.fromEntries(Object.entries(out.chainTvls)
+        .map(([chain, v]) => [chain, v?.tvl?.[v.tvl.length - 1]?.totalLiquidityUSD || 0])
+        .filter(([, tvl]) => tvl > 0))
+    }
+  }
+
+  // /overview/* and /summary/*: window totals from the truncated daily series
+  if (Array.isArray(out.totalDataChart)) assignTotals(out, windowTotals(out.totalDataChart))
+  if (Array.isArray(out.protocols) && Array.isArray(out.totalDataChartBreakdown)) {
+    const byKey = new Map()
+    out.totalDataChartBreakdown.forEach(([ts, day]) => {
+      if (!isRecord(day)) return
+      Object.entries(day).forEach(([key, cell]) => {
+        if (!byKey.has(key)) byKey.set(key, [])
+        byKey.get(key).push([ts, cell])
+      })
+    })
+    out.protocols = out.protocols.map(p => {
+      const series = byKey.get(p.name) || byKey.get(p.displayName) || byKey.get(p.slug) || []
+      const protocol = { ...p }
+      assignTotals(protocol, windowTotals(series))
+      return protocol
+    })
+  }
+  return out
+}
+
+// Views are derived once per (response, cutoff) — every tab shares the overview payloads
+const views = new WeakMap()
+
+/**
+ * A response as it would have looked at the end of the as-of day.
+ * Returns `data` unchanged when no as-of date is set or it is not an object.
+ * @param {*} data parsed JSON response (never mutated)
+ * @param {number|null} [cutoff] seconds — defaults to the app-wide as-of cutoff
+ */
+export function asOfView(data, cutoff = asOfCutoff()) {
+  if (cutoff === null || data === null || typeof data !== 'object') return data
+  const hit = views.get(data)
+  if (hit?.cutoff === cutoff) return hit.view
+  const view = Array.isArray(data)
+    ? (isPairSeries(data) ? data.filter(([t]) => toSeconds(t) <= cutoff) : truncateRecords(data, cutoff))
+    : truncateDocument(data, cutoff)
+  views.set(data, { cutoff, view })
+  return view
+}
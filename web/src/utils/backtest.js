@@ -0,0 +1,260 @@
+import { asOfView, nowSeconds } from './asOf.js'
+import { computeRevenueScores, computeMoatScores } from './scores.js'
+import { mean, standardDeviation, spearmanCorrelation } from './analytics.js'
+import { TVL_EXTRA_KEYS } from './helpers.js'
+
+// ============================================================================
+// SCORE BACKTEST (Score Backtest tab, CLI export)
+// ============================================================================
+// At every month start the Revenue Score (computeRevenueScores →
+// computeCompositeScore) or the Moat Score (computeMoatScores →
+// computeMoatScore) is recomputed from what was known that day: the fees and
+// revenue overviews cut at the date (asOfView), each protocol's TVL and chain
+// count from its TVL history, and market caps from CoinGecko charts. Scored
+// protocols are split into quintiles; the top and bottom quintile are held
+// equal-weighted until the next rebalance, against the equal-weighted universe.
+//
+// The universe is today's largest fee earners, so results carry survivorship
+// bias; the earnings dimension (no incentive / unlock history) is left out.
+
+const DAY_S = 86400
+const MIN_HISTORY_DAYS = 60 // growth compares two 30-day windows
+const MIN_NAMES = 5 // one per quintile
+
+export const SIGNALS = {
+  revenue: { label: 'Revenue Score', field: 'composite' },
+  moat: { label: 'Moat Score', field: 'moatScore' },
+}
+
+export const PORTFOLIOS = ['top', 'bottom', 'spread', 'universe']
+
+const toSeconds = (t) => t > 1e11 ? t / 1000 : t
+
+// Last value at or before `t` in an ascending [[ts, value]] series
+function valueAt(series, t) {
+  let lo = 0
+  let hi = series.length - 1
+  let hit = -1
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    if (series[mid][0] <= t) { hit = mid; lo = mid + 1 } else hi = mid - 1
+  }
+  return hit >= 0 ? series[hit][1] : null
+}
+
+const pairs = (series) => (Array.isArray(series) ? series : [])
+  .map(([t, v]) => [toSeconds(t), v])
+  .sort((a, b) => a[0] - b[0])
+
+const tvlPairs = (records) => (Array.isArray(records) ? records : [])
+  .map(r => [Number(r.date), r.totalLiquidityUSD || 0])
+  .sort((a, b) => a[0] - b[0])
+
+/** UTC month starts (seconds) in (from, to]. */
+export function monthStarts(from, to) {
+  const out = []
+  const d = new Date(from * 1000)
+  let month = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1) / 1000
+  while (month <= to) {
+    out.push(month)
+    const m = new Date(month * 1000)
+    month = Date.UTC(m.getUTCFullYear(), m.getUTCMonth() + 1, 1) / 1000
+  }
+  return out
+}
+
+// Overviews reduced to the universe's protocols — asOfView recomputes totals
+// per rebalance, so the breakdown it walks should be small
+function slimOverview(overview, universe) {
+  if (!overview) return null
+  const slugs = new Set(universe.map(u => u.slug))
+  const protocols = (overview.protocols || []).filter(p => slugs.has(p.slug))
+  const keys = new Set(protocols.flatMap(p => [p.name, p.displayName, p.slug]).filter(Boolean))
+  return {
+    protocols,
+    totalDataChartBreakdown: (overview.totalDataChartBreakdown || []).map(([ts, day]) => [ts,
+      Object.fromEntries(Object.entries(day || {}).filter(([k]) => keys.has(k)))]),
+  }
+}
+
+/**
+ * Point-in-time series per universe member.
+ * @param {Object} data see fetchBacktestData
+ */
+export function prepareBacktest(data) {
+  const universe = (data?.universe || []).map(u => {
+    const chainTvls = Object.entries(u.detail?.chainTvls || {})
+      .filter(([chain]) => !chain.includes('-') && !TVL_EXTRA_KEYS.has(chain.toLowerCase()))
+      .map(([chain, v]) => ({ chain, tvl: tvlPairs(v?.tvl) }))
+    return {
+      slug: u.slug,
+      name: u.name,
+      geckoId: u.geckoId,
+      protocol: u.protocol || { name: u.name, slug: u.slug },
+      tvl: tvlPairs(u.detail?.tvl),
+      chainTvls,
+      prices: pairs(u.chart?.prices),
+      mcaps: pairs(u.chart?.market_caps),
+    }
+  })
+  return {
+    universe,
+    fees: slimOverview(data?.fees, universe),
+    feesRevenue: slimOverview(data?.feesRevenue, universe),
+  }
+}
+
+// Every scorer input as of `t`
+function snapshotAt(prepared, t) {
+  const protocols = []
+  const markets = []
+  prepared.universe.forEach(u => {
+    const price = valueAt(u.prices, t)
+    protocols.push({
+      ...u.protocol,
+      gecko_id: u.geckoId,
+      tvl: valueAt(u.tvl, t) || 0,
+      chains: u.chainTvls.filter(c => valueAt(c.tvl, t) > 0).map(c => c.chain),
+      mcap: 0,
+    })
+    if (price > 0) {
+      const before = valueAt(u.prices, t - 30 * DAY_S)
+      markets.push({
+        id: u.geckoId,
+        name: u.name,
+        current_price: price,
+        market_cap: valueAt(u.mcaps, t) || 0,
+        price_change_percentage_30d_in_currency: before > 0 ? (price / before - 1) * 100 : null,
+      })
+    }
+  })
+  return {
+    fees: asOfView(prepared.fees, t),
+    feesRevenue: asOfView(prepared.feesRevenue, t),
+    protocols,
+    markets,
+  }
+}
+
+/** Scores by slug at `t` for one signal, under a scoring methodology (default: DEFAULT_METHODOLOGY). */
+export function scoresAt(prepared, t, signal, methodology) {
+  const snap = snapshotAt(prepared, t)
+  const rows = signal === 'moat'
+    ? computeMoatScores({ allProtocols: snap.protocols, fees: snap.fees, markets: snap.markets }, { methodology }).scored
+    : computeRevenueScores(snap, { limit: prepared.universe.length, methodology })
+  const field = SIGNALS[signal].field
+  return new Map(rows.map(r => [r.slug, r[field]]))
+}
+
+function maxDrawdown(curve) {
+  let peak = -Infinity
+  let worst = 0
+  curve.forEach(([, v]) => {
+    peak = Math.max(peak, v)
+    worst = Math.min(worst, v / peak - 1)
+  })
+  return worst
+}
+
+function portfolioStats(returns, benchmark, curve, turnover) {
+  const n = returns.length
+  if (n === 0) return null
+  const sd = n >= 3 ? standardDeviation(returns, { sample: true }) : null
+  const final = curve[curve.length - 1][1]
+  return {
+    periods: n,
+    totalReturn: final - 1,
+    annualized: final > 0 ? Math.pow(final, 12 / n) - 1 : -1,
+    meanReturn: mean(returns),
+    // Portfolios: months beating the universe · universe: positive months
+    hitRate: returns.filter((r, i) => r > (benchmark ? benchmark[i] : 0)).length / n,
+    sharpe: sd > 0 ? mean(returns) / sd * Math.sqrt(12) : null,
+    maxDrawdown: maxDrawdown(curve),
+    turnover,
+  }
+}
+
+// Share of names replaced, averaged over rebalances after the first
+function averageTurnover(holdings) {
+  const changes = holdings.slice(1).map((names, i) => {
+    const previous = new Set(holdings[i])
+    return names.length > 0 ? names.filter(s => !previous.has(s)).length / names.length : 0
+  })
+  return changes.length > 0 ? mean(changes) : null
+}
+
+/**
+ * Run the backtest.
+ * @param {Object} prepared from prepareBacktest
+ * @param {'revenue'|'moat'} signal
+ * @param {{ now?: number, methodology?: Object }} [opts] now: seconds — last date a forward return may end
+ *   (default: the as-of date); methodology: see utils/methodology.js
+ * @returns {{ periods: Array<{ date, end, scored, top, bottom, returns: { top, bottom, spread, universe }, ic }>,
+ *   curves: Object<string, Array<[string, number]>>, stats: Object<string, Object|null>, meanIC, icHitRate }}
+ *   `top`/`bottom` are [{ slug, name, score, ret }]; `curves` start at 1 on the first rebalance
+ */
+export function runBacktest(prepared, signal, { now = nowSeconds(), methodology } = {}) {
+  const start = prepared.fees?.totalDataChartBreakdown?.[0]?.[0]
+  if (!start) return { periods: [], curves: {}, stats: {}, meanIC: null, icHitRate: null }
+  const dates = monthStarts(start + MIN_HISTORY_DAYS * DAY_S, now)
+  const names = new Map(prepared.universe.map(u => [u.slug, u]))
+
+  const periods = []
+  for (let i = 0; i < dates.length - 1; i++) {
+    const t = dates[i]
+    const next = dates[i + 1]
+    const scored = []
+    scoresAt(prepared, t, signal, methodology).forEach((score, slug) => {
+      const u = names.get(slug)
+      const p0 = u && valueAt(u.prices, t)
+      const p1 = u && valueAt(u.prices, next)
+      if (score === null || score === undefined || !(p0 > 0) || !(p1 > 0)) return
+      scored.push({ slug, name: u.name, score, ret: p1 / p0 - 1 })
+    })
+    if (scored.length < MIN_NAMES) continue
+    scored.sort((a, b) => b.score - a.score)
+    const q = Math.max(1, Math.floor(scored.length / 5))
+    const top = scored.slice(0, q)
+    const bottom = scored.slice(-q)
+    const returns = {
+      top: mean(top.map(s => s.ret)),
+      bottom: mean(bottom.map(s => s.ret)),
+      universe: mean(scored.map(s => s.ret)),
+    }
+    returns.spread = returns.top - returns.bottom
+    periods.push({
+      date: new Date(t * 1000).toISOString().slice(0, 10),
+      end: new Date(next * 1000).toISOString().slice(0, 10),
+      scored: scored.length,
+      top,
+      bottom,
+      returns,
+      ic: spearmanCorrelation(scored.map(s => s.score), scored.map(s => s.ret)),
+    })
+  }
+
+  const curves = {}
+  const stats = {}
+  PORTFOLIOS.forEach(key => {
+    let equity = 1
+    curves[key] = periods.length > 0 ? [[periods[0].date, 1]] : []
+    periods.forEach(p => {
+      // A long-short month worse than −100% wipes the book out
+      equity = Math.max(0, equity * (1 + p.returns[key]))
+      curves[key].push([p.end, equity])
+    })
+    const returns = periods.map(p => p.returns[key])
+    const benchmark = key === 'top' || key === 'bottom' ? periods.map(p => p.returns.universe) : null
+    const turnover = key === 'top' || key === 'bottom' ? averageTurnover(periods.map(p => p[key].map(s => s.slug))) : null
+    stats[key] = portfolioStats(returns, benchmark, curves[key], turnover)
+  })
+
+  const ics = periods.map(p => p.ic).filter(ic => ic !== null && Number.isFinite(ic))
+  return {
+    periods,
+    curves,
+    stats,
+    meanIC: ics.length > 0 ? mean(ics) : null,
+    icHitRate: ics.length > 0 ? ics.filter(ic => ic > 0).length / ics.length : null,
+  }
+}
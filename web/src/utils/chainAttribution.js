@@ -0,0 +1,227 @@
+import { categorizeSector } from './helpers.js'
+import { watchKey } from './watchlist.js'
+import { getStaticRegistry } from './registry.js'
+
+// ============================================================================
+// CHAIN ATTRIBUTION (Chain Attribution tab, CLI export)
+// ============================================================================
+// Two directions over the same DeFiLlama fee data. Per protocol: how its fees
+// or revenue split across chains, from /summary/fees' daily breakdown
+// ({ chain: { version: value } }). Per chain: which protocols make up the
+// chain's fee economy, from /overview/fees/{chain}. The chain-level rows also
+// feed the chain → sector → protocol Sankey.
+
+const DAY_S = 86400
+
+/** Chains fetched for the chain-level view and the Sankey (DeFiLlama ids). */
+export const ATTRIBUTION_CHAINS = [
+  { id: 'ethereum', label: 'Ethereum' },
+  { id: 'solana', label: 'Solana' },
+  { id: 'base', label: 'Base' },
+  { id: 'arbitrum', label: 'Arbitrum' },
+  { id: 'bsc', label: 'BSC' },
+  { id: 'tron', label: 'Tron' },
+  { id: 'polygon', label: 'Polygon' },
+  { id: 'avalanche', label: 'Avalanche' },
+]
+
+/** dataType: the /summary and /overview query param (fees need none). */
+export const ATTRIBUTION_METRICS = {
+  revenue: { label: 'Revenue', dataType: 'dailyRevenue' },
+  fees: { label: 'Fees', dataType: null },
+}
+
+/** The 30-day share is compared with the 30 days ending this long before. */
+export const SHIFT_LOOKBACK_DAYS = 90
+
+// Day entry → { chain: value }; versions summed, chains merged case-insensitively
+function sumByChain(byChain, names) {
+  const out = {}
+  Object.entries(byChain || {}).forEach(([chain, perVersion]) => {
+    const total = typeof perVersion === 'number'
+      ? perVersion
+      : Object.values(perVersion || {}).reduce((s, v) => s + (Number(v) || 0), 0)
+    const key = chain.toLowerCase()
+    if (!names.has(key)) names.set(key, chain)
+    out[key] = (out[key] || 0) + total
+  })
+  return out
+}
+
+/**
+ * Daily per-chain values of one protocol.
+ * @param {Object} summary /summary/fees/{slug} response (with totalDataChartBreakdown)
+ * @returns {{ days: Array<{ ts: number, date: string, byChain: Object<string, number> }>, names: Map<string, string> }}
+ *   byChain keyed by lower-cased chain; names maps those keys back to DeFiLlama's spelling
+ */
+export function chainHistory(summary) {
+  const names = new Map()
+  const days = (summary?.totalDataChartBreakdown || [])
+    .filter(entry => Array.isArray(entry) && entry[1] && typeof entry[1] === 'object')
+    .map(([ts, byChain]) => ({ ts, date: new Date(ts * 1000).toISOString().slice(0, 10), byChain: sumByChain(byChain, names) }))
+    .sort((a, b) => a.ts - b.ts)
+  return { days, names }
+}
+
+/**
+ * Trailing-window split of a protocol's fees or revenue by chain, and how each
+ * chain's share moved since the same window `lookback` days earlier.
+ * @param {Object} summary /summary/fees/{slug} response
+ * @param {{ days?: number, lookback?: number }} [opts]
+ * @returns {{ chains: Array<{ chain, value, share, prior, priorShare, shift }>, total, priorTotal, asOf: string }|null}
+ *   share/priorShare in %, shift in percentage points (null without a prior window);
+ *   null when the protocol reports no chain breakdown
+ */
+export function chainShares(summary, { days = 30, lookback = SHIFT_LOOKBACK_DAYS } = {}) {
+  const { days: history, names } = chainHistory(summary)
+  if (history.length === 0) return null
+
+  const end = history[history.length - 1].ts
+  const window = (from, to) => {
+    const totals = {}
+    history.filter(d => d.ts > from && d.ts <= to).forEach(d => {
+      Object.entries(d.byChain).forEach(([chain, v]) => { totals[chain] = (totals[chain] || 0) + v })
+    })
+    return totals
+  }
+  const current = window(end - days * DAY_S, end)
+  const prior = window(end - (lookback + days) * DAY_S, end - lookback * DAY_S)
+  const total = Object.values(current).reduce((s, v) => s + v, 0)
+  const priorTotal = Object.values(prior).reduce((s, v) => s + v, 0)
+  if (total <= 0) return null
+
+  const chains = [...new Set([...Object.keys(current), ...Object.keys(prior)])]
+    .map(key => {
+      const value = current[key] || 0
+      const share = value / total * 100
+      const priorShare = priorTotal > 0 ? (prior[key] || 0) / priorTotal * 100 : null
+      return { chain: names.get(key), value, share, prior: prior[key] || 0, priorShare, shift: priorShare === null ? null : share - priorShare }
+    })
+    .filter(c => c.value > 0 || c.prior > 0)
+    .sort((a, b) => b.value - a.value)
+
+  return { chains, total, priorTotal, asOf: history[history.length - 1].date }
+}
+
+/**
+ * Monthly chain shares of a protocol's fees or revenue (stacked-area input).
+ * The `top` chains by the last 365 days get their own series; the rest are "Other".
+ * @returns {{ months: string[], series: Array<{ chain, values: number[] }>, totals: number[] }|null}
+ *   values: % of the month's total
+ */
+export function chainShareHistory(summary, { top = 6 } = {}) {
+  const { days, names } = chainHistory(summary)
+  if (days.length === 0) return null
+
+  const since = days[days.length - 1].ts - 365 * DAY_S
+  const recent = {}
+  days.filter(d => d.ts > since).forEach(d => {
+    Object.entries(d.byChain).forEach(([chain, v]) => { recent[chain] = (recent[chain] || 0) + v })
+  })
+  const leaders = Object.entries(recent).filter(([, v]) => v > 0).sort((a, b) => b[1] - a[1]).slice(0, top).map(([chain]) => chain)
+
+  const byMonth = new Map()
+  days.forEach(d => {
+    const month = d.date.slice(0, 7)
+    if (!byMonth.has(month)) byMonth.set(month, {})
+    const bucket = byMonth.get(month)
+    Object.entries(d.byChain).forEach(([chain, v]) => {
+      const key = leaders.includes(chain) ? chain : 'other'
+      bucket[key] = (bucket[key] || 0) + v
+    })
+  })
+
+  const months = [...byMonth.keys()].filter(m => Object.values(byMonth.get(m)).reduce((s, v) => s + v, 0) > 0)
+  const totals = months.map(m => Object.values(byMonth.get(m)).reduce((s, v) => s + v, 0))
+  const keys = [...leaders, ...(months.some(m => byMonth.get(m).other > 0) ? ['other'] : [])]
+  const series = keys.map(key => ({
+    chain: key === 'other' ? 'Other' : names.get(key),
+    values: months.map((m, i) => (byMonth.get(m)[key] || 0) / totals[i] * 100),
+  }))
+  return { months, series, totals }
+}
+
+/**
+ * Flat chain × protocol table from per-chain overviews. Protocol versions are
+ * summed into one entity per chain (Aave V2 + V3 → Aave) and named after it, so a
+ * protocol reads the same on every chain and in the Sankey.
+ * @param {Object<string, Object|null>} overviews chain id → /overview/fees/{chain} response
+ * @returns {Array<{ chain, chainLabel, key, name, slug, sector, value, share }>}
+ *   value: trailing 30d; share: % of the chain's total; sorted by chain order, then value
+ */
+export function chainProtocolRows(overviews) {
+  const registry = getStaticRegistry()
+  return ATTRIBUTION_CHAINS.flatMap(({ id, label }) => {
+    const byEntity = new Map()
+    ;(overviews?.[id]?.protocols || []).forEach(p => {
+      if (!(p.total30d > 0)) return
+      const key = watchKey(p.slug || p.name)
+      if (!byEntity.has(key)) byEntity.set(key, [])
+      byEntity.get(key).push(p)
+    })
+
+    const rows = [...byEntity.entries()].map(([key, versions]) => {
+      const lead = [...versions].sort((a, b) => b.total30d - a.total30d)[0]
+      return {
+        chain: id,
+        chainLabel: label,
+        key,
+        name: registry.get(key)?.name || lead.name,
+        slug: lead.slug,
+        sector: categorizeSector(lead.category),
+        value: versions.reduce((s, v) => s + v.total30d, 0),
+      }
+    })
+    const total = rows.reduce((s, r) => s + r.value, 0)
+    return rows.map(r => ({ ...r, share: r.value / total * 100 })).sort((a, b) => b.value - a.value)
+  })
+}
+
+/**
+ * Sankey nodes and links: chain → sector → protocol. Protocols outside the
+ * `topProtocols` largest (summed across chains) merge into "Other <sector>",
+ * so every sector's inflow equals its outflow.
+ * @param {Array} rows chainProtocolRows() output
+ * @returns {{ nodes: Array<{ label, kind: 'chain'|'sector'|'protocol', group: string, value: number }>, links: Array<{ source, target, value }> }}
+ *   group: the chain label, sector name, or (protocols) the sector they belong to
+ */
+export function sankeyFlows(rows, { topProtocols = 25 } = {}) {
+  const protocolTotals = new Map()
+  rows.forEach(r => protocolTotals.set(r.key, (protocolTotals.get(r.key) || 0) + r.value))
+  const leaders = new Set([...protocolTotals.entries()].sort((a, b) => b[1] - a[1]).slice(0, topProtocols).map(([key]) => key))
+
+  const nodes = []
+  const index = new Map()
+  const node = (id, label, kind, group) => {
+    if (!index.has(id)) {
+      index.set(id, nodes.length)
+      nodes.push({ label, kind, group, value: 0 })
+    }
+    return index.get(id)
+  }
+  const linkTotals = new Map()
+  const addLink = (source, target, value) => {
+    const id = `${source}>${target}`
+    linkTotals.set(id, (linkTotals.get(id) || 0) + value)
+  }
+
+  // Chains first, then sectors, then protocols: Plotly places nodes in columns by link depth
+  rows.forEach(r => node(`chain:${r.chain}`, r.chainLabel, 'chain', r.chainLabel))
+  rows.forEach(r => node(`sector:${r.sector}`, r.sector, 'sector', r.sector))
+  rows.forEach(r => {
+    const chain = node(`chain:${r.chain}`)
+    const sector = node(`sector:${r.sector}`)
+    const protocol = leaders.has(r.key)
+      ? node(`protocol:${r.key}`, r.name, 'protocol', r.sector)
+      : node(`other:${r.sector}`, `Other ${r.sector}`, 'protocol', r.sector)
+    addLink(chain, sector, r.value)
+    addLink(sector, protocol, r.value)
+    ;[chain, sector, protocol].forEach(i => { nodes[i].value += r.value })
+  })
+
+  const links = [...linkTotals.entries()].map(([id, value]) => {
+    const [source, target] = id.split('>').map(Number)
+    return { source, target, value }
+  })
+  return { nodes, links }
+}
@@ -0,0 +1,132 @@
+import { dailyMultiples } from './multiples.js'
+
+// ============================================================================
+// PROTOCOL COMPARISON (Compare tab)
+// ============================================================================
+// Puts 2–6 protocols on the same axes: each metric becomes a date → value map
+// per protocol, optionally smoothed with a trailing average, then aligned on
+// the union of dates. "Indexed" rebases every line to 100 on the first date
+// all plotted protocols have a value, so growth is comparable across sizes.
+
+export const COMPARE_LIMITS = { min: 2, max: 6 }
+export const ROLLING_WINDOWS = [1, 7, 30]
+
+/**
+ * `snapshot`: how the latest-values table reads the series — 'sum' of the
+ * last 30 days, 'mean' of the last 30 days or the 'last' value.
+ */
+export const COMPARE_METRICS = [
+  { key: 'fees', label: 'Fees', unit: 'usd', snapshot: 'sum', source: 'DeFiLlama' },
+  { key: 'revenue', label: 'Revenue', unit: 'usd', snapshot: 'sum', source: 'DeFiLlama' },
+  { key: 'tvl', label: 'TVL', unit: 'usd', snapshot: 'last', source: 'DeFiLlama' },
+  { key: 'mcap', label: 'Market Cap', unit: 'usd', snapshot: 'last', source: 'CoinGecko' },
+  { key: 'ps', label: 'P/S', unit: 'multiple', snapshot: 'last', source: 'DeFiLlama + CoinGecko' },
+  { key: 'users', label: 'Users', unit: 'count', snapshot: 'mean', source: 'DeFiLlama' },
+  { key: 'dev', label: 'Dev Activity', unit: 'count', snapshot: 'mean', source: 'Santiment' },
+  { key: 'social', label: 'Social Volume', unit: 'count', snapshot: 'mean', source: 'Santiment' },
+]
+
+const dayOf = (ts) => new Date(ts > 1e12 ? ts : ts * 1000).toISOString().slice(0, 10)
+
+// [[ts, value]] (seconds or ms) → Map(date → value), same-day values summed
+function pairsToMap(pairs) {
+  const map = new Map()
+  ;(Array.isArray(pairs) ? pairs : []).forEach(row => {
+    if (!Array.isArray(row)) return
+    const v = Number(row[1])
+    if (!Number.isFinite(v)) return
+    const day = dayOf(row[0])
+    map.set(day, (map.get(day) || 0) + v)
+  })
+  return map
+}
+
+// Levels (market cap, TVL) keep the day's last reading rather than a sum
+function levelsToMap(pairs) {
+  const map = new Map()
+  ;(Array.isArray(pairs) ? pairs : []).forEach(([ts, v]) => { if (v > 0) map.set(dayOf(ts), v) })
+  return map
+}
+
+// Santiment timeseriesData: [{ datetime, value }]
+const santimentToMap = (rows) => new Map((Array.isArray(rows) ? rows : [])
+  .filter(r => r?.datetime && Number.isFinite(r.value))
+  .map(r => [r.datetime.slice(0, 10), r.value]))
+
+/**
+ * Date → value maps for every COMPARE_METRICS key.
+ * @param {Object} raw see fetchCompareProtocol
+ * @returns {Object<string, Map<string, number>>}
+ */
+export function protocolSeries(raw) {
+  const ps = dailyMultiples(raw?.fees, raw?.chart) || []
+  return {
+    fees: pairsToMap(raw?.fees?.totalDataChart),
+    revenue: pairsToMap(raw?.revenue?.totalDataChart),
+    tvl: levelsToMap((raw?.detail?.tvl || []).map(d => [d.date, d.totalLiquidityUSD])),
+    mcap: levelsToMap(raw?.chart?.market_caps),
+    ps: new Map(ps.map(d => [d.date, d.multiple])),
+    users: pairsToMap(raw?.users),
+    dev: santimentToMap(raw?.dev),
+    social: santimentToMap(raw?.social),
+  }
+}
+
+// Trailing mean over the last `window` observations
+function smooth(map, window) {
+  if (window <= 1) return map
+  const dates = [...map.keys()].sort()
+  const out = new Map()
+  let sum = 0
+  dates.forEach((d, i) => {
+    sum += map.get(d) - (i >= window ? map.get(dates[i - window]) : 0)
+    out.set(d, sum / Math.min(i + 1, window))
+  })
+  return out
+}
+
+/**
+ * One metric for several protocols on a shared date axis.
+ * @param {Array<{ slug, name, series }>} protocols series from protocolSeries()
+ * @param {string} metric COMPARE_METRICS key
+ * @param {{ indexed?: boolean, rolling?: number }} [opts]
+ * @returns {{ dates: string[], lines: Array<{ slug, name, values: Array<number|null> }>, missing: string[], base: string|null }}
+ *   lines only for protocols with data (the others are named in `missing`);
+ *   base: the rebasing date when indexed
+ */
+export function alignMetric(protocols, metric, { indexed = false, rolling = 1 } = {}) {
+  const withData = []
+  const missing = []
+  protocols.forEach(p => {
+    const map = p.series?.[metric]
+    if (map && map.size > 0) withData.push({ ...p, map: smooth(map, rolling) })
+    else missing.push(p.name)
+  })
+
+  const allDates = [...new Set(withData.flatMap(p => [...p.map.keys()]))].sort()
+  // Indexing needs a strictly positive value on the common start date
+  const base = indexed ? allDates.find(d => withData.every(p => p.map.get(d) > 0)) || null : null
+  const dates = base ? allDates.filter(d => d >= base) : allDates
+  const lines = withData.map(p => {
+    const scale = base ? 100 / p.map.get(base) : 1
+    return { slug: p.slug, name: p.name, values: dates.map(d => p.map.has(d) ? p.map.get(d) * scale : null) }
+  })
+
+  return { dates, lines, missing, base }
+}
+
+/**
+ * Latest reading per metric, per each metric's `snapshot` rule.
+ * @returns {Object<string, number|null>}
+ */
+export function latestSnapshot(series) {
+  return Object.fromEntries(COMPARE_METRICS.map(m => {
+    const map = series?.[m.key]
+    if (!map || map.size === 0) return [m.key, null]
+    const dates = [...map.keys()].sort()
+    if (m.snapshot === 'last') return [m.key, map.get(dates[dates.length - 1])]
+    const last30 = dates.slice(-30).map(d => map.get(d))
+    const total = last30.reduce((s, v) => s + v, 0)
+    return [m.key, m.snapshot === 'mean' ? total / last30.length : total]
+  }))
+}
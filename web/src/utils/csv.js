@@ -1,10 +1,9 @@
 /**
- * Download data as a CSV file.
- * @param {string} filename - File name (without .csv extension)
+ * Serialize headers + rows as RFC 4180 CSV text.
  * @param {string[]} headers - Column headers
  * @param {Array<Array<string|number>>} rows - Row data
  */
-export function downloadCSV(filename, headers, rows) {
+export function toCSV(headers, rows) {
   const escape = (val) => {
     if (val === null || val === undefined) return ''
     const s = String(val)
@@ -13,10 +12,20 @@ export function downloadCSV(filename, headers, rows) {
       : s
   }
 
-  const csv = [
+  return [
     headers.map(escape).join(','),
     ...rows.map(row => row.map(escape).join(',')),
   ].join('\n')
+}
+
+/**
+ * Download data as a CSV file.
+ * @param {string} filename - File name (without .csv extension)
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array<string|number>>} rows - Row data
+ */
+export function downloadCSV(filename, headers, rows) {
+  const csv = toCSV(headers, rows)
 
   const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
   const url = URL.createObjectURL(blob)
@@ -26,3 +35,18 @@ export function downloadCSV(filename, headers, rows) {
   a.click()
   URL.revokeObjectURL(url)
 }
+
+/**
+ * Download text as a JSON file.
+ * @param {string} filename - File name (without .json extension)
+ * @param {string} text - Serialized JSON
+ */
+export function downloadJSON(filename, text) {
+  const blob = new Blob([text], { type: 'application/json;charset=utf-8;' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `${filename}.json`
+  a.click()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,212 @@
+import { emissionDocument } from './earnings.js'
+import { nowSeconds } from './asOf.js'
+import { createLocalCollection } from './localCollection.js'
+
+// ============================================================================
+// DCF VALUATION (DCF Valuation tab)
+// ============================================================================
+// Fees grow at `growth` for `years`, holders keep `takeRate` of them, each
+// year's cash flow is discounted at `discountRate` and the final year's is
+// capitalized at `terminalMultiple`. Tokens unlocking over the horizon share
+// that value with today's holders:
+//
+//   fair market cap = (Σ PV(cash flows) + PV(terminal value))
+//                     × circulating / (circulating + unlocks over the horizon)
+
+const DAY_S = 86400
+const YEAR_S = 365 * DAY_S
+
+/** Assumption fields, in percent except `years` and `terminalMultiple`. */
+export const ASSUMPTION_FIELDS = [
+  { key: 'growth', label: 'Fee growth', unit: '%/yr', min: -50, max: 200, step: 5 },
+  { key: 'takeRate', label: 'Take rate', unit: '% of fees', min: 0, max: 100, step: 1 },
+  { key: 'discountRate', label: 'Discount rate', unit: '%', min: 1, max: 60, step: 1 },
+  { key: 'terminalMultiple', label: 'Terminal multiple', unit: 'x earnings', min: 1, max: 60, step: 1 },
+  { key: 'years', label: 'Horizon', unit: 'years', min: 1, max: 10, step: 1 },
+]
+
+const sumLast = (series, days) => series.slice(-days).reduce((s, [, v]) => s + (v || 0), 0)
+
+/**
+ * Cumulative tokens unlocked over time, all allocations summed.
+ * @returns {Array<[number, number]>} [timestamp (s), unlocked] ascending
+ */
+export function unlockCurve(rawEmission) {
+  const doc = emissionDocument(rawEmission)
+  const sections = (doc?.documentedData?.data || doc?.data || []).filter(s => Array.isArray(s.data) && s.data.length > 0)
+  const timestamps = [...new Set(sections.flatMap(s => s.data.map(d => d.timestamp)))].sort((a, b) => a - b)
+  return timestamps.map(ts => [ts, sections.reduce((sum, s) => sum + unlockedAt(s.data.map(d => [d.timestamp, d.unlocked || 0]), ts), 0)])
+}
+
+// Step lookup: last point at or before `ts`
+function unlockedAt(curve, ts) {
+  let value = 0
+  for (const [t, v] of curve) {
+    if (t > ts) break
+    value = v
+  }
+  return value
+}
+
+/**
+ * Starting point of the model, from the protocol's own DeFiLlama history.
+ * @param {Object} data see fetchDcfData
+ * @returns {{ trailingFees, trailingHolders, takeRate, mcap, price, circulatingSupply, unlocks, historyDays }}
+ *   trailing figures sum the last 365 days (annualized when the history is shorter);
+ *   takeRate is holders revenue / fees in percent, null without holders revenue
+ */
+export function seedFromData(data) {
+  const fees = data?.fees?.totalDataChart || []
+  const holders = data?.holders?.totalDataChart || []
+  const days = Math.min(365, fees.length)
+  const annualize = days > 0 ? 365 / days : 0
+  const trailingFees = sumLast(fees, days) * annualize
+  const trailingHolders = holders.length > 0 ? sumLast(holders, Math.min(365, holders.length)) * (365 / Math.min(365, holders.length)) : null
+  const market = data?.market
+  return {
+    trailingFees,
+    trailingHolders,
+    takeRate: trailingFees > 0 && trailingHolders !== null ? Math.min(100, trailingHolders / trailingFees * 100) : null,
+    mcap: market?.market_cap || 0,
+    price: market?.current_price || 0,
+    circulatingSupply: market?.circulating_supply || 0,
+    unlocks: unlockCurve(data?.emission),
+    historyDays: fees.length,
+  }
+}
+
+/** Round-number defaults seeded with the protocol's own take rate. */
+export function defaultAssumptions(seed) {
+  return {
+    growth: 20,
+    takeRate: seed?.takeRate !== null && seed?.takeRate !== undefined ? Math.round(seed.takeRate) : 10,
+    discountRate: 20,
+    terminalMultiple: 15,
+    years: 5,
+  }
+}
+
+/**
+ * Run the model.
+ * @param {Object} seed from seedFromData
+ * @param {Object} a assumptions (see ASSUMPTION_FIELDS)
+ * @param {number} [now] seconds — start of the unlock horizon (default: the as-of date)
+ * @returns {{ rows: Array<{ year, fees, cashFlow, discounted }>, pvCashFlows, terminalValue, pvTerminal,
+ *   equityValue, newTokens, holderShare, fairMcap, fairPrice, upside }}
+ *   fairPrice/upside are null without circulating supply / market cap
+ */
+export function runDcf(seed, a, now = nowSeconds()) {
+  const g = a.growth / 100
+  const r = a.discountRate / 100
+  const years = Math.max(1, Math.round(a.years))
+  const rows = []
+  for (let year = 1; year <= years; year++) {
+    const fees = seed.trailingFees * Math.pow(1 + g, year)
+    const cashFlow = fees * a.takeRate / 100
+    rows.push({ year, fees, cashFlow, discounted: cashFlow / Math.pow(1 + r, year) })
+  }
+  const pvCashFlows = rows.reduce((s, row) => s + row.discounted, 0)
+  const terminalValue = rows[rows.length - 1].cashFlow * a.terminalMultiple
+  const pvTerminal = terminalValue / Math.pow(1 + r, years)
+  const equityValue = pvCashFlows + pvTerminal
+
+  const newTokens = seed.unlocks.length > 0
+    ? Math.max(0, unlockedAt(seed.unlocks, now + years * YEAR_S) - unlockedAt(seed.unlocks, now))
+    : 0
+  const holderShare = seed.circulatingSupply > 0 ? seed.circulatingSupply / (seed.circulatingSupply + newTokens) : 1
+  const fairMcap = equityValue * holderShare
+
+  return {
+    rows,
+    pvCashFlows,
+    terminalValue,
+    pvTerminal,
+    equityValue,
+    newTokens,
+    holderShare,
+    fairMcap,
+    fairPrice: seed.circulatingSupply > 0 ? fairMcap / seed.circulatingSupply : null,
+    upside: seed.mcap > 0 ? fairMcap / seed.mcap - 1 : null,
+  }
+}
+
+/**
+ * Upside (fair / current market cap − 1) over a grid of two assumptions,
+ * centred on the current values.
+ * @returns {{ rowValues: number[], colValues: number[], cells: Array<Array<number|null>> }}
+ */
+export function sensitivityGrid(seed, a, rowKey, colKey, now = nowSeconds()) {
+  const steps = { growth: 10, takeRate: 5, discountRate: 3, terminalMultiple: 5, years: 1 }
+  const field = (key) => ASSUMPTION_FIELDS.find(f => f.key === key)
+  const around = (key) => [-2, -1, 0, 1, 2]
+    .map(i => a[key] + i * steps[key])
+    .filter(v => v >= field(key).min && v <= field(key).max)
+  const rowValues = around(rowKey)
+  const colValues = around(colKey)
+  const cells = rowValues.map(rv => colValues.map(cv =>
+    runDcf(seed, { ...a, [rowKey]: rv, [colKey]: cv }, now).upside))
+  return { rowValues, colValues, cells }
+}
+
+// ============================================================================
+// Saved scenarios — persisted locally, portable as JSON
+// ============================================================================
+
+const collection = createLocalCollection({
+  key: 'dcf-scenarios',
+  field: 'scenarios',
+  idPrefix: 'dcf',
+  sanitize: sanitizeScenario,
+  exportFields: ['name', 'slug', 'author', 'notes', 'savedAt', 'assumptions'],
+  // Same protocol + name + author → replaced
+  identity: (s) => `${s.slug}|${s.name.toLowerCase()}|${s.author.toLowerCase()}`,
+  fromImport: (parsed) => parsed?.assumptions ? [parsed] : null,
+  expected: '{ scenarios: [...] } or a single scenario',
+})
+
+function sanitizeScenario(s) {
+  if (!s || typeof s.name !== 'string' || typeof s.slug !== 'string' || !s.assumptions) return null
+  const assumptions = {}
+  for (const { key, min, max } of ASSUMPTION_FIELDS) {
+    const v = Number(s.assumptions[key])
+    if (!Number.isFinite(v)) return null
+    assumptions[key] = Math.max(min, Math.min(max, v))
+  }
+  return {
+    id: typeof s.id === 'string' ? s.id : collection.newId(),
+    name: s.name.trim() || 'Untitled',
+    slug: s.slug.trim().toLowerCase(),
+    author: typeof s.author === 'string' ? s.author : '',
+    notes: typeof s.notes === 'string' ? s.notes : '',
+    savedAt: typeof s.savedAt === 'string' ? s.savedAt : new Date().toISOString(),
+    assumptions,
+  }
+}
+
+export function loadScenarios() {
+  return collection.items(collection.read())
+}
+
+export function saveScenarios(scenarios) {
+  collection.save(scenarios)
+}
+
+export function createScenario({ name, slug, author, notes, assumptions }) {
+  return sanitizeScenario({ id: collection.newId(), name, slug, author, notes, assumptions, savedAt: new Date().toISOString() })
+}
+
+/**
+ * Parse an exported file: { scenarios: [...] } or a single scenario. Throws on anything else.
+ */
+export function parseScenarioImport(text) {
+  return collection.parseImport(text)
+}
+
+/** Merge imported scenarios: same protocol + name + author → replaced, otherwise appended. */
+export function mergeScenarios(scenarios, imported) {
+  return collection.merge(scenarios, imported)
+}
+
+export function exportScenarios(scenarios) {
+  return collection.exportJSON(scenarios)
+}
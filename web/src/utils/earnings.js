@@ -0,0 +1,110 @@
+import { getRegistry } from './registry.js'
+import { sumByProject } from './reconciliation.js'
+import { nowSeconds } from './asOf.js'
+
+// ============================================================================
+// EARNINGS (Valuations tab P/E, Revenue Score earnings dimension, CLI export)
+// ============================================================================
+// What token holders keep after the protocol pays for growth, annualized USD,
+// per registry entity (DeFiLlama versions of one protocol are summed):
+//
+//   earnings = holders revenue − token incentives − unlock dilution
+//
+//   holders revenue  DeFiLlama dailyHoldersRevenue, trailing 30d
+//   token incentives Token Terminal token_incentives, trailing 30d
+//   unlock dilution  tokens unlocked over the trailing year (DeFiLlama
+//                    emissions) × current price
+//
+// When Token Terminal reports incentives, unlocks of the 'farming' allocation
+// are left out of the dilution — they are the same tokens.
+
+const DAY_S = 86400
+const YEAR_S = 365 * DAY_S
+
+// Allocations DeFiLlama uses for liquidity mining / user rewards
+const INCENTIVE_CATEGORIES = new Set(['farming'])
+
+const sum = (values) => values.reduce((s, v) => s + (Number(v) || 0), 0)
+
+/**
+ * Tokens unlocked over the year before `now` (seconds, default: the as-of date). Falls back to the
+ * current daily unlock rate when the schedule has no events.
+ * @param {Object} emission one entry of DeFiLlama /emissions
+ * @param {{ excludeIncentives?: boolean, now?: number }} [opts]
+ */
+export function trailingUnlocks(emission, { excludeIncentives = false, now = nowSeconds() } = {}) {
+  if (!Array.isArray(emission?.events) || emission.events.length === 0) {
+    return (Number(emission?.unlocksPerDay) || 0) * 365
+  }
+  return sum(emission.events
+    .filter(e => e.timestamp > now - YEAR_S && e.timestamp <= now)
+    .filter(e => !(excludeIncentives && INCENTIVE_CATEGORIES.has(e.category)))
+    .map(e => Array.isArray(e.noOfTokens) ? sum(e.noOfTokens) : e.noOfTokens))
+}
+
+/** DeFiLlama /emission/{protocol} payloads wrap the document in a JSON string `body`. */
+export function emissionDocument(raw) {
+  if (!raw) return null
+  if (typeof raw.body === 'string') {
+    try { return JSON.parse(raw.body) } catch { return null }
+  }
+  return raw.body || raw
+}
+
+// 'coingecko:lido-dao' → 'lido-dao'
+const geckoIdOf = (emission) => emission.gecko_id || (emission.token || '').replace(/^coingecko:/, '') || null
+
+/**
+ * Annualized earnings per entity.
+ * @param {Object} data { feesHolders, emissions, tokenIncentives, protocols, markets } — raw payloads
+ *   (see fetchEarningsInputs); any may be null
+ * @returns {Map<string, { name, slug, holdersRevenue, incentives, dilution, earnings, margin, mcap, peRatio }>}
+ *   keyed by entity id — only entities with holders revenue. `incentives` is null when
+ *   Token Terminal does not cover the protocol; `margin` = earnings / holders revenue.
+ */
+export function computeEarnings(data) {
+  const registry = getRegistry(data?.protocols || [], Array.isArray(data?.markets) ? data.markets : [])
+  const out = new Map()
+
+  ;(data?.feesHolders?.protocols || []).forEach(p => {
+    const annualized = p.total30d > 0 ? p.total30d * 365 / 30 : (p.total24h || 0) * 365
+    const entity = registry.resolve(p)
+    if (!entity || !(annualized > 0)) return
+    const entry = out.get(entity.id) || {
+      name: entity.name, slug: p.slug, top: 0, holdersRevenue: 0, incentives: null, dilution: 0,
+      mcap: entity.market?.market_cap || 0, price: entity.market?.current_price || 0,
+    }
+    entry.holdersRevenue += annualized
+    // Largest deployment stands in for the entity (protocol deep-dive link)
+    if (annualized > entry.top) {
+      entry.top = annualized
+      entry.slug = p.slug
+    }
+    out.set(entity.id, entry)
+  })
+
+  sumByProject(data?.tokenIncentives).forEach(({ name, value, days }, projectId) => {
+    const entity = registry.resolve(projectId, 'tokenTerminal') || registry.resolve(name, 'name')
+    const entry = entity && out.get(entity.id)
+    if (!entry || days === 0) return
+    entry.incentives = (entry.incentives || 0) + value * 365 / days
+  })
+
+  ;(Array.isArray(data?.emissions) ? data.emissions : []).forEach(emission => {
+    const geckoId = geckoIdOf(emission)
+    const entity = (geckoId && registry.resolve(geckoId, 'gecko')) || registry.resolve(emission.name, 'name')
+    const entry = entity && out.get(entity.id)
+    if (!entry) return
+    const price = entry.price || Number(emission.tPrice) || 0
+    entry.dilution += trailingUnlocks(emission, { excludeIncentives: entry.incentives !== null }) * price
+  })
+
+  out.forEach(entry => {
+    entry.earnings = entry.holdersRevenue - (entry.incentives || 0) - entry.dilution
+    entry.margin = entry.earnings / entry.holdersRevenue
+    entry.peRatio = entry.mcap > 0 && entry.earnings > 0 ? entry.mcap / entry.earnings : null
+    delete entry.price
+    delete entry.top
+  })
+  return out
+}
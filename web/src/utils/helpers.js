@@ -204,3 +204,6 @@ export function groupByCategory(protocols) {
   }
   return groups
 }
+
+// Non-chain keys in DeFiLlama's chainTvls / currentChainTvls
+export const TVL_EXTRA_KEYS = new Set(['borrowed', 'staking', 'pool2', 'vesting', 'treasury', 'offers', 'doublecounted', 'liquidstaking', 'dcandlsoverlap', 'owntokens'])
@@ -0,0 +1,93 @@
+// ============================================================================
+// Local collections — user-saved items persisted locally, portable as JSON
+// ============================================================================
+// Watchlists, DCF scenarios, scoring methodologies and peer groups share one
+// shape: a sanitized array of named items under a localStorage key, exported
+// as { version: 1, exportedAt, <field>: [...] } and merged back on import.
+
+/**
+ * localStorage key for user data. Deliberately not rc_*: clearCache() wipes
+ * every rc_* key, and saved work must survive a cache reset.
+ */
+export function localStorageKey(name) {
+  return `revenue-codex:${name}`
+}
+
+/**
+ * @param {Object} spec
+ * @param {string} spec.key          storage name (see localStorageKey)
+ * @param {string} spec.field        array property of the stored and exported document
+ * @param {string} spec.idPrefix     prefix of generated ids
+ * @param {(item: Object) => Object|null} spec.sanitize  clean item, or null to drop it
+ * @param {string[]} spec.exportFields  properties written by exportJSON (ids are local)
+ * @param {(item: Object) => string} [spec.identity]  merge key; defaults to the lower-cased name
+ * @param {(existing: Object, incoming: Object) => Object} [spec.combine]  merge of two items
+ *   with the same identity; defaults to the incoming item under the existing id
+ * @param {(parsed: any) => Array|null} [spec.fromImport]  items of a non-export import
+ *   (a single item, a bare list), or null when the file is not recognised
+ * @param {string} [spec.expected]   accepted import shapes, for the error message
+ * @param {string} [spec.label]      plural item name for error messages; defaults to `field`
+ */
+export function createLocalCollection({
+  key, field, idPrefix, sanitize, exportFields,
+  identity = (item) => item.name.toLowerCase(),
+  combine = (existing, incoming) => ({ ...incoming, id: existing.id }),
+  fromImport = () => null,
+  expected = `{ ${field}: [...] }`,
+  label = field,
+}) {
+  const storageKey = localStorageKey(key)
+  let nextId = Date.now()
+  const newId = () => `${idPrefix}-${(nextId++).toString(36)}`
+  const clean = (items) => items.map(sanitize).filter(Boolean)
+
+  return {
+    newId,
+
+    /** The stored document, or null when nothing readable is stored */
+    read() {
+      try {
+        return JSON.parse(localStorage.getItem(storageKey))
+      } catch {
+        return null
+      }
+    },
+
+    /** Valid items of a stored document */
+    items(doc) {
+      return Array.isArray(doc?.[field]) ? clean(doc[field]) : []
+    },
+
+    /** Persist a document; a bare items array is stored as { version: 1, <field>: items } */
+    save(doc) {
+      const value = Array.isArray(doc) ? { version: 1, [field]: doc } : doc
+      try { localStorage.setItem(storageKey, JSON.stringify(value)) } catch {}
+    },
+
+    /** Parse an exported file (or a shape fromImport accepts). Throws on anything else. */
+    parseImport(text) {
+      const parsed = JSON.parse(text)
+      const list = Array.isArray(parsed?.[field]) ? parsed[field] : fromImport(parsed)
+      if (!list) throw new Error(`Expected ${expected}`)
+      const valid = clean(list)
+      if (valid.length === 0) throw new Error(`No valid ${label} found`)
+      return valid
+    },
+
+    /** Merge imported items: same identity → combined, otherwise appended under a free id. */
+    merge(items, imported) {
+      const out = [...items]
+      imported.forEach(inc => {
+        const i = out.findIndex(item => identity(item) === identity(inc))
+        if (i >= 0) out[i] = combine(out[i], inc)
+        else out.push({ ...inc, id: out.some(item => item.id === inc.id) ? newId() : inc.id })
+      })
+      return out
+    },
+
+    exportJSON(items) {
+      const pick = (item) => Object.fromEntries(exportFields.map(f => [f, item[f]]))
+      return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), [field]: items.map(pick) }, null, 2)
+    },
+  }
+}
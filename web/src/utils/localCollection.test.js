@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createLocalCollection, localStorageKey } from './localCollection.js'
+
+const store = new Map()
+globalThis.localStorage = {
+  getItem: (k) => (store.has(k) ? store.get(k) : null),
+  setItem: (k, v) => store.set(k, String(v)),
+  removeItem: (k) => store.delete(k),
+}
+
+const notes = createLocalCollection({
+  key: 'test-notes',
+  field: 'notes',
+  idPrefix: 'n',
+  sanitize: (n) => (n && typeof n.name === 'string' ? { id: n.id ?? notes.newId(), name: n.name, text: String(n.text ?? '') } : null),
+  exportFields: ['name', 'text'],
+  fromImport: (parsed) => (parsed?.name ? [parsed] : null),
+  expected: '{ notes: [...] } or a single note',
+})
+
+describe('local collections', () => {
+  beforeEach(() => store.clear())
+
+  it('stores user data outside the rc_ cache namespace', () => {
+    notes.save([{ id: 'a', name: 'One', text: '' }])
+    expect([...store.keys()]).toEqual([localStorageKey('test-notes')])
+    expect(localStorageKey('test-notes').startsWith('rc_')).toBe(false)
+    expect(notes.items(notes.read())).toEqual([{ id: 'a', name: 'One', text: '' }])
+  })
+
+  it('reads nothing from missing or corrupt storage', () => {
+    expect(notes.read()).toBeNull()
+    store.set(localStorageKey('test-notes'), '{not json')
+    expect(notes.read()).toBeNull()
+    expect(notes.items(null)).toEqual([])
+  })
+
+  it('round-trips an export without local ids', () => {
+    const json = notes.exportJSON([{ id: 'a', name: 'One', text: 'x' }])
+    expect(JSON.parse(json).notes).toEqual([{ name: 'One', text: 'x' }])
+    const [imported] = notes.parseImport(json)
+    expect(imported.name).toBe('One')
+    expect(imported.id).toMatch(/^n-/)
+  })
+
+  it('accepts the extra import shapes and rejects the rest', () => {
+    expect(notes.parseImport('{"name":"Solo"}')).toHaveLength(1)
+    expect(() => notes.parseImport('{"other":1}')).toThrow('Expected { notes: [...] } or a single note')
+    expect(() => notes.parseImport('{"notes":[{}]}')).toThrow('No valid notes found')
+  })
+
+  it('replaces items with the same name and re-ids colliding appends', () => {
+    const items = [{ id: 'a', name: 'One', text: 'old' }]
+    const merged = notes.merge(items, [{ id: 'b', name: 'one', text: 'new' }, { id: 'a', name: 'Two', text: '' }])
+    expect(merged[0]).toEqual({ id: 'a', name: 'one', text: 'new' })
+    expect(merged[1].name).toBe('Two')
+    expect(merged[1].id).not.toBe('a')
+  })
+})
@@ -0,0 +1,318 @@
+import { createLocalCollection } from './localCollection.js'
+
+// ============================================================================
+// SCORING METHODOLOGY (Scoring Methodology tab, CLI --methodology)
+// ============================================================================
+// A methodology is the set of dimensions behind the Revenue Score and the Moat
+// Score, each with a weight (its maximum points) and the parameters of its
+// scoring curve, plus the Moat rating thresholds. utils/scores.js reads every
+// number from one; DEFAULT_METHODOLOGY reproduces the original hard-coded
+// 25/25/20/15/15/15 and 4×25 scores exactly.
+//
+// Composites stay on a 0–100 scale whatever the weights: the Revenue Score is
+// the share of available points, the Moat Score the share of all points.
+
+/**
+ * Revenue Score dimensions. `params` are the curve's knobs (units in `unit`);
+ * `defaults` holds the weight and curve of a newly added dimension.
+ */
+export const REVENUE_DIMENSIONS = [
+  {
+    key: 'sustainability', label: 'Sustainability', description: 'Low volatility of daily revenue (coefficient of variation)',
+    params: [{ key: 'maxCv', label: 'Zero score at CV', unit: '', min: 0.5, max: 5, step: 0.1 }],
+    defaults: { weight: 25, maxCv: 2 },
+  },
+  {
+    key: 'takeRate', label: 'Take Rate', description: 'Share of fees kept as protocol revenue',
+    params: [{ key: 'fullAt', label: 'Full score at', unit: '% of fees', min: 5, max: 100, step: 5 }],
+    defaults: { weight: 25, fullAt: 100 },
+  },
+  {
+    key: 'growth', label: 'Growth', description: 'Last 30 days of revenue vs the 30 before',
+    params: [
+      { key: 'floor', label: 'Zero score at', unit: '% growth', min: -100, max: 0, step: 5 },
+      { key: 'ceiling', label: 'Full score at', unit: '% growth', min: 10, max: 500, step: 10 },
+    ],
+    defaults: { weight: 20, floor: -100, ceiling: 100 },
+  },
+  {
+    key: 'efficiency', label: 'Efficiency', description: 'Annualized fees per dollar of TVL',
+    params: [{ key: 'fullAt', label: 'Full score at', unit: '% of TVL', min: 1, max: 100, step: 1 }],
+    defaults: { weight: 15, fullAt: 20 },
+  },
+  {
+    key: 'valuation', label: 'Valuation', description: 'P/S against the sector median — full score inside the fair band, tapering outside it',
+    params: [
+      { key: 'fairLow', label: 'Fair band from', unit: '× median', min: 0.05, max: 1, step: 0.05 },
+      { key: 'fairHigh', label: 'Fair band to', unit: '× median', min: 1, max: 5, step: 0.25 },
+    ],
+    defaults: { weight: 15, fairLow: 0.5, fairHigh: 2 },
+  },
+  {
+    key: 'earnings', label: 'Earnings', description: 'Margin left to holders after incentives and unlock dilution — half score at break-even',
+    params: [
+      { key: 'zeroAt', label: 'Zero score at', unit: '% margin', min: -500, max: -10, step: 10 },
+      { key: 'fullAt', label: 'Full score at', unit: '% margin', min: 10, max: 100, step: 5 },
+    ],
+    defaults: { weight: 15, zeroAt: -100, fullAt: 50 },
+  },
+  {
+    key: 'scale', label: 'Scale', description: 'Annualized fees on a log scale',
+    params: [
+      { key: 'floor', label: 'Zero score at', unit: '$M / yr', min: 0.1, max: 100, step: 0.1 },
+      { key: 'fullAt', label: 'Full score at', unit: '$M / yr', min: 10, max: 10000, step: 10 },
+    ],
+    defaults: { weight: 10, floor: 1, fullAt: 1000 },
+  },
+]
+
+/** Moat Score dimensions, same shape as REVENUE_DIMENSIONS. */
+export const MOAT_DIMENSIONS = [
+  {
+    key: 'tvlDominance', label: 'TVL Dominance', description: "Share of its sector's TVL",
+    params: [{ key: 'fullAt', label: 'Full score at', unit: '% share', min: 1, max: 100, step: 1 }],
+    defaults: { weight: 25, fullAt: 10 },
+  },
+  {
+    key: 'consistency', label: 'Consistency', description: '7-day revenue against 7× the last day',
+    params: [],
+    defaults: { weight: 25 },
+  },
+  {
+    key: 'multiChain', label: 'Multi-Chain', description: 'Number of chains deployed on',
+    params: [{ key: 'fullAt', label: 'Full score at', unit: 'chains', min: 1, max: 50, step: 1 }],
+    defaults: { weight: 25, fullAt: 25 / 3 },
+  },
+  {
+    key: 'efficiency', label: 'Efficiency', description: 'Annualized revenue per dollar of TVL',
+    params: [{ key: 'fullAt', label: 'Full score at', unit: '% of TVL', min: 0.5, max: 50, step: 0.5 }],
+    defaults: { weight: 25, fullAt: 5 },
+  },
+  {
+    key: 'revenueDominance', label: 'Revenue Dominance', description: "Share of its sector's daily revenue",
+    params: [{ key: 'fullAt', label: 'Full score at', unit: '% share', min: 1, max: 100, step: 1 }],
+    defaults: { weight: 25, fullAt: 10 },
+  },
+]
+
+/** Moat rating cut-offs on the 0–100 Moat Score, strongest first. */
+export const MOAT_RATINGS = [
+  { key: 'strong', label: 'Strong Moat' },
+  { key: 'moderate', label: 'Moderate Moat' },
+  { key: 'weak', label: 'Weak Moat' },
+]
+
+export const WEIGHT_RANGE = { min: 0, max: 50, step: 1 }
+
+const REVENUE_DEFAULT_KEYS = ['sustainability', 'takeRate', 'growth', 'efficiency', 'valuation', 'earnings']
+const MOAT_DEFAULT_KEYS = ['tvlDominance', 'consistency', 'multiChain', 'efficiency']
+
+const pick = (catalogue, keys) => Object.fromEntries(catalogue
+  .filter(d => keys.includes(d.key))
+  .map(d => [d.key, { ...d.defaults }]))
+
+export const DEFAULT_METHODOLOGY = {
+  id: 'default',
+  name: 'Default',
+  builtIn: true,
+  revenue: pick(REVENUE_DIMENSIONS, REVENUE_DEFAULT_KEYS),
+  moat: pick(MOAT_DIMENSIONS, MOAT_DEFAULT_KEYS),
+  moatRatings: { strong: 60, moderate: 40, weak: 20 },
+}
+
+/** Built-in, read-only methodologies — "Save as" copies one to edit it. */
+export const PRESET_METHODOLOGIES = [
+  DEFAULT_METHODOLOGY,
+  {
+    id: 'value-heavy',
+    name: 'Value-heavy',
+    builtIn: true,
+    revenue: {
+      ...DEFAULT_METHODOLOGY.revenue,
+      sustainability: { weight: 15, maxCv: 2 },
+      takeRate: { weight: 15, fullAt: 100 },
+      growth: { weight: 10, floor: -100, ceiling: 100 },
+      efficiency: { weight: 10, fullAt: 20 },
+      valuation: { weight: 35, fairLow: 0.25, fairHigh: 1.25 },
+      earnings: { weight: 25, zeroAt: -100, fullAt: 50 },
+    },
+    moat: DEFAULT_METHODOLOGY.moat,
+    moatRatings: DEFAULT_METHODOLOGY.moatRatings,
+  },
+  {
+    id: 'growth',
+    name: 'Growth',
+    builtIn: true,
+    revenue: {
+      ...DEFAULT_METHODOLOGY.revenue,
+      growth: { weight: 35, floor: -50, ceiling: 200 },
+      valuation: { weight: 5, fairLow: 0.5, fairHigh: 3 },
+      scale: { weight: 15, floor: 1, fullAt: 1000 },
+    },
+    moat: DEFAULT_METHODOLOGY.moat,
+    moatRatings: DEFAULT_METHODOLOGY.moatRatings,
+  },
+]
+
+/** Each dimension's maximum points — computeCompositeScore's denominator. */
+export function dimensionWeights(dimensions) {
+  return Object.fromEntries(Object.entries(dimensions || {}).map(([key, d]) => [key, d.weight]))
+}
+
+/** Moat rating label for a 0–100 score. */
+export function moatRatingFor(score, ratings = DEFAULT_METHODOLOGY.moatRatings) {
+  const hit = MOAT_RATINGS.find(r => score >= ratings[r.key])
+  return hit ? hit.label : 'No Moat'
+}
+
+// ============================================================================
+// Saved methodologies — persisted locally, portable as JSON
+// ============================================================================
+
+const collection = createLocalCollection({
+  key: 'methodologies',
+  field: 'methodologies',
+  idPrefix: 'method',
+  sanitize: sanitizeMethodology,
+  exportFields: ['name', 'notes', 'savedAt', 'revenue', 'moat', 'moatRatings'],
+  fromImport: (parsed) => parsed?.revenue ? [parsed] : null,
+  expected: '{ methodologies: [...] } or a single methodology',
+})
+
+const clamp = (v, { min, max }) => Math.max(min, Math.min(max, v))
+
+// Known dimensions only, numbers clamped to their ranges, missing params defaulted
+function sanitizeDimensions(dims, catalogue) {
+  if (!dims || typeof dims !== 'object') return null
+  const out = {}
+  catalogue.forEach(({ key, params, defaults }) => {
+    const d = dims[key]
+    if (!d || typeof d !== 'object') return
+    const weight = Number(d.weight)
+    if (!Number.isFinite(weight)) return
+    out[key] = { weight: clamp(weight, WEIGHT_RANGE) }
+    params.forEach(p => {
+      const v = Number(d[p.key])
+      out[key][p.key] = Number.isFinite(v) ? clamp(v, p) : defaults[p.key]
+    })
+  })
+  return out
+}
+
+function sanitizeRatings(ratings) {
+  const defaults = DEFAULT_METHODOLOGY.moatRatings
+  const value = (key) => {
+    const v = Number(ratings?.[key])
+    return Number.isFinite(v) ? clamp(v, { min: 0, max: 100 }) : defaults[key]
+  }
+  // Keep the cut-offs ordered so every score maps to one rating
+  const strong = value('strong')
+  const moderate = Math.min(strong, value('moderate'))
+  return { strong, moderate, weak: Math.min(moderate, value('weak')) }
+}
+
+/**
+ * Validate a methodology; null when unusable. The Revenue Score needs two
+ * weighted dimensions and the Moat Score one.
+ */
+export function sanitizeMethodology(m) {
+  if (!m || typeof m.name !== 'string') return null
+  const revenue = sanitizeDimensions(m.revenue, REVENUE_DIMENSIONS)
+  const moat = sanitizeDimensions(m.moat, MOAT_DIMENSIONS)
+  const weighted = (dims) => Object.values(dims || {}).filter(d => d.weight > 0).length
+  if (weighted(revenue) < 2 || weighted(moat) < 1) return null
+  return {
+    id: typeof m.id === 'string' && !PRESET_METHODOLOGIES.some(p => p.id === m.id) ? m.id : collection.newId(),
+    name: m.name.trim() || 'Untitled',
+    notes: typeof m.notes === 'string' ? m.notes : '',
+    savedAt: typeof m.savedAt === 'string' ? m.savedAt : new Date().toISOString(),
+    revenue,
+    moat,
+    moatRatings: sanitizeRatings(m.moatRatings),
+  }
+}
+
+export function emptyMethodologyState() {
+  return { version: 1, activeId: DEFAULT_METHODOLOGY.id, methodologies: [] }
+}
+
+export function loadMethodologies() {
+  const parsed = collection.read()
+  const methodologies = collection.items(parsed)
+  const known = [...PRESET_METHODOLOGIES, ...methodologies]
+  return {
+    version: 1,
+    activeId: known.some(m => m.id === parsed?.activeId) ? parsed.activeId : DEFAULT_METHODOLOGY.id,
+    methodologies,
+  }
+}
+
+export function saveMethodologies(state) {
+  collection.save(state)
+}
+
+/** A new saved methodology from an edited draft. Throws when the draft is unusable. */
+export function createMethodology(draft, name) {
+  const m = sanitizeMethodology({ ...draft, id: collection.newId(), name, savedAt: new Date().toISOString() })
+  if (!m) throw new Error('A methodology needs at least two weighted Revenue Score dimensions and one Moat Score dimension')
+  return m
+}
+
+/**
+ * Parse an exported file: { methodologies: [...] } or a single methodology. Throws on anything else.
+ */
+export function parseMethodologyImport(text) {
+  return collection.parseImport(text)
+}
+
+/** Merge imported methodologies: same name → replaced, otherwise appended. */
+export function mergeMethodologies(methodologies, imported) {
+  return collection.merge(methodologies, imported)
+}
+
+export function exportMethodologies(methodologies) {
+  return collection.exportJSON(methodologies)
+}
+
+/**
+ * A preset by id or name, or the first methodology of an exported file (CLI --methodology).
+ * Throws on anything else.
+ */
+export function resolveMethodology(idOrJson) {
+  const needle = String(idOrJson).trim()
+  const preset = PRESET_METHODOLOGIES.find(p => p.id === needle.toLowerCase() || p.name.toLowerCase() === needle.toLowerCase())
+  if (preset) return preset
+  if (!needle.startsWith('{')) throw new Error(`Unknown methodology: ${needle} (presets: ${PRESET_METHODOLOGIES.map(p => p.id).join(', ')})`)
+  return parseMethodologyImport(needle)[0]
+}
+
+// ============================================================================
+// Side-by-side comparison
+// ============================================================================
+
+/**
+ * Rank of every protocol under two methodologies.
+ * @param {Array} rowsA scored rows sorted best-first (computeRevenueScores / computeMoatScores().scored)
+ * @param {Array} rowsB same universe scored with the other methodology
+ * @param {string} field score field ('composite' or 'moatScore')
+ * @returns {Array<{ slug, name, rankA, rankB, scoreA, scoreB, change }>} change = rankA − rankB
+ *   (positive = climbs under B); null ranks when a protocol is only scored under one
+ */
+export function compareRankings(rowsA, rowsB, field) {
+  const byA = new Map(rowsA.map((r, i) => [r.slug, { row: r, rank: i + 1 }]))
+  const byB = new Map(rowsB.map((r, i) => [r.slug, { row: r, rank: i + 1 }]))
+  const slugs = [...new Set([...byA.keys(), ...byB.keys()])]
+  return slugs.map(slug => {
+    const a = byA.get(slug)
+    const b = byB.get(slug)
+    return {
+      slug,
+      name: (a || b).row.name,
+      rankA: a?.rank ?? null,
+      rankB: b?.rank ?? null,
+      scoreA: a ? a.row[field] : null,
+      scoreB: b ? b.row[field] : null,
+      change: a && b ? a.rank - b.rank : null,
+    }
+  }).sort((x, y) => (x.rankA ?? Infinity) - (y.rankA ?? Infinity) || (x.rankB ?? Infinity) - (y.rankB ?? Infinity))
+}
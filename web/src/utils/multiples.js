@@ -0,0 +1,109 @@
+import { quantile } from './analytics.js'
+
+// ============================================================================
+// HISTORICAL MULTIPLES (Valuation Bands tab, Dot-Com vs Crypto tab, CLI export)
+// ============================================================================
+// Daily multiple = market cap ÷ (trailing 30-day average daily flow × 365), from
+// DeFiLlama /summary/fees/{protocol} and CoinGecko's max-range market caps.
+// On fees it is the P/S used across the dashboard; on holders revenue it is a
+// P/E. Bands are the 10th / 50th / 90th percentiles of the protocol's own
+// history, so "cheap" means cheap relative to itself rather than to peers.
+
+const DAY_MS = 86400000
+
+/** Flow each multiple divides market cap by; `dataType` selects the DeFiLlama series. */
+export const MULTIPLE_BASES = {
+  fees: { key: 'fees', label: 'P/S', flow: 'fees', dataType: null },
+  holders: { key: 'holders', label: 'P/E', flow: 'holders revenue', dataType: 'dailyHoldersRevenue' },
+}
+
+export const BAND_PERCENTILES = [10, 50, 90]
+
+// Fewer days than this and the percentiles describe a single market regime
+export const MIN_HISTORY_DAYS = 180
+
+const dayKey = (ts) => new Date(ts > 1e12 ? ts : ts * 1000).toISOString().slice(0, 10)
+
+/**
+ * Daily multiple series for one protocol.
+ * @param {Object} flowData DeFiLlama /summary/fees/{protocol} payload (any dataType)
+ * @param {Object} chartData CoinGecko /coins/{id}/market_chart payload
+ * @param {{ window?: number }} [opts] trailing days averaged before annualizing (default 30)
+ * @returns {Array<{ date, ts, mcap, annualized, multiple }> | null} ascending; ts in ms;
+ *   null without at least 30 usable days. Multiples outside 0.01–10,000x are dropped.
+ */
+export function dailyMultiples(flowData, chartData, { window = 30 } = {}) {
+  const flowChart = flowData?.totalDataChart
+  if (!Array.isArray(flowChart) || flowChart.length < 30) return null
+  const mcapChart = chartData?.market_caps
+  if (!Array.isArray(mcapChart) || mcapChart.length < 30) return null
+
+  const flowByDay = new Map()
+  flowChart.forEach(([ts, v]) => {
+    const key = dayKey(ts)
+    flowByDay.set(key, (flowByDay.get(key) || 0) + (typeof v === 'number' ? v : 0))
+  })
+  const mcapByDay = new Map()
+  mcapChart.forEach(([ms, mcap]) => mcapByDay.set(new Date(ms).toISOString().slice(0, 10), mcap))
+
+  if (new Set([...flowByDay.keys(), ...mcapByDay.keys()]).size < 60) return null
+
+  const days = [...flowByDay.keys()].sort()
+  const flows = days.map(d => flowByDay.get(d))
+  const series = []
+  let running = 0
+  days.forEach((date, i) => {
+    running += flows[i] - (i >= window ? flows[i - window] : 0)
+    const avgDaily = running / Math.min(i + 1, window)
+    const mcap = mcapByDay.get(date)
+    if (!mcap || mcap <= 0 || avgDaily <= 0) return
+    const annualized = avgDaily * 365
+    const multiple = mcap / annualized
+    if (multiple > 10000 || multiple < 0.01) return
+    series.push({ date, ts: new Date(date).getTime(), mcap, annualized, multiple })
+  })
+
+  return series.length > 30 ? series : null
+}
+
+/**
+ * Percentile bands of a multiple series and where its latest value sits.
+ * @returns {{ p10, p50, p90, min, max, current, currentDate, currentPercentile, discountToMedian, days, since } | null}
+ *   currentPercentile: % of days at or below today's multiple (0 = cheapest ever);
+ *   discountToMedian: % the current multiple sits below (+) or above (−) the median
+ */
+export function multipleBands(series) {
+  if (!Array.isArray(series) || series.length === 0) return null
+  const values = series.map(d => d.multiple)
+  const last = series[series.length - 1]
+  const [p10, p50, p90] = BAND_PERCENTILES.map(p => quantile(values, p / 100))
+  return {
+    p10,
+    p50,
+    p90,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    current: last.multiple,
+    currentDate: last.date,
+    currentPercentile: values.filter(v => v <= last.multiple).length / values.length * 100,
+    discountToMedian: (1 - last.multiple / p50) * 100,
+    days: Math.round((last.ts - series[0].ts) / DAY_MS) + 1,
+    since: series[0].date,
+  }
+}
+
+/**
+ * "Cheapest vs own history": every protocol's current multiple against its bands.
+ * @param {Array<{ slug, name, geckoId, fees, holders, chart }>} universe see fetchValuationBandsData
+ * @param {'fees' | 'holders'} basis
+ * @param {{ minDays?: number }} [opts]
+ * @returns {Array<{ slug, name, basis, ...bands }>} lowest current percentile first
+ */
+export function historyRanking(universe, basis = 'fees', { minDays = MIN_HISTORY_DAYS } = {}) {
+  return (universe || []).map(u => {
+    const bands = multipleBands(dailyMultiples(u[basis], u.chart))
+    return bands && bands.days >= minDays ? { slug: u.slug, name: u.name, basis, ...bands } : null
+  })
+    .filter(Boolean)
+    .sort((a, b) => a.currentPercentile - b.currentPercentile || b.discountToMedian - a.discountToMedian)
+}
@@ -0,0 +1,170 @@
+import { watchKey } from './watchlist.js'
+import { getStaticRegistry } from './registry.js'
+import { mean, median, standardDeviation } from './analytics.js'
+import { createLocalCollection } from './localCollection.js'
+
+// ============================================================================
+// PEER GROUPS (Comps tab, Revenue Score valuation peers, CLI export)
+// ============================================================================
+// User-defined comp sets ("Perp DEXs: Hyperliquid, GMX, dYdX, Jupiter Perps")
+// as an alternative to categorizeSector's fixed buckets. Members are DeFiLlama
+// slugs matched entity-aware like watchlists: 'aave' covers 'aave-v3' and
+// 'aave-v2', whose rows are summed into one comp per entity.
+
+const collection = createLocalCollection({
+  key: 'peer-groups',
+  field: 'groups',
+  idPrefix: 'pg',
+  label: 'peer groups',
+  sanitize: sanitizeGroup,
+  exportFields: ['name', 'slugs'],
+  fromImport: (parsed) => parsed?.slugs ? [parsed] : null,
+  expected: '{ groups: [...] } or { name, slugs }',
+})
+
+/** Seeded on first use; editable and deletable like any saved group. */
+export const DEFAULT_PEER_GROUPS = [
+  { id: 'perp-dexs', name: 'Perp DEXs', slugs: ['hyperliquid', 'gmx', 'dydx', 'jupiter-perpetual-exchange'] },
+  { id: 'lending', name: 'Lending Markets', slugs: ['aave', 'compound', 'morpho', 'maker'] },
+  { id: 'spot-dexs', name: 'Spot DEXs', slugs: ['uniswap', 'curve', 'pancakeswap', 'raydium', 'sushi'] },
+]
+
+/**
+ * Comps table columns. `higher` says which direction reads as better for the
+ * z-score colouring: 'good', 'bad' (multiples, dilution) or null (size only).
+ */
+export const COMP_METRICS = [
+  { key: 'annualizedFees', label: 'Fees (ann.)', format: 'currency', higher: null },
+  { key: 'annualizedRevenue', label: 'Revenue (ann.)', format: 'currency', higher: null },
+  { key: 'takeRate', label: 'Take Rate', format: 'percent', higher: 'good' },
+  // Market cap over revenue: P/Rev, not the fees-based P/S of Valuations and Valuation Bands (= P/F here)
+  { key: 'prRatio', label: 'P/Rev', format: 'multiple', higher: 'bad' },
+  { key: 'pfRatio', label: 'P/F', format: 'multiple', higher: 'bad' },
+  { key: 'tvl', label: 'TVL', format: 'currency', higher: null },
+  { key: 'feeGrowth30d', label: 'Fee Growth 30d', format: 'percent', higher: 'good' },
+  { key: 'emissionsPct', label: 'Emissions % MCap', format: 'percent', higher: 'bad' },
+]
+
+function sanitizeGroup(group) {
+  if (!group || typeof group.name !== 'string' || !Array.isArray(group.slugs)) return null
+  const slugs = [...new Set(group.slugs.filter(s => typeof s === 'string' && s.trim()).map(s => s.trim().toLowerCase()))]
+  if (slugs.length === 0) return null
+  return { id: typeof group.id === 'string' ? group.id : collection.newId(), name: group.name.trim() || 'Untitled', slugs }
+}
+
+export function loadPeerGroups() {
+  const stored = collection.read()
+  return stored === null ? DEFAULT_PEER_GROUPS : collection.items(stored)
+}
+
+export function savePeerGroups(groups) {
+  collection.save(groups)
+}
+
+/** New group from a name and a list of slugs. Throws when either is missing. */
+export function createPeerGroup(name, slugs) {
+  const group = sanitizeGroup({ name: String(name || ''), slugs })
+  if (!group || !String(name || '').trim()) throw new Error('A peer group needs a name and at least one protocol')
+  return group
+}
+
+/**
+ * Parse an exported file. Accepts the full export ({ groups: [...] }) or a
+ * single group ({ name, slugs }). Throws on anything else.
+ */
+export function parsePeerGroupImport(text) {
+  return collection.parseImport(text)
+}
+
+/** Merge imported groups: same name → replaced, otherwise appended. */
+export function mergePeerGroups(groups, imported) {
+  return collection.merge(groups, imported)
+}
+
+export function exportPeerGroups(groups) {
+  return collection.exportJSON(groups)
+}
+
+/**
+ * Slug → first peer group containing it (entity-aware), or null.
+ * @param {Array<{ id, name, slugs }>} [groups]
+ */
+export function peerGroupLookup(groups = []) {
+  const byKey = new Map()
+  groups.forEach(g => g.slugs.forEach(s => { const key = watchKey(s); if (!byKey.has(key)) byKey.set(key, g) }))
+  return (slug) => byKey.get(watchKey(slug)) || null
+}
+
+/**
+ * Comparable-company table for one peer group.
+ * @param {Object} valuations computeValuations() output
+ * @param {{ slugs: string[] }} group
+ * @returns {{ rows: Array, stats: Object<string, { median, mean, sd, count }>, missing: string[] }}
+ *   rows: one per entity (versions summed) with every COMP_METRICS key, `mcap`,
+ *   `emissions` (annualized unlock dilution, USD) and `z` (z-score vs peers per metric,
+ *   null when the metric is missing or peers do not vary); sorted by fees (desc).
+ *   missing: member slugs with no fee-earning DeFiLlama protocol
+ */
+export function compsTable(valuations, group) {
+  const registry = getStaticRegistry()
+  const members = new Map(group.slugs.map(s => [watchKey(s), s]))
+
+  const byEntity = new Map()
+  ;(valuations?.protocols || []).forEach(p => {
+    const key = watchKey(p.slug)
+    if (!members.has(key)) return
+    if (!byEntity.has(key)) byEntity.set(key, [])
+    byEntity.get(key).push(p)
+  })
+
+  const rows = [...byEntity.entries()].map(([key, versions]) => {
+    // Versions arrive sorted by fees: the first is the primary deployment
+    const lead = versions[0]
+    const sum = (field) => versions.reduce((s, v) => s + (v[field] || 0), 0)
+    const fees24h = sum('fees24h')
+    const revenue24h = sum('revenue24h')
+    const fees30d = sum('fees30d')
+    const prev30d = versions.reduce((s, v) => s + (v.fees30d > 0 ? v.fees30d / (1 + (v.feeChange30d || 0) / 100) : 0), 0)
+    const mcap = Math.max(...versions.map(v => v.mcap || 0))
+    const annualizedFees = fees24h * 365
+    const annualizedRevenue = revenue24h * 365
+    const emissions = lead.dilution
+    return {
+      key,
+      name: versions.length > 1 ? registry.get(key)?.name || lead.name : lead.name,
+      slug: lead.slug,
+      versions: versions.map(v => v.slug),
+      sector: lead.sector,
+      mcap,
+      annualizedFees,
+      annualizedRevenue,
+      takeRate: fees24h > 0 && revenue24h > 0 ? revenue24h / fees24h * 100 : null,
+      prRatio: mcap > 0 && annualizedRevenue > 0 ? mcap / annualizedRevenue : null,
+      pfRatio: mcap > 0 && annualizedFees > 0 ? mcap / annualizedFees : null,
+      tvl: sum('tvl'),
+      feeGrowth30d: prev30d > 0 ? (fees30d / prev30d - 1) * 100 : null,
+      emissions: emissions ?? null,
+      emissionsPct: emissions !== null && emissions !== undefined && mcap > 0 ? emissions / mcap * 100 : null,
+    }
+  }).sort((a, b) => b.annualizedFees - a.annualizedFees)
+
+  const stats = Object.fromEntries(COMP_METRICS.map(({ key }) => {
+    const values = rows.map(r => r[key]).filter(v => v !== null && Number.isFinite(v))
+    return [key, {
+      median: values.length > 0 ? median(values) : null,
+      mean: values.length > 0 ? mean(values) : null,
+      sd: values.length > 1 ? standardDeviation(values, { sample: true }) : null,
+      count: values.length,
+    }]
+  }))
+
+  rows.forEach(r => {
+    r.z = Object.fromEntries(COMP_METRICS.map(({ key }) => {
+      const { mean: m, sd } = stats[key]
+      return [key, r[key] !== null && sd > 0 ? (r[key] - m) / sd : null]
+    }))
+  })
+
+  const found = new Set(rows.map(r => r.key))
+  return { rows, stats, missing: [...members.entries()].filter(([key]) => !found.has(key)).map(([, slug]) => slug) }
+}
@@ -0,0 +1,177 @@
+import { getRegistry } from './registry.js'
+
+// ============================================================================
+// VENDOR RECONCILIATION (Vendor Reconciliation tab)
+// ============================================================================
+// Token Terminal vs DeFiLlama over the same 30-day window, joined per entity by
+// the identity registry (Token Terminal project_id → tokenTerminal overrides,
+// then display name). DeFiLlama versions of one protocol (Uniswap V2/V3/…) are
+// summed, since Token Terminal reports them as a single project.
+//
+//   fees      TT fees              vs DeFiLlama fees
+//   revenue   TT revenue           vs DeFiLlama revenue
+//   earnings  TT earnings          vs DeFiLlama revenue − TT token incentives
+//   P/E       TT price_to_earnings vs market cap / annualized implied earnings
+//
+// P/E gaps are informational only: they follow from the earnings gap plus the
+// vendors' different market cap sources.
+
+export const RECONCILED_METRICS = ['fees', 'revenue', 'earnings']
+
+const WINDOW_DAYS = 30
+
+// Bulk metric payloads are { data: [{ project_id, project_name, timestamp, value }] }
+const rowsOf = (payload) => Array.isArray(payload) ? payload : Array.isArray(payload?.data) ? payload.data : []
+
+const medianOf = (values) => values.length > 0
+  ? [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)] : null
+
+const positive = (v) => v > 0 ? v : null
+
+/**
+ * Sum one Token Terminal metric over the window per project (rows per chain or
+ * product are added up).
+ * @returns {Map<string, { name, value, days }>} keyed by project_id
+ */
+export function sumByProject(payload) {
+  const out = new Map()
+  const days = new Map()
+  rowsOf(payload).forEach(r => {
+    const value = Number(r.value)
+    if (!r.project_id || !Number.isFinite(value)) return
+    const entry = out.get(r.project_id) || { name: r.project_name || r.project_id, value: 0, days: 0 }
+    entry.value += value
+    out.set(r.project_id, entry)
+    if (!days.has(r.project_id)) days.set(r.project_id, new Set())
+    days.get(r.project_id).add(String(r.timestamp).slice(0, 10))
+  })
+  out.forEach((entry, id) => { entry.days = days.get(id).size })
+  return out
+}
+
+/**
+ * Latest value of one Token Terminal metric per project (multiples, not flows).
+ * @returns {Map<string, { name, value }>} keyed by project_id
+ */
+export function latestByProject(payload) {
+  const out = new Map()
+  const latest = new Map()
+  rowsOf(payload).forEach(r => {
+    const value = Number(r.value)
+    if (!r.project_id || r.value === null || !Number.isFinite(value)) return
+    const ts = Date.parse(r.timestamp) || 0
+    if (latest.has(r.project_id) && latest.get(r.project_id) >= ts) return
+    latest.set(r.project_id, ts)
+    out.set(r.project_id, { name: r.project_name || r.project_id, value })
+  })
+  return out
+}
+
+/** Relative gap of Token Terminal vs DeFiLlama: 0.25 = TT reports 25% more. */
+export function relativeGap(tt, llama) {
+  if (tt === null || tt === undefined || llama === null || llama === undefined || llama === 0) return null
+  return (tt - llama) / Math.abs(llama)
+}
+
+// DeFiLlama 30d totals per registry entity, plus its largest deployment's slug
+function llamaTotals(overview, registry) {
+  const out = new Map()
+  ;(overview?.protocols || []).forEach(p => {
+    const entity = registry.resolve(p)
+    if (!entity || !(p.total30d > 0)) return
+    const entry = out.get(entity.id) || { entity, total30d: 0, slug: p.slug, top: 0 }
+    entry.total30d += p.total30d
+    if (p.total30d > entry.top) {
+      entry.top = p.total30d
+      entry.slug = p.slug
+    }
+    out.set(entity.id, entry)
+  })
+  return out
+}
+
+/**
+ * Reconcile Token Terminal against DeFiLlama.
+ * @param {Object} data see fetchReconciliationData
+ * @param {number} threshold relative gap above which a metric is flagged (0.25 = 25%)
+ * @returns {{ rows: Array, ttOnly: Array, llamaOnly: Array, medianGaps: Object }}
+ *   rows: one per protocol both vendors cover, sorted by DeFiLlama fees (desc);
+ *   ttOnly: Token Terminal projects with no DeFiLlama fees; llamaOnly: the
+ *   largest DeFiLlama earners Token Terminal returned nothing for
+ */
+export function reconcileVendors(data, threshold = 0.25) {
+  const registry = getRegistry(data?.protocols || [], Array.isArray(data?.markets) ? data.markets : [])
+  const tt = data?.tokenTerminal || {}
+  const ttFees = sumByProject(tt.fees)
+  const ttRevenue = sumByProject(tt.revenue)
+  const ttEarnings = sumByProject(tt.earnings)
+  const ttIncentives = sumByProject(tt.tokenIncentives)
+  const ttPE = latestByProject(tt.priceToEarnings)
+  const llamaFees = llamaTotals(data?.fees, registry)
+  const llamaRevenue = llamaTotals(data?.feesRevenue, registry)
+
+  const projectIds = new Set([...ttFees.keys(), ...ttRevenue.keys(), ...ttEarnings.keys()])
+  const matched = new Set()
+  const rows = []
+  const ttOnly = []
+
+  projectIds.forEach(id => {
+    const name = (ttFees.get(id) || ttRevenue.get(id) || ttEarnings.get(id)).name
+    const entity = registry.resolve(id, 'tokenTerminal') || registry.resolve(name, 'name')
+    const fees = entity && llamaFees.get(entity.id)
+    const revenue = entity && llamaRevenue.get(entity.id)
+    if (!fees && !revenue) {
+      ttOnly.push({ projectId: id, name })
+      return
+    }
+    // Two Token Terminal projects on one entity: keep the first, report the other
+    if (matched.has(entity.id)) {
+      ttOnly.push({ projectId: id, name })
+      return
+    }
+    matched.add(entity.id)
+
+    const incentives = ttIncentives.get(id)?.value ?? null
+    const llamaRev = revenue?.total30d ?? null
+    const impliedEarnings = llamaRev !== null ? llamaRev - (incentives || 0) : null
+    const mcap = entity.market?.market_cap || 0
+    const impliedPE = mcap > 0 && impliedEarnings > 0 ? mcap / (impliedEarnings * 365 / WINDOW_DAYS) : null
+    const ttPEValue = positive(ttPE.get(id)?.value)
+
+    const metrics = {
+      fees: { tt: positive(ttFees.get(id)?.value), llama: positive(fees?.total30d) },
+      revenue: { tt: positive(ttRevenue.get(id)?.value), llama: positive(llamaRev) },
+      earnings: { tt: ttEarnings.get(id)?.value ?? null, llama: impliedEarnings },
+    }
+    RECONCILED_METRICS.forEach(m => { metrics[m].gap = relativeGap(metrics[m].tt, metrics[m].llama) })
+    const flags = RECONCILED_METRICS.filter(m => metrics[m].gap !== null && Math.abs(metrics[m].gap) > threshold)
+    const gaps = RECONCILED_METRICS.map(m => metrics[m].gap).filter(g => g !== null).map(Math.abs)
+
+    rows.push({
+      name: entity.name,
+      slug: (fees || revenue).slug,
+      projectId: id,
+      ...metrics,
+      tokenIncentives: incentives,
+      pe: { tt: ttPEValue, llama: impliedPE, gap: relativeGap(ttPEValue, impliedPE) },
+      mcap,
+      days: Math.max(ttFees.get(id)?.days || 0, ttRevenue.get(id)?.days || 0, ttEarnings.get(id)?.days || 0),
+      flags,
+      maxGap: gaps.length > 0 ? Math.max(...gaps) : null,
+    })
+  })
+
+  rows.sort((a, b) => (b.fees.llama || 0) - (a.fees.llama || 0))
+
+  const llamaOnly = [...llamaFees.values()]
+    .filter(l => !matched.has(l.entity.id))
+    .sort((a, b) => (llamaRevenue.get(b.entity.id)?.total30d || 0) - (llamaRevenue.get(a.entity.id)?.total30d || 0))
+    .slice(0, 25)
+    .map(l => ({ name: l.entity.name, slug: l.slug, fees30d: l.total30d, revenue30d: llamaRevenue.get(l.entity.id)?.total30d || 0 }))
+
+  const medianGaps = Object.fromEntries(RECONCILED_METRICS.map(m => [
+    m, medianOf(rows.map(r => r[m].gap).filter(g => g !== null).map(Math.abs)),
+  ]))
+
+  return { rows, ttOnly, llamaOnly, medianGaps }
+}
@@ -0,0 +1,266 @@
+import { ENTITY_OVERRIDES } from '../data/entities.js'
+
+// ============================================================
+// Protocol identity registry
+// ============================================================
+// Resolves any vendor identifier to one canonical entity:
+//   llama         DeFiLlama protocol slug        ('aave-v3')
+//   parent        DeFiLlama parent protocol       ('parent#aave' or 'aave')
+//   gecko         CoinGecko coin id               ('lido-dao')
+//   santiment     Santiment project slug          ('optimism-ethereum')
+//   tokenTerminal Token Terminal project_id       ('lido-finance')
+//   symbol        ticker (only when unambiguous)  ('LDO')
+//   name          normalized display name         ('Lido Finance' → 'lido')
+//
+// Seeding order (first link wins): manual overrides → DeFiLlama /protocols
+// (slug, parentProtocol, gecko_id) → CoinGecko markets (joined by gecko_id, else
+// by name or unambiguous ticker to a protocol without one; the rest become
+// coin-only entities).
+
+const KINDS = ['llama', 'parent', 'gecko', 'santiment', 'tokenTerminal', 'name', 'symbol']
+
+const NAME_SUFFIXES = /^(protocol|finance|network|dao|token|swap|exchange|defi|app|labs|xyz|io|org|v[0-9]+)$/
+
+/**
+ * Fuzzy name normalization: drop trailing suffix words, then separators and special chars.
+ * Suffixes only count as whole words, so the name itself is never cut:
+ * 'Uniswap V3' → 'uniswap', 'Lido Finance' → 'lido', 'PancakeSwap' → 'pancakeswap'
+ */
+export function normalizeName(s) {
+  if (!s) return ''
+  const words = s.toLowerCase().split(/[-_.\s]+/).filter(Boolean)
+  while (words.length > 1 && NAME_SUFFIXES.test(words[words.length - 1])) words.pop()
+  return words.join('').replace(/[^a-z0-9]/g, '')
+}
+
+function stripParent(id) {
+  return id ? String(id).replace(/^parent#/, '') : id
+}
+
+/**
+ * Build a registry.
+ * @param {Object} [sources]
+ * @param {Array} [sources.protocols] DeFiLlama /protocols
+ * @param {Array} [sources.markets]   CoinGecko coins/markets
+ * @param {Object} [sources.overrides] defaults to ENTITY_OVERRIDES
+ */
+export function createRegistry({ protocols = [], markets = [], overrides = ENTITY_OVERRIDES } = {}) {
+  const entities = new Map()
+  const index = Object.fromEntries(KINDS.map(k => [k, new Map()]))
+  const ambiguousSymbols = new Set()
+  const unresolved = new Map()
+  const fallbackJoins = []
+
+  const keyFor = (kind, value) => {
+    if (value === null || value === undefined || value === '') return ''
+    if (kind === 'name') return normalizeName(String(value))
+    if (kind === 'parent') return stripParent(String(value)).toLowerCase()
+    return String(value).toLowerCase()
+  }
+
+  function link(kind, value, entity) {
+    const key = keyFor(kind, value)
+    if (!key) return
+    const existing = index[kind].get(key)
+    if (!existing) {
+      index[kind].set(key, entity)
+    } else if (kind === 'symbol' && existing !== entity) {
+      ambiguousSymbols.add(key)
+    }
+  }
+
+  function makeEntity(id, fields = {}) {
+    const entity = {
+      id,
+      name: fields.name || id,
+      symbol: fields.symbol || null,
+      llamaSlugs: [],
+      parent: fields.parent || null,
+      geckoId: fields.gecko || null,
+      santimentSlug: fields.santiment || null,
+      tokenTerminalId: fields.tokenTerminal || null,
+      category: fields.category || null,
+      market: null,
+      source: fields.source || 'seed',
+    }
+    entities.set(id, entity)
+    return entity
+  }
+
+  function linkAll(entity) {
+    entity.llamaSlugs.forEach(s => link('llama', s, entity))
+    link('parent', entity.parent, entity)
+    link('gecko', entity.geckoId, entity)
+    link('santiment', entity.santimentSlug, entity)
+    link('tokenTerminal', entity.tokenTerminalId, entity)
+    link('name', entity.name, entity)
+    link('symbol', entity.symbol, entity)
+  }
+
+  // ── 1. Manual overrides ──
+  Object.entries(overrides).forEach(([id, o]) => {
+    const entity = makeEntity(id, { ...o, source: 'override' })
+    entity.llamaSlugs = [...(o.llama || [])]
+    linkAll(entity)
+  })
+
+  // ── 2. DeFiLlama /protocols ──
+  ;(Array.isArray(protocols) ? protocols : []).forEach(p => {
+    if (!p?.slug) return
+    const parent = stripParent(p.parentProtocol)
+    const gecko = p.gecko_id || null
+    let entity = index.llama.get(p.slug.toLowerCase())
+      || (parent && index.parent.get(parent.toLowerCase()))
+      || (gecko && index.gecko.get(gecko.toLowerCase()))
+      || null
+    if (!entity) {
+      entity = makeEntity(parent || p.slug, {
+        name: parent ? p.name.replace(/\s+v\d+$/i, '') : p.name,
+        parent,
+        gecko,
+        category: p.category,
+      })
+    }
+    if (!entity.llamaSlugs.includes(p.slug)) entity.llamaSlugs.push(p.slug)
+    if (!entity.parent && parent) entity.parent = parent
+    if (!entity.geckoId && gecko) entity.geckoId = gecko
+    if (!entity.symbol && p.symbol && p.symbol !== '-') entity.symbol = p.symbol.toUpperCase()
+    if (!entity.category && p.category) entity.category = p.category
+    linkAll(entity)
+  })
+
+  // ── 3. CoinGecko markets ──
+  // A protocol DeFiLlama lists without gecko_id (and no override) still gets its
+  // coin: by normalized name when the tickers agree, else by an unambiguous ticker.
+  // Markets come largest first, so the biggest coin of a name or ticker wins.
+  const unlinkedProtocol = (e) => e && !e.geckoId && !e.market && e.llamaSlugs.length > 0
+  function fallbackEntity(m) {
+    const symbol = m.symbol?.toLowerCase()
+    const byName = index.name.get(normalizeName(m.name))
+    if (unlinkedProtocol(byName) && (!byName.symbol || !symbol || byName.symbol.toLowerCase() === symbol)) {
+      return { entity: byName, via: 'name' }
+    }
+    const bySymbol = symbol && !ambiguousSymbols.has(symbol) ? index.symbol.get(symbol) : null
+    return unlinkedProtocol(bySymbol) ? { entity: bySymbol, via: 'symbol' } : null
+  }
+
+  const marketList = Array.isArray(markets) ? markets : []
+  marketList.forEach(m => {
+    if (!m?.id) return
+    let entity = index.gecko.get(m.id.toLowerCase())
+    const fallback = entity ? null : fallbackEntity(m)
+    if (fallback) {
+      entity = fallback.entity
+      entity.geckoId = m.id
+      link('gecko', m.id, entity)
+      fallbackJoins.push({ id: entity.id, geckoId: m.id, via: fallback.via })
+    }
+    if (!entity) {
+      entity = entities.has(m.id)
+        ? makeEntity(`coin:${m.id}`, { name: m.name, symbol: m.symbol?.toUpperCase(), gecko: m.id })
+        : makeEntity(m.id, { name: m.name, symbol: m.symbol?.toUpperCase(), gecko: m.id })
+      linkAll(entity)
+    }
+    entity.market = m
+    if (!entity.symbol && m.symbol) {
+      entity.symbol = m.symbol.toUpperCase()
+      link('symbol', entity.symbol, entity)
+    }
+  })
+
+  /**
+   * Resolve an identifier to its canonical entity (or null).
+   * Pass `kind` to restrict the lookup to one namespace; without it every
+   * namespace is tried in order (slug before name before symbol).
+   */
+  function resolve(value, kind) {
+    if (value === null || value === undefined || value === '') return null
+    if (typeof value === 'object') return resolveRecord(value)
+    const kinds = kind ? [kind] : KINDS
+    for (const k of kinds) {
+      const key = keyFor(k, value)
+      if (k === 'symbol' && ambiguousSymbols.has(key)) continue
+      const hit = index[k].get(key)
+      if (hit) return hit
+    }
+    const missKey = `${kind || 'any'}:${value}`
+    if (!unresolved.has(missKey)) unresolved.set(missKey, { kind: kind || 'any', value })
+    return null
+  }
+
+  /** Resolve a DeFiLlama record (fees overview / protocols entry) by slug → parent → gecko_id → name. */
+  function resolveRecord(p) {
+    return (p.slug && index.llama.get(p.slug.toLowerCase()))
+      || (p.parentProtocol && index.parent.get(keyFor('parent', p.parentProtocol)))
+      || (p.gecko_id && index.gecko.get(p.gecko_id.toLowerCase()))
+      || (p.name && index.name.get(normalizeName(p.name)))
+      || resolve(p.slug || p.name)
+  }
+
+  /** CoinGecko market row for any identifier / DeFiLlama record. */
+  function marketFor(value, kind) {
+    return resolve(value, kind)?.market || null
+  }
+
+  /**
+   * Everything the registry could not join:
+   * - tokenWithoutMarket: entities with a ticker but no CoinGecko market row
+   *   (only meaningful when markets were supplied)
+   * - ambiguousSymbols: tickers shared by several entities (never used for joins)
+   * - fallbackJoins: market rows joined by name or ticker, without a gecko_id
+   * - unresolved: every identifier passed to resolve() that matched nothing
+   */
+  function report() {
+    const all = [...entities.values()]
+    return {
+      entities: all.length,
+      withMarket: all.filter(e => e.market).length,
+      tokenWithoutMarket: marketList.length > 0
+        ? all.filter(e => e.llamaSlugs.length > 0 && e.symbol && !e.market)
+          .map(e => ({ id: e.id, symbol: e.symbol, geckoId: e.geckoId, llamaSlugs: e.llamaSlugs }))
+        : [],
+      ambiguousSymbols: [...ambiguousSymbols].map(s => s.toUpperCase()).sort(),
+      fallbackJoins: [...fallbackJoins],
+      unresolved: [...unresolved.values()],
+    }
+  }
+
+  return {
+    resolve,
+    marketFor,
+    report,
+    get: (id) => entities.get(id) || null,
+    entities: () => [...entities.values()],
+  }
+}
+
+// Registry built from overrides only — no network data needed. Used for the
+// fixed entity lists (Santiment watch lists, bubble comparison set, …).
+let staticRegistry = null
+export function getStaticRegistry() {
+  if (!staticRegistry) staticRegistry = createRegistry()
+  return staticRegistry
+}
+
+/** Canonical entity from the static overrides (throws on typos in hard-coded lists). */
+export function entity(id) {
+  const e = getStaticRegistry().get(id)
+  if (!e) throw new Error(`Unknown entity: ${id}`)
+  return e
+}
+
+// Tabs receive the same /protocols + markets arrays from the shared cache,
+// so memoise the last build to avoid re-seeding on every tab switch.
+let lastSources = null
+let lastRegistry = null
+export function getRegistry(protocols, markets) {
+  if (lastSources && lastSources[0] === protocols && lastSources[1] === markets) return lastRegistry
+  lastSources = [protocols, markets]
+  lastRegistry = createRegistry({ protocols, markets })
+  return lastRegistry
+}
+
+/** report() of the registry the tabs last built from live data (null until one has). */
+export function getRegistryReport() {
+  return lastRegistry ? lastRegistry.report() : null
+}
@@ -0,0 +1,387 @@
+import { categorizeSector } from './helpers.js'
+import { getRegistry } from './registry.js'
+import { coefficientOfVariation } from './analytics.js'
+import { computeEarnings } from './earnings.js'
+import { DEFAULT_METHODOLOGY, dimensionWeights, moatRatingFor } from './methodology.js'
+import { peerGroupLookup } from './peers.js'
+
+// ============================================================================
+// REVENUE SCORE (Revenue Score tab, protocol deep-dive)
+// ============================================================================
+
+// Each scorer takes its dimension's config from the methodology (utils/methodology.js):
+// `weight` is the maximum points, the rest shape the curve. The defaults are
+// DEFAULT_METHODOLOGY's, so calling one with inputs alone scores as before.
+
+const clampScore = (fraction, weight) => Math.max(0, Math.min(1, fraction)) * weight
+
+/**
+ * Revenue Sustainability Score (0–weight, default 25)
+ * Low coefficient of variation in daily revenue = stable = high score
+ */
+export function scoreSustainability(dailyRevenues, { weight = 25, maxCv = 2 } = {}) {
+  if (!dailyRevenues || dailyRevenues.length < 30) return null
+  const values = dailyRevenues.filter(v => v > 0)
+  if (values.length < 14) return null
+  const cv = coefficientOfVariation(values)
+  if (cv === null) return 0
+  // CV of 0 = perfect score, CV ≥ maxCv = 0 score
+  return clampScore(1 - cv / maxCv, weight)
+}
+
+/**
+ * Take Rate Score (0–weight, default 25)
+ * Revenue/Fees ratio — higher retention = higher score
+ */
+export function scoreTakeRate(revenue, fees, { weight = 25, fullAt = 100 } = {}) {
+  if (!fees || fees <= 0) return null
+  if (!revenue || revenue < 0) return 0
+  const takeRate = (revenue / fees) * 100
+  // 0% = 0 score, fullAt% = full score (linear)
+  return clampScore(takeRate / fullAt, weight)
+}
+
+/**
+ * Growth Momentum Score (0–weight, default 20)
+ * 30d revenue growth rate — positive growth scores higher
+ */
+export function scoreGrowth(revenue30d, revenuePrev30d, { weight = 20, floor = -100, ceiling = 100 } = {}) {
+  if (!revenuePrev30d || revenuePrev30d <= 0) return null
+  const growthRate = ((revenue30d - revenuePrev30d) / revenuePrev30d) * 100
+  // Linear from floor (default -100% = 0) to ceiling (default +100% = full; 0% = half)
+  return clampScore((growthRate - floor) / (ceiling - floor), weight)
+}
+
+/**
+ * Capital Efficiency Score (0–weight, default 15)
+ * Revenue/TVL ratio — higher = more efficient
+ */
+export function scoreEfficiency(annualizedRevenue, tvl, { weight = 15, fullAt = 20 } = {}) {
+  if (!tvl || tvl <= 0) return null
+  const efficiency = (annualizedRevenue / tvl) * 100
+  // 0% = 0, fullAt% (default 20%) and above = full score
+  return clampScore(efficiency / fullAt, weight)
+}
+
+/**
+ * Valuation Reasonableness Score (0–weight, default 15)
+ * P/S ratio vs sector median — moderate P/S scores high
+ */
+export function scoreValuation(psRatio, sectorMedianPS, { weight = 15, fairLow = 0.5, fairHigh = 2 } = {}) {
+  if (!psRatio || psRatio <= 0 || !sectorMedianPS || sectorMedianPS <= 0) return null
+  const ratio = psRatio / sectorMedianPS
+  // Inside the fair band (default 0.5–2× the median) = full score; tapering
+  // down to half the band's floor and twice its ceiling; beyond that 2/15
+  if (ratio >= fairLow && ratio <= fairHigh) return weight
+  if (ratio >= fairLow / 2 && ratio < fairLow) return weight * 2 / 3
+  if (ratio > fairHigh && ratio <= fairHigh * 1.5) return weight * 2 / 3
+  if (ratio > fairHigh * 1.5 && ratio <= fairHigh * 2) return weight / 3
+  return weight * 2 / 15
+}
+
+/**
+ * Earnings Score (0–weight, default 15)
+ * Earnings margin after incentives and unlock dilution (see utils/earnings.js)
+ */
+export function scoreEarnings(earnings, { weight = 15, zeroAt = -100, fullAt = 50 } = {}) {
+  if (!earnings || !(earnings.holdersRevenue > 0)) return null
+  // zeroAt margin (default -100%: growth costs 2x what holders earn) = 0,
+  // break-even = half, fullAt (default 50%) kept = full score
+  const margin = earnings.margin * 100
+  const fraction = margin >= 0 ? 0.5 + 0.5 * margin / fullAt : 0.5 * (1 - margin / zeroAt)
+  return clampScore(fraction, weight)
+}
+
+/**
+ * Scale Score (0–weight) — optional dimension, not in the default methodology
+ * Annualized fees on a log scale between `floor` and `fullAt` ($M / yr)
+ */
+export function scoreScale(annualizedRevenue, { weight = 10, floor = 1, fullAt = 1000 } = {}) {
+  if (!(annualizedRevenue > 0)) return null
+  return clampScore(Math.log10(annualizedRevenue / (floor * 1e6)) / Math.log10(fullAt / floor), weight)
+}
+
+const REVENUE_SCORERS = {
+  sustainability: (x, d) => scoreSustainability(x.dailyRevs, d),
+  takeRate: (x, d) => scoreTakeRate(x.revenue24h, x.fees24h, d),
+  growth: (x, d) => scoreGrowth(x.sum30, x.sumPrev30, d),
+  efficiency: (x, d) => scoreEfficiency(x.annRevenue, x.tvl, d),
+  valuation: (x, d) => scoreValuation(x.psRatio, x.sectorMedianPS, d),
+  earnings: (x, d) => scoreEarnings(x.earnings, d),
+  scale: (x, d) => scoreScale(x.annRevenue, d),
+}
+
+/** Maximum points per dimension of the default methodology. */
+export const REVENUE_SCORE_MAX = dimensionWeights(DEFAULT_METHODOLOGY.revenue)
+
+/**
+ * Compute composite score with available dimensions
+ * @param {Object} scores sub-scores by dimension (null = not scorable)
+ * @param {Object} [maxima] maximum points by dimension — the methodology's weights
+ */
+export function computeCompositeScore(scores, maxima = REVENUE_SCORE_MAX) {
+  const available = Object.entries(scores).filter(([_, v]) => v !== null)
+  if (available.length < 2) return null
+
+  // Sum available scores and their max possible values
+  let totalScore = 0
+  let totalMax = 0
+  available.forEach(([key, value]) => {
+    totalScore += value
+    totalMax += maxima[key] || 0
+  })
+
+  // Normalize to 0–100 scale
+  return totalMax > 0 ? (totalScore / totalMax) * 100 : 0
+}
+
+/**
+ * Score the top `limit` fee earners.
+ * @param {Object} data { fees, feesRevenue, protocols, markets } — raw DeFiLlama/CoinGecko payloads,
+ *   plus { feesHolders, emissions, tokenIncentives } for the earnings dimension (fetchEarningsInputs)
+ * @param {{ limit?: number, methodology?: Object, peerGroups?: Array }} [opts] methodology: see utils/methodology.js;
+ *   peerGroups: custom comp sets (utils/peers.js) — members are valued against their group's median P/S
+ *   and reported under the group's name as `sector`
+ * @returns {Array} scored protocols sorted by composite (desc); protocols with < 2 dimensions dropped.
+ *   `scores` holds the methodology's weighted dimensions only
+ */
+export function computeRevenueScores(data, { limit = 50, methodology = DEFAULT_METHODOLOGY, peerGroups = [] } = {}) {
+  const feesProtocols = data?.fees?.protocols || []
+  const revenueProtocols = data?.feesRevenue?.protocols || []
+  const allProtocols = data?.protocols || []
+  const markets = data?.markets || []
+  const totalDataChartBreakdown = data?.fees?.totalDataChartBreakdown || []
+  const registry = getRegistry(allProtocols, markets)
+  const earningsByEntity = computeEarnings(data)
+  const dimensions = Object.entries(methodology.revenue).filter(([key, d]) => d.weight > 0 && REVENUE_SCORERS[key])
+  const maxima = dimensionWeights(methodology.revenue)
+
+  // Build lookups
+  const revLookup = {}
+  revenueProtocols.forEach(p => { if (p.slug) revLookup[p.slug.toLowerCase()] = p })
+
+  const protocolLookup = {}
+  allProtocols.forEach(p => { if (p.slug) protocolLookup[p.slug.toLowerCase()] = p })
+
+  // Build daily revenue per protocol from breakdown
+  const protocolDailyRevenue = {}
+  totalDataChartBreakdown.forEach(([_, breakdown]) => {
+    Object.entries(breakdown || {}).forEach(([protocol, value]) => {
+      if (!protocolDailyRevenue[protocol]) protocolDailyRevenue[protocol] = []
+      protocolDailyRevenue[protocol].push(value)
+    })
+  })
+
+  const peerGroupOf = peerGroupLookup(peerGroups)
+  const mcapOf = (p, protocolData) => registry.resolve(p)?.market?.market_cap || protocolData?.mcap || 0
+
+  // Get top N protocols by fees
+  const top = feesProtocols
+    .filter(p => p.total24h > 0)
+    .sort((a, b) => (b.total24h || 0) - (a.total24h || 0))
+    .slice(0, limit)
+    .map(p => {
+      const slug = (p.slug || '').toLowerCase()
+      const protocolData = protocolLookup[slug]
+      const entity = registry.resolve(p)
+      const mcapData = entity?.market
+      const peer = peerGroupOf(p.slug)
+      return {
+        p,
+        slug,
+        protocolData,
+        mcapData,
+        earnings: entity ? earningsByEntity.get(entity.id) || null : null,
+        sector: peer ? peer.name : categorizeSector(p.category || protocolData?.category || 'Other'),
+        peerGroup: peer?.id || null,
+        mcap: mcapData?.market_cap || protocolData?.mcap || 0,
+      }
+    })
+
+  // Compute sector median P/S ratios — custom peer groups over every
+  // fee-earning member, ranked or not
+  const sectorPSRatios = {}
+  const addRatio = (key, mcap, annRevenue) => {
+    if (mcap > 0 && annRevenue > 0) {
+      if (!sectorPSRatios[key]) sectorPSRatios[key] = []
+      sectorPSRatios[key].push(mcap / annRevenue)
+    }
+  }
+  top.forEach(({ p, sector, peerGroup, mcap }) => { if (!peerGroup) addRatio(sector, mcap, (p.total24h || 0) * 365) })
+  feesProtocols.filter(p => p.total24h > 0).forEach(p => {
+    const peer = peerGroupOf(p.slug)
+    if (peer) addRatio(`peer:${peer.id}`, mcapOf(p, protocolLookup[(p.slug || '').toLowerCase()]), p.total24h * 365)
+  })
+
+  const sectorMedianPS = {}
+  Object.entries(sectorPSRatios).forEach(([sector, ratios]) => {
+    const sorted = [...ratios].sort((a, b) => a - b)
+    sectorMedianPS[sector] = sorted[Math.floor(sorted.length / 2)] || null
+  })
+
+  // Score each protocol
+  return top.map(({ p, slug, protocolData, mcapData, earnings, sector, peerGroup, mcap }) => {
+    const rev = revLookup[slug]
+    const tvl = protocolData?.tvl || 0
+    const revenue24h = rev?.total24h || 0
+    const fees24h = p.total24h || 0
+    const annRevenue = fees24h * 365
+
+    // Daily revenues for sustainability
+    const dailyRevs = protocolDailyRevenue[p.slug] || protocolDailyRevenue[p.name] || []
+
+    // Growth: compare last 30 days to previous 30 days
+    const last30 = dailyRevs.slice(-30)
+    const prev30 = dailyRevs.slice(-60, -30)
+    const sum30 = last30.reduce((a, b) => a + b, 0)
+    const sumPrev30 = prev30.reduce((a, b) => a + b, 0)
+
+    // P/S ratio
+    const psRatio = mcap > 0 && annRevenue > 0 ? mcap / annRevenue : null
+
+    // Sub-scores
+    const inputs = { dailyRevs, revenue24h, fees24h, sum30, sumPrev30, annRevenue, tvl, psRatio, sectorMedianPS: sectorMedianPS[peerGroup ? `peer:${peerGroup}` : sector], earnings }
+    const scores = Object.fromEntries(dimensions.map(([key, d]) => [key, REVENUE_SCORERS[key](inputs, d)]))
+
+    return {
+      name: p.name || p.slug,
+      slug: p.slug,
+      symbol: protocolData?.symbol || '',
+      sector,
+      peerGroup,
+      fees24h,
+      revenue24h,
+      annRevenue,
+      tvl,
+      mcap,
+      psRatio,
+      // Annualized, entity-wide: holders revenue − incentives − unlock dilution
+      earnings: earnings?.earnings ?? null,
+      peRatio: earnings?.peRatio ?? null,
+      // Price change (from CoinGecko)
+      priceChange30d: mcapData?.price_change_percentage_30d_in_currency || null,
+      scores,
+      composite: computeCompositeScore(scores, maxima),
+    }
+  }).filter(p => p.composite !== null)
+    .sort((a, b) => b.composite - a.composite)
+}
+
+// ============================================================================
+// MOAT SCORE (Moats tab, protocol deep-dive)
+// ============================================================================
+
+/** Maximum points per component of the default methodology. */
+export const MOAT_SCORE_MAX = dimensionWeights(DEFAULT_METHODOLOGY.moat)
+
+// Each component scores 0–weight (default 25); curve parameters as in MOAT_DIMENSIONS
+const MOAT_SCORERS = {
+  // TVL dominance: share of category TVL, default 10% share = max
+  tvlDominance: (x, { weight = 25, fullAt = 10 }) => clampScore(x.tvlShare / fullAt, weight),
+  // Revenue consistency: 7d revenue should be ~7x 24h; tops out at 96% of the weight
+  consistency: (x, { weight = 25 }) => x.actualRatio > 0 ? Math.min(x.actualRatio / 7, 1.2) * 0.8 * weight : 0,
+  // More chains = wider moat, default 3 points per chain
+  multiChain: (x, { weight = 25, fullAt = 25 / 3 }) => clampScore(x.chains / fullAt, weight),
+  // Capital efficiency: annualized revenue per dollar of TVL, default 5% = max
+  efficiency: (x, { weight = 25, fullAt = 5 }) => clampScore(x.efficiency / fullAt, weight),
+  // Revenue dominance: share of category daily revenue
+  revenueDominance: (x, { weight = 25, fullAt = 10 }) => clampScore(x.revenueShare / fullAt, weight),
+}
+
+/**
+ * Moat score components, one per weighted dimension of the methodology
+ * (default four, each 0-25):
+ * - TVL dominance within category
+ * - Revenue consistency (7d vs 24h ratio)
+ * - Multi-chain presence
+ * - Capital efficiency (revenue/TVL)
+ */
+export function moatScoreBreakdown(p, categoryStats, methodology = DEFAULT_METHODOLOGY) {
+  const cat = categoryStats[p.sector] || {}
+  const inputs = {
+    tvlShare: cat.totalTvl > 0 ? (p.tvl / cat.totalTvl) * 100 : 0,
+    revenueShare: cat.totalRevenue > 0 ? (p.revenue24h / cat.totalRevenue) * 100 : 0,
+    actualRatio: p.revenue24h > 0 ? (p.revenue7d || 0) / p.revenue24h : 0,
+    chains: p.chains,
+    efficiency: p.tvl > 0 ? (p.revenue24h * 365 / p.tvl) * 100 : 0,
+  }
+  return Object.fromEntries(Object.entries(methodology.moat)
+    .filter(([key, d]) => d.weight > 0 && MOAT_SCORERS[key])
+    .map(([key, d]) => [key, MOAT_SCORERS[key](inputs, d)]))
+}
+
+/** Moat score (0-100): the components' share of the methodology's total weight. */
+export function computeMoatScore(p, categoryStats, methodology = DEFAULT_METHODOLOGY) {
+  const b = moatScoreBreakdown(p, categoryStats, methodology)
+  const totalMax = Object.keys(b).reduce((sum, key) => sum + methodology.moat[key].weight, 0)
+  const total = Object.values(b).reduce((sum, v) => sum + v, 0)
+  return totalMax > 0 ? Math.round(total / totalMax * 100) : 0
+}
+
+export function getMoatRating(score, methodology = DEFAULT_METHODOLOGY) {
+  return moatRatingFor(score, methodology.moatRatings)
+}
+
+/**
+ * Merge /protocols with fee data and score every revenue-earning protocol.
+ * @param {Object} data { allProtocols, fees, markets }
+ * @param {{ methodology?: Object }} [opts] see utils/methodology.js
+ * @returns {{ merged: Array, scored: Array }} scored sorted by moatScore (desc)
+ */
+export function computeMoatScores(data, { methodology = DEFAULT_METHODOLOGY } = {}) {
+  const allProtocols = data?.allProtocols || []
+  const feesProtocols = data?.fees?.protocols || []
+  const cgMarkets = Array.isArray(data?.markets) ? data.markets : []
+  const registry = getRegistry(allProtocols, cgMarkets)
+
+  // Merge all protocols with fee/revenue data
+  const feesMap = {}
+  feesProtocols.forEach(p => {
+    const key = (p.slug || '').toLowerCase()
+    feesMap[key] = p
+  })
+
+  const merged = allProtocols
+    .filter(p => p.tvl > 1e6)
+    .map(p => {
+      const slug = (p.slug || '').toLowerCase()
+      const fee = feesMap[slug]
+      const mcap = registry.resolve(p)?.market?.market_cap || p.mcap || 0
+      const sector = categorizeSector(p.category || 'Other')
+      return {
+        name: p.name,
+        slug: p.slug,
+        tvl: p.tvl,
+        mcap,
+        revenue24h: fee?.total24h || 0,
+        revenue7d: fee?.total7d || 0,
+        revenue30d: fee?.total30d || 0,
+        chains: Array.isArray(p.chains) ? p.chains.length : (p.chain ? 1 : 0),
+        chainList: Array.isArray(p.chains) ? p.chains : (p.chain ? [p.chain] : []),
+        category: p.category || 'Other',
+        sector,
+        change7d: p.change_7d || 0,
+      }
+    })
+
+  // Category stats for relative moat scoring
+  const categoryStats = {}
+  merged.forEach(p => {
+    if (!categoryStats[p.sector]) categoryStats[p.sector] = { totalTvl: 0, totalRevenue: 0, count: 0 }
+    categoryStats[p.sector].totalTvl += p.tvl
+    categoryStats[p.sector].totalRevenue += p.revenue24h
+    categoryStats[p.sector].count++
+  })
+
+  // Score all protocols with revenue
+  const scored = merged
+    .filter(p => p.revenue24h > 0)
+    .map(p => {
+      const moatBreakdown = moatScoreBreakdown(p, categoryStats, methodology)
+      const moatScore = computeMoatScore(p, categoryStats, methodology)
+      return { ...p, moatScore, moatRating: getMoatRating(moatScore, methodology), moatBreakdown }
+    })
+    .sort((a, b) => b.moatScore - a.moatScore)
+
+  return { merged, scored }
+}
@@ -0,0 +1,208 @@
+import { getRegistry } from './registry.js'
+import { emissionDocument } from './earnings.js'
+import { nowSeconds } from './asOf.js'
+
+// ============================================================================
+// TOKEN UNLOCKS (Token Unlocks tab, CLI export)
+// ============================================================================
+// Upcoming unlock events come from DeFiLlama /emissions (one entry per token,
+// `events` with timestamp, noOfTokens and category), valued at today's
+// CoinGecko price. Each unlock is sized against circulating supply and against
+// average daily trading volume — how many days of volume the market needs to
+// absorb it. The per-protocol supply curve reads /emission/{protocol}.
+//
+// Supply overhang = tokens unlocking over the next 12 months × price, compared
+// with the protocol's annualized revenue: years of revenue needed to match the
+// value being released.
+
+const DAY_S = 86400
+const YEAR_S = 365 * DAY_S
+
+export const UNLOCK_WINDOWS = [7, 30, 90]
+
+/** Allocation groups for the supply curve and the calendar, in stacking order. */
+export const ALLOCATION_GROUPS = [
+  { key: 'team', label: 'Team & Advisors' },
+  { key: 'investors', label: 'Investors & Sales' },
+  { key: 'ecosystem', label: 'Ecosystem & Community' },
+  { key: 'other', label: 'Other' },
+]
+
+// Section labels are free text ("Core Contributors", "Series A", "DAO Treasury");
+// DeFiLlama categories (insiders, privateSale, publicSale, farming,
+// noncirculating, liquidity) break ties when the label says nothing
+const GROUP_PATTERNS = [
+  ['team', /team|contributor|founder|employee|advis|core|developer|dev fund|labs/i],
+  ['investors', /investor|backer|seed|private|public|sale|strategic|series|ico|ido|presale|fundrais/i],
+  ['ecosystem', /ecosystem|community|treasury|foundation|dao|reward|incentive|farming|mining|airdrop|grant|staking|liquidity|reserve|user|partner|growth/i],
+]
+const CATEGORY_GROUPS = {
+  insiders: 'team',
+  privateSale: 'investors',
+  publicSale: 'investors',
+  farming: 'ecosystem',
+  noncirculating: 'ecosystem',
+  liquidity: 'ecosystem',
+}
+
+/** Allocation group key for a section label / event description and DeFiLlama category. */
+export function allocationGroup(label, category) {
+  const hit = GROUP_PATTERNS.find(([, re]) => re.test(label || ''))
+  if (hit) return hit[0]
+  return CATEGORY_GROUPS[category] || 'other'
+}
+
+const tokensOf = (event) => (Array.isArray(event.noOfTokens) ? event.noOfTokens : [event.noOfTokens])
+  .reduce((s, v) => s + (Number(v) || 0), 0)
+
+// 'coingecko:lido-dao' → 'lido-dao'
+const geckoIdOf = (emission) => emission.gecko_id || (emission.token || '').replace(/^coingecko:/, '') || null
+
+const slugify = (name) => String(name || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+
+/**
+ * One row per token on /emissions with its market, revenue and the slug its
+ * /emission document lives under.
+ */
+function tokenRows(data) {
+  const markets = Array.isArray(data?.markets) ? data.markets : []
+  const registry = getRegistry(data?.protocols || [], markets)
+  const marketsById = new Map(markets.map(m => [m.id, m]))
+
+  // Annualized revenue per entity, DeFiLlama versions summed
+  const revenue = new Map()
+  ;(data?.feesRevenue?.protocols || []).forEach(p => {
+    const entity = registry.resolve(p)
+    const annualized = p.total30d > 0 ? p.total30d * 365 / 30 : (p.total24h || 0) * 365
+    if (entity && annualized > 0) revenue.set(entity.id, (revenue.get(entity.id) || 0) + annualized)
+  })
+
+  return (Array.isArray(data?.emissions) ? data.emissions : []).map(emission => {
+    const geckoId = geckoIdOf(emission)
+    const entity = (geckoId && registry.resolve(geckoId, 'gecko')) || registry.resolve(emission.name, 'name')
+    const market = entity?.market || (geckoId && marketsById.get(geckoId)) || null
+    const volume = data?.volumes?.[geckoId]
+    return {
+      emission,
+      name: entity?.name || emission.name,
+      slug: entity?.llamaSlugs?.[0] || null,
+      emissionSlug: entity?.parent || entity?.llamaSlugs?.[0] || slugify(emission.name),
+      geckoId,
+      symbol: (market?.symbol || emission.tSymbol || '').toUpperCase(),
+      price: market?.current_price || Number(emission.tPrice) || 0,
+      mcap: market?.market_cap || Number(emission.mcap) || 0,
+      circulating: market?.circulating_supply || Number(emission.circSupply) || 0,
+      // 30-day average when a volume history was fetched, else CoinGecko's 24h volume
+      avgVolume: volume > 0 ? volume : market?.total_volume || 0,
+      volumeBasis: volume > 0 ? '30d' : '24h',
+      revenue: entity ? revenue.get(entity.id) || 0 : 0,
+    }
+  })
+}
+
+/**
+ * Unlock events in the next `days` (default 90), largest USD value first.
+ * @param {Object} data see fetchUnlocksData
+ * @param {{ days?: number, now?: number }} [opts] now: seconds (default: the as-of date)
+ * @returns {Array<{ name, slug, emissionSlug, geckoId, symbol, date, timestamp, daysAway, tokens, usd, pctCirculating,
+ *   pctDailyVolume, volumeBasis, allocation, description, unlockType }>}
+ *   pctCirculating / pctDailyVolume in percent, null without supply / volume
+ */
+export function upcomingUnlocks(data, { days = 90, now = nowSeconds() } = {}) {
+  const end = now + days * DAY_S
+  return tokenRows(data).flatMap(row => (Array.isArray(row.emission.events) ? row.emission.events : [])
+    .filter(e => e.timestamp > now && e.timestamp <= end)
+    .map(e => {
+      const tokens = tokensOf(e)
+      const usd = tokens * row.price
+      return {
+        name: row.name,
+        slug: row.slug,
+        emissionSlug: row.emissionSlug,
+        geckoId: row.geckoId,
+        symbol: row.symbol,
+        date: new Date(e.timestamp * 1000).toISOString().slice(0, 10),
+        timestamp: e.timestamp,
+        daysAway: Math.ceil((e.timestamp - now) / DAY_S),
+        tokens,
+        usd,
+        pctCirculating: row.circulating > 0 ? tokens / row.circulating * 100 : null,
+        pctDailyVolume: row.avgVolume > 0 && usd > 0 ? usd / row.avgVolume * 100 : null,
+        volumeBasis: row.volumeBasis,
+        allocation: allocationGroup(e.description, e.category),
+        description: e.description || e.category || 'Unlock',
+        unlockType: e.unlockType || null,
+      }
+    }))
+    .filter(e => e.tokens > 0)
+    .sort((a, b) => b.usd - a.usd)
+}
+
+/**
+ * Supply overhang per token: unlocks over the next 12 months at today's price
+ * against annualized revenue. Sorted by overhang / revenue (desc); tokens
+ * without revenue sort last.
+ * @returns {Array<{ name, slug, emissionSlug, symbol, overhang, overhangTokens, pctCirculating, pctMcap,
+ *   revenue, overhangToRevenue }>} overhangToRevenue in years of revenue
+ */
+export function overhangRanking(data, { now = nowSeconds() } = {}) {
+  return tokenRows(data).map(row => {
+    const events = Array.isArray(row.emission.events) ? row.emission.events : []
+    const overhangTokens = events.length > 0
+      ? events.filter(e => e.timestamp > now && e.timestamp <= now + YEAR_S).reduce((s, e) => s + tokensOf(e), 0)
+      : (Number(row.emission.unlocksPerDay) || 0) * 365
+    const overhang = overhangTokens * row.price
+    return {
+      name: row.name,
+      slug: row.slug,
+      emissionSlug: row.emissionSlug,
+      symbol: row.symbol,
+      overhang,
+      overhangTokens,
+      pctCirculating: row.circulating > 0 ? overhangTokens / row.circulating * 100 : null,
+      pctMcap: row.mcap > 0 ? overhang / row.mcap * 100 : null,
+      revenue: row.revenue,
+      overhangToRevenue: row.revenue > 0 ? overhang / row.revenue : null,
+    }
+  })
+    .filter(r => r.overhang > 0)
+    .sort((a, b) => (b.overhangToRevenue ?? -1) - (a.overhangToRevenue ?? -1) || b.overhang - a.overhang)
+}
+
+/**
+ * Cumulative unlocked supply of one token by allocation group.
+ * @param {Object} raw DeFiLlama /emission/{protocol} payload
+ * @returns {{ token, timestamps: number[], groups: Array<{ key, label, sections: string[], values: number[] }> } | null}
+ *   values are cumulative tokens at each timestamp; empty groups are dropped
+ */
+export function supplyCurve(raw) {
+  const doc = emissionDocument(raw)
+  const sections = (doc?.documentedData?.data || doc?.data || []).filter(s => Array.isArray(s.data) && s.data.length > 0)
+  if (sections.length === 0) return null
+
+  // Section label → DeFiLlama category, from the document's { category: [labels] } map
+  const categories = doc?.documentedData?.categories || doc?.categories || {}
+  const categoryOf = new Map(Object.entries(categories).flatMap(([category, labels]) =>
+    (Array.isArray(labels) ? labels : []).map(label => [label, category])))
+
+  const timestamps = [...new Set(sections.flatMap(s => s.data.map(d => d.timestamp)))].sort((a, b) => a - b)
+  const groups = ALLOCATION_GROUPS.map(g => ({ ...g, sections: [], values: timestamps.map(() => 0) }))
+  sections.forEach(s => {
+    const label = s.label || 'Unlock'
+    const group = groups.find(g => g.key === allocationGroup(label, categoryOf.get(label)))
+    group.sections.push(label)
+    // Step lookup: each section holds its last value between its own points
+    const points = [...s.data].sort((a, b) => a.timestamp - b.timestamp)
+    let j = -1
+    timestamps.forEach((ts, i) => {
+      while (j + 1 < points.length && points[j + 1].timestamp <= ts) j++
+      if (j >= 0) group.values[i] += points[j].unlocked || 0
+    })
+  })
+
+  return {
+    token: doc?.metadata?.token || null,
+    timestamps,
+    groups: groups.filter(g => g.sections.length > 0),
+  }
+}
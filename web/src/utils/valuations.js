@@ -0,0 +1,92 @@
+import { categorizeSector } from './helpers.js'
+import { getRegistry } from './registry.js'
+import { computeEarnings } from './earnings.js'
+
+// ============================================================================
+// VALUATIONS (Valuations tab, CLI export)
+// ============================================================================
+
+const medianOf = (values) => values.length > 0
+  ? [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)] : null
+
+/**
+ * Join DeFiLlama fees + revenue with DeFiLlama/CoinGecko market data per protocol.
+ * @param {Object} data { fees, feesRevenue, protocols, markets, feesHolders, emissions, tokenIncentives }
+ *   — raw payloads (see fetchValuationsData)
+ * @returns {{ protocols: Array, earnings: Array, totalFees24h, totalRevenue24h, medianPS, medianPE, medianTakeRate }}
+ *   protocols sorted by fees24h (desc), their `earnings`/`peRatio` entity-wide (all versions);
+ *   earnings: one row per entity with holders revenue (see computeEarnings), by holders revenue (desc)
+ */
+export function computeValuations(data) {
+  const feesProtocols = data?.fees?.protocols || []
+  const totalFees24h = data?.fees?.total24h || feesProtocols.reduce((s, p) => s + (p.total24h || 0), 0)
+  const revenueProtocols = data?.feesRevenue?.protocols || []
+  const totalRevenue24h = data?.feesRevenue?.total24h || revenueProtocols.reduce((s, p) => s + (p.total24h || 0), 0)
+
+  // Revenue protocols lookup (per-protocol take rate)
+  const revLookup = {}
+  revenueProtocols.forEach(p => { if (p.slug) revLookup[p.slug.toLowerCase()] = p })
+
+  // DeFiLlama protocols (TVL, category, mcap) + CoinGecko 1000 coins, joined by the identity registry
+  const cgMarkets = Array.isArray(data?.markets) ? data.markets : []
+  const llamaProtocols = data?.protocols || []
+  const registry = getRegistry(llamaProtocols, cgMarkets)
+  const llamaLookup = {}
+  llamaProtocols.forEach(p => { if (p.slug) llamaLookup[p.slug.toLowerCase()] = p })
+  const earningsByEntity = computeEarnings(data)
+
+  // Merge: DeFiLlama fees + revenue + CoinGecko market data
+  const protocols = feesProtocols
+    .filter(p => p.total24h > 0)
+    .map(p => {
+      const slug = (p.slug || '').toLowerCase()
+      const entity = registry.resolve(p)
+
+      // Match DeFiLlama protocols: exact slug -> any deployment of the same entity
+      const llama = llamaLookup[slug]
+        || entity?.llamaSlugs.map(alt => llamaLookup[alt.toLowerCase()]).find(Boolean)
+
+      // Match CoinGecko via the entity's gecko_id
+      const cg = entity?.market
+
+      const rev = revLookup[slug]
+      const earnings = entity ? earningsByEntity.get(entity.id) : null
+
+      // Use DeFiLlama mcap as primary, CoinGecko as fallback
+      const mcap = llama?.mcap || cg?.market_cap || 0
+      const tvl = llama?.tvl || 0
+      const fees24h = p.total24h
+      const revenue24h = rev?.total24h || 0
+      const annualizedFees = fees24h * 365
+      const takeRate = fees24h > 0 && revenue24h > 0 ? (revenue24h / fees24h) * 100 : null
+
+      return {
+        name: p.name || p.slug, slug: p.slug,
+        fees24h, revenue24h, fees7d: p.total7d || 0, fees30d: p.total30d || 0,
+        annualizedFees, mcap, tvl, takeRate,
+        category: llama?.category || p.category || 'Other',
+        sector: categorizeSector(llama?.category || p.category || 'Other'),
+        psRatio: mcap > 0 && annualizedFees > 0 ? mcap / annualizedFees : null,
+        holdersRevenue: earnings?.holdersRevenue ?? null,
+        incentives: earnings?.incentives ?? null,
+        dilution: earnings?.dilution ?? null,
+        earnings: earnings?.earnings ?? null,
+        peRatio: earnings?.peRatio ?? null,
+        priceChange7d: cg?.price_change_percentage_7d_in_currency || 0,
+        priceChange30d: cg?.price_change_percentage_30d_in_currency || 0,
+        feeChange7d: p.change_7d || 0,
+        feeChange30d: p.change_1m || 0,
+      }
+    })
+    .sort((a, b) => b.fees24h - a.fees24h)
+
+  return {
+    protocols,
+    earnings: [...earningsByEntity.values()].sort((a, b) => b.holdersRevenue - a.holdersRevenue),
+    totalFees24h,
+    totalRevenue24h,
+    medianPS: medianOf(protocols.filter(p => p.psRatio > 0 && p.psRatio < 10000).map(p => p.psRatio)),
+    medianPE: medianOf([...earningsByEntity.values()].filter(e => e.peRatio > 0 && e.peRatio < 10000).map(e => e.peRatio)),
+    medianTakeRate: medianOf(protocols.filter(p => p.takeRate > 0 && p.takeRate <= 100).map(p => p.takeRate)),
+  }
+}
@@ -0,0 +1,75 @@
+import { getStaticRegistry } from './registry.js'
+import { createLocalCollection } from './localCollection.js'
+
+// ============================================================
+// Watchlists — persisted locally, portable as JSON
+// ============================================================
+// Entries are DeFiLlama slugs. Matching is entity-aware: watching 'aave'
+// also matches 'aave-v3' rows (see utils/registry.js).
+
+export const WATCHLIST_MODES = ['off', 'highlight', 'filter']
+
+const collection = createLocalCollection({
+  key: 'watchlists',
+  field: 'lists',
+  idPrefix: 'wl',
+  label: 'watchlists',
+  sanitize: sanitizeList,
+  exportFields: ['name', 'slugs'],
+  // Same name → union of slugs
+  combine: (existing, incoming) => ({ ...existing, slugs: [...new Set([...existing.slugs, ...incoming.slugs])] }),
+  fromImport: (parsed) => Array.isArray(parsed) ? [{ name: 'Imported', slugs: parsed }] : parsed?.slugs ? [parsed] : null,
+  expected: '{ lists: [...] }, { name, slugs } or an array of slugs',
+})
+
+export function emptyWatchlistState() {
+  const id = collection.newId()
+  return { version: 1, activeId: id, mode: 'off', lists: [{ id, name: 'My Watchlist', slugs: [] }] }
+}
+
+function sanitizeList(list) {
+  if (!list || typeof list.name !== 'string' || !Array.isArray(list.slugs)) return null
+  const slugs = [...new Set(list.slugs.filter(s => typeof s === 'string' && s.trim()).map(s => s.trim().toLowerCase()))]
+  return { id: typeof list.id === 'string' ? list.id : collection.newId(), name: list.name.trim() || 'Untitled', slugs }
+}
+
+export function loadWatchlists() {
+  const parsed = collection.read()
+  const lists = collection.items(parsed)
+  if (lists.length === 0) return emptyWatchlistState()
+  return {
+    version: 1,
+    activeId: lists.some(l => l.id === parsed.activeId) ? parsed.activeId : lists[0].id,
+    mode: WATCHLIST_MODES.includes(parsed.mode) ? parsed.mode : 'off',
+    lists,
+  }
+}
+
+export function saveWatchlists(state) {
+  collection.save(state)
+}
+
+/**
+ * Parse an exported file. Accepts the full export ({ lists: [...] }), a single
+ * list ({ name, slugs }) or a bare array of slugs. Throws on anything else.
+ */
+export function parseWatchlistImport(text) {
+  return collection.parseImport(text)
+}
+
+/** Merge imported lists: same name → union of slugs, otherwise appended. */
+export function mergeWatchlists(state, imported) {
+  return { ...state, lists: collection.merge(state.lists, imported) }
+}
+
+export function exportWatchlists(state) {
+  return collection.exportJSON(state.lists)
+}
+
+/** Canonical match key: registry entity id when known, else the slug itself. */
+export function watchKey(slug) {
+  if (!slug) return ''
+  const lower = String(slug).toLowerCase()
+  const registry = getStaticRegistry()
+  return (registry.resolve(lower, 'llama') || registry.get(lower))?.id || lower
+}
@@ -0,0 +1,150 @@
+/**
+ * Minimal XLSX (Office Open XML spreadsheet) writer — no dependencies.
+ *
+ * One worksheet per { name, headers, rows }, packed into an uncompressed
+ * (STORED) ZIP. Finite numbers become numeric cells, everything else inline
+ * strings, null/undefined empty cells. No styles, formulas or shared strings:
+ * enough for Excel, Numbers and LibreOffice to open the comps tables the
+ * dashboard exports.
+ */
+
+const encoder = new TextEncoder()
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+const escapeXml = (s) => String(s)
+  // Control characters other than tab/newline are invalid in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+// 0 → A, 25 → Z, 26 → AA
+function columnName(i) {
+  let name = ''
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  return name
+}
+
+function cellXml(value, ref) {
+  if (value === null || value === undefined || value === '') return ''
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+}
+
+function sheetXml(headers, rows) {
+  const body = [headers, ...rows].map((row, r) =>
+    `<row r="${r + 1}">${row.map((v, c) => cellXml(v, `${columnName(c)}${r + 1}`)).join('')}</row>`).join('')
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`
+    + `<sheetData>${body}</sheetData></worksheet>`
+}
+
+// Sheet names: ≤ 31 chars, none of : \ / ? * [ ], unique within the workbook
+function sheetNames(sheets) {
+  const used = new Set()
+  return sheets.map((s, i) => {
+    const base = String(s.name || `Sheet${i + 1}`).replace(/[:\\/?*[\]]/g, ' ').trim().slice(0, 31) || `Sheet${i + 1}`
+    let name = base
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base.slice(0, 28)} (${n})`
+    used.add(name.toLowerCase())
+    return name
+  })
+}
+
+// STORED zip: local headers + data, central directory, end record
+function zip(files) {
+  const u16 = (n) => [n & 0xFF, (n >>> 8) & 0xFF]
+  const u32 = (n) => [n & 0xFF, (n >>> 8) & 0xFF, (n >>> 16) & 0xFF, (n >>> 24) & 0xFF]
+  const DOS_DATE = (0 << 9) | (1 << 5) | 1 // 1980-01-01
+  const chunks = []
+  const central = []
+  let offset = 0
+
+  files.forEach(({ path, data }) => {
+    const name = encoder.encode(path)
+    const bytes = encoder.encode(data)
+    const crc = crc32(bytes)
+    const common = [...u16(20), ...u16(0x0800), ...u16(0), ...u16(0), ...u16(DOS_DATE), ...u32(crc), ...u32(bytes.length), ...u32(bytes.length), ...u16(name.length), ...u16(0)]
+    const local = Uint8Array.from([...u32(0x04034B50), ...common])
+    chunks.push(local, name, bytes)
+    central.push(Uint8Array.from([...u32(0x02014B50), ...u16(20), ...common, ...u16(0), ...u16(0), ...u16(0), ...u32(0), ...u32(offset)]), name)
+    offset += local.length + name.length + bytes.length
+  })
+
+  const centralSize = central.reduce((s, c) => s + c.length, 0)
+  const end = Uint8Array.from([...u32(0x06054B50), ...u16(0), ...u16(0), ...u16(files.length), ...u16(files.length), ...u32(centralSize), ...u32(offset), ...u16(0)])
+  const parts = [...chunks, ...central, end]
+  const out = new Uint8Array(parts.reduce((s, p) => s + p.length, 0))
+  let pos = 0
+  parts.forEach(p => { out.set(p, pos); pos += p.length })
+  return out
+}
+
+/**
+ * Serialize sheets as an XLSX workbook.
+ * @param {Array<{ name: string, headers: string[], rows: Array<Array<string|number|null>> }>} sheets
+ * @returns {Uint8Array}
+ */
+export function toXLSX(sheets) {
+  const names = sheetNames(sheets)
+  const files = [
+    {
+      path: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>',
+    },
+    {
+      path: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      path: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>`
+        + '</workbook>',
+    },
+    {
+      path: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + '</Relationships>',
+    },
+    ...sheets.map((s, i) => ({ path: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(s.headers, s.rows) })),
+  ]
+  return zip(files)
+}
+
+/**
+ * Download sheets as an .xlsx workbook.
+ * @param {string} filename - File name (without .xlsx extension)
+ * @param {Array<{ name: string, headers: string[], rows: Array<Array<string|number|null>> }>} sheets
+ */
+export function downloadXLSX(filename, sheets) {
+  const blob = new Blob([toXLSX(sheets)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `${filename}.xlsx`
+  a.click()
+  URL.revokeObjectURL(url)
+}
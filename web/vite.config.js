@@ -1,15 +1,79 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { getMockMode, getFixtureDir, readFixture, writeFixture, redactUrl } from '../api/_fixtures.js'
+
+// MOCK_UPSTREAM record/replay for the browser's direct third-party fetches
+// (src/services/mock.js). Fixtures share the format and directory of the API handlers.
+function upstreamFixtures(mode) {
+  const send = (res, status, payload) => {
+    res.statusCode = status
+    res.setHeader('Content-Type', 'application/json')
+    res.end(JSON.stringify(payload))
+  }
+
+  const middleware = async (req, res) => {
+    if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed. Use POST.' })
+    try {
+      let raw = ''
+      for await (const chunk of req) raw += chunk
+      const { method = 'GET', url, body, status, response } = JSON.parse(raw)
+      if (!url) return send(res, 400, { error: 'url is required' })
+      const key = redactUrl(url)
+
+      switch (req.url) {
+        case '/replay': {
+          const fixture = await readFixture(getFixtureDir(), method, key, body)
+          if (!fixture) {
+            console.warn(`[mock] No fixture for ${method} ${key}`)
+            return send(res, 404, { error: `No fixture for ${method} ${key}` })
+          }
+          return send(res, fixture.status, fixture.body)
+        }
+        case '/record':
+          if (mode !== 'record') return send(res, 403, { error: 'Recording requires MOCK_UPSTREAM=record' })
+          await writeFixture(getFixtureDir(), { method, url: key, body, status, response })
+          return send(res, 200, { ok: true })
+        default:
+          return send(res, 404, { error: `Not found: ${req.url}` })
+      }
+    } catch (err) {
+      return send(res, 500, { error: err.message })
+    }
+  }
+
+  return {
+    name: 'upstream-fixtures',
+    configureServer(server) { if (mode) server.middlewares.use('/__fixtures', middleware) },
+    configurePreviewServer(server) { if (mode) server.middlewares.use('/__fixtures', middleware) },
+  }
+}
+
+// plotly.js/lib/core requires maplibre's stylesheet for map traces, which this
+// build never registers; without this the CSS would ship with every page
+function skipMaplibreCss() {
+  const id = 'maplibre-gl/dist/maplibre-gl.css'
+  return {
+    name: 'skip-maplibre-css',
+    enforce: 'pre',
+    resolveId(source) { return source === id ? `\0${id}` : null },
+    load(resolved) { return resolved === `\0${id}` ? '' : null },
+  }
+}
+
+const mockMode = getMockMode()
 
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), skipMaplibreCss(), upstreamFixtures(mockMode)],
+  define: {
+    __MOCK_UPSTREAM__: JSON.stringify(mockMode),
+  },
   build: {
     outDir: 'dist',
     rollupOptions: {
       output: {
         manualChunks: {
-          plotly: ['plotly.js-basic-dist-min'],
+          plotly: ['plotly.js/lib/core', 'plotly.js/lib/bar', 'plotly.js/lib/pie'],
           react: ['react', 'react-dom'],
         }
       }